@@ -7,6 +7,13 @@ import Orders from "./Orders.jsx";
 import Settings from "./Settings.jsx";
 import NostrAdmin from "./Nostr.jsx";
 import BulkPricing from "./BulkPricing.jsx";
+import Discounts from "./Discounts.jsx";
+import Users from "./Users.jsx";
+import AuditLog from "./AuditLog.jsx";
+import Backups from "./Backups.jsx";
+import Reconciliation from "./Reconciliation.jsx";
+import SwapRefunds from "./SwapRefunds.jsx";
+import OnchainAddresses from "./OnchainAddresses.jsx";
 import { AdminI18nProvider } from "./i18n.jsx";
 import { useAdmin } from "../store/useAdmin.js";
 
@@ -33,9 +40,16 @@ export default function AdminApp() {
             <Route path="dashboard" element={<Dashboard />}>
               <Route index element={<Products />} />
               <Route path="orders" element={<Orders />} />
+              <Route path="reconciliation" element={<Reconciliation />} />
+              <Route path="swap-refunds" element={<SwapRefunds />} />
               <Route path="pricing" element={<BulkPricing />} />
+              <Route path="discounts" element={<Discounts />} />
               <Route path="settings" element={<Settings />} />
+              <Route path="backups" element={<Backups />} />
+              <Route path="onchain-addresses" element={<OnchainAddresses />} />
               <Route path="nostr" element={<NostrAdmin />} />
+              <Route path="users" element={<Users />} />
+              <Route path="audit" element={<AuditLog />} />
             </Route>
             <Route path="*" element={<div>Not Found</div>} />
           </Routes>
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import { useAdminI18n } from "./i18n.jsx";
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { actor: "", action: "", targetType: "", targetId: "", from: "", to: "" };
+
+function dayStart(value) {
+  if (!value) return 0;
+  const ms = new Date(`${value}T00:00:00`).getTime();
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function dayEnd(value) {
+  if (!value) return 0;
+  const ms = new Date(`${value}T23:59:59.999`).getTime();
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "–";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+export default function AuditLog() {
+  const { t } = useAdminI18n();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [data, setData] = useState({ items: [], total: 0, actions: [], actors: [], targetTypes: [], retentionDays: 0 });
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    load(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  async function load(offset) {
+    try {
+      setLoading(true);
+      const params = {
+        actor: filters.actor,
+        action: filters.action,
+        targetType: filters.targetType,
+        targetId: filters.targetId.trim(),
+        from: dayStart(filters.from),
+        to: dayEnd(filters.to),
+        limit: PAGE_SIZE,
+        offset
+      };
+      const r = await api.get("/admin/audit", { params });
+      const next = r.data || {};
+      setData((prev) => ({
+        ...next,
+        items: offset > 0 ? [...prev.items, ...(next.items || [])] : next.items || []
+      }));
+    } catch (e) {
+      console.warn("Failed to load audit log", e);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function set(key, value) {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  }
+
+  const inputCls = "w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 text-sm";
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Registro attività", "Audit log")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            `Ogni modifica fatta dal pannello, con autore e differenze. Le voci vengono conservate per ${data.retentionDays || "…"} giorni.`,
+            `Every change made from the admin panel, with author and diff. Entries are kept for ${data.retentionDays || "…"} days.`
+          )}
+        </p>
+      </div>
+
+      <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3">
+        <select className={inputCls} value={filters.actor} onChange={(e) => set("actor", e.target.value)}>
+          <option value="">{t("Tutti gli utenti", "All users")}</option>
+          {data.actors.map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <select className={inputCls} value={filters.action} onChange={(e) => set("action", e.target.value)}>
+          <option value="">{t("Tutte le azioni", "All actions")}</option>
+          {data.actions.map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <select className={inputCls} value={filters.targetType} onChange={(e) => set("targetType", e.target.value)}>
+          <option value="">{t("Tutti gli oggetti", "All targets")}</option>
+          {data.targetTypes.map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <input
+          className={inputCls}
+          placeholder={t("ID oggetto", "Target id")}
+          value={filters.targetId}
+          onChange={(e) => set("targetId", e.target.value)}
+        />
+        <input type="date" className={inputCls} value={filters.from} onChange={(e) => set("from", e.target.value)} />
+        <input type="date" className={inputCls} value={filters.to} onChange={(e) => set("to", e.target.value)} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-white/10">
+          <thead className="bg-slate-900/60">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Quando", "When")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Utente", "User")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Azione", "Action")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Oggetto", "Target")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Modifiche", "Changes")}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/5">
+            {!loading && data.items.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-white/60">{t("Nessuna voce.", "No entries.")}</td>
+              </tr>
+            ) : (
+              data.items.map((row) => {
+                const fields = Object.keys(row.diff || {});
+                const open = expanded === row.id;
+                return (
+                  <React.Fragment key={row.id}>
+                    <tr>
+                      <td className="px-4 py-3 text-xs text-white/70 whitespace-nowrap">{new Date(row.at).toLocaleString()}</td>
+                      <td className="px-4 py-3 text-sm">
+                        {row.actorName || "–"}
+                        {row.actorRole ? <div className="text-xs text-white/50">{row.actorRole}</div> : null}
+                      </td>
+                      <td className="px-4 py-3 text-sm font-mono">
+                        {row.action}
+                        <div className="text-xs text-white/50 font-sans">{row.method} {row.route}</div>
+                      </td>
+                      <td className="px-4 py-3 text-xs">
+                        {row.targetType ? `${row.targetType} ` : ""}
+                        <span className="font-mono">{row.targetId || ""}</span>
+                      </td>
+                      <td className="px-4 py-3 text-xs">
+                        {fields.length ? (
+                          <button type="button" className="underline" onClick={() => setExpanded(open ? null : row.id)}>
+                            {fields.length === 1 ? fields[0] : t(`${fields.length} campi`, `${fields.length} fields`)}
+                          </button>
+                        ) : (
+                          <span className="text-white/40">–</span>
+                        )}
+                      </td>
+                    </tr>
+                    {open && (
+                      <tr className="bg-slate-900/40">
+                        <td colSpan={5} className="px-4 py-3">
+                          <div className="grid gap-1 text-xs">
+                            {fields.map((field) => (
+                              <div key={field} className="grid grid-cols-[10rem_1fr_1fr] gap-3">
+                                <div className="font-mono text-white/70">{field}</div>
+                                <div className="text-red-300/80 break-all">{formatValue(row.diff[field]?.from)}</div>
+                                <div className="text-emerald-300/80 break-all">{formatValue(row.diff[field]?.to)}</div>
+                              </div>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center gap-3 text-sm text-white/60">
+        <div>
+          {t(`${data.items.length} di ${data.total}`, `${data.items.length} of ${data.total}`)}
+        </div>
+        {data.items.length < data.total && (
+          <button
+            type="button"
+            className="px-4 py-2 rounded-2xl bg-slate-900 ring-1 ring-white/10 hover:ring-indigo-400/40"
+            disabled={loading}
+            onClick={() => load(data.items.length)}
+          >
+            {t("Carica altri", "Load more")}
+          </button>
+        )}
+        {loading && <div>{t("Caricamento in corso…", "Loading…")}</div>}
+      </div>
+    </div>
+  );
+}
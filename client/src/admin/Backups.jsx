@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from "react";
+import api, { absoluteApiUrl } from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+
+function formatSize(bytes) {
+  const n = Number(bytes || 0);
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Blob responses carry their JSON error as a blob too
+async function errorText(e, fallback) {
+  const data = e?.response?.data;
+  if (data instanceof Blob) {
+    try { return JSON.parse(await data.text()).error || fallback; } catch { return fallback; }
+  }
+  return data?.error || fallback;
+}
+
+export default function Backups() {
+  const { t } = useAdminI18n();
+  const [local, setLocal] = useState({ dir: "", items: [] });
+  const [downloadPass, setDownloadPass] = useState("");
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState(null); // { name } for a local backup, { file } for an upload
+  const [restorePass, setRestorePass] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [done, setDone] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    refresh();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function refresh() {
+    try {
+      const r = await api.get("/admin/backups");
+      setLocal({ dir: r.data?.dir || "", items: Array.isArray(r.data?.items) ? r.data.items : [] });
+    } catch (e) {
+      console.warn("Failed to load backups", e);
+    }
+  }
+
+  async function download() {
+    setError("");
+    try {
+      const r = await api.post("/admin/backup", { passphrase: downloadPass }, { responseType: "blob" });
+      saveBlob(r.data, `boltcanvas-backup-${new Date().toISOString().slice(0, 10)}.json.gz`);
+    } catch (e) {
+      setError(await errorText(e, t("Backup non riuscito", "Backup failed")));
+    }
+  }
+
+  async function createLocal() {
+    setError("");
+    try {
+      await api.post("/admin/backups");
+      await refresh();
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Backup non riuscito", "Backup failed"));
+    }
+  }
+
+  async function runRestore(target, dryRun) {
+    setError("");
+    setDone(null);
+    const params = { dryRun: dryRun ? 1 : 0 };
+    if (target.name) params.name = target.name;
+    const r = await api.post("/admin/restore", target.file || null, {
+      params,
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "X-Backup-Passphrase": restorePass
+      }
+    });
+    return r.data;
+  }
+
+  async function previewRestore(target) {
+    try {
+      setSource(target);
+      setPreview(await runRestore(target, true));
+    } catch (e) {
+      setPreview(null);
+      setError(e?.response?.data?.error || t("Backup non valido", "Invalid backup"));
+    }
+  }
+
+  async function confirmRestore() {
+    if (!source) return;
+    const ok = window.confirm(t(
+      "Sostituire prodotti, ordini e impostazioni con il contenuto del backup? Lo stato attuale viene salvato prima in un backup locale.",
+      "Replace products, orders and settings with the backup? The current shop is saved to a local backup first."
+    ));
+    if (!ok) return;
+    try {
+      setDone(await runRestore(source, false));
+      setPreview(null);
+      await refresh();
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Ripristino non riuscito", "Restore failed"));
+    }
+  }
+
+  const inputCls = "w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 text-sm";
+  const cardCls = "rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-3";
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Backup e ripristino", "Backup & restore")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Il backup contiene prodotti, immagini, impostazioni, ordini, stato Nostr e indice xpub. Utenti admin, registro e file .env non sono inclusi.",
+            "A backup holds products, images, settings, orders, Nostr post state and the xpub index. Admin users, the audit log and .env are not included."
+          )}
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-2xl p-3 bg-red-900/40 ring-1 ring-red-400/40 text-sm">{error}</div>
+      )}
+
+      <div className={cardCls}>
+        <div className="font-semibold">{t("Scarica un backup", "Download a backup")}</div>
+        <input
+          type="password"
+          className={inputCls}
+          placeholder={t("Passphrase (facoltativa)", "Passphrase (optional)")}
+          value={downloadPass}
+          onChange={(e) => setDownloadPass(e.target.value)}
+        />
+        <div className="text-xs text-white/60">
+          {t(
+            "Con una passphrase le chiavi di rimborso Boltz vengono incluse cifrate; senza, restano fuori.",
+            "With a passphrase the Boltz refund keys and Cashu change are included, encrypted; without one they are left out."
+          )}
+        </div>
+        <AsyncButton onClick={download}>{t("Scarica", "Download")}</AsyncButton>
+      </div>
+
+      <div className={cardCls}>
+        <div className="flex items-center gap-3">
+          <div className="font-semibold">{t("Backup locali", "Local backups")}</div>
+          <div className="text-xs text-white/50 font-mono truncate">{local.dir}</div>
+          <AsyncButton className="ml-auto" onClick={createLocal}>{t("Crea ora", "Back up now")}</AsyncButton>
+        </div>
+        {local.items.length === 0 ? (
+          <div className="text-sm text-white/60">{t("Nessun backup locale.", "No local backups yet.")}</div>
+        ) : (
+          <div className="grid gap-2">
+            {local.items.map((b) => (
+              <div key={b.name} className="flex flex-wrap items-center gap-3 text-sm">
+                <div className="font-mono text-xs">{b.name}</div>
+                <div className="text-white/60">{formatSize(b.size)}</div>
+                <div className="text-white/60">{new Date(b.createdAt).toLocaleString()}</div>
+                <div className="ml-auto flex gap-2">
+                  <a
+                    href={absoluteApiUrl(`/api/admin/backups/${encodeURIComponent(b.name)}`)}
+                    className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10"
+                  >
+                    {t("Scarica", "Download")}
+                  </a>
+                  <AsyncButton onClick={() => previewRestore({ name: b.name })}>
+                    {t("Anteprima ripristino", "Preview restore")}
+                  </AsyncButton>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className={cardCls}>
+        <div className="font-semibold">{t("Ripristina da file", "Restore from a file")}</div>
+        <input
+          type="file"
+          accept=".gz,.json,application/gzip,application/json"
+          className="text-sm"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+        <input
+          type="password"
+          className={inputCls}
+          placeholder={t("Passphrase del backup (se cifrato)", "Backup passphrase (if encrypted)")}
+          value={restorePass}
+          onChange={(e) => setRestorePass(e.target.value)}
+        />
+        <AsyncButton disabled={!file} onClick={() => previewRestore({ file })}>
+          {t("Anteprima ripristino", "Preview restore")}
+        </AsyncButton>
+      </div>
+
+      {preview && (
+        <div className={cardCls}>
+          <div className="font-semibold">
+            {t("Anteprima", "Preview")}: {source?.name || source?.file?.name}
+            {preview.createdAt ? (
+              <span className="ml-2 text-sm text-white/60">{new Date(preview.createdAt).toLocaleString()}</span>
+            ) : null}
+          </div>
+          <table className="min-w-full text-sm">
+            <thead className="text-white/60">
+              <tr>
+                <th className="text-left py-1">{t("Tabella", "Table")}</th>
+                <th className="text-right py-1">{t("Nuove", "Added")}</th>
+                <th className="text-right py-1">{t("Modificate", "Changed")}</th>
+                <th className="text-right py-1">{t("Rimosse", "Removed")}</th>
+                <th className="text-right py-1">{t("Invariate", "Unchanged")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(preview.diff || {}).map(([table, d]) => (
+                <tr key={table} className="border-t border-white/5">
+                  <td className="py-1 font-mono">{table}</td>
+                  <td className="py-1 text-right text-emerald-300">{d.added}</td>
+                  <td className="py-1 text-right text-amber-300">{d.changed}</td>
+                  <td className="py-1 text-right text-red-300">{d.removed}</td>
+                  <td className="py-1 text-right text-white/60">{d.unchanged}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {(preview.warnings || []).map((w) => (
+            <div key={w} className="text-xs text-amber-200">{w}</div>
+          ))}
+          <AsyncButton onClick={confirmRestore}>{t("Ripristina", "Restore")}</AsyncButton>
+        </div>
+      )}
+
+      {done && (
+        <div className="rounded-2xl p-3 bg-emerald-900/30 ring-1 ring-emerald-400/30 text-sm">
+          {t(
+            `Ripristino completato. Lo stato precedente è in ${done.safetyBackup}.`,
+            `Restore complete. The previous state is saved as ${done.safetyBackup}.`
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,57 @@
-import React from "react";
-import { NavLink, Outlet, useNavigate } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { NavLink, Outlet, useLocation, useNavigate } from "react-router-dom";
 import api from "../services/api.js";
 import AsyncButton from "../components/AsyncButton.jsx";
 import { useAdminI18n } from "./i18n.jsx";
 
+const TABS = [
+  { to: "/admin/dashboard", permission: "products", it: "Prodotti", en: "Products" },
+  { to: "/admin/dashboard/orders", permission: "orders", it: "Ordini", en: "Orders" },
+  { to: "/admin/dashboard/reconciliation", permission: "orders", it: "Riconciliazione", en: "Reconciliation" },
+  { to: "/admin/dashboard/swap-refunds", permission: "refunds", it: "Rimborsi swap", en: "Swap refunds" },
+  { to: "/admin/dashboard/pricing", permission: "products", it: "Prezzi", en: "Pricing" },
+  { to: "/admin/dashboard/discounts", permission: "discounts", it: "Sconti", en: "Discounts" },
+  { to: "/admin/dashboard/settings", permission: "settings", it: "Impostazioni", en: "Settings" },
+  { to: "/admin/dashboard/backups", permission: "settings", it: "Backup", en: "Backups" },
+  { to: "/admin/dashboard/onchain-addresses", permission: "settings", it: "Indirizzi on-chain", en: "On-chain addresses" },
+  { to: "/admin/dashboard/nostr", permission: "nostr", it: "Nostr", en: "Nostr" },
+  { to: "/admin/dashboard/users", permission: "users", it: "Utenti", en: "Users" },
+  { to: "/admin/dashboard/audit", permission: "audit", it: "Registro", en: "Audit log" }
+];
+
+const ROLE_LABELS = {
+  owner: { it: "Titolare", en: "Owner" },
+  fulfilment: { it: "Spedizioni", en: "Fulfilment" },
+  content: { it: "Contenuti", en: "Content" }
+};
+
 export default function Dashboard() {
   const nav = useNavigate();
+  const location = useLocation();
   const { t } = useAdminI18n();
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    api
+      .get("/admin/me")
+      .then((r) => setSession(r.data || null))
+      .catch(() => setSession(null));
+  }, []);
+
+  const permissions = Array.isArray(session?.permissions) ? session.permissions : [];
+  const tabs = TABS.filter((tab) => permissions.includes(tab.permission));
+  const current = TABS.find((tab) => tab.to === location.pathname.replace(/\/+$/, ""));
+  const allowed = !!session?.loggedIn && (!current || permissions.includes(current.permission));
+
+  // The index route is Products; send other roles to their first tab.
+  useEffect(() => {
+    if (session?.loggedIn && !allowed && tabs.length) nav(tabs[0].to, { replace: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session, allowed]);
+
+  const user = session?.user;
+  const role = ROLE_LABELS[user?.role];
+
   return (
     <>
       <div className="flex items-center gap-3 mb-6">
@@ -14,6 +59,12 @@ export default function Dashboard() {
           {t("Pannello di Amministrazione", "Admin Panel")}
         </h1>
         <div className="flex-1" />
+        {user && (
+          <div className="text-sm text-white/70">
+            {user.displayName || user.username}
+            {role ? ` · ${t(role.it, role.en)}` : ""}
+          </div>
+        )}
         <AsyncButton
           onClick={async ()=>{ await api.post("/admin/logout"); nav("/admin"); }}
           busyText={t("Uscita...", "Logging out...")}
@@ -23,13 +74,11 @@ export default function Dashboard() {
         </AsyncButton>
       </div>
       <div className="flex gap-2 mb-6">
-        <Tab to="/admin/dashboard">{t("Prodotti", "Products")}</Tab>
-        <Tab to="/admin/dashboard/orders">{t("Ordini", "Orders")}</Tab>
-        <Tab to="/admin/dashboard/pricing">{t("Prezzi", "Pricing")}</Tab>
-        <Tab to="/admin/dashboard/settings">{t("Impostazioni", "Settings")}</Tab>
-        <Tab to="/admin/dashboard/nostr">{t("Nostr", "Nostr")}</Tab>
+        {tabs.map((tab) => (
+          <Tab key={tab.to} to={tab.to}>{t(tab.it, tab.en)}</Tab>
+        ))}
       </div>
-      <Outlet />
+      {allowed ? <Outlet context={{ permissions }} /> : null}
     </>
   );
 }
@@ -0,0 +1,324 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+import { formatSats } from "../utils/format.js";
+
+const EMPTY_FORM = {
+  id: "",
+  code: "",
+  kind: "percent",
+  value: "",
+  minSubtotalSats: "",
+  startsAt: "",
+  expiresAt: "",
+  maxUses: "",
+  productIds: [],
+  freeShipping: false,
+  active: true,
+  note: ""
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix.
+function toLocalInput(ms) {
+  if (!ms) return "";
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fromLocalInput(value) {
+  if (!value) return 0;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function rowToForm(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    kind: row.kind,
+    value: String(row.value ?? ""),
+    minSubtotalSats: row.minSubtotalSats ? String(row.minSubtotalSats) : "",
+    startsAt: toLocalInput(row.startsAt),
+    expiresAt: toLocalInput(row.expiresAt),
+    maxUses: row.maxUses ? String(row.maxUses) : "",
+    productIds: Array.isArray(row.productIds) ? row.productIds : [],
+    freeShipping: !!row.freeShipping,
+    active: !!row.active,
+    note: row.note || ""
+  };
+}
+
+function formToPayload(form) {
+  return {
+    code: form.code,
+    kind: form.kind,
+    value: Math.max(0, Math.floor(Number(form.value) || 0)),
+    minSubtotalSats: Math.max(0, Math.floor(Number(form.minSubtotalSats) || 0)),
+    startsAt: fromLocalInput(form.startsAt),
+    expiresAt: fromLocalInput(form.expiresAt),
+    maxUses: Math.max(0, Math.floor(Number(form.maxUses) || 0)),
+    productIds: form.productIds,
+    freeShipping: !!form.freeShipping,
+    active: !!form.active,
+    note: form.note
+  };
+}
+
+export default function Discounts() {
+  const { t } = useAdminI18n();
+  const [list, setList] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    refresh();
+    api
+      .get("/admin/products?page=1&pageSize=200")
+      .then((r) => {
+        const data = r.data;
+        setProducts(Array.isArray(data?.items) ? data.items : (Array.isArray(data) ? data : []));
+      })
+      .catch(() => setProducts([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function refresh() {
+    try {
+      setLoading(true);
+      const r = await api.get("/admin/discounts");
+      setList(Array.isArray(r.data) ? r.data : []);
+    } catch (e) {
+      console.warn("Failed to load discounts", e);
+      setList([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function set(key, value) {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function toggleProduct(id) {
+    setForm((prev) => ({
+      ...prev,
+      productIds: prev.productIds.includes(id)
+        ? prev.productIds.filter((p) => p !== id)
+        : [...prev.productIds, id]
+    }));
+  }
+
+  async function save() {
+    setError("");
+    try {
+      const payload = formToPayload(form);
+      if (form.id) await api.put(`/admin/discounts/${form.id}`, payload);
+      else await api.post("/admin/discounts", payload);
+      setForm(EMPTY_FORM);
+      await refresh();
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Salvataggio non riuscito", "Save failed"));
+    }
+  }
+
+  async function toggleActive(row) {
+    try {
+      await api.put(`/admin/discounts/${row.id}`, { active: !row.active });
+      await refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Aggiornamento non riuscito", "Update failed"));
+    }
+  }
+
+  async function remove(row) {
+    if (!confirm(t(`Eliminare il codice ${row.code}?`, `Delete code ${row.code}?`))) return;
+    try {
+      await api.delete(`/admin/discounts/${row.id}`);
+      if (form.id === row.id) setForm(EMPTY_FORM);
+      await refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Eliminazione non riuscita", "Delete failed"));
+    }
+  }
+
+  function describe(row) {
+    const amount = row.kind === "fixed" ? `${formatSats(row.value)} sats` : `${row.value}%`;
+    const parts = [amount];
+    if (row.freeShipping) parts.push(t("spedizione gratuita", "free shipping"));
+    if (row.minSubtotalSats) parts.push(`min ${formatSats(row.minSubtotalSats)} sats`);
+    if (row.productIds.length) {
+      parts.push(t(`${row.productIds.length} prodotti`, `${row.productIds.length} products`));
+    }
+    return parts.join(" • ");
+  }
+
+  const inputCls = "w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10";
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Codici sconto", "Discount codes")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Sconti percentuali o fissi, con scadenza, limite di utilizzi e prodotti idonei.",
+            "Percentage or fixed discounts with expiry, usage limits and eligible products."
+          )}
+        </p>
+      </div>
+
+      <div className="rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-4">
+        <div className="font-semibold">
+          {form.id ? t(`Modifica ${form.code}`, `Edit ${form.code}`) : t("Nuovo codice", "New code")}
+        </div>
+        <div className="grid sm:grid-cols-3 gap-3">
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Codice", "Code")}</div>
+            <input className={inputCls} value={form.code} onChange={(e) => set("code", e.target.value.toUpperCase())} placeholder="SUMMER10" />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Tipo", "Type")}</div>
+            <select className={inputCls} value={form.kind} onChange={(e) => set("kind", e.target.value)}>
+              <option value="percent">{t("Percentuale", "Percentage")}</option>
+              <option value="fixed">{t("Importo fisso (sats)", "Fixed amount (sats)")}</option>
+            </select>
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{form.kind === "fixed" ? t("Importo (sats)", "Amount (sats)") : t("Percentuale (%)", "Percentage (%)")}</div>
+            <input type="number" min="0" max={form.kind === "percent" ? 100 : undefined} className={inputCls} value={form.value} onChange={(e) => set("value", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Subtotale minimo (sats)", "Minimum subtotal (sats)")}</div>
+            <input type="number" min="0" className={inputCls} value={form.minSubtotalSats} onChange={(e) => set("minSubtotalSats", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Valido dal", "Valid from")}</div>
+            <input type="datetime-local" className={inputCls} value={form.startsAt} onChange={(e) => set("startsAt", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Scade il", "Expires at")}</div>
+            <input type="datetime-local" className={inputCls} value={form.expiresAt} onChange={(e) => set("expiresAt", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Utilizzi massimi (vuoto = illimitati)", "Max uses (empty = unlimited)")}</div>
+            <input type="number" min="0" className={inputCls} value={form.maxUses} onChange={(e) => set("maxUses", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1 sm:col-span-2">
+            <div className="text-white/70">{t("Nota interna", "Internal note")}</div>
+            <input className={inputCls} value={form.note} onChange={(e) => set("note", e.target.value)} />
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-4 text-sm">
+          <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={form.freeShipping} onChange={(e) => set("freeShipping", e.target.checked)} />
+            {t("Spedizione gratuita", "Free shipping")}
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={form.active} onChange={(e) => set("active", e.target.checked)} />
+            {t("Attivo", "Active")}
+          </label>
+        </div>
+        {products.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm text-white/70">
+              {t(
+                "Prodotti idonei (nessuno selezionato = tutto il carrello)",
+                "Eligible products (none selected = whole cart)"
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {products.map((p) => {
+                const on = form.productIds.includes(p.id);
+                return (
+                  <button
+                    key={p.id}
+                    type="button"
+                    onClick={() => toggleProduct(p.id)}
+                    className={`px-3 py-1 rounded-full text-xs ring-1 ${on ? "bg-indigo-500/80 ring-indigo-300/60" : "bg-slate-950 ring-white/10"}`}
+                  >
+                    {p.title || p.id}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+        {error && <div className="text-sm text-red-400">{error}</div>}
+        <div className="flex gap-3">
+          <AsyncButton onClick={save} disabled={!form.code.trim()} busyText={t("Salvataggio in corso", "Saving")}>
+            {form.id ? t("Salva modifiche", "Save changes") : t("Crea codice", "Create code")}
+          </AsyncButton>
+          {form.id && (
+            <button
+              type="button"
+              className="px-4 py-3 rounded-2xl bg-slate-900 ring-1 ring-white/10 hover:ring-indigo-400/40"
+              onClick={() => { setForm(EMPTY_FORM); setError(""); }}
+            >
+              {t("Annulla", "Cancel")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-white/10">
+          <thead className="bg-slate-900/60">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Codice", "Code")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Sconto", "Discount")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Validità", "Validity")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Utilizzi", "Uses")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Stato", "Status")}</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/5">
+            {loading ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-white/60">{t("Caricamento in corso…", "Loading…")}</td>
+              </tr>
+            ) : list.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-white/60">{t("Nessun codice sconto.", "No discount codes yet.")}</td>
+              </tr>
+            ) : (
+              list.map((row) => (
+                <tr key={row.id} className={form.id === row.id ? "bg-indigo-500/10" : ""}>
+                  <td className="px-4 py-3 text-sm font-mono">
+                    {row.code}
+                    {row.note && <div className="text-xs text-white/50 font-sans">{row.note}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{describe(row)}</td>
+                  <td className="px-4 py-3 text-xs text-white/70">
+                    {row.startsAt ? <div>{t("dal", "from")} {new Date(row.startsAt).toLocaleString()}</div> : null}
+                    {row.expiresAt ? <div>{t("al", "until")} {new Date(row.expiresAt).toLocaleString()}</div> : null}
+                    {!row.startsAt && !row.expiresAt ? t("Sempre", "Always") : null}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {row.usedCount}{row.maxUses ? ` / ${row.maxUses}` : ""}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <button type="button" className="underline" onClick={() => toggleActive(row)}>
+                      {row.active ? t("Attivo", "Active") : t("Disattivato", "Disabled")}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-2">
+                    <button type="button" className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={() => { setForm(rowToForm(row)); setError(""); }}>
+                      {t("Modifica", "Edit")}
+                    </button>
+                    <button type="button" className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={() => remove(row)}>
+                      {t("Elimina", "Delete")}
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import api from "../services/api.js";
 import { useNavigate } from "react-router-dom";
 import AsyncButton from "../components/AsyncButton.jsx";
@@ -6,33 +6,102 @@ import { useAdminI18n } from "./i18n.jsx";
 
 export default function Login() {
   const [pin, setPin] = useState("");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [pinLogin, setPinLogin] = useState(false);
   const nav = useNavigate();
   const { t } = useAdminI18n();
+  const hasNostrExtension = typeof window !== "undefined" && !!window.nostr;
+
+  useEffect(() => {
+    api
+      .get("/admin/config")
+      .then((r) => setPinLogin(!!r.data?.pinLogin))
+      .catch(() => {});
+  }, []);
 
   async function submit() {
     try {
-      await api.post("/admin/login", { pin });
+      await api.post("/admin/login", pinLogin ? { pin } : { username, password });
+      nav("/admin/dashboard");
+    } catch (e) {
+      alert(pinLogin
+        ? t("PIN non valido", "Invalid PIN")
+        : t("Nome utente o password non validi", "Invalid username or password"));
+    }
+  }
+
+  async function loginWithNostr() {
+    try {
+      const { challenge } = (await api.get("/admin/login/nostr/challenge")).data || {};
+      if (!challenge) throw new Error("Missing challenge");
+      const pubkey = await window.nostr.getPublicKey();
+      const signed = await window.nostr.signEvent({
+        kind: 27235,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ["challenge", challenge],
+          ["domain", window.location.host]
+        ],
+        content: `Admin login to ${window.location.host}`,
+        pubkey
+      });
+      await api.post("/admin/login/nostr", { event: signed });
       nav("/admin/dashboard");
     } catch (e) {
-      alert(t("PIN non valido", "Invalid PIN"));
+      alert(e?.response?.data?.error || t("Accesso Nostr non riuscito", "Nostr login failed"));
     }
   }
 
+  const inputCls = "w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10";
+
   return (
     <div className="max-w-sm mx-auto mt-16 rounded-3xl p-6 bg-slate-900 ring-1 ring-white/10">
       <div className="text-lg font-semibold mb-2">
         {t("Accesso Amministratore", "Admin Login")}
       </div>
-      <input
-        type="password" inputMode="numeric"
-        value={pin} onChange={e=>setPin(e.target.value)}
-        placeholder={t("PIN", "PIN")}
-        className="w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10"
-        onKeyDown={e=>e.key==="Enter" && submit()}
-      />
-      <AsyncButton className="mt-4" onClick={submit} busyText={t("Verifico PIN...", "Checking PIN...")}>
+      {pinLogin ? (
+        <>
+          <input
+            type="password" inputMode="numeric"
+            value={pin} onChange={e=>setPin(e.target.value)}
+            placeholder={t("PIN", "PIN")}
+            className={inputCls}
+            onKeyDown={e=>e.key==="Enter" && submit()}
+          />
+          <p className="mt-2 text-xs text-white/60">
+            {t(
+              "Dopo l'accesso crea il tuo account in Utenti: il PIN verrà disattivato.",
+              "After signing in, create your account under Users: the PIN will then be disabled."
+            )}
+          </p>
+        </>
+      ) : (
+        <div className="space-y-3">
+          <input
+            value={username} onChange={e=>setUsername(e.target.value)}
+            placeholder={t("Nome utente", "Username")}
+            autoComplete="username"
+            className={inputCls}
+          />
+          <input
+            type="password"
+            value={password} onChange={e=>setPassword(e.target.value)}
+            placeholder={t("Password", "Password")}
+            autoComplete="current-password"
+            className={inputCls}
+            onKeyDown={e=>e.key==="Enter" && submit()}
+          />
+        </div>
+      )}
+      <AsyncButton className="mt-4" onClick={submit} busyText={t("Verifica in corso...", "Checking...")}>
         {t("Accedi", "Sign in")}
       </AsyncButton>
+      {!pinLogin && hasNostrExtension && (
+        <AsyncButton className="mt-3" onClick={loginWithNostr} busyText={t("Firma in corso...", "Signing...")}>
+          {t("Accedi con Nostr", "Sign in with Nostr")}
+        </AsyncButton>
+      )}
     </div>
   );
 }
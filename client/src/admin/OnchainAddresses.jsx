@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+import { KIND_LABELS, shortRef } from "./Reconciliation.jsx";
+
+const TYPE_LABELS = {
+  pkh: "P2PKH (legacy)",
+  wpkh: "P2WPKH (native segwit)",
+  "sh-wpkh": "P2SH-P2WPKH (nested segwit)",
+  tr: "P2TR (Taproot)",
+  "wsh-multi": "P2WSH multisig",
+  "sh-wsh-multi": "P2SH-P2WSH multisig"
+};
+
+const STATE_LABELS = {
+  paid: { it: "Pagato", en: "Paid", cls: "text-emerald-300" },
+  assigned: { it: "Assegnato a un ordine", en: "Given to an order", cls: "text-amber-300" },
+  recycled: { it: "Da riutilizzare", en: "To be reused", cls: "text-sky-300" },
+  unused: { it: "Libero", en: "Unused", cls: "text-white/60" }
+};
+
+export default function OnchainAddresses() {
+  const { t } = useAdminI18n();
+  const [info, setInfo] = useState(null);
+  const [addresses, setAddresses] = useState([]);
+  const [count, setCount] = useState("20");
+  const [error, setError] = useState("");
+  const [rescan, setRescan] = useState(null);
+  const [range, setRange] = useState({ from: "", to: "" });
+
+  async function load(start = 0) {
+    setError("");
+    try {
+      const r = await api.get("/admin/onchain/addresses", { params: { start, count: Number(count) || 20 } });
+      setInfo(r.data || null);
+      setRescan(r.data?.rescan || null);
+      setAddresses((prev) => (start ? [...prev, ...(r.data?.addresses || [])] : r.data?.addresses || []));
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Impossibile derivare gli indirizzi", "Could not derive addresses"));
+    }
+  }
+
+  async function runRescan() {
+    setError("");
+    try {
+      const body = {};
+      if (range.from !== "") body.from = Number(range.from);
+      if (range.to !== "") body.to = Number(range.to);
+      const r = await api.post("/admin/onchain/rescan", body);
+      setRescan(r.data?.rescan || null);
+      await load(0);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Scansione non riuscita", "Rescan failed"));
+    }
+  }
+
+  async function recover(item) {
+    const ok = window.confirm(t(
+      `Segnare come pagato l'ordine per ${item.amountSats} sats? Il cliente viene avvisato come per un normale pagamento.`,
+      `Mark the order for ${item.amountSats} sats as paid? The buyer is notified as for a normal payment.`
+    ));
+    if (!ok) return;
+    setError("");
+    try {
+      const r = await api.post("/admin/reconciliation/recover", { key: item.key });
+      setRescan(r.data?.rescan || rescan);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Recupero non riuscito", "Recovery failed"));
+    }
+  }
+
+  useEffect(() => {
+    load(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const cardCls = "rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-3";
+  const inputCls = "w-24 px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 text-sm";
+  const gap = info?.gap;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Verifica indirizzi on-chain", "On-chain address check")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Confronta questi indirizzi con quelli mostrati dal tuo wallet (o da ogni cosigner) prima di accettare pagamenti: se non coincidono, i pagamenti non arriverebbero al tuo wallet.",
+            "Compare these addresses with the ones your wallet (or every cosigner) shows before taking payments: if they differ, payments would not reach your wallet."
+          )}
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-2xl p-3 bg-red-900/40 ring-1 ring-red-400/40 text-sm">{error}</div>
+      )}
+
+      {info && (
+        <div className={cardCls}>
+          <div className="grid sm:grid-cols-2 gap-2 text-sm">
+            <div>
+              <span className="text-white/60">{t("Tipo", "Type")}: </span>
+              {TYPE_LABELS[info.addressType] || info.addressType}
+              {info.keyCount > 1 ? ` · ${info.threshold}-of-${info.keyCount}` : ""}
+            </div>
+            <div>
+              <span className="text-white/60">{t("Rete", "Network")}: </span>
+              {info.network}
+            </div>
+            <div>
+              <span className="text-white/60">{t("Prossimo indice", "Next index")}: </span>
+              {info.nextIndex}
+            </div>
+            {info.derivationPath ? (
+              <div>
+                <span className="text-white/60">{t("Percorso", "Path")}: </span>
+                {info.derivationPath}
+              </div>
+            ) : null}
+          </div>
+          <div className="text-xs text-white/60">
+            {info.source === "descriptor" ? t("Descrittore", "Descriptor") : "XPUB"}
+          </div>
+          <div className="font-mono text-xs break-all bg-slate-950 rounded-xl p-2 ring-1 ring-white/10">
+            {info.descriptor || info.xpub}
+          </div>
+        </div>
+      )}
+
+      {gap && (
+        <div className={cardCls}>
+          <div className="font-semibold">{t("Limite di gap del wallet", "Wallet gap limit")}</div>
+          <div className="flex flex-wrap gap-4 text-sm">
+            <div>{t("Limite", "Limit")}: {gap.gapLimit}</div>
+            <div>
+              {t("Ultimo indirizzo pagato", "Last paid address")}: {gap.lastUsedIndex >= 0 ? `#${gap.lastUsedIndex}` : "—"}
+            </div>
+            <div className={gap.warning ? "text-amber-300" : ""}>
+              {t("Non usati dopo l'ultimo pagato", "Unused after the last paid one")}: {gap.trailingUnused}
+            </div>
+            <div>
+              {t("Da riutilizzare", "Waiting to be reused")}: {gap.recycled}
+              {gap.recycleAfterHours ? ` (${t("dopo", "after")} ${gap.recycleAfterHours}h)` : ` (${t("disattivato", "off")})`}
+            </div>
+          </div>
+          {gap.hiddenPayments ? (
+            <div className="rounded-2xl p-3 bg-red-900/40 ring-1 ring-red-400/40 text-sm">
+              {t(
+                `Ci sono ${gap.longestGap} indirizzi non usati di fila prima di un pagamento: il wallet non lo vede finché non porti il suo limite di gap ad almeno ${gap.longestGap + 1}.`,
+                `There are ${gap.longestGap} unused addresses in a row before a payment: your wallet will not show it until you raise its gap limit to at least ${gap.longestGap + 1}.`
+              )}
+            </div>
+          ) : gap.warning ? (
+            <div className="rounded-2xl p-3 bg-amber-900/30 ring-1 ring-amber-400/30 text-sm">
+              {t(
+                `${gap.trailingUnused} indirizzi non pagati di fila: vicino al limite di ${gap.gapLimit}. Oltre il limite i nuovi pagamenti non compaiono nel wallet; alza il limite di gap nel wallet.`,
+                `${gap.trailingUnused} unpaid addresses in a row, close to the limit of ${gap.gapLimit}. Past the limit new payments do not show up in your wallet; raise the wallet's gap limit.`
+              )}
+            </div>
+          ) : null}
+        </div>
+      )}
+
+      <div className={cardCls}>
+        <div className="font-semibold">{t("Riscansione", "Rescan")}</div>
+        <p className="text-sm text-white/70">
+          {t(
+            "Controlla gli indirizzi sulla blockchain alla ricerca di pagamenti di qualsiasi data, ad esempio pagamenti arrivati dopo la scadenza di un ordine. Lascia vuoto per controllare tutti gli indirizzi assegnati.",
+            "Checks addresses on-chain for payments of any age, such as payments that arrived after an order expired. Leave empty to check every address handed out."
+          )}
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="text-sm text-white/70 flex items-center gap-2">
+            {t("Da", "From")}
+            <input type="number" min="0" className={inputCls} value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+          </label>
+          <label className="text-sm text-white/70 flex items-center gap-2">
+            {t("A", "To")}
+            <input type="number" min="0" className={inputCls} value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+          </label>
+          <AsyncButton onClick={runRescan}>{t("Scansiona", "Rescan")}</AsyncButton>
+          {rescan?.ranAt ? (
+            <div className="ml-auto text-xs text-white/60">
+              {t("Ultima scansione", "Last rescan")}: {new Date(rescan.ranAt).toLocaleString()} · #{rescan.from}–#{rescan.to}
+            </div>
+          ) : null}
+        </div>
+        {rescan && (
+          <div className="text-sm">
+            {t("Indirizzi controllati", "Addresses checked")}: {rescan.scanned} · {t("Abbinati", "Matched")}: {rescan.summary.matched}
+            {!rescan.items.length ? ` · ${t("nessun pagamento da controllare", "nothing to look at")}` : ""}
+          </div>
+        )}
+        {rescan?.items?.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="text-white/60">
+                <tr>
+                  <th className="text-left py-1">{t("Tipo", "Kind")}</th>
+                  <th className="text-left py-1">#</th>
+                  <th className="text-left py-1">{t("Indirizzo", "Address")}</th>
+                  <th className="text-right py-1">{t("Ricevuti", "Received")}</th>
+                  <th className="text-left py-1">{t("Ordine", "Order")}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rescan.items.map((item) => {
+                  const label = KIND_LABELS[item.kind] || { it: item.kind, en: item.kind, cls: "" };
+                  return (
+                    <tr key={item.key} className="border-t border-white/5 align-top">
+                      <td className={`py-1 ${label.cls}`}>{t(label.it, label.en)}</td>
+                      <td className="py-1 text-white/60">{item.xpubIndex}</td>
+                      <td className="py-1 font-mono text-xs" title={item.address}>{shortRef(item.address)}</td>
+                      <td className="py-1 text-right">{item.amountSats}</td>
+                      <td className="py-1">
+                        {item.orderId ? <span className="font-mono text-xs">{item.orderId}</span> : "—"}
+                        {item.customer ? <div className="text-white/60">{item.customer}</div> : null}
+                      </td>
+                      <td className="py-1 text-right">
+                        {item.recoveredOrderId ? (
+                          <span className="text-emerald-300">{t("Recuperato", "Recovered")}</span>
+                        ) : item.kind !== "mismatch" ? (
+                          <AsyncButton onClick={() => recover(item)}>{t("Segna pagato", "Mark paid")}</AsyncButton>
+                        ) : null}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className={cardCls}>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="text-sm text-white/70 flex items-center gap-2">
+            {t("Indirizzi", "Addresses")}
+            <input type="number" min="1" max="200" className={inputCls} value={count} onChange={(e) => setCount(e.target.value)} />
+          </label>
+          <AsyncButton onClick={() => load(0)}>{t("Aggiorna", "Refresh")}</AsyncButton>
+          {addresses.length ? (
+            <AsyncButton onClick={() => load(addresses.at(-1).index + 1)}>{t("Carica altri", "Load more")}</AsyncButton>
+          ) : null}
+        </div>
+        {!addresses.length ? (
+          <div className="text-sm text-white/60">{t("Nessun indirizzo.", "No addresses.")}</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-white/60">
+                <tr>
+                  <th className="py-1 pr-3">#</th>
+                  <th className="py-1 pr-3">{t("Indirizzo", "Address")}</th>
+                  <th className="py-1">{t("Stato", "Status")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {addresses.map((a) => {
+                  const label = STATE_LABELS[a.state] || STATE_LABELS.unused;
+                  return (
+                    <tr key={a.index} className="border-t border-white/5">
+                      <td className="py-1 pr-3 text-white/60">{a.index}</td>
+                      <td className="py-1 pr-3 font-mono text-xs break-all">{a.address}</td>
+                      <td className={`py-1 text-xs ${label.cls}`}>{t(label.it, label.en)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
 import React, { useEffect, useMemo, useState } from "react";
-import api from "../services/api.js";
+import { useOutletContext } from "react-router-dom";
+import api, { absoluteApiUrl } from "../services/api.js";
 import { formatSats } from "../utils/format.js";
 import AsyncButton from "../components/AsyncButton.jsx";
 import { useAdminI18n } from "./i18n.jsx";
 
 export default function Orders() {
   const { t } = useAdminI18n();
+  const { permissions = [] } = useOutletContext() || {};
+  const canRefund = permissions.includes("refunds");
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState(null);
@@ -14,8 +17,36 @@ export default function Orders() {
     PENDING: t("IN ATTESA", "PENDING"),
     PAID: t("PAGATO", "PAID"),
     PREPARATION: t("IN PREPARAZIONE", "IN PREPARATION"),
-    SHIPPED: t("SPEDITO", "SHIPPED")
+    PARTIALLY_SHIPPED: t("SPEDITO IN PARTE", "PARTIALLY SHIPPED"),
+    SHIPPED: t("SPEDITO", "SHIPPED"),
+    REFUND_REQUESTED: t("RIMBORSO IN CORSO", "REFUND REQUESTED"),
+    REFUNDED: t("RIMBORSATO", "REFUNDED")
   }), [t]);
+  const [refundInputs, setRefundInputs] = useState({});
+  const [shipQty, setShipQty] = useState({});
+  const SLIP_FORMATS = [
+    { key: "html-a4", format: "html", layout: "a4", label: t("Stampa A4", "Print A4") },
+    { key: "html-4x6", format: "html", layout: "4x6", label: t("Stampa 4x6", "Print 4x6") },
+    { key: "pdf-a4", format: "pdf", layout: "a4", label: "PDF A4" },
+    { key: "pdf-4x6", format: "pdf", layout: "4x6", label: "PDF 4x6" }
+  ];
+  const toPack = orders.filter((o) => o.status === "PAID" || o.status === "PREPARATION").length;
+  const [exportFilters, setExportFilters] = useState({ from: "", to: "", status: "", paymentMethod: "", onchainProvider: "" });
+  const exportQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    const { from, to, status, paymentMethod, onchainProvider } = exportFilters;
+    // Local calendar days, as picked in the date inputs
+    if (from) params.set("from", String(new Date(`${from}T00:00:00`).getTime()));
+    if (to) params.set("to", String(new Date(`${to}T23:59:59.999`).getTime()));
+    if (status) params.set("status", status);
+    if (paymentMethod) params.set("paymentMethod", paymentMethod);
+    if (onchainProvider) params.set("onchainProvider", onchainProvider);
+    return params.toString();
+  }, [exportFilters]);
+  const onchainProviders = useMemo(
+    () => Array.from(new Set(orders.map((o) => o.onchainProvider).filter(Boolean))).sort(),
+    [orders]
+  );
 
   async function refresh() {
     setLoading(true);
@@ -96,6 +127,105 @@ export default function Orders() {
     await setStatus(o.id, "SHIPPED", { courier, tracking });
   }
 
+  // Units per order line not yet in a shipment: { [line]: qty }
+  function remainingByLine(o) {
+    const left = {};
+    (o.items || []).forEach((it, line) => {
+      left[line] = Math.max(1, Math.floor(Number(it.qty) || 1));
+    });
+    (o.shipments || []).forEach((sh) => {
+      (sh.items || []).forEach((it) => {
+        left[it.line] = (left[it.line] || 0) - it.qty;
+      });
+    });
+    return left;
+  }
+
+  function updateShipQty(id, line, value) {
+    setShipQty((prev) => ({ ...prev, [id]: { ...(prev[id] || {}), [line]: value } }));
+  }
+
+  async function createShipment(o) {
+    const inputs = shippingInputs[o.id] || { courier: o.courier || "", tracking: o.tracking || "" };
+    const courier = String(inputs.courier || "").trim();
+    const tracking = String(inputs.tracking || "").trim();
+    const items = Object.entries(shipQty[o.id] || {})
+      .map(([line, qty]) => ({ line: Number(line), qty: Math.floor(Number(qty) || 0) }))
+      .filter((it) => it.qty > 0);
+    if (!items.length) {
+      alert(t("Indica quanti pezzi spedisci in questo pacco.", "Enter how many units go in this parcel."));
+      return;
+    }
+    if (!courier || !tracking) {
+      alert(t("Inserisci corriere e tracking.", "Enter the courier and tracking code."));
+      return;
+    }
+    try {
+      await api.post(`/admin/orders/${o.id}/shipments`, { items, courier, tracking });
+      setShipQty((prev) => ({ ...prev, [o.id]: {} }));
+      setShippingInputs((prev) => ({ ...prev, [o.id]: { courier, tracking: "" } }));
+      refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Spedizione non riuscita", "Could not create the shipment"));
+    }
+  }
+
+  async function deleteShipment(o, sh) {
+    if (!confirm(t(`Eliminare la spedizione ${sh.tracking}?`, `Delete shipment ${sh.tracking}?`))) return;
+    try {
+      await api.delete(`/admin/orders/${o.id}/shipments/${sh.id}`);
+      refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Eliminazione non riuscita", "Delete failed"));
+    }
+  }
+
+  function updateRefundInput(id, field, value) {
+    setRefundInputs((prev) => ({ ...prev, [id]: { ...(prev[id] || {}), [field]: value } }));
+  }
+
+  async function requestRefund(o) {
+    const inputs = refundInputs[o.id] || {};
+    const amountSats = String(inputs.amountSats ?? "").trim();
+    try {
+      await api.post(`/admin/orders/${o.id}/refund-request`, {
+        amountSats: amountSats ? Number(amountSats) : undefined,
+        reason: inputs.reason || ""
+      });
+      refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Richiesta di rimborso non riuscita", "Refund request failed"));
+    }
+  }
+
+  async function sendRefund(o) {
+    const inputs = refundInputs[o.id] || {};
+    const destination = String(inputs.destination || "").trim();
+    if (!destination) {
+      alert(o.paymentMethod === "onchain"
+        ? t("Inserisci l'indirizzo Bitcoin del cliente.", "Enter the buyer's Bitcoin address.")
+        : t("Inserisci una invoice o un Lightning address.", "Enter an invoice or a Lightning address."));
+      return;
+    }
+    const willPay = o.paymentMethod !== "onchain" && !inputs.manual;
+    if (willPay && !confirm(t(
+      `Pagare ora il rimborso dal wallet del negozio?`,
+      `Pay the refund from the shop wallet now?`
+    ))) return;
+    try {
+      await api.post(`/admin/orders/${o.id}/refund`, {
+        destination,
+        manual: !!inputs.manual,
+        reference: inputs.reference || "",
+        txid: inputs.txid || ""
+      });
+      setRefundInputs((prev) => ({ ...prev, [o.id]: {} }));
+      refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Rimborso non riuscito", "Refund failed"));
+    }
+  }
+
   function updateShippingInput(id, field, value) {
     setShippingInputs((prev) => {
       const next = { ...prev };
@@ -141,6 +271,87 @@ export default function Orders() {
         </div>
       )}
 
+      {/* Batch packing slips for everything still to pack */}
+      <div className="rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 flex flex-wrap items-center gap-2 text-sm">
+        <div className="mr-auto text-white/70">
+          {t(
+            `Distinte di imballaggio per ${toPack} ordini pagati o in preparazione`,
+            `Packing slips for ${toPack} paid or in-preparation orders`
+          )}
+        </div>
+        {SLIP_FORMATS.map((f) => (
+          <a
+            key={f.key}
+            href={absoluteApiUrl(`/api/admin/orders/packing-slips?format=${f.format}&layout=${f.layout}`)}
+            target="_blank"
+            rel="noreferrer"
+            className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10"
+          >
+            {f.label}
+          </a>
+        ))}
+      </div>
+
+      {/* Export for accounting */}
+      <div className="rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 grid gap-3 text-sm">
+        <div className="text-white/70">{t("Esporta ordini", "Export orders")}</div>
+        <div className="grid sm:grid-cols-3 lg:grid-cols-5 gap-2">
+          <input
+            type="date"
+            className="px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+            value={exportFilters.from}
+            onChange={(e) => setExportFilters((prev) => ({ ...prev, from: e.target.value }))}
+          />
+          <input
+            type="date"
+            className="px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+            value={exportFilters.to}
+            onChange={(e) => setExportFilters((prev) => ({ ...prev, to: e.target.value }))}
+          />
+          <select
+            className="px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+            value={exportFilters.status}
+            onChange={(e) => setExportFilters((prev) => ({ ...prev, status: e.target.value }))}
+          >
+            <option value="">{t("Tutti gli stati", "All statuses")}</option>
+            {Object.keys(LABEL).map((key) => <option key={key} value={key}>{LABEL[key]}</option>)}
+          </select>
+          <select
+            className="px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+            value={exportFilters.paymentMethod}
+            onChange={(e) => setExportFilters((prev) => ({ ...prev, paymentMethod: e.target.value }))}
+          >
+            <option value="">{t("Tutti i pagamenti", "All payment methods")}</option>
+            <option value="lightning">Lightning</option>
+            <option value="onchain">On-chain</option>
+            <option value="cashu">Cashu</option>
+          </select>
+          <select
+            className="px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+            value={exportFilters.onchainProvider}
+            onChange={(e) => setExportFilters((prev) => ({ ...prev, onchainProvider: e.target.value }))}
+          >
+            <option value="">{t("Tutti i provider on-chain", "All on-chain providers")}</option>
+            {onchainProviders.map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {[
+            { format: "csv", label: "CSV" },
+            { format: "lines", label: t("CSV per articolo", "CSV per line item") },
+            { format: "json", label: "JSON" }
+          ].map((f) => (
+            <a
+              key={f.format}
+              href={absoluteApiUrl(`/api/admin/orders/export?format=${f.format}${exportQuery ? `&${exportQuery}` : ""}`)}
+              className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10"
+            >
+              {t("Scarica", "Download")} {f.label}
+            </a>
+          ))}
+        </div>
+      </div>
+
       {/* Loading indicator (non-blocking) */}
       {loading && (
         <div className="rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 text-white/70">
@@ -163,11 +374,38 @@ export default function Orders() {
             <div className={`px-2 py-1 rounded-lg ${
               o.status==="PAID"?"bg-emerald-600/30":
               o.status==="PREPARATION"?"bg-amber-600/30":
-              o.status==="SHIPPED"?"bg-blue-600/30":"bg-white/10"}`}>
+              o.status==="PARTIALLY_SHIPPED"?"bg-sky-600/30":
+              o.status==="SHIPPED"?"bg-blue-600/30":
+              o.status==="REFUND_REQUESTED"?"bg-orange-600/30":
+              o.status==="REFUNDED"?"bg-rose-600/30":"bg-white/10"}`}>
               {LABEL[o.status] || o.status}
             </div>
+            {o.status === "PENDING" && o.onchainStatus === "PARTIAL" ? (
+              <div className="px-2 py-1 rounded-lg bg-amber-600/30 text-sm">
+                {t("Pagato in parte", "Partly paid")}: {formatSats(o.onchainMempoolSats + o.onchainConfirmedSats)} / {formatSats(o.onchainAmountSats)} sats
+              </div>
+            ) : null}
+            {o.onchainOverpaidSats > 0 ? (
+              <div className="px-2 py-1 rounded-lg bg-orange-600/30 text-sm" title={t("Il cliente ha inviato più del dovuto: valuta un rimborso", "The buyer sent more than asked: consider a refund")}>
+                {t("Pagato in eccesso", "Overpaid")} +{formatSats(o.onchainOverpaidSats)} sats
+              </div>
+            ) : null}
             <div className="ml-auto text-sm text-white/70">{new Date(o.createdAt).toLocaleString()}</div>
           </div>
+          <div className="mt-2 flex flex-wrap gap-2 text-xs">
+            <span className="text-white/60 self-center">{t("Distinta", "Packing slip")}:</span>
+            {SLIP_FORMATS.map((f) => (
+              <a
+                key={f.key}
+                href={absoluteApiUrl(`/api/admin/orders/${encodeURIComponent(o.id)}/packing-slip?format=${f.format}&layout=${f.layout}`)}
+                target="_blank"
+                rel="noreferrer"
+                className="px-2 py-1 rounded-lg bg-slate-800 ring-1 ring-white/10"
+              >
+                {f.label}
+              </a>
+            ))}
+          </div>
 
           <div className="mt-3 grid md:grid-cols-3 gap-3">
             <div>
@@ -175,7 +413,7 @@ export default function Orders() {
               <ul className="list-disc ml-5">
                 {(o.items || []).map((it, i)=>(
                   <li key={i}>
-                    {it.title}, {formatSats(it.priceSats)} sats
+                    {it.title}{it.variantLabel ? ` (${it.variantLabel})` : ""}, {formatSats(it.priceSats)} sats
                     {Number.isFinite(it.qty) && it.qty > 1 ? (
                       <span className="text-white/60"> × {it.qty}</span>
                     ) : null}
@@ -215,8 +453,34 @@ export default function Orders() {
                 : <div className="text-white/50">—</div>}
             </div>
 
+            {/* Parcels */}
+            {(o.shipments || []).length > 0 && (
+              <div className="md:col-span-3">
+                <div className="text-white/70 text-sm">{t("Spedizioni", "Shipments")}</div>
+                <div className="mt-1 grid gap-2">
+                  {o.shipments.map((sh) => (
+                    <div key={sh.id} className="flex flex-wrap items-center gap-3 rounded-2xl bg-slate-800/60 ring-1 ring-white/10 px-3 py-2 text-sm">
+                      <div className="text-white/60">{new Date(sh.shippedAt).toLocaleDateString()}</div>
+                      <div>
+                        {(sh.items || []).map((it) => `${it.qty}× ${it.title}${it.variantLabel ? ` (${it.variantLabel})` : ""}`).join(", ")}
+                      </div>
+                      <div>{t("Corriere", "Courier")}: <span className="font-medium">{sh.courier}</span></div>
+                      <div>Tracking: <span className="font-medium">{sh.tracking}</span></div>
+                      <button
+                        type="button"
+                        className="ml-auto px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10"
+                        onClick={()=>deleteShipment(o, sh)}
+                      >
+                        {t("Elimina", "Delete")}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Shipment details (visible if present) */}
-            {(o.courier || o.tracking) && (
+            {!(o.shipments || []).length && (o.courier || o.tracking) && (
               <div className="md:col-span-3">
                 <div className="text-white/70 text-sm">
                   {t("Dettagli spedizione", "Shipping details")}
@@ -228,8 +492,8 @@ export default function Orders() {
               </div>
             )}
 
-            {/* Shipment inputs for PAID/PREPARATION orders */}
-            {(o.status==="PAID" || o.status==="PREPARATION") && (
+            {/* Shipment inputs for PAID/PREPARATION/PARTIALLY_SHIPPED orders */}
+            {(o.status==="PAID" || o.status==="PREPARATION" || o.status==="PARTIALLY_SHIPPED") && (
               <div className="md:col-span-3">
                 <div className="text-white/70 text-sm">
                   {t("Imposta corriere e tracking", "Set courier and tracking")}
@@ -264,6 +528,38 @@ export default function Orders() {
                     'These fields are required before marking the order as "Shipped".'
                   )}
                 </div>
+                {(() => {
+                  const left = remainingByLine(o);
+                  const lines = (o.items || []).map((it, line) => ({ it, line, left: left[line] || 0 })).filter((x) => x.left > 0);
+                  if ((o.items || []).length < 2 && !(o.shipments || []).length && lines.every((x) => x.left < 2)) return null;
+                  return (
+                    <div className="mt-3 rounded-2xl bg-slate-800/60 ring-1 ring-white/10 px-3 py-3 grid gap-2">
+                      <div className="text-sm font-medium">{t("Spedizione parziale", "Partial shipment")}</div>
+                      {lines.map(({ it, line, left: max }) => (
+                        <label key={line} className="flex items-center gap-3 text-sm">
+                          <input
+                            type="number"
+                            min="0"
+                            max={max}
+                            value={shipQty[o.id]?.[line] ?? ""}
+                            onChange={(e)=>updateShipQty(o.id, line, e.target.value)}
+                            placeholder="0"
+                            className="w-20 px-3 py-1.5 rounded-xl bg-slate-900 ring-1 ring-white/10"
+                          />
+                          <span>
+                            {it.title}{it.variantLabel ? ` (${it.variantLabel})` : ""}
+                            <span className="text-white/50"> · {t(`${max} da spedire`, `${max} to ship`)}</span>
+                          </span>
+                        </label>
+                      ))}
+                      <div>
+                        <AsyncButton onClick={()=>createShipment(o)} busyText={t("Aggiorno...", "Updating...")}>
+                          {t("Spedisci i pezzi selezionati", "Ship selected items")}
+                        </AsyncButton>
+                      </div>
+                    </div>
+                  );
+                })()}
               </div>
             )}
           </div>
@@ -271,6 +567,9 @@ export default function Orders() {
           <div className="mt-3 flex flex-wrap items-center gap-3">
             <div>{t("Subtotale", "Subtotal")}: {formatSats(o.subtotalSats)} sats</div>
             <div>{t("Spedizione", "Shipping")}: {formatSats(o.shippingSats)} sats</div>
+            {o.discountSats > 0 && (
+              <div>{t("Sconto", "Discount")} ({o.discountCode}): −{formatSats(o.discountSats)} sats</div>
+            )}
             <div className="font-semibold">{t("Totale", "Total")}: {formatSats(o.totalSats)} sats</div>
           </div>
 
@@ -279,7 +578,16 @@ export default function Orders() {
               {t("Metodo di pagamento", "Payment method")}:{" "}
               <span className="font-semibold">{o.paymentMethod || "lightning"}</span>
             </div>
-            {(o.status === "PAID" || o.status === "PREPARATION" || o.status === "SHIPPED") && o.paymentHash ? (
+            {o.paymentMethod === "cashu" && o.cashuMint ? (
+              <div>
+                {t("Mint Cashu", "Cashu mint")}:{" "}
+                <span className="font-semibold break-all">{o.cashuMint}</span>
+                <span className="ml-2 text-white/60">
+                  ({t("token da", "token of")} {o.cashuAmountSats} sats)
+                </span>
+              </div>
+            ) : null}
+            {(o.status === "PAID" || o.status === "PREPARATION" || o.status === "PARTIALLY_SHIPPED" || o.status === "SHIPPED") && o.paymentHash ? (
               <div>
                 {t("Payment hash / invoice", "Payment hash / invoice")}:{" "}
                 <span className="font-semibold break-all">{o.paymentHash}</span>
@@ -321,6 +629,33 @@ export default function Orders() {
                     ) : null}
                   </>
                 )}
+                {o.onchainPayments?.length > 0 && (
+                  <div className="mt-2 grid gap-1 text-xs">
+                    <div className="text-white/60">
+                      {t("Transazioni ricevute", "Transactions received")} ({formatSats(o.onchainPayments.filter((p) => !p.dropped).reduce((sum, p) => sum + p.amountSats, 0))} / {formatSats(o.onchainAmountSats)} sats)
+                    </div>
+                    {o.onchainPayments.map((p) => (
+                      <div key={p.txid} className="flex flex-wrap gap-x-3">
+                        <span className={`font-mono break-all ${p.dropped ? "line-through text-white/40" : "text-white/80"}`}>{p.txid}</span>
+                        <span>{formatSats(p.amountSats)} sats</span>
+                        <span className="text-white/60">
+                          {p.confirmed
+                            ? (p.confirmations > 1 ? t(`${p.confirmations} conferme`, `${p.confirmations} confirmations`) : t("confermata", "confirmed"))
+                            : "mempool"}
+                        </span>
+                        {p.rbf && !p.confirmed && !p.dropped ? <span className="text-amber-200">RBF</span> : null}
+                        {p.payjoin ? (
+                          <span className="text-sky-300" title={t("Include una moneta del negozio, esclusa dall'importo", "Includes a shop coin, left out of the amount")}>
+                            PayJoin
+                          </span>
+                        ) : null}
+                        {p.dropped ? (
+                          <span className="text-rose-300">{t("sostituita o scartata", "replaced or dropped")}</span>
+                        ) : null}
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
             {o.paymentMethod === "onchain" && o.onchainProvider !== "xpub" && (o.status === "PENDING" || o.status === "FAILED") && (o.onchainSwapId || o.onchainId || o.boltzSwapId) && (
@@ -350,6 +685,141 @@ export default function Orders() {
             )}
           </div>
 
+          {(o.status === "REFUND_REQUESTED" || o.status === "REFUNDED" || o.refundedAt > 0) && (
+            <div className="mt-3 rounded-2xl bg-slate-800/60 ring-1 ring-white/10 px-3 py-3 text-sm grid gap-1">
+              <div className="font-semibold">
+                {o.status === "REFUNDED" || o.refundedAt > 0 ? t("Rimborso inviato", "Refund sent") : t("Rimborso richiesto", "Refund requested")}:{" "}
+                {formatSats(o.refundSats)} sats
+              </div>
+              {o.refundReason ? <div className="text-white/70">{t("Motivo", "Reason")}: {o.refundReason}</div> : null}
+              {o.refundDestination ? (
+                <div className="text-white/70">
+                  {t("Destinazione", "Destination")}: <span className="font-mono break-all text-white">{o.refundDestination}</span>
+                </div>
+              ) : null}
+              {o.refundReference ? (
+                <div className="text-white/70">
+                  {o.refundMethod === "onchain" ? "Txid" : t("Riferimento", "Reference")}:{" "}
+                  <span className="font-mono break-all text-white">{o.refundReference}</span>
+                </div>
+              ) : null}
+            </div>
+          )}
+
+          {canRefund && (o.status === "PAID" || o.status === "PREPARATION" || o.status === "PARTIALLY_SHIPPED" || o.status === "SHIPPED") && (
+            <div className="mt-3 grid gap-3 md:grid-cols-[160px,1fr,auto] items-end">
+              <label className="block text-sm">
+                <span className="text-xs uppercase tracking-wide text-white/50">{t("Rimborso (sats)", "Refund (sats)")}</span>
+                <input
+                  type="number"
+                  min="1"
+                  max={o.totalSats}
+                  value={refundInputs[o.id]?.amountSats ?? ""}
+                  onChange={(e)=>updateRefundInput(o.id, "amountSats", e.target.value)}
+                  placeholder={String(o.totalSats)}
+                  className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-xs uppercase tracking-wide text-white/50">{t("Motivo", "Reason")}</span>
+                <input
+                  type="text"
+                  value={refundInputs[o.id]?.reason ?? ""}
+                  onChange={(e)=>updateRefundInput(o.id, "reason", e.target.value)}
+                  placeholder={t("Es. articolo danneggiato", "E.g. item arrived damaged")}
+                  className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                />
+              </label>
+              <AsyncButton onClick={()=>requestRefund(o)} busyText={t("Aggiorno...", "Updating...")}>
+                {t("Richiedi rimborso", "Request refund")}
+              </AsyncButton>
+            </div>
+          )}
+
+          {canRefund && o.status === "REFUND_REQUESTED" && (
+            <div className="mt-3 grid gap-3">
+              {o.paymentMethod === "onchain" ? (
+                <div className="grid gap-3 md:grid-cols-2">
+                  <label className="block text-sm">
+                    <span className="text-xs uppercase tracking-wide text-white/50">{t("Indirizzo Bitcoin del cliente", "Buyer's Bitcoin address")}</span>
+                    <input
+                      type="text"
+                      value={refundInputs[o.id]?.destination ?? ""}
+                      onChange={(e)=>updateRefundInput(o.id, "destination", e.target.value)}
+                      placeholder="bc1…"
+                      className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                    />
+                  </label>
+                  <label className="block text-sm">
+                    <span className="text-xs uppercase tracking-wide text-white/50">{t("Txid (opzionale)", "Txid (optional)")}</span>
+                    <input
+                      type="text"
+                      value={refundInputs[o.id]?.txid ?? ""}
+                      onChange={(e)=>updateRefundInput(o.id, "txid", e.target.value)}
+                      className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                    />
+                  </label>
+                  <div className="md:col-span-2 text-xs text-white/60">
+                    {t(
+                      `Invia ${formatSats(o.refundSats)} sats dal tuo wallet, poi registra qui indirizzo e transazione.`,
+                      `Send ${formatSats(o.refundSats)} sats from your wallet, then record the address and transaction here.`
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <div className="grid gap-3">
+                  <label className="block text-sm">
+                    <span className="text-xs uppercase tracking-wide text-white/50">
+                      {t("Invoice o Lightning address del cliente", "Buyer's invoice or Lightning address")}
+                    </span>
+                    <input
+                      type="text"
+                      value={refundInputs[o.id]?.destination ?? ""}
+                      onChange={(e)=>updateRefundInput(o.id, "destination", e.target.value)}
+                      placeholder="lnbc… / name@wallet.com"
+                      className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                    />
+                  </label>
+                  <label className="inline-flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!!refundInputs[o.id]?.manual}
+                      onChange={(e)=>updateRefundInput(o.id, "manual", e.target.checked)}
+                    />
+                    {t("Già pagato da un altro wallet (registra soltanto)", "Already paid from another wallet (record only)")}
+                  </label>
+                  {refundInputs[o.id]?.manual && (
+                    <label className="block text-sm">
+                      <span className="text-xs uppercase tracking-wide text-white/50">{t("Preimage o riferimento (opzionale)", "Preimage or reference (optional)")}</span>
+                      <input
+                        type="text"
+                        value={refundInputs[o.id]?.reference ?? ""}
+                        onChange={(e)=>updateRefundInput(o.id, "reference", e.target.value)}
+                        className="mt-1 w-full px-4 py-2.5 rounded-2xl bg-slate-900 ring-1 ring-white/10 focus:outline-hidden focus:ring-2 focus:ring-indigo-400"
+                      />
+                    </label>
+                  )}
+                  <div className="text-xs text-white/60">
+                    {t(
+                      `Con un Lightning address vengono inviati ${formatSats(o.refundSats)} sats; con una invoice si paga l'importo dell'invoice.`,
+                      `A Lightning address is paid ${formatSats(o.refundSats)} sats; an invoice is paid for its own amount.`
+                    )}
+                  </div>
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <AsyncButton onClick={()=>sendRefund(o)} busyText={t("Rimborso in corso...", "Refunding...")}>
+                  {o.paymentMethod === "onchain" || refundInputs[o.id]?.manual
+                    ? t("Registra rimborso", "Record refund")
+                    : t("Paga rimborso", "Pay refund")}
+                </AsyncButton>
+                <AsyncButton onClick={()=>setStatus(o.id,"PAID")} busyText={t("Aggiorno...", "Updating...")}>
+                  {t("Annulla rimborso", "Cancel refund")}
+                </AsyncButton>
+              </div>
+            </div>
+          )}
+
           <div className="mt-4 flex flex-wrap gap-2">
             {/* Vai a PAGATO da PREPARATION o SHIPPED */}
             {(o.status === "PREPARATION" || o.status === "SHIPPED") && (
@@ -365,10 +835,12 @@ export default function Orders() {
               </AsyncButton>
             )}
 
-            {/* Vai a SPEDITO da PAID o PREPARATION - asks courier+tracking first */}
-            {(o.status==="PAID" || o.status==="PREPARATION") && (
+            {/* Vai a SPEDITO da PAID, PREPARATION o PARTIALLY_SHIPPED - spedisce tutto il resto */}
+            {(o.status==="PAID" || o.status==="PREPARATION" || o.status==="PARTIALLY_SHIPPED") && (
               <AsyncButton onClick={()=>markShipped(o)} busyText={t("Aggiorno...", "Updating...")}>
-                {t('Segna "Spedito"', 'Mark "Shipped"')}
+                {o.status==="PARTIALLY_SHIPPED"
+                  ? t('Spedisci il resto', 'Ship the rest')
+                  : t('Segna "Spedito"', 'Mark "Shipped"')}
               </AsyncButton>
             )}
 
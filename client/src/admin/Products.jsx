@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import api from "../services/api.js";
 import { absoluteApiUrl } from "../services/api.js";
 import { compressImageFile } from "../utils/image.js";
@@ -9,6 +9,15 @@ import {
   makeInitialZoneOverrideState,
   buildZoneOverridePayload
 } from "../utils/shippingPresets.js";
+import {
+  buildVariantCombos,
+  buildVariantPayload,
+  makeInitialVariantAxes,
+  makeInitialVariantDraft
+} from "../utils/variants.js";
+
+// "" = sats; the server converts fiat prices at the current BTC rate
+const PRICE_CURRENCY_OPTIONS = ["", "EUR", "USD"];
 
 const KEEP_IMAGE_TOKEN_PREFIX = "keep:";
 
@@ -427,9 +436,12 @@ export default function Products() {
                 )}
                 <div className="text-sm text-white/70 mt-1">
                   {Number(p.priceSats || 0).toLocaleString("en-US")} sats
+                  {p.priceCurrency ? ` · ${Number(p.priceFiat || 0).toFixed(2)} ${p.priceCurrency}` : ""}
                 </div>
                 <div className="text-xs text-white/60 mt-1">
-                  {p.isUnique ? t("Pezzo unico", "Unique item") : (
+                  {Array.isArray(p.variants) && p.variants.length ? (
+                    t(`${p.variants.length} varianti`, `${p.variants.length} variants`)
+                  ) : p.isUnique ? t("Pezzo unico", "Unique item") : (
                     Number.isFinite(p.quantityAvailable)
                       ? t(`Disponibili: ${p.quantityAvailable}`, `Available: ${p.quantityAvailable}`)
                       : t("Quantità illimitata", "Unlimited quantity")
@@ -583,6 +595,9 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
   const [title, setTitle] = useState(initial.title || "");
   const [subtitle, setSubtitle] = useState(initial.subtitle || "");
   const [priceSats, setPriceSats] = useState(initial.priceSats || 0);
+  // "" = priced in sats; otherwise the sats price follows the BTC rate
+  const [priceCurrency, setPriceCurrency] = useState(initial.priceCurrency || "");
+  const [priceFiat, setPriceFiat] = useState(initial.priceFiat ?? "");
   const [isUnique, setIsUnique] = useState(initial.isUnique !== false);
   const [quantityAvailable, setQuantityAvailable] = useState(
     initial.isUnique === false
@@ -617,6 +632,12 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
 
   // Shipping zone overrides
   const [zoneOverrides, setZoneOverrides] = useState(() => makeInitialZoneOverrideState(initial));
+
+  // Varianti: assi (es. Formato, Cornice) + una riga per combinazione
+  const [variantAxes, setVariantAxes] = useState(() => makeInitialVariantAxes(initial));
+  const [variantDraft, setVariantDraft] = useState(() => makeInitialVariantDraft(initial));
+  const variantCombos = useMemo(() => buildVariantCombos(variantAxes), [variantAxes]);
+  const hasVariants = variantCombos.length > 0;
   const [formErrors, setFormErrors] = useState({});
   const [formMessage, setFormMessage] = useState("");
   const [formError, setFormError] = useState("");
@@ -624,10 +645,14 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
   const isNew = !initial.id;
   useEffect(() => {
     setHidden(initial.hidden ?? false);
+    setPriceCurrency(initial.priceCurrency || "");
+    setPriceFiat(initial.priceFiat ?? "");
     setShowDimensions(initial.showDimensions !== false);
     setZoneOverrides(makeInitialZoneOverrideState(initial));
     setIsUnique(initial.isUnique !== false);
     setQuantityAvailable(initial.isUnique === false ? (initial.quantityAvailable ?? "") : 1);
+    setVariantAxes(makeInitialVariantAxes(initial));
+    setVariantDraft(makeInitialVariantDraft(initial));
   }, [initial]);
 
   const parseNonNegative = (raw, allowEmpty = true) => {
@@ -646,9 +671,11 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
       errors.title = t("Inserisci un titolo.", "Enter a title.");
       hasErrors = true;
     }
-    const priceNum = Number(priceSats);
+    const priceNum = Number(priceCurrency ? priceFiat : priceSats);
     if (!Number.isFinite(priceNum) || priceNum <= 0) {
-      errors.priceSats = t("Prezzo non valido. Usa sats maggiori di 0.", "Invalid price. Use sats greater than 0.");
+      errors.priceSats = priceCurrency
+        ? t(`Prezzo non valido. Usa ${priceCurrency} maggiori di 0.`, `Invalid price. Use ${priceCurrency} greater than 0.`)
+        : t("Prezzo non valido. Usa sats maggiori di 0.", "Invalid price. Use sats greater than 0.");
       hasErrors = true;
     }
     if (!images.length) {
@@ -656,6 +683,18 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
       hasErrors = true;
     }
 
+    for (const { key } of variantCombos) {
+      const row = variantDraft[key] || {};
+      const rowPrice = priceCurrency ? row.priceFiat : row.priceSats;
+      const badPrice = rowPrice !== "" && rowPrice !== undefined && parseNonNegative(rowPrice, false) === null;
+      const badQty = row.quantityAvailable !== "" && row.quantityAvailable !== undefined && parseNonNegative(row.quantityAvailable, false) === null;
+      if (badPrice || badQty) {
+        errors.variants = t("Prezzo o quantità non validi nelle varianti.", "Invalid price or quantity in variants.");
+        hasErrors = true;
+        break;
+      }
+    }
+
     Object.entries(zoneOverrides || {}).forEach(([zoneId, raw]) => {
       if (raw === "" || raw === null || raw === undefined) return;
       const parsed = parseNonNegative(raw, false);
@@ -752,6 +791,13 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
       return next;
     });
   };
+  const updateVariantAxis = (idx, field, value) => {
+    setVariantAxes((prev) => prev.map((axis, i) => (i === idx ? { ...axis, [field]: value } : axis)));
+  };
+  const updateVariantRow = (key, field, value) => {
+    setVariantDraft((prev) => ({ ...prev, [key]: { ...(prev[key] || {}), [field]: value } }));
+    setFormErrors((prev) => ({ ...prev, variants: "" }));
+  };
   async function save() {
     setFormMessage("");
     setFormError("");
@@ -770,6 +816,8 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
       subtitle: subtitle.trim(),
       longDescription: longDescription,
       priceSats: Math.floor(Number(priceSats || 0)),
+      priceCurrency,
+      priceFiat: priceCurrency ? Number(priceFiat) : null,
       isUnique: !!isUnique,
       quantityAvailable: (() => {
         if (isUnique) return 1;
@@ -789,6 +837,10 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
       depthCm: toNumOrNull(depthCm),
       showDimensions: !!showDimensions,
       shippingZoneOverrides: buildZoneOverridePayload(zoneOverrides),
+      ...buildVariantPayload(variantAxes, variantDraft, {
+        fallbackPriceSats: Math.floor(Number(priceSats || 0)),
+        fiat: !!priceCurrency
+      }),
     };
 
     if (isNew) {
@@ -853,21 +905,47 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
             </div>
 
             <div>
-              <label className="block text-sm text-white/70 mb-1">{t("Prezzo (sats)", "Price (sats)")}</label>
-              <input
-                type="number"
-                min={0}
-                step={1}
-                className={`w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ${
-                  formErrors.priceSats ? "ring-rose-400/70 bg-rose-950/20" : "ring-white/10"
-                }`}
-                value={priceSats}
-                onChange={(e) => {
-                  setPriceSats(e.target.value);
-                  setFormErrors((prev) => ({ ...prev, priceSats: "" }));
-                }}
-                placeholder={t("Es. 120000", "e.g. 120000")}
-              />
+              <label className="block text-sm text-white/70 mb-1">
+                {t("Prezzo", "Price")} ({priceCurrency || "sats"})
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min={0}
+                  step={priceCurrency ? "0.01" : 1}
+                  className={`w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ${
+                    formErrors.priceSats ? "ring-rose-400/70 bg-rose-950/20" : "ring-white/10"
+                  }`}
+                  value={priceCurrency ? priceFiat : priceSats}
+                  onChange={(e) => {
+                    if (priceCurrency) setPriceFiat(e.target.value);
+                    else setPriceSats(e.target.value);
+                    setFormErrors((prev) => ({ ...prev, priceSats: "" }));
+                  }}
+                  placeholder={priceCurrency ? t("Es. 45.00", "e.g. 45.00") : t("Es. 120000", "e.g. 120000")}
+                />
+                <select
+                  className="px-3 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10"
+                  value={priceCurrency}
+                  onChange={(e) => {
+                    setPriceCurrency(e.target.value);
+                    setFormErrors((prev) => ({ ...prev, priceSats: "" }));
+                  }}
+                  aria-label={t("Valuta del prezzo", "Price currency")}
+                >
+                  {PRICE_CURRENCY_OPTIONS.map((code) => (
+                    <option key={code || "sats"} value={code}>{code || "sats"}</option>
+                  ))}
+                </select>
+              </div>
+              {priceCurrency ? (
+                <div className="text-xs text-white/60 mt-1">
+                  {t(
+                    `Il prezzo in sats segue il cambio BTC/${priceCurrency} e viene fissato al checkout (ora ${Number(priceSats || 0).toLocaleString("en-US")} sats).`,
+                    `The sats price follows the BTC/${priceCurrency} rate and is fixed at checkout (now ${Number(priceSats || 0).toLocaleString("en-US")} sats).`
+                  )}
+                </div>
+              ) : null}
               {formErrors.priceSats ? (
                 <div className="text-xs text-amber-300 mt-1">{formErrors.priceSats}</div>
               ) : null}
@@ -877,7 +955,8 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
               <label className="flex items-center gap-3 px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10">
                 <input
                   type="checkbox"
-                  checked={isUnique}
+                  checked={isUnique && !hasVariants}
+                  disabled={hasVariants}
                   onChange={(e) => {
                     const checked = e.target.checked;
                     setIsUnique(checked);
@@ -901,15 +980,112 @@ function Editor({ initial, shippingZones = [], onClose, onSaved }) {
                   className="w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10 disabled:opacity-60"
                   value={isUnique ? 1 : quantityAvailable}
                   onChange={(e) => setQuantityAvailable(e.target.value)}
-                  disabled={isUnique}
+                  disabled={isUnique || hasVariants}
                   placeholder={t("Lascia vuoto per illimitato", "Leave blank for unlimited")}
                 />
                 <div className="text-xs text-white/60 mt-1">
-                  {t("Lascia vuoto per illimitato. Usa 0 per esaurito.", "Leave blank for unlimited. Use 0 if out of stock.")}
+                  {hasVariants
+                    ? t("Con le varianti la quantità si imposta per ogni combinazione.", "With variants, stock is set per combination.")
+                    : t("Lascia vuoto per illimitato. Usa 0 per esaurito.", "Leave blank for unlimited. Use 0 if out of stock.")}
                 </div>
               </div>
             </div>
 
+            {/* Varianti */}
+            <div className="md:col-span-2 space-y-3 rounded-2xl bg-slate-900 ring-1 ring-white/10 p-3">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="font-medium">{t("Varianti", "Variants")}</div>
+                  <div className="text-xs text-white/60">
+                    {t(
+                      "Es. Formato: A4, A3. Ogni combinazione ha prezzo, quantità e foto propri.",
+                      "e.g. Size: A4, A3. Each combination has its own price, stock and photo."
+                    )}
+                  </div>
+                </div>
+                {variantAxes.length < 3 && (
+                  <button
+                    type="button"
+                    className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10 text-sm"
+                    onClick={() => setVariantAxes((prev) => [...prev, { name: "", values: "" }])}
+                  >
+                    {t("+ Opzione", "+ Option")}
+                  </button>
+                )}
+              </div>
+              {variantAxes.map((axis, idx) => (
+                <div key={idx} className="grid sm:grid-cols-[minmax(0,1fr)_minmax(0,2fr)_auto] gap-2 items-center">
+                  <input
+                    className="w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+                    value={axis.name}
+                    onChange={(e) => updateVariantAxis(idx, "name", e.target.value)}
+                    placeholder={t("Nome (es. Formato)", "Name (e.g. Size)")}
+                  />
+                  <input
+                    className="w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10"
+                    value={axis.values}
+                    onChange={(e) => updateVariantAxis(idx, "values", e.target.value)}
+                    placeholder={t("Valori separati da virgola", "Comma-separated values")}
+                  />
+                  <button
+                    type="button"
+                    className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10 text-sm"
+                    onClick={() => setVariantAxes((prev) => prev.filter((_, i) => i !== idx))}
+                  >
+                    {t("Rimuovi", "Remove")}
+                  </button>
+                </div>
+              ))}
+              {hasVariants && (
+                <div className="space-y-2">
+                  {variantCombos.map(({ key }) => {
+                    const row = variantDraft[key] || {};
+                    return (
+                      <div key={key} className="grid sm:grid-cols-[minmax(0,1.5fr)_repeat(3,minmax(0,1fr))] gap-2 items-center rounded-xl bg-slate-950 ring-1 ring-white/10 p-2">
+                        <div className="text-sm font-medium">{key}</div>
+                        <input
+                          type="number"
+                          min={0}
+                          step={priceCurrency ? "0.01" : "1"}
+                          className="w-full px-3 py-2 rounded-xl bg-slate-900 ring-1 ring-white/10"
+                          value={(priceCurrency ? row.priceFiat : row.priceSats) ?? ""}
+                          onChange={(e) => updateVariantRow(key, priceCurrency ? "priceFiat" : "priceSats", e.target.value)}
+                          placeholder={`${t("Prezzo", "Price")} ${(priceCurrency ? priceFiat : priceSats) || 0}`}
+                          aria-label={`${t("Prezzo", "Price")} (${priceCurrency || "sats"})`}
+                        />
+                        <input
+                          type="number"
+                          min={0}
+                          step="1"
+                          className="w-full px-3 py-2 rounded-xl bg-slate-900 ring-1 ring-white/10"
+                          value={row.quantityAvailable ?? ""}
+                          onChange={(e) => updateVariantRow(key, "quantityAvailable", e.target.value)}
+                          placeholder={t("Illimitata", "Unlimited")}
+                          aria-label={t("Quantità disponibile", "Available quantity")}
+                        />
+                        <select
+                          className="w-full px-3 py-2 rounded-xl bg-slate-900 ring-1 ring-white/10"
+                          value={row.imageIndex ?? ""}
+                          onChange={(e) => updateVariantRow(key, "imageIndex", e.target.value)}
+                          aria-label={t("Foto", "Photo")}
+                        >
+                          <option value="">{t("Foto principale", "Main photo")}</option>
+                          {images.map((_, i) => (
+                            <option key={i} value={String(i)}>
+                              {t(`Foto ${i + 1}`, `Photo ${i + 1}`)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              {formErrors.variants ? (
+                <div className="text-xs text-amber-300">{formErrors.variants}</div>
+              ) : null}
+            </div>
+
             <div className="md:col-span-2">
               <label className="block text-sm text-white/70 mb-1">
                 {t("Sottotitolo (anteprima in homepage)", "Subtitle (shown on home preview)")}
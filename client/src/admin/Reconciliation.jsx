@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+
+export const KIND_LABELS = {
+  unpaid: { it: "Ordine non pagato", en: "Order not marked paid", cls: "text-amber-300" },
+  mismatch: { it: "Importo diverso", en: "Amount mismatch", cls: "text-amber-300" },
+  deleted: { it: "Ordine eliminato", en: "Deleted order", cls: "text-red-300" },
+  orphan: { it: "Pagamento orfano", en: "Orphan payment", cls: "text-red-300" }
+};
+
+export function shortRef(s) {
+  const v = String(s || "");
+  return v.length > 20 ? `${v.slice(0, 10)}…${v.slice(-8)}` : v;
+}
+
+export default function Reconciliation() {
+  const { t } = useAdminI18n();
+  const [report, setReport] = useState(null);
+  const [days, setDays] = useState("");
+  const [error, setError] = useState("");
+  const [recovered, setRecovered] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const r = await api.get("/admin/reconciliation");
+        setReport(r.data?.report || null);
+        setDays(String(r.data?.lookbackDays || ""));
+      } catch (e) {
+        console.warn("Failed to load reconciliation", e);
+      }
+    })();
+  }, []);
+
+  async function run() {
+    setError("");
+    setRecovered(null);
+    try {
+      const r = await api.post("/admin/reconciliation/run", { days: Number(days) || undefined });
+      setReport(r.data?.report || null);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Riconciliazione non riuscita", "Reconciliation failed"));
+    }
+  }
+
+  async function recover(item) {
+    const ok = window.confirm(t(
+      `Segnare come pagato l'ordine per ${item.amountSats} sats? Il cliente viene avvisato come per un normale pagamento.`,
+      `Mark the order for ${item.amountSats} sats as paid? The buyer is notified as for a normal payment.`
+    ));
+    if (!ok) return;
+    setError("");
+    try {
+      const r = await api.post("/admin/reconciliation/recover", { key: item.key });
+      setReport(r.data?.report || report);
+      setRecovered(r.data?.order || null);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Recupero non riuscito", "Recovery failed"));
+    }
+  }
+
+  const cardCls = "rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-3";
+  const inputCls = "w-24 px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 text-sm";
+  const summary = report?.summary;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Riconciliazione pagamenti", "Payment reconciliation")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Confronta i pagamenti ricevuti dal backend con gli ordini: pagamenti su ordini non segnati come pagati, eliminati o sconosciuti, e importi diversi.",
+            "Compares what the payment backend received with the orders: payments on orders not marked paid, deleted or unknown orders, and amount mismatches."
+          )}
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-2xl p-3 bg-red-900/40 ring-1 ring-red-400/40 text-sm">{error}</div>
+      )}
+
+      <div className={cardCls}>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="text-sm text-white/70 flex items-center gap-2">
+            {t("Ultimi giorni", "Last days")}
+            <input type="number" min="1" className={inputCls} value={days} onChange={(e) => setDays(e.target.value)} />
+          </label>
+          <AsyncButton onClick={run}>{t("Esegui ora", "Run now")}</AsyncButton>
+          {report?.ranAt ? (
+            <div className="ml-auto text-xs text-white/60">
+              {t("Ultima esecuzione", "Last run")}: {new Date(report.ranAt).toLocaleString()}
+            </div>
+          ) : null}
+        </div>
+        {!report ? (
+          <div className="text-sm text-white/60">{t("Nessuna riconciliazione eseguita.", "No reconciliation has run yet.")}</div>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-4 text-sm">
+              <div>{t("Pagamenti", "Payments")}: {summary.receipts}</div>
+              <div className="text-emerald-300">{t("Abbinati", "Matched")}: {summary.matched}</div>
+              {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                <div key={kind} className={summary[kind] ? label.cls : "text-white/60"}>
+                  {t(label.it, label.en)}: {summary[kind]}
+                </div>
+              ))}
+            </div>
+            {report.sources.filter((s) => !s.ok).map((s) => (
+              <div key={s.source} className="text-xs text-amber-200">
+                {t(`Storico ${s.source} non disponibile`, `${s.source} history unavailable`)}: {s.error}
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+
+      {recovered && (
+        <div className="rounded-2xl p-3 bg-emerald-900/30 ring-1 ring-emerald-400/30 text-sm">
+          {t(
+            `Ordine ${recovered.id} segnato come pagato. Completa i dati dalla pagina Ordini.`,
+            `Order ${recovered.id} is now paid. Fill in its details from the Orders page.`
+          )}
+        </div>
+      )}
+
+      {report?.items?.length > 0 && (
+        <div className={`${cardCls} overflow-x-auto`}>
+          <table className="min-w-full text-sm">
+            <thead className="text-white/60">
+              <tr>
+                <th className="text-left py-1">{t("Tipo", "Kind")}</th>
+                <th className="text-left py-1">{t("Origine", "Source")}</th>
+                <th className="text-left py-1">{t("Riferimento", "Reference")}</th>
+                <th className="text-right py-1">{t("Ricevuti", "Received")}</th>
+                <th className="text-right py-1">{t("Attesi", "Expected")}</th>
+                <th className="text-left py-1">{t("Ordine", "Order")}</th>
+                <th className="text-left py-1">{t("Data", "Date")}</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {report.items.map((item) => {
+                const label = KIND_LABELS[item.kind] || { it: item.kind, en: item.kind, cls: "" };
+                return (
+                  <tr key={item.key} className="border-t border-white/5 align-top">
+                    <td className={`py-1 ${label.cls}`}>{t(label.it, label.en)}</td>
+                    <td className="py-1 font-mono">{item.source}</td>
+                    <td className="py-1 font-mono text-xs" title={item.address || item.paymentHash}>
+                      {shortRef(item.address || item.paymentHash)}
+                      {item.memo ? <div className="text-white/50 font-sans">{item.memo}</div> : null}
+                    </td>
+                    <td className="py-1 text-right">{item.amountSats}</td>
+                    <td className="py-1 text-right text-white/60">{item.expectedSats || "—"}</td>
+                    <td className="py-1">
+                      {item.orderId ? <span className="font-mono text-xs">{item.orderId}</span> : "—"}
+                      {item.customer ? <div className="text-white/60">{item.customer}</div> : null}
+                    </td>
+                    <td className="py-1 text-white/60">{item.settledAt ? new Date(item.settledAt).toLocaleString() : "—"}</td>
+                    <td className="py-1 text-right">
+                      {item.recoveredOrderId ? (
+                        <span className="text-emerald-300">{t("Recuperato", "Recovered")}</span>
+                      ) : item.kind !== "mismatch" ? (
+                        <AsyncButton onClick={() => recover(item)}>{t("Segna pagato", "Mark paid")}</AsyncButton>
+                      ) : null}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -106,6 +106,7 @@ export default function Settings() {
     nostrCommentsEnabled: true,
     nostrBlockedPubkeys: [],
     lightningAddress: "",
+    lightningAddressNames: [],
 
     // --- NEW: Theme selector ---
     themeChoice: "dark",
@@ -1101,6 +1102,24 @@ export default function Settings() {
               setS({ ...s, lightningAddress: e.target.value })
             }
           />
+          <input
+            className="px-4 py-3 rounded-2xl bg-slate-900 ring-1 ring-white/10"
+            placeholder={t(
+              "Lightning Address ospitati dal negozio, es. shop, tips (nome@questo dominio)",
+              "Lightning Addresses hosted by the shop, e.g. shop, tips (name@this domain)"
+            )}
+            value={Array.isArray(s.lightningAddressNames) ? s.lightningAddressNames.join(", ") : s.lightningAddressNames || ""}
+            onChange={(e) =>
+              setS({ ...s, lightningAddressNames: e.target.value })
+            }
+          />
+          <div className="text-xs text-white/60">
+            {t(
+              "Ogni nome diventa nome@" + window.location.hostname + " e riceve sul nodo Lightning del negozio.",
+              "Each name becomes name@" + window.location.hostname + " and receives into the shop's Lightning backend."
+            )}
+          </div>
+          <LightningAddressPayments t={t} />
           <div className="text-xs text-white/60">
             {t("Nota: la chiave privata del negozio per inviare DM Nostr è", "Note: the shop private key for Nostr DMs is")}{" "}
             {t("configurata solo lato server via env:", "configured server-side via env:")}{" "}
@@ -1144,7 +1163,8 @@ export default function Settings() {
               <li><code>{`{{orderId}}`}</code></li>
               <li><code>{`{{status}}`}</code> / <code>{`{{statusLabel}}`}</code></li>
               <li><code>{`{{totalSats}}`}</code>, <code>{`{{subtotalSats}}`}</code>, <code>{`{{shippingSats}}`}</code></li>
-              <li><code>{`{{courier}}`}</code>, <code>{`{{tracking}}`}</code></li>
+              <li><code>{`{{discountCode}}`}</code>, <code>{`{{discountSats}}`}</code></li>
+              <li><code>{`{{courier}}`}</code>, <code>{`{{tracking}}`}</code>, <code>{`{{shipmentItems}}`}</code></li>
             </ul>
             <ul className="list-disc ml-5 space-y-1">
               <li><code>{`{{productTitle}}`}</code></li>
@@ -1154,6 +1174,12 @@ export default function Settings() {
               <li><code>{`{{paymentHash}}`}</code></li>
             </ul>
           </div>
+          <div className="mt-2">
+            {t(
+              "Ogni pacco invia il proprio messaggio con corriere, tracking e articoli; le spedizioni parziali usano i modelli SHIPPED.",
+              "Each parcel sends its own message with courier, tracking and items; partial shipments use the SHIPPED templates."
+            )}
+          </div>
           <div className="mt-2">
             {t(
               "I corpi email supportano testo semplice (verrà creato anche HTML semplice). La firma configurata sopra verrà aggiunta in coda.",
@@ -1336,6 +1362,32 @@ export default function Settings() {
   );
 }
 
+// Latest payments received through the hosted Lightning Addresses, with comments
+function LightningAddressPayments({ t }) {
+  const [payments, setPayments] = useState([]);
+
+  useEffect(() => {
+    api.get("/admin/lightning-address/payments", { params: { limit: 20 } })
+      .then((r) => setPayments(r.data?.payments || []))
+      .catch(() => {});
+  }, []);
+
+  if (!payments.length) return null;
+  return (
+    <div className="rounded-2xl p-3 bg-slate-900 ring-1 ring-white/10 text-sm space-y-1">
+      <div className="text-white/70">{t("Pagamenti ricevuti", "Received payments")}</div>
+      {payments.map((p) => (
+        <div key={p.paymentHash} className="flex flex-wrap gap-x-3">
+          <span className="text-white/60">{new Date(p.paidAt).toLocaleString()}</span>
+          <span className="font-mono">{p.name}</span>
+          <span>{Math.floor(p.amountMsat / 1000)} sats{p.zap ? " ⚡ zap" : ""}</span>
+          {p.comment ? <span className="text-white/80">“{p.comment}”</span> : null}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function StorefrontPreview({ settings, t }) {
   const theme =
     settings.themeChoice === "light"
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+import { shortRef } from "./Reconciliation.jsx";
+
+const METHOD_LABELS = {
+  cooperative: { it: "Cooperativo (firmato con Boltz)", en: "Cooperative (co-signed with Boltz)" },
+  script: { it: "Script di rimborso (dopo il timeout)", en: "Refund script (after the timeout)" }
+};
+
+export default function SwapRefunds() {
+  const { t } = useAdminI18n();
+  const [swaps, setSwaps] = useState([]);
+  const [error, setError] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ destination: "", feeRate: "" });
+  const [built, setBuilt] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  async function load() {
+    try {
+      const r = await api.get("/admin/boltz/refunds");
+      setSwaps(r.data?.swaps || []);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Impossibile caricare gli swap", "Could not load swaps"));
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function select(swap) {
+    setSelected(swap);
+    setBuilt(null);
+    setError("");
+    setForm({ destination: "", feeRate: "" });
+  }
+
+  async function build() {
+    setError("");
+    setBuilt(null);
+    setCopied(false);
+    try {
+      const body = { destination: form.destination };
+      if (form.feeRate !== "") body.feeRate = Number(form.feeRate);
+      const r = await api.post(`/admin/boltz/refunds/${selected.id}/build`, body);
+      setBuilt(r.data || null);
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Impossibile preparare il rimborso", "Could not build the refund"));
+    }
+  }
+
+  async function copyHex() {
+    try {
+      await navigator.clipboard.writeText(built.hex);
+      setCopied(true);
+    } catch {}
+  }
+
+  async function record() {
+    const ok = window.confirm(t(
+      `Hai trasmesso la transazione ${shortRef(built.txid)}? Il rimborso di ${built.amountSats} sats viene registrato sull'ordine e il cliente avvisato.`,
+      `Did you broadcast transaction ${shortRef(built.txid)}? The ${built.amountSats} sats refund is recorded on the order and the buyer is notified.`
+    ));
+    if (!ok) return;
+    setError("");
+    try {
+      await api.post(`/admin/boltz/refunds/${selected.id}/record`, {
+        txid: built.txid,
+        amountSats: built.amountSats,
+        destination: built.destination,
+        method: built.method
+      });
+      setSelected(null);
+      setBuilt(null);
+      await load();
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Registrazione non riuscita", "Could not record the refund"));
+    }
+  }
+
+  const cardCls = "rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-3";
+  const inputCls = "px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 text-sm";
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Rimborsi swap Boltz", "Boltz swap refunds")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Pagamenti on-chain arrivati in ritardo, incompleti o su swap falliti restano nell'indirizzo dello swap. Da qui prepari e firmi la transazione che li restituisce al cliente: va poi trasmessa dal tuo wallet o da un block explorer.",
+            "On-chain payments that arrived late, short, or on a failed swap stay in the swap address. Here you build and sign the transaction that sends them back to the buyer, then broadcast it from your wallet or a block explorer."
+          )}
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded-2xl p-3 bg-red-900/40 ring-1 ring-red-400/40 text-sm">{error}</div>
+      )}
+
+      <div className={`${cardCls} overflow-x-auto`}>
+        {!swaps.length ? (
+          <div className="text-sm text-white/60">{t("Nessuno swap fallito o scaduto.", "No failed or expired swaps.")}</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="text-white/60">
+              <tr>
+                <th className="text-left py-1">{t("Ordine", "Order")}</th>
+                <th className="text-left py-1">Swap</th>
+                <th className="text-left py-1">{t("Stato", "Status")}</th>
+                <th className="text-right py-1">{t("Attesi", "Expected")}</th>
+                <th className="text-right py-1">{t("Timeout (blocco)", "Timeout (block)")}</th>
+                <th className="text-left py-1">{t("Data", "Date")}</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {swaps.map((swap) => (
+                <tr key={swap.id} className="border-t border-white/5 align-top">
+                  <td className="py-1 font-mono text-xs">
+                    {swap.id}
+                    {swap.deleted ? <div className="text-red-300 font-sans">{t("Eliminato", "Deleted")}</div> : null}
+                  </td>
+                  <td className="py-1 font-mono text-xs" title={swap.address}>
+                    {swap.swapId}
+                    <div className="text-white/50">{shortRef(swap.address)}</div>
+                  </td>
+                  <td className="py-1">
+                    {swap.status}
+                    {swap.boltzStatus ? <div className="text-white/50 text-xs">{swap.boltzStatus}</div> : null}
+                  </td>
+                  <td className="py-1 text-right">{swap.expectedSats}</td>
+                  <td className="py-1 text-right text-white/60">{swap.timeoutBlockHeight || "—"}</td>
+                  <td className="py-1 text-white/60">{new Date(swap.deletedAt || swap.createdAt).toLocaleString()}</td>
+                  <td className="py-1 text-right">
+                    {swap.refundedAt ? (
+                      <span className="text-emerald-300" title={swap.refundReference}>
+                        {t("Rimborsati", "Refunded")} {swap.refundSats} sats
+                      </span>
+                    ) : swap.ready ? (
+                      <button
+                        type="button"
+                        className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10 hover:bg-slate-700"
+                        onClick={() => select(swap)}
+                      >
+                        {t("Rimborsa", "Refund")}
+                      </button>
+                    ) : (
+                      <span className="text-amber-200 text-xs">{swap.problem}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selected && (
+        <div className={cardCls}>
+          <div className="font-semibold">
+            {t("Rimborso dell'ordine", "Refund for order")} <span className="font-mono">{selected.id}</span>
+          </div>
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="text-sm text-white/70 grid gap-1 flex-1 min-w-[260px]">
+              {t("Indirizzo Bitcoin del cliente", "Buyer's Bitcoin address")}
+              <input
+                className={`${inputCls} font-mono`}
+                value={form.destination}
+                onChange={(e) => setForm((f) => ({ ...f, destination: e.target.value }))}
+                placeholder="bc1q…"
+              />
+            </label>
+            <label className="text-sm text-white/70 grid gap-1">
+              {t("Commissione (sat/vB)", "Fee rate (sat/vB)")}
+              <input
+                type="number"
+                min="1"
+                className={`${inputCls} w-32`}
+                value={form.feeRate}
+                onChange={(e) => setForm((f) => ({ ...f, feeRate: e.target.value }))}
+                placeholder={t("auto", "auto")}
+              />
+            </label>
+            <AsyncButton onClick={build}>{t("Prepara e firma", "Build and sign")}</AsyncButton>
+            <button type="button" className="text-sm text-white/60 hover:text-white" onClick={() => select(null)}>
+              {t("Annulla", "Cancel")}
+            </button>
+          </div>
+
+          {built && (
+            <div className="space-y-2 text-sm">
+              <div className="flex flex-wrap gap-4">
+                <div>{t(METHOD_LABELS[built.method]?.it, METHOD_LABELS[built.method]?.en)}</div>
+                <div className="text-emerald-300">{t("Al cliente", "To the buyer")}: {built.amountSats} sats</div>
+                <div className="text-white/70">
+                  {t("Commissione", "Fee")}: {built.feeSats} sats ({built.feeRate} sat/vB, {built.vsize} vB)
+                </div>
+                {built.inputs > 1 ? (
+                  <div className="text-white/70">{t(`${built.inputs} pagamenti`, `${built.inputs} payments`)}</div>
+                ) : null}
+              </div>
+              <div className="text-white/70">
+                Txid: <span className="font-mono break-all text-white">{built.txid}</span>
+              </div>
+              <textarea
+                readOnly
+                rows={5}
+                className="w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10 font-mono text-xs"
+                value={built.hex}
+                onFocus={(e) => e.target.select()}
+              />
+              <div className="flex flex-wrap items-center gap-3">
+                <button
+                  type="button"
+                  className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10 hover:bg-slate-700"
+                  onClick={copyHex}
+                >
+                  {copied ? t("Copiata", "Copied") : t("Copia transazione", "Copy transaction")}
+                </button>
+                <AsyncButton onClick={record}>{t("Trasmessa: registra il rimborso", "Broadcast: record the refund")}</AsyncButton>
+              </div>
+              <div className="text-xs text-white/50">
+                {t(
+                  "La transazione non viene trasmessa dal negozio. Incollala in un block explorer (es. mempool.space/tx/push) o nel tuo nodo, poi registra il rimborso.",
+                  "The shop does not broadcast the transaction. Paste it into a block explorer (e.g. mempool.space/tx/push) or your node, then record the refund."
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useEffect, useState } from "react";
+import api from "../services/api.js";
+import AsyncButton from "../components/AsyncButton.jsx";
+import { useAdminI18n } from "./i18n.jsx";
+
+const EMPTY_FORM = {
+  id: "",
+  username: "",
+  displayName: "",
+  role: "content",
+  password: "",
+  nostrPubkey: "",
+  active: true
+};
+
+const ROLES = [
+  {
+    id: "owner",
+    it: "Titolare",
+    en: "Owner",
+    hintIt: "Accesso completo, inclusi impostazioni, sconti e utenti.",
+    hintEn: "Full access, including settings, discounts and users."
+  },
+  {
+    id: "fulfilment",
+    it: "Spedizioni",
+    en: "Fulfilment",
+    hintIt: "Solo ordini: stati, corriere e tracking.",
+    hintEn: "Orders only: status, courier and tracking."
+  },
+  {
+    id: "content",
+    it: "Contenuti",
+    en: "Content",
+    hintIt: "Prodotti, prezzi e pubblicazione su Nostr.",
+    hintEn: "Products, pricing and Nostr publishing."
+  }
+];
+
+export default function Users() {
+  const { t } = useAdminI18n();
+  const [list, setList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    refresh();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function refresh() {
+    try {
+      setLoading(true);
+      const r = await api.get("/admin/users");
+      setList(Array.isArray(r.data) ? r.data : []);
+    } catch (e) {
+      console.warn("Failed to load admin users", e);
+      setList([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function set(key, value) {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  }
+
+  async function save() {
+    setError("");
+    try {
+      const payload = {
+        username: form.username,
+        displayName: form.displayName,
+        role: form.role,
+        nostrPubkey: form.nostrPubkey,
+        active: !!form.active
+      };
+      if (form.password) payload.password = form.password;
+      if (form.id) await api.put(`/admin/users/${form.id}`, payload);
+      else await api.post("/admin/users", payload);
+      setForm(EMPTY_FORM);
+      await refresh();
+    } catch (e) {
+      setError(e?.response?.data?.error || t("Salvataggio non riuscito", "Save failed"));
+    }
+  }
+
+  async function remove(row) {
+    if (!confirm(t(`Eliminare l'utente ${row.username}?`, `Delete user ${row.username}?`))) return;
+    try {
+      await api.delete(`/admin/users/${row.id}`);
+      if (form.id === row.id) setForm(EMPTY_FORM);
+      await refresh();
+    } catch (e) {
+      alert(e?.response?.data?.error || t("Eliminazione non riuscita", "Delete failed"));
+    }
+  }
+
+  function edit(row) {
+    setForm({
+      id: row.id,
+      username: row.username,
+      displayName: row.displayName || "",
+      role: row.role,
+      password: "",
+      nostrPubkey: row.nostrPubkey || "",
+      active: !!row.active
+    });
+    setError("");
+  }
+
+  function roleLabel(id) {
+    const role = ROLES.find((r) => r.id === id);
+    return role ? t(role.it, role.en) : id;
+  }
+
+  const selectedRole = ROLES.find((r) => r.id === form.role);
+  const inputCls = "w-full px-3 py-2 rounded-xl bg-slate-950 ring-1 ring-white/10";
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold">{t("Utenti amministratori", "Admin users")}</h2>
+        <p className="text-sm text-white/70">
+          {t(
+            "Ogni persona accede con la propria password o chiave Nostr e vede solo le sezioni del suo ruolo.",
+            "Everyone signs in with their own password or Nostr key and only sees the sections of their role."
+          )}
+        </p>
+      </div>
+
+      <div className="rounded-3xl p-4 bg-slate-900 ring-1 ring-white/10 space-y-4">
+        <div className="font-semibold">
+          {form.id ? t(`Modifica ${form.username}`, `Edit ${form.username}`) : t("Nuovo utente", "New user")}
+        </div>
+        <div className="grid sm:grid-cols-3 gap-3">
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Nome utente", "Username")}</div>
+            <input className={inputCls} value={form.username} onChange={(e) => set("username", e.target.value.toLowerCase())} autoComplete="off" />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Nome visualizzato", "Display name")}</div>
+            <input className={inputCls} value={form.displayName} onChange={(e) => set("displayName", e.target.value)} />
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">{t("Ruolo", "Role")}</div>
+            <select className={inputCls} value={form.role} onChange={(e) => set("role", e.target.value)}>
+              {ROLES.map((r) => (
+                <option key={r.id} value={r.id}>{t(r.it, r.en)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm space-y-1">
+            <div className="text-white/70">
+              {form.id
+                ? t("Nuova password (vuoto = invariata)", "New password (empty = unchanged)")
+                : t("Password (min. 8 caratteri)", "Password (min. 8 characters)")}
+            </div>
+            <input type="password" className={inputCls} value={form.password} onChange={(e) => set("password", e.target.value)} autoComplete="new-password" />
+          </label>
+          <label className="text-sm space-y-1 sm:col-span-2">
+            <div className="text-white/70">{t("Chiave pubblica Nostr (npub o hex, opzionale)", "Nostr public key (npub or hex, optional)")}</div>
+            <input className={inputCls} value={form.nostrPubkey} onChange={(e) => set("nostrPubkey", e.target.value.trim())} placeholder="npub1…" />
+          </label>
+        </div>
+        {selectedRole && (
+          <div className="text-xs text-white/60">{t(selectedRole.hintIt, selectedRole.hintEn)}</div>
+        )}
+        <label className="inline-flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={form.active} onChange={(e) => set("active", e.target.checked)} />
+          {t("Attivo", "Active")}
+        </label>
+        {error && <div className="text-sm text-red-400">{error}</div>}
+        <div className="flex gap-3">
+          <AsyncButton onClick={save} disabled={!form.username.trim()} busyText={t("Salvataggio in corso", "Saving")}>
+            {form.id ? t("Salva modifiche", "Save changes") : t("Crea utente", "Create user")}
+          </AsyncButton>
+          {form.id && (
+            <button
+              type="button"
+              className="px-4 py-3 rounded-2xl bg-slate-900 ring-1 ring-white/10 hover:ring-indigo-400/40"
+              onClick={() => { setForm(EMPTY_FORM); setError(""); }}
+            >
+              {t("Annulla", "Cancel")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-white/10">
+          <thead className="bg-slate-900/60">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Utente", "User")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Ruolo", "Role")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Accesso", "Sign-in")}</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-white/70">{t("Ultimo accesso", "Last login")}</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/5">
+            {loading ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-white/60">{t("Caricamento in corso…", "Loading…")}</td>
+              </tr>
+            ) : list.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-white/60">
+                  {t(
+                    "Nessun utente: crea un account Titolare per disattivare il PIN.",
+                    "No users yet: create an Owner account to disable the PIN."
+                  )}
+                </td>
+              </tr>
+            ) : (
+              list.map((row) => (
+                <tr key={row.id} className={form.id === row.id ? "bg-indigo-500/10" : ""}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium">{row.displayName || row.username}</div>
+                    <div className="text-xs text-white/50">
+                      {row.username}
+                      {!row.active ? ` · ${t("disattivato", "disabled")}` : ""}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-sm">{roleLabel(row.role)}</td>
+                  <td className="px-4 py-3 text-xs text-white/70">
+                    {[row.hasPassword ? "Password" : "", row.nostrPubkey ? "Nostr" : ""].filter(Boolean).join(" + ")}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-white/70">
+                    {row.lastLoginAt ? new Date(row.lastLoginAt).toLocaleString() : "–"}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-2">
+                    <button type="button" className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={() => edit(row)}>
+                      {t("Modifica", "Edit")}
+                    </button>
+                    <button type="button" className="px-3 py-1 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={() => remove(row)}>
+                      {t("Elimina", "Delete")}
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import React from "react";
 import { motion, useReducedMotion } from "framer-motion";
 import { Link } from "react-router-dom";
-import { formatSats } from "../utils/format.js";
+import { formatFiatPrice, formatSats } from "../utils/format.js";
+import { useSettings } from "../store/settings.jsx";
 import { absoluteApiUrl } from "../services/api.js";
 
 /**
@@ -15,6 +16,8 @@ import { absoluteApiUrl } from "../services/api.js";
  */
 export default function ProductCard({ p, radiusScale = "3xl" }) {
   const reduce = useReducedMotion();
+  const { settings } = useSettings();
+  const fiatLabel = formatFiatPrice(p, settings?.fiatDisplay);
   const showDimensions = p?.showDimensions !== false;
 
   // Prefer server-cached URLs & thumbs when available, fall back to existing fields
@@ -75,6 +78,7 @@ export default function ProductCard({ p, radiusScale = "3xl" }) {
           <div className="absolute top-3 right-3">
             <span className="px-2.5 py-1 text-xs font-medium rounded-full bg-black/55 backdrop-blur-sm ring-1 ring-white/20">
               {formatSats(p.priceSats)} sats
+              {fiatLabel ? <span className="ml-1 text-white/70">· {fiatLabel}</span> : null}
             </span>
           </div>
 
@@ -1,12 +1,16 @@
 import React from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { useCart } from "../store/cart.jsx";
-import { formatSats } from "../utils/format.js";
+import { useCart, cartKey } from "../store/cart.jsx";
+import { useSettings } from "../store/settings.jsx";
+import { formatFiatPrice, formatSats } from "../utils/format.js";
 import { absoluteApiUrl } from "../services/api.js";
 
 export default function Cart() {
   const { items, remove, updateQty, subtotal } = useCart();
   const nav = useNavigate();
+  const { settings } = useSettings();
+  const fiatDisplay = settings?.fiatDisplay;
+  const subtotalFiat = formatFiatPrice({ priceSats: subtotal() }, fiatDisplay);
 
   const handleChange = (id, next, max) => {
     const safeMax = Number.isFinite(max) && max > 0 ? max : undefined;
@@ -45,9 +49,11 @@ export default function Cart() {
               );
               const maxQty = Number.isFinite(it.product.maxQuantity) ? it.product.maxQuantity : undefined;
               const lineTotal = it.product.priceSats * it.qty;
+              const unitFiat = formatFiatPrice(it.product, fiatDisplay);
               const showQtyControls = !it.product.isUnique && (maxQty === undefined || maxQty > 1);
+              const key = cartKey(it.product);
               return (
-                <div key={it.product.id} className="rounded-2xl p-4 bg-slate-900 ring-1 ring-white/10 flex gap-4 items-center">
+                <div key={key} className="rounded-2xl p-4 bg-slate-900 ring-1 ring-white/10 flex gap-4 items-center">
                   <div className="w-24 h-16 rounded-xl overflow-hidden bg-slate-800 ring-1 ring-white/10">
                     {img ? (
                       <img src={img} alt="" className="w-full h-full object-cover" loading="lazy" />
@@ -57,12 +63,18 @@ export default function Cart() {
                   </div>
                   <div className="flex-1">
                     <div className="font-medium">{it.product.title}</div>
-                    <div className="text-white/70">{formatSats(it.product.priceSats)} sats</div>
+                    {it.product.variantLabel ? (
+                      <div className="text-sm text-white/60">{it.product.variantLabel}</div>
+                    ) : null}
+                    <div className="text-white/70">
+                      {formatSats(it.product.priceSats)} sats
+                      {unitFiat ? <span className="ml-2 text-sm text-white/50">{unitFiat}</span> : null}
+                    </div>
                     {showQtyControls ? (
                       <div className="mt-2 inline-flex items-center gap-2 rounded-full bg-slate-950 px-3 py-1 ring-1 ring-white/10 text-sm">
                         <button
                           className="h-7 w-7 grid place-items-center rounded-full bg-slate-800 text-white"
-                          onClick={() => handleChange(it.product.id, it.qty - 1, maxQty)}
+                          onClick={() => handleChange(key, it.qty - 1, maxQty)}
                           aria-label="Decrease quantity"
                           disabled={it.qty <= 1}
                         >
@@ -71,7 +83,7 @@ export default function Cart() {
                         <span className="min-w-[2ch] text-center">{it.qty}</span>
                         <button
                           className="h-7 w-7 grid place-items-center rounded-full bg-slate-800 text-white"
-                          onClick={() => handleChange(it.product.id, it.qty + 1, maxQty)}
+                          onClick={() => handleChange(key, it.qty + 1, maxQty)}
                           aria-label="Increase quantity"
                           disabled={maxQty !== undefined && it.qty >= maxQty}
                         >
@@ -91,7 +103,7 @@ export default function Cart() {
                     <div>Qty: {it.qty}</div>
                     <div className="font-semibold">{formatSats(lineTotal)} sats</div>
                   </div>
-                  <button className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={()=>remove(it.product.id)}>
+                  <button className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10" onClick={()=>remove(key)}>
                     Remove
                   </button>
                 </div>
@@ -100,8 +112,16 @@ export default function Cart() {
           </div>
           <div className="mt-6 flex items-center justify-between">
             <div className="text-white/70">Subtotal</div>
-            <div className="font-medium">{formatSats(subtotal())} sats</div>
+            <div className="font-medium">
+              {formatSats(subtotal())} sats
+              {subtotalFiat ? <span className="ml-2 text-sm text-white/50">{subtotalFiat}</span> : null}
+            </div>
           </div>
+          {items.some((it) => it.product.priceCurrency) ? (
+            <div className="mt-1 text-xs text-white/50 text-right">
+              Prices set in {[...new Set(items.map((it) => it.product.priceCurrency).filter(Boolean))].join("/")} are converted to sats at checkout.
+            </div>
+          ) : null}
           <div className="mt-6 text-right">
             <button className="px-4 py-3 rounded-2xl bg-indigo-500/90 hover:bg-indigo-500"
               onClick={()=>nav("/checkout")}>Checkout</button>
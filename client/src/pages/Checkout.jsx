@@ -1,8 +1,8 @@
 import React, { useEffect, useMemo, useState, useRef, useCallback } from "react";
-import { useCart } from "../store/cart.jsx";
+import { useCart, cartKey } from "../store/cart.jsx";
 import { useSettings } from "../store/settings.jsx";
 import { COUNTRIES } from "../constants/countries.js";
-import { formatSats } from "../utils/format.js";
+import { formatFiatPrice, formatSats } from "../utils/format.js";
 import api, { API_BASE, absoluteApiUrl } from "../services/api.js";
 import QR from "../components/QR.jsx";
 import { useNavigate } from "react-router-dom";
@@ -44,6 +44,12 @@ export default function Checkout() {
     notes: ""
   });
   const [paymentMethod, setPaymentMethod] = useState("lightning");
+  const [cashuToken, setCashuToken] = useState("");
+  const [discountInput, setDiscountInput] = useState("");
+  // Server preview of the applied code: { code, discountSats, freeShipping, ... }
+  const [discount, setDiscount] = useState(null);
+  const [discountError, setDiscountError] = useState("");
+  const [discountBusy, setDiscountBusy] = useState(false);
 
   // Prefill Nostr contact if the user is signed in (non-destructive)
   useEffect(() => {
@@ -70,6 +76,8 @@ export default function Checkout() {
   // {orderId,paymentHash,paymentRequest,satoshis,totalSats}
   const [inv, setInv] = useState(null);
   const [status, setStatus] = useState("");
+  // XPUB: amount received so far, remaining amount and top-up BIP21
+  const [onchainProgress, setOnchainProgress] = useState(null);
   const [showPay, setShowPay] = useState(false);
   const [sseConnected, setSseConnected] = useState(false); // to show LIVE badge
   const nav = useNavigate();
@@ -103,8 +111,8 @@ export default function Checkout() {
         setInv(parsed);
         setStatus("PENDING");
         setShowPay(true);
-      } else if (pm === "lightning" && parsed.paymentHash && parsed.paymentRequest) {
-        setPaymentMethod("lightning");
+      } else if ((pm === "lightning" || pm === "cashu") && parsed.paymentHash && parsed.paymentRequest) {
+        setPaymentMethod(pm);
         setInv(parsed);
         setStatus("PENDING");
         setShowPay(true);
@@ -130,12 +138,18 @@ export default function Checkout() {
   const shippingUnavailable = shippingQuote.available === false;
   const shippingSatsDisplay = shippingUnavailable ? null : (shippingQuote.shippingSats || 0);
   const subtotalSats = shippingQuote.subtotalSats ?? subtotal();
-  const total = shippingUnavailable
-    ? subtotalSats
-    : (shippingQuote.totalSats ?? subtotalSats + (shippingQuote.shippingSats || 0));
+  const discountSats = discount ? Math.max(0, Number(discount.discountSats) || 0) : 0;
+  const total = Math.max(
+    0,
+    (shippingUnavailable
+      ? subtotalSats
+      : (shippingQuote.totalSats ?? subtotalSats + (shippingQuote.shippingSats || 0))) - discountSats
+  );
+  const totalFiat = formatFiatPrice({ priceSats: total }, remoteSettings?.fiatDisplay);
   const onchainAllowed =
     paymentConfig?.onchainEnabled !== false &&
     (!paymentConfig?.onchainMinSats || total >= paymentConfig.onchainMinSats);
+  const cashuMints = Array.isArray(paymentConfig?.cashuMints) ? paymentConfig.cashuMints : [];
   const countryLabel = useMemo(() => {
     const code = String(form.country || "").toUpperCase();
     const match = COUNTRIES.find((c) => c.code === code);
@@ -143,6 +157,50 @@ export default function Checkout() {
   }, [form.country]);
   const shipLabel = shippingQuote.zone?.name || countryLabel;
 
+  const checkoutItemsPayload = useMemo(
+    () =>
+      items.map((it) => ({
+        productId: it.product.id,
+        variantId: it.product.variantId || undefined,
+        qty: Math.max(1, Number(it.qty) || 1)
+      })),
+    [items]
+  );
+
+  const applyDiscount = useCallback(
+    async (code) => {
+      const trimmed = String(code || "").trim();
+      if (!trimmed) {
+        setDiscount(null);
+        setDiscountError("");
+        return;
+      }
+      setDiscountBusy(true);
+      try {
+        const r = await api.post("/checkout/discount", {
+          items: checkoutItemsPayload,
+          code: trimmed,
+          country: String(form.country || "").toUpperCase()
+        });
+        setDiscount(r.data || null);
+        setDiscountError("");
+      } catch (e) {
+        setDiscount(null);
+        setDiscountError(e?.response?.data?.error || "Could not apply this code");
+      } finally {
+        setDiscountBusy(false);
+      }
+    },
+    [checkoutItemsPayload, form.country]
+  );
+
+  // Re-check an applied code when the cart or destination changes
+  const appliedCode = discount?.code || "";
+  useEffect(() => {
+    if (appliedCode) applyDiscount(appliedCode);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [checkoutItemsPayload, form.country]);
+
   // --- Guard to ensure PAID/EXPIRED are handled only once per invoice ---
   const resolvedRef = useRef(false);
 
@@ -151,6 +209,7 @@ export default function Checkout() {
     resolvedRef.current = false;
     setInv(null);
     setStatus("");
+    setOnchainProgress(null);
     setShowPay(false);
   }, [paymentMethod]);
 
@@ -227,6 +286,9 @@ export default function Checkout() {
           const r = await api.get(`/payments/${paymentId}/status`);
           const st = String(r.data?.status || "").toUpperCase();
           setStatus(st);
+          if (isOnchain && (r.data?.onchainReceivedSats !== undefined || r.data?.onchainRequiredConfirmations !== undefined)) {
+            setOnchainProgress(r.data);
+          }
           if (st === "PAID" || (isOnchain && st === "CONFIRMED")) {
             const paidRef = inv.paymentHash || onchainId || paymentId;
             return handlePaid(paidRef);
@@ -252,6 +314,9 @@ export default function Checkout() {
           if (!payload?.status) return;
           const st = String(payload.status || "").toUpperCase();
           setStatus(st);
+          if (isOnchain && (payload.onchainReceivedSats !== undefined || payload.onchainRequiredConfirmations !== undefined)) {
+            setOnchainProgress(payload);
+          }
           if (st === "PAID" || (isOnchain && st === "CONFIRMED")) {
             const paidRef = inv.paymentHash || inv.onchainId || inv.onchainSwapId || inv.swapId || inv.orderId || paymentId;
             handlePaid(paidRef);
@@ -335,21 +400,34 @@ export default function Checkout() {
       alert("Shipping is not available for this destination. Please pick another country or contact us.");
       return;
     }
+    if (paymentMethod === "cashu" && !cashuToken.trim()) {
+      alert("Please paste your Cashu token.");
+      return;
+    }
     const payload = {
-      items: items.map((it) => ({ productId: it.product.id, qty: Math.max(1, Number(it.qty) || 1) })),
+      items: checkoutItemsPayload,
       customer: {
         ...form
       },
-      paymentMethod
+      paymentMethod,
+      cashuToken: paymentMethod === "cashu" ? cashuToken.trim() : undefined,
+      discountCode: discount?.code || undefined
     };
     try {
       const r = await api.post("/checkout/create-invoice", payload);
       const pm = r.data?.paymentMethod || paymentMethod;
+      if (pm === "cashu") setCashuToken("");
+      // The mint usually pays the order invoice before we answer
+      if (String(r.data?.status || "").toUpperCase() === "PAID") {
+        handlePaid(r.data.paymentHash);
+        return;
+      }
       const nextInv = { ...r.data, paymentMethod: pm, provider };
       resolvedRef.current = false;
       setInv(nextInv);
       saveActivePayment(nextInv);
       setStatus("PENDING");
+      setOnchainProgress(null);
       setShowPay(true);
     } catch (e) {
       alert(e?.response?.data?.error || "Failed to create invoice");
@@ -497,9 +575,34 @@ export default function Checkout() {
             >
               On-chain (BTC)
             </button>
+            {cashuMints.length > 0 && (
+              <button
+                type="button"
+                className={`px-3 py-2 rounded-2xl ring-1 ${paymentMethod === "cashu" ? "bg-violet-600/80 ring-violet-400/60 text-white" : "bg-slate-900 ring-white/10 text-white/80"}`}
+                onClick={() => setPaymentMethod("cashu")}
+              >
+                Cashu (ecash)
+              </button>
+            )}
           </div>
+          {paymentMethod === "cashu" && !inv && (
+            <div className="mt-3">
+              <textarea
+                rows={3}
+                className="w-full px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10 font-mono text-xs break-all"
+                placeholder="cashuB…"
+                value={cashuToken}
+                onChange={(e) => setCashuToken(e.target.value)}
+              />
+              <div className="mt-1 text-xs text-white/60">
+                Send {formatSats(total)} sats plus the mint's Lightning fee reserve (usually 1%, at least 2 sats); unused sats come back as a Cashu token after payment.
+                Accepted mints: {cashuMints.join(", ")}
+              </div>
+            </div>
+          )}
           <div className="mt-2 text-xs text-white/60">
             Lightning is instant. On-chain is monitored automatically: we detect mempool → confirmation → paid and mark your order automatically.
+            {cashuMints.length > 0 ? " Cashu tokens are redeemed at their mint straight into the order's Lightning invoice." : null}
             {!onchainAllowed && paymentConfig?.onchainMinSats ? (
               <div className="text-amber-200 mt-1">
                 On-chain available from {formatSats(paymentConfig.onchainMinSats)} sats.
@@ -512,7 +615,7 @@ export default function Checkout() {
           <AsyncButton
             className="mt-6 pay-now-btn"
             onClick={submit}
-            busyText={paymentMethod === "onchain" ? "Creating on-chain request…" : "Creating invoice…"}
+            busyText={paymentMethod === "onchain" ? "Creating on-chain request…" : paymentMethod === "cashu" ? "Redeeming token…" : "Creating invoice…"}
           >
             Pay Now
           </AsyncButton>
@@ -535,7 +638,7 @@ export default function Checkout() {
               (Array.isArray(it.product.images) ? it.product.images[0] : null)
             );
             return (
-              <li key={it.product.id} className="flex items-center gap-3">
+              <li key={cartKey(it.product)} className="flex items-center gap-3">
                 <div className="w-16 h-12 rounded-xl overflow-hidden bg-slate-800 ring-1 ring-white/10">
                   {img ? (
                     <img
@@ -552,6 +655,9 @@ export default function Checkout() {
                 </div>
                 <div className="flex-1">
                   <div className="font-medium">{it.product.title}</div>
+                  {it.product.variantLabel ? (
+                    <div className="text-white/60 text-xs">{it.product.variantLabel}</div>
+                  ) : null}
                   {Number.isFinite(it.qty) && it.qty > 1 ? (
                     <div className="text-white/70 text-sm">
                       {formatSats(it.product.priceSats)} sats × {it.qty}
@@ -599,9 +705,59 @@ export default function Checkout() {
             No shipping zone covers {countryLabel}. Choose a different country or contact us.
           </div>
         )}
+        {discount && discountSats > 0 && (
+          <div className="mt-1 flex items-center justify-between">
+            <div className="text-white/70">Discount ({discount.code})</div>
+            <div className="font-medium text-emerald-300">−{formatSats(discountSats)} sats</div>
+          </div>
+        )}
+        {!inv && (
+          <div className="mt-3">
+            <div className="flex gap-2">
+              <input
+                className="flex-1 px-4 py-2 rounded-2xl bg-slate-950 ring-1 ring-white/10 uppercase"
+                placeholder="Discount code"
+                value={discountInput}
+                onChange={(e) => setDiscountInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    applyDiscount(discountInput);
+                  }
+                }}
+              />
+              {discount ? (
+                <button
+                  type="button"
+                  className="px-4 py-2 rounded-2xl bg-slate-800 ring-1 ring-white/10 text-sm"
+                  onClick={() => {
+                    setDiscount(null);
+                    setDiscountInput("");
+                    setDiscountError("");
+                  }}
+                >
+                  Remove
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className="px-4 py-2 rounded-2xl bg-slate-800 ring-1 ring-white/10 text-sm"
+                  disabled={discountBusy || !discountInput.trim()}
+                  onClick={() => applyDiscount(discountInput)}
+                >
+                  {discountBusy ? "Checking…" : "Apply"}
+                </button>
+              )}
+            </div>
+            {discountError && <div className="mt-1 text-xs text-amber-200">{discountError}</div>}
+          </div>
+        )}
         <div className="mt-2 flex items-center justify-between text-lg">
           <div className="font-semibold">Total</div>
-          <div className="font-semibold">{formatSats(total)} sats</div>
+          <div className="font-semibold">
+            {formatSats(total)} sats
+            {totalFiat ? <span className="ml-2 text-sm font-normal text-white/50">{totalFiat}</span> : null}
+          </div>
         </div>
 
         {inv && (
@@ -631,6 +787,7 @@ export default function Checkout() {
               onchainAmountSats={inv.onchainAmountSats}
               invoiceSats={inv.satoshis ?? inv.totalSats}
               bip21={inv.onchainBip21}
+              progress={onchainProgress}
             />
           ) : (
             <PayModal
@@ -647,7 +804,7 @@ export default function Checkout() {
   );
 }
 
-function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats, invoiceSats = 0, bip21 }) {
+function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats, invoiceSats = 0, bip21, progress }) {
   const [copiedAddr, setCopiedAddr] = useState(false);
   const [copiedUri, setCopiedUri] = useState(false);
   const reduce = useReducedMotion();
@@ -655,15 +812,20 @@ function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats
   const [startMs] = useState(() => Date.now());
   useStatusFeedback(status);
 
-  const sats = Math.max(0, Math.floor(Number(onchainAmountSats || 0)));
+  const statusUpper = String(status || "PENDING").toUpperCase();
+  // Partly paid: ask for the rest on the same address
+  const isPartial = statusUpper === "PARTIAL" && progress?.onchainRemainingSats > 0;
+  const totalSats = Math.max(0, Math.floor(Number(onchainAmountSats || 0)));
+  const sats = isPartial ? progress.onchainRemainingSats : totalSats;
   const btcAmount = sats > 0 ? (sats / 1e8).toFixed(8).replace(/0+$/, "").replace(/\.$/, "") : "";
-  const uri = bip21 || (onchainAddress ? `bitcoin:${onchainAddress}${btcAmount ? `?amount=${btcAmount}` : ""}` : "");
+  const uri = (isPartial ? progress.onchainTopUpBip21 : bip21) ||
+    (onchainAddress ? `bitcoin:${onchainAddress}${btcAmount ? `?amount=${btcAmount}` : ""}` : "");
   const invoiceSatsSafe = Math.max(0, Math.floor(Number(invoiceSats || 0)));
-  const feeSats = Math.max(0, sats - invoiceSatsSafe);
+  const feeSats = Math.max(0, totalSats - invoiceSatsSafe);
 
-  const statusUpper = String(status || "PENDING").toUpperCase();
   const statusLabel = (() => {
     switch (statusUpper) {
+      case "PARTIAL": return "Partly paid";
       case "MEMPOOL": return "Seen in mempool 🎉";
       case "CONFIRMED": return "Confirmed on-chain";
       case "PAID": return "Lightning invoice paid";
@@ -702,6 +864,8 @@ function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats
   })();
 
   const isMempool = statusUpper === "MEMPOOL";
+  const requiredConfs = progress?.onchainRequiredConfirmations ?? 1;
+  const seenConfs = progress?.onchainConfirmations ?? null;
 
   return (
     <motion.div
@@ -761,6 +925,12 @@ function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats
             Includes Boltz (submarine swap) fee: <span className="font-semibold text-white/80">{formatSats(feeSats)} sats</span>
           </div>
         )}
+        {isPartial && (
+          <div className="mt-3 rounded-2xl p-3 bg-amber-500/10 ring-1 ring-amber-400/30 text-sm text-amber-100">
+            We received {formatSats(progress.onchainReceivedSats)} of {formatSats(totalSats)} sats.
+            Send the remaining <span className="font-semibold">{formatSats(sats)} sats</span> to the same address to complete the order.
+          </div>
+        )}
         <div className="mt-4 grid place-items-center">
           {!isMempool ? (
             <>
@@ -796,7 +966,11 @@ function OnchainModal({ onClose, status, live, onchainAddress, onchainAmountSats
                   />
                 </div>
                 <div className="text-center text-white/80 text-xs px-3">
-                  Hooray! We spotted your payment in mempool. Hang in there—once this hits the first confirmation, we’ll settle the payment automatically.
+                  {seenConfs > 0
+                    ? `Your payment has ${seenConfs} of ${requiredConfs} confirmations. We’ll settle it automatically once it has ${requiredConfs}.`
+                    : requiredConfs > 1
+                      ? `Hooray! We spotted your payment in mempool. Hang in there—once it has ${requiredConfs} confirmations, we’ll settle the payment automatically.`
+                      : "Hooray! We spotted your payment in mempool. Hang in there—once this hits the first confirmation, we’ll settle the payment automatically."}
                 </div>
               </div>
             </div>
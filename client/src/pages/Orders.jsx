@@ -59,7 +59,10 @@ export default function Orders() {
     if (v === "PENDING") return "bg-amber-600/30";
     if (v === "PAID") return "bg-emerald-600/30";
     if (v === "PREPARATION") return "bg-amber-600/30";
+    if (v === "PARTIALLY_SHIPPED") return "bg-blue-600/30";
     if (v === "SHIPPED") return "bg-blue-600/30";
+    if (v === "REFUND_REQUESTED") return "bg-orange-600/30";
+    if (v === "REFUNDED") return "bg-rose-600/30";
     return "bg-white/10";
   }
 
@@ -158,7 +161,7 @@ export default function Orders() {
                 <ul className="mt-3 list-disc ml-5">
                   {(o.items || []).map((it, i) => (
                     <li key={i}>
-                      {it.title}, {formatSats(it.priceSats)} sats
+                      {it.title}{it.variantLabel ? ` (${it.variantLabel})` : ""}, {formatSats(it.priceSats)} sats
                     </li>
                   ))}
                 </ul>
@@ -175,8 +178,21 @@ export default function Orders() {
                   </div>
                 )}
 
+                {/* One line per parcel when the order has shipments */}
+                {Array.isArray(o.shipments) && o.shipments.length > 0 && (
+                  <div className="mt-3 text-sm text-white/70">
+                    <div className="font-semibold mb-1">Shipping</div>
+                    {o.shipments.map((sh) => (
+                      <div key={sh.id}>
+                        {sh.courier}: <span className="text-white/80">{sh.tracking}</span>
+                        <span className="text-white/50"> · {(sh.items || []).map((it) => `${it.qty}× ${it.title}`).join(", ")}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Shipping info when available (kept) */}
-                {o.status === "SHIPPED" && (o.courier || o.tracking) && (
+                {o.status === "SHIPPED" && !(o.shipments || []).length && (o.courier || o.tracking) && (
                   <div className="mt-3 text-sm text-white/70">
                     <div className="font-semibold mb-1">Shipping</div>
                     {o.courier ? (
@@ -192,6 +208,14 @@ export default function Orders() {
                   </div>
                 )}
 
+                {(o.status === "REFUND_REQUESTED" || o.status === "REFUNDED") && o.refundSats > 0 && (
+                  <div className="mt-3 text-sm text-white/70">
+                    {o.status === "REFUNDED"
+                      ? `Refund of ${formatSats(o.refundSats)} sats sent.`
+                      : `Refund of ${formatSats(o.refundSats)} sats in progress.`}
+                  </div>
+                )}
+
                 {/* Inline hint when clickable */}
                 {href ? (
                   <div className="mt-3 text-xs text-white/60">
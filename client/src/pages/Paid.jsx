@@ -11,9 +11,11 @@ import QR from "../components/QR.jsx";
  *   • English status labels on the badge.
  *   • No payment hash shown.
  *   • Prominent, copyable Order ID.
- *   • If SHIPPED, show a shipped headline and courier/tracking details.
+ *   • If SHIPPED, show a shipped headline and courier/tracking details
+ *     (one row per parcel when the order ships in several shipments).
  *   • Pretty receipt with thumbnails, address, contacts, notes.
  *   • Simple status timeline (PAID → PREPARATION → SHIPPED).
+ *   • Refund card instead of the timeline once a refund is requested/sent.
  */
 export default function Paid() {
   const { hash } = useParams();
@@ -29,13 +31,19 @@ export default function Paid() {
     () => String(order?.paymentMethod || "lightning").toLowerCase(),
     [order?.paymentMethod]
   );
-  const isLightning = paymentMethod === "lightning";
+  // Cashu orders are settled through their Lightning invoice
+  const isLightning = paymentMethod === "lightning" || paymentMethod === "cashu";
   const isOnchain = paymentMethod === "onchain";
-  const isPendingLike = statusUpper === "PENDING" || statusUpper === "MEMPOOL" || statusUpper === "CONFIRMED";
+  // PARTIAL: an XPUB address received less than asked; the buyer can top up
+  const isPartial = statusUpper === "PARTIAL";
+  const isPendingLike = statusUpper === "PENDING" || isPartial || statusUpper === "MEMPOOL" || statusUpper === "CONFIRMED";
   const paymentInFlight = statusUpper === "MEMPOOL" || statusUpper === "CONFIRMED";
   const isShipped = statusUpper === "SHIPPED";
-  const isPrep = statusUpper === "PREPARATION" || isShipped;
-  const isPaid = statusUpper === "PAID" || isPrep || paymentInFlight;
+  const isPartiallyShipped = statusUpper === "PARTIALLY_SHIPPED";
+  const isPrep = statusUpper === "PREPARATION" || isPartiallyShipped || isShipped;
+  const shipments = Array.isArray(order?.shipments) ? order.shipments : [];
+  const isRefund = statusUpper === "REFUND_REQUESTED" || statusUpper === "REFUNDED";
+  const isPaid = statusUpper === "PAID" || isPrep || paymentInFlight || isRefund;
   const invoiceSats = Math.max(0, Number(order?.totalSats || 0));
   const onchainAmountSats = Math.max(
     0,
@@ -45,7 +53,9 @@ export default function Paid() {
     () => (order?.paymentRequest ? `lightning:${order.paymentRequest}` : ""),
     [order?.paymentRequest]
   );
+  const remainingSats = isPartial ? Math.max(0, Number(order?.onchainRemainingSats || 0)) : 0;
   const bip21 = useMemo(() => {
+    if (remainingSats && order?.onchainTopUpBip21) return order.onchainTopUpBip21;
     if (order?.onchainBip21) return order.onchainBip21;
     const addr = order?.onchainAddress || order?.boltzAddress;
     if (!addr) return "";
@@ -53,7 +63,11 @@ export default function Paid() {
       ? (onchainAmountSats / 1e8).toFixed(8).replace(/0+$/, "").replace(/\.$/, "")
       : "";
     return `bitcoin:${addr}${btc ? `?amount=${btc}` : ""}`;
-  }, [order?.onchainAddress, order?.boltzAddress, order?.onchainBip21, onchainAmountSats]);
+  }, [order?.onchainAddress, order?.boltzAddress, order?.onchainBip21, order?.onchainTopUpBip21, remainingSats, onchainAmountSats]);
+  // How far an on-chain payment is from the confirmations the shop waits for
+  const requiredConfs = order?.onchainRequiredConfirmations ?? null;
+  const seenConfs = order?.onchainConfirmations ?? null;
+  const showConfs = isOnchain && paymentInFlight && requiredConfs > 0;
   const canResumePayment =
     isPendingLike &&
     ((isLightning && !!order?.paymentRequest) || (isOnchain && (!!order?.onchainAddress || !!order?.onchainBip21 || !!order?.boltzAddress)));
@@ -127,15 +141,24 @@ export default function Paid() {
       if (cancelled) return;
       try {
         let st = "";
+        let progress = null;
         if (isOnchain && swapRef) {
           const r = await api.get(`/payments/${swapRef}/status`);
           st = String(r.data?.status || "").toUpperCase();
+          if (r.data?.onchainReceivedSats !== undefined) {
+            const { onchainReceivedSats, onchainRemainingSats, onchainTopUpBip21 } = r.data;
+            progress = { onchainReceivedSats, onchainRemainingSats, onchainTopUpBip21 };
+          }
+          if (r.data?.onchainRequiredConfirmations !== undefined) {
+            const { onchainConfirmations, onchainRequiredConfirmations, onchainRbf, onchainDoubleSpend } = r.data;
+            progress = { ...progress, onchainConfirmations, onchainRequiredConfirmations, onchainRbf, onchainDoubleSpend };
+          }
         } else if (hashRef) {
           const r = await api.get(`/payments/${hashRef}/status`);
           st = String(r.data?.status || "").toUpperCase();
         }
-        if (st && st !== statusUpper) {
-          setOrder((prev) => (prev && prev.id === order.id ? { ...prev, status: st } : prev));
+        if ((st && st !== statusUpper) || progress) {
+          setOrder((prev) => (prev && prev.id === order.id ? { ...prev, ...progress, status: st || prev.status } : prev));
         }
         if (st === "PAID" || st === "EXPIRED" || st === "FAILED") return;
       } catch {}
@@ -156,11 +179,15 @@ export default function Paid() {
 
   const statusLabel = useMemo(() => {
     if (statusUpper === "PENDING") return "PENDING";
+    if (statusUpper === "PARTIAL") return "PARTLY PAID";
     if (statusUpper === "MEMPOOL") return "MEMPOOL";
     if (statusUpper === "CONFIRMED") return "CONFIRMED";
     if (statusUpper === "PAID") return "PAID";
     if (statusUpper === "PREPARATION") return "IN PREPARATION";
+    if (statusUpper === "PARTIALLY_SHIPPED") return "PARTIALLY SHIPPED";
     if (statusUpper === "SHIPPED") return "SHIPPED";
+    if (statusUpper === "REFUND_REQUESTED") return "REFUND IN PROGRESS";
+    if (statusUpper === "REFUNDED") return "REFUNDED";
     if (statusUpper === "EXPIRED") return "EXPIRED";
     if (statusUpper === "FAILED") return "FAILED";
     return statusUpper;
@@ -168,12 +195,16 @@ export default function Paid() {
 
   function statusBadgeClasses(s) {
     switch (String(s || "").toUpperCase()) {
-      case "PENDING": return "bg-amber-600/30 text-amber-200 ring-amber-400/30";
+      case "PENDING":
+      case "PARTIAL": return "bg-amber-600/30 text-amber-200 ring-amber-400/30";
       case "MEMPOOL":
       case "CONFIRMED": return "bg-blue-600/30 text-blue-200 ring-blue-400/30";
       case "PAID": return "bg-emerald-600/30 text-emerald-200 ring-emerald-400/30";
       case "PREPARATION": return "bg-amber-600/30 text-amber-200 ring-amber-400/30";
+      case "PARTIALLY_SHIPPED":
       case "SHIPPED": return "bg-blue-600/30 text-blue-200 ring-blue-400/30";
+      case "REFUND_REQUESTED": return "bg-orange-600/30 text-orange-200 ring-orange-400/30";
+      case "REFUNDED":
       case "EXPIRED":
       case "FAILED": return "bg-rose-600/30 text-rose-200 ring-rose-400/30";
       default: return "bg-white/10 text-white/80 ring-white/20";
@@ -222,6 +253,7 @@ export default function Paid() {
 
   const heroTitle = (() => {
     if (isShipped) return <>🎉 Great news, your order has shipped! 🚚</>;
+    if (isPartiallyShipped) return <>Part of your order has shipped! 🚚</>;
     if (paymentInFlight) return <>We detected your payment</>;
     if (isPendingLike) return <>Awaiting your payment</>;
     if (isFailed) return <>Payment not completed</>;
@@ -230,6 +262,7 @@ export default function Paid() {
 
   const heroSubtitle = (() => {
     if (isShipped) return "Below are your shipment details and your receipt.";
+    if (isPartiallyShipped) return "The rest follows in another parcel; we’ll send its tracking too.";
     if (paymentInFlight) return "We saw your transaction and will mark the order paid as soon as it finalizes.";
     if (isPendingLike) return "Finish the invoice below if you lost it after reloading the page.";
     if (isFailed) return "This invoice was not completed. You can restart checkout if you still want the order.";
@@ -283,8 +316,46 @@ export default function Paid() {
               ) : null}
             </div>
 
-            {/* Shipped details (courier + tracking) */}
-            {isShipped && (
+            {/* Cashu change: what the mint returned from the fee reserve */}
+            {order?.cashuChange ? (
+              <div className="mt-4 p-3 rounded-xl bg-slate-800 ring-1 ring-white/10">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-white/70">Your Cashu change</span>
+                  <span className="font-semibold">{formatSats(order.cashuChangeSats || 0)} sats</span>
+                  <button
+                    onClick={() => copy(order.cashuChange, "change")}
+                    className="ml-auto text-xs px-2 py-1 rounded-lg bg-slate-900 ring-1 ring-white/10"
+                    title="Copy change token"
+                  >
+                    {copying.change ? "Copied!" : "Copy"}
+                  </button>
+                </div>
+                <div className="mt-2 font-mono text-xs break-all text-white/70">{order.cashuChange}</div>
+                <div className="mt-1 text-xs text-white/60">Paste it into your Cashu wallet to receive it.</div>
+              </div>
+            ) : null}
+
+            {/* Shipped details, one row per parcel */}
+            {(isShipped || isPartiallyShipped) && shipments.length > 0 && (
+              <div className="mt-4 grid gap-2">
+                {shipments.map((sh) => (
+                  <div key={sh.id} className="flex flex-wrap items-center gap-3">
+                    <div className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10">
+                      {(sh.items || []).map((it) => `${it.qty}× ${it.title}${it.variantLabel ? ` (${it.variantLabel})` : ""}`).join(", ")}
+                    </div>
+                    <div className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10">
+                      <span className="text-white/70 mr-2">Courier</span>
+                      <span className="font-semibold">{sh.courier || "-"}</span>
+                    </div>
+                    <div className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10 break-all">
+                      <span className="text-white/70 mr-2">Tracking</span>
+                      <span className="font-semibold">{sh.tracking || "-"}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {isShipped && !shipments.length && (
               <div className="mt-4 flex flex-wrap items-center gap-3">
                 <div className="px-3 py-2 rounded-xl bg-slate-800 ring-1 ring-white/10">
                   <span className="text-white/70 mr-2">Courier</span>
@@ -309,8 +380,36 @@ export default function Paid() {
                 <div className="mt-1 text-white/70">
                   {paymentInFlight
                     ? "We detected your transaction and will confirm it automatically."
-                    : "If you reloaded the page, you can pay the same invoice again below."}
+                    : remainingSats
+                      ? `We received ${formatSats(order?.onchainReceivedSats || 0)} of ${formatSats(onchainAmountSats)} sats. Send the remaining ${formatSats(remainingSats)} sats to the same address to complete the order.`
+                      : "If you reloaded the page, you can pay the same invoice again below."}
                 </div>
+                {showConfs ? (
+                  <div className="mt-3 space-y-1">
+                    <div className="text-sm text-white/80">
+                      Waiting for {requiredConfs} confirmation{requiredConfs === 1 ? "" : "s"}
+                      {seenConfs !== null ? ` (${Math.min(seenConfs, requiredConfs)} of ${requiredConfs})` : ""}
+                    </div>
+                    {seenConfs !== null ? (
+                      <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                        <div
+                          className="h-full bg-blue-400/80"
+                          style={{ width: `${Math.min(100, (seenConfs / requiredConfs) * 100)}%` }}
+                        />
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+                {isOnchain && order?.onchainDoubleSpend ? (
+                  <div className="mt-3 rounded-2xl p-3 bg-rose-900/30 ring-1 ring-rose-400/30 text-sm text-rose-100">
+                    A transaction sent for this order was replaced or dropped from the mempool. If you did not replace it
+                    yourself, check your wallet: only confirmed payments count.
+                  </div>
+                ) : isOnchain && order?.onchainRbf && paymentInFlight ? (
+                  <div className="mt-3 text-xs text-white/60">
+                    Your transaction can still be replaced (it signals RBF), so we wait for it to be confirmed.
+                  </div>
+                ) : null}
               </div>
               <span className={`inline-flex items-center gap-2 px-2 py-1 rounded-xl text-xs ring-1 ${statusBadgeClasses(statusUpper)}`}>
                 <span className="inline-block h-1.5 w-1.5 rounded-full bg-current/80" />
@@ -354,8 +453,8 @@ export default function Paid() {
                 </div>
                 <div className="space-y-3">
                   <div className="text-sm text-white/70">
-                    Amount: <span className="font-semibold">{formatSats(isOnchain ? onchainAmountSats : invoiceSats)} sats</span>
-                    {isOnchain && onchainAmountSats !== invoiceSats ? (
+                    {remainingSats ? "Remaining" : "Amount"}: <span className="font-semibold">{formatSats(remainingSats || (isOnchain ? onchainAmountSats : invoiceSats))} sats</span>
+                    {isOnchain && !remainingSats && onchainAmountSats !== invoiceSats ? (
                       <span className="text-xs text-white/60 ml-2">(includes swap fee)</span>
                     ) : null}
                   </div>
@@ -457,6 +556,9 @@ export default function Paid() {
                       </div>
                       <div className="flex-1 min-w-0">
                         <div className="font-medium truncate">{it.title}</div>
+                        {it.variantLabel ? (
+                          <div className="text-xs text-white/60 truncate">{it.variantLabel}</div>
+                        ) : null}
                         <div className="text-sm text-white/70">Qty: {Math.max(1, Number(it.qty) || 1)}</div>
                       </div>
                       <div className="text-right font-medium">
@@ -468,7 +570,7 @@ export default function Paid() {
               </ul>
 
               {/* Totals */}
-              <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className={`mt-4 grid grid-cols-1 gap-3 ${order.discountSats > 0 ? "sm:grid-cols-4" : "sm:grid-cols-3"}`}>
                 <div className="px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10">
                   <div className="text-white/70 text-sm">Subtotal</div>
                   <div className="font-semibold">{formatSats(order.subtotalSats)} sats</div>
@@ -483,6 +585,12 @@ export default function Paid() {
                     )}
                   </div>
                 </div>
+                {order.discountSats > 0 && (
+                  <div className="px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10">
+                    <div className="text-white/70 text-sm">Discount ({order.discountCode})</div>
+                    <div className="font-semibold">−{formatSats(order.discountSats)} sats</div>
+                  </div>
+                )}
                 <div className="px-4 py-3 rounded-2xl bg-slate-950 ring-1 ring-white/10">
                   <div className="text-white/70 text-sm">Total</div>
                   <div className="font-semibold">{formatSats(order.totalSats)} sats</div>
@@ -529,7 +637,34 @@ export default function Paid() {
           )}
         </div>
 
+        {isRefund && (
+          <div className="rounded-3xl p-6 md:p-7 bg-slate-900 ring-1 ring-white/10">
+            <div className="flex flex-wrap items-start gap-3">
+              <div className="flex-1 min-w-[240px]">
+                <div className="text-lg font-semibold">
+                  {statusUpper === "REFUNDED" ? "Refund sent" : "Refund in progress"}
+                </div>
+                <div className="mt-1 text-white/70">
+                  {statusUpper === "REFUNDED"
+                    ? `We sent you a refund of ${formatSats(order?.refundSats)} sats.`
+                    : `We’re processing a refund of ${formatSats(order?.refundSats)} sats and will notify you once it has been sent.`}
+                </div>
+                {statusUpper === "REFUNDED" && order?.refundReference ? (
+                  <div className="mt-2 text-sm text-white/60 break-all">
+                    Reference: <span className="font-mono">{order.refundReference}</span>
+                  </div>
+                ) : null}
+              </div>
+              <span className={`inline-flex items-center gap-2 px-2 py-1 rounded-xl text-xs ring-1 ${statusBadgeClasses(statusUpper)}`}>
+                <span className="inline-block h-1.5 w-1.5 rounded-full bg-current/80" />
+                {statusLabel}
+              </span>
+            </div>
+          </div>
+        )}
+
         {/* Timeline / what's next */}
+        {!isRefund && (
         <div className="rounded-3xl p-6 md:p-7 bg-slate-900 ring-1 ring-white/10">
           <div className="text-lg font-semibold mb-3">What happens next</div>
           <div className="grid sm:grid-cols-3 gap-3">
@@ -558,6 +693,7 @@ export default function Paid() {
             </div>
           </div>
         </div>
+        )}
 
         {/* Actions */}
         <div className="flex flex-wrap gap-3">
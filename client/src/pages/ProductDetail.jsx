@@ -3,7 +3,7 @@ import { useParams, useNavigate } from "react-router-dom";
 import api, { absoluteApiUrl } from "../services/api.js";
 import { useCart } from "../store/cart.jsx";
 import { useSettings } from "../store/settings.jsx";
-import { formatSats } from "../utils/format.js";
+import { formatFiatPrice, formatSats } from "../utils/format.js";
 import { motion, useReducedMotion, AnimatePresence } from "framer-motion";
 import { normalizeShippingZones } from "../utils/shipping.js";
 import ProductComments from "../components/ProductComments.jsx";
@@ -12,6 +12,7 @@ export default function ProductDetail() {
   const { id } = useParams();
   const [p, setP] = useState(null);
   const [active, setActive] = useState(0);
+  const [selection, setSelection] = useState({});
   const nav = useNavigate();
   const { add } = useCart();
   const { settings: remoteSettings } = useSettings();
@@ -63,7 +64,12 @@ export default function ProductDetail() {
         if (absImages) merged.imageUrls = absImages;
         if (absThumbs) merged.thumbUrls = absThumbs;
         setP(merged);
-        const idx = Number.isInteger(data?.mainImageIndex)
+        const variants = Array.isArray(data.variants) ? data.variants : [];
+        const initialVariant = variants.find((v) => v.available) || variants[0] || null;
+        setSelection(initialVariant ? { ...initialVariant.options } : {});
+        const idx = Number.isInteger(initialVariant?.imageIndex)
+          ? initialVariant.imageIndex
+          : Number.isInteger(data?.mainImageIndex)
           ? data.mainImageIndex
           : 0;
         setActive(Math.max(0, idx));
@@ -89,15 +95,25 @@ export default function ProductDetail() {
   const mainImgsAbs = mainImgs.map((u) => absoluteApiUrl(u));
   const thumbImgsAbs = thumbImgs.map((u) => absoluteApiUrl(u));
   const mainImgsLen = mainImgs.length;
+  const variantOptions = Array.isArray(p?.variantOptions) ? p.variantOptions : [];
+  const variants = Array.isArray(p?.variants) ? p.variants : [];
+  const hasVariants = variants.length > 0;
+  const selectedVariant = useMemo(
+    () =>
+      variants.find((v) =>
+        variantOptions.every((axis) => v.options?.[axis.name] === selection[axis.name])
+      ) || null,
+    [variants, variantOptions, selection]
+  );
   const stockLabel = useMemo(() => {
     if (!p?.available) return "";
-    if (p.isUnique) return "";
-    const qty = Number(p?.maxQuantity);
+    if (p.isUnique && !selectedVariant) return "";
+    const qty = Number(selectedVariant ? selectedVariant.maxQuantity : p?.maxQuantity);
     if (!Number.isFinite(qty) || qty <= 0) return "";
     if (qty === 1) return "Only 1 piece left in stock";
     if (qty <= 5) return `Only ${qty} pieces left in stock`;
     return `${qty} pieces in stock`;
-  }, [p?.available, p?.isUnique, p?.maxQuantity]);
+  }, [p?.available, p?.isUnique, p?.maxQuantity, selectedVariant]);
 
   // Lightbox keyboard controls - depend only on booleans/length, not arrays themselves
   useEffect(() => {
@@ -167,6 +183,24 @@ export default function ProductDetail() {
     ? "Free Shipping Worldwide"
     : "Free shipping on this item";
 
+  const displayPriceSats = selectedVariant ? selectedVariant.priceSats : p.priceSats;
+  const displayFiat = formatFiatPrice({
+    priceSats: displayPriceSats,
+    priceCurrency: p.priceCurrency,
+    priceFiat: selectedVariant?.priceFiat ?? p.priceFiat
+  }, remoteSettings?.fiatDisplay);
+  const canAdd = p.available && (!hasVariants || !!selectedVariant?.available);
+  const selectOption = (axisName, value) => {
+    const next = { ...selection, [axisName]: value };
+    setSelection(next);
+    const match = variants.find((v) =>
+      variantOptions.every((axis) => v.options?.[axis.name] === next[axis.name])
+    );
+    if (Number.isInteger(match?.imageIndex) && match.imageIndex < mainImgsLen) {
+      setActive(match.imageIndex);
+    }
+  };
+
   const hasImages = mainImgs.length > 0;
   const mainImageAbsolute = hasImages ? mainImgsAbs[Math.max(0, Math.min(active, mainImgsAbs.length - 1))] || mainImgsAbs[0] : "";
 
@@ -225,9 +259,10 @@ export default function ProductDetail() {
           <div className="mt-4 flex items-center gap-3">
             <span className="text-xs uppercase tracking-[0.25em] text-white/50">Price</span>
             <span className="inline-flex items-baseline gap-1 rounded-2xl bg-indigo-500/15 px-4 py-2 text-3xl font-semibold text-indigo-100">
-              {formatSats(p.priceSats)}
+              {formatSats(displayPriceSats)}
               <span className="text-sm font-medium text-indigo-200/80">sats</span>
             </span>
+            {displayFiat ? <span className="text-lg text-white/70">{displayFiat}</span> : null}
           </div>
           {showFreeShippingPill && (
             <div className="mt-3 inline-flex items-center gap-1 rounded-2xl px-3 py-1 text-xs font-semibold free-shipping-pill">
@@ -247,12 +282,51 @@ export default function ProductDetail() {
             {p.longDescription || p.description}
           </p>
 
+          {hasVariants && (
+            <div className="mt-6 space-y-4">
+              {variantOptions.map((axis) => (
+                <div key={axis.name}>
+                  <div className="text-xs uppercase tracking-[0.2em] text-white/50 mb-2">{axis.name}</div>
+                  <div className="flex flex-wrap gap-2">
+                    {axis.values.map((value) => {
+                      const selected = selection[axis.name] === value;
+                      const reachable = variants.some(
+                        (v) =>
+                          v.available &&
+                          v.options?.[axis.name] === value &&
+                          variantOptions.every(
+                            (other) => other.name === axis.name || v.options?.[other.name] === selection[other.name]
+                          )
+                      );
+                      return (
+                        <button
+                          key={value}
+                          type="button"
+                          aria-pressed={selected}
+                          onClick={() => selectOption(axis.name, value)}
+                          className={`px-3 py-1.5 rounded-xl text-sm ring-1 ${
+                            selected ? "bg-indigo-500/80 ring-indigo-300" : "bg-slate-900 ring-white/10"
+                          } ${reachable ? "" : "opacity-50 line-through"}`}
+                        >
+                          {value}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+              {p.available && !selectedVariant?.available && (
+                <div className="text-sm text-white/60">This combination is not available.</div>
+              )}
+            </div>
+          )}
+
           <div className="mt-8 flex flex-col gap-2">
             <button
               className="px-4 py-3 rounded-2xl bg-indigo-500/90 hover:bg-indigo-500 focus-visible:ring-2 focus-visible:ring-indigo-400 disabled:opacity-50 w-max"
-              disabled={!p.available}
+              disabled={!canAdd}
               onClick={() => {
-                add(p, 1);
+                add(p, 1, selectedVariant?.id);
               }}
             >
               Add to Cart
@@ -22,7 +22,8 @@ vi.mock("../../store/cart.jsx", () => ({
     ],
     remove: removeMock,
     subtotal: () => 1234
-  })
+  }),
+  cartKey: (product) => (product.variantId ? `${product.id}:${product.variantId}` : product.id)
 }));
 
 describe("Cart page", () => {
@@ -37,7 +37,8 @@ vi.mock("../../store/cart.jsx", () => ({
     ],
     clear: vi.fn(),
     subtotal: () => 1000
-  })
+  }),
+  cartKey: (product) => (product.variantId ? `${product.id}:${product.variantId}` : product.id)
 }));
 vi.mock("../../store/settings.jsx", () => ({
   useSettings: () => ({
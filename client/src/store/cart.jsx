@@ -4,7 +4,7 @@ import api from "../services/api.js";
 const Ctx = createContext(null);
 
 const STORAGE_KEY = "cart_v1";
-const CART_VERSION = 4;
+const CART_VERSION = 5;
 const MAX_QTY = 99;
 const MAX_CART_ITEMS = 24;
 
@@ -49,6 +49,38 @@ function selectPreviewImage(product) {
   );
 }
 
+// Cart lines are keyed by product + variant so two sizes of one print can coexist.
+export function cartKey(product) {
+  if (!product?.id) return "";
+  return product.variantId ? `${product.id}:${product.variantId}` : product.id;
+}
+
+// Overlay the chosen variant's price, stock and image onto a full product payload.
+// Returns null when the product has variants and the id no longer matches one.
+export function applyVariant(product, variantId) {
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  if (!variants.length) return product;
+  const variant = variants.find((v) => v.id === variantId);
+  if (!variant) return null;
+  const out = {
+    ...product,
+    variantId: variant.id,
+    variantLabel: variant.label || "",
+    priceSats: Number(variant.priceSats || 0),
+    priceFiat: product.priceCurrency ? (variant.priceFiat ?? product.priceFiat ?? null) : null,
+    isUnique: false,
+    quantityAvailable: variant.quantityAvailable ?? null,
+    maxQuantity: variant.maxQuantity ?? null,
+    available: !!product.available && variant.available !== false
+  };
+  if (Number.isInteger(variant.imageIndex)) {
+    out.mainImageIndex = variant.imageIndex;
+    const thumb = Array.isArray(product.thumbUrls) ? product.thumbUrls[variant.imageIndex] : "";
+    if (thumb) out.previewImage = thumb;
+  }
+  return out;
+}
+
 function sanitizeZoneOverrides(source) {
   const list = Array.isArray(source) ? source : [];
   const seen = new Set();
@@ -78,8 +110,12 @@ function snapshotProduct(product, { needsShippingHydrate = false } = {}) {
 
   const out = {
     id: product.id,
+    variantId: product.variantId ? String(product.variantId) : "",
+    variantLabel: product.variantLabel ? String(product.variantLabel) : "",
     title: product.title || "Product",
     priceSats: Number(product.priceSats || 0),
+    priceCurrency: product.priceCurrency || "",
+    priceFiat: product.priceCurrency ? (product.priceFiat ?? null) : null,
     available: derivedAvailable,
     mainImageIndex: Number.isInteger(product.mainImageIndex) ? product.mainImageIndex : 0,
     mainImageThumbAbsoluteUrl: product.mainImageThumbAbsoluteUrl || "",
@@ -164,7 +200,7 @@ function mergeCartState(localEntries, remoteEntries) {
     for (const entry of list) {
       const product = snapshotProduct(entry?.product);
       if (!product) continue;
-      const pid = product.id;
+      const pid = cartKey(product);
       if (!pid) continue;
       const qty = clampQty(entry?.qty, product);
       if (qty <= 0) continue;
@@ -356,7 +392,10 @@ export function CartProvider({ children }) {
                 return null;
               }
               if (map.has(pid) && map.get(pid)) {
-                const merged = snapshotProduct({ ...map.get(pid) });
+                // Drop the line if its variant was removed (or the product gained variants)
+                const withVariant = applyVariant({ ...map.get(pid) }, entry.product?.variantId);
+                if (!withVariant) return null;
+                const merged = snapshotProduct(withVariant);
                 delete merged.__needsShippingHydrate;
                 return { product: merged, qty: entry.qty };
               }
@@ -375,7 +414,7 @@ export function CartProvider({ children }) {
     };
   }, [items]);
 
-  function add(product, qty=1) {
+  function add(product, qty=1, variantId="") {
     if (!product || !product.id) return;
     (async () => {
       let enriched = product;
@@ -397,7 +436,9 @@ export function CartProvider({ children }) {
       }
 
       const needsHydrateFlag = hydrateIfMissing;
-      const snapshot = snapshotProduct(enriched, { needsShippingHydrate: needsHydrateFlag });
+      const withVariant = applyVariant(enriched, variantId || enriched.variantId);
+      if (!withVariant) return;
+      const snapshot = snapshotProduct(withVariant, { needsShippingHydrate: needsHydrateFlag });
       if (!snapshot) return;
       if (!snapshot.__needsShippingHydrate) delete snapshot.__needsShippingHydrate;
 
@@ -406,7 +447,8 @@ export function CartProvider({ children }) {
         const q = clampQty(qty, snapshot);
         if (q <= 0) return prev;
         const next = [...prev];
-        const idx = next.findIndex(it => it.product.id === snapshot.id);
+        const key = cartKey(snapshot);
+        const idx = next.findIndex(it => cartKey(it.product) === key);
         if (idx >= 0) {
           const current = next[idx];
           const mergedProduct = snapshotProduct({ ...current.product, ...snapshot }) || current.product;
@@ -425,22 +467,22 @@ export function CartProvider({ children }) {
       }
     })();
   }
-  function remove(productId) {
+  function remove(key) {
     setItems(prev => {
-      const next = prev.filter(it => it.product.id !== productId);
+      const next = prev.filter(it => cartKey(it.product) !== key);
       safePersist(next);
       return next;
     });
   }
-  function updateQty(productId, qty) {
+  function updateQty(key, qty) {
     setItems(prev => {
-      const idx = prev.findIndex((it) => it.product.id === productId);
+      const idx = prev.findIndex((it) => cartKey(it.product) === key);
       if (idx === -1) return prev;
       const next = [...prev];
       const entry = next[idx];
       const clamped = clampQty(qty, entry.product);
       if (clamped <= 0) {
-        const filtered = next.filter((it) => it.product.id !== productId);
+        const filtered = next.filter((it) => cartKey(it.product) !== key);
         safePersist(filtered);
         return filtered;
       }
@@ -529,6 +571,9 @@ function CartToast({ notice, onHide }) {
           <div className="font-semibold text-white">
             {product.title || "Product"}
           </div>
+          {product.variantLabel ? (
+            <div className="text-xs text-white/70">{product.variantLabel}</div>
+          ) : null}
         </div>
       </div>
     </div>
@@ -3,10 +3,12 @@ import api from "../services/api.js";
 
 export function useAdmin() {
   const loggedIn = useRef(false);
+  const session = useRef(null);
   async function me() {
     const r = await api.get("/admin/me");
+    session.current = r.data || null;
     loggedIn.current = !!r.data?.loggedIn;
     return loggedIn.current;
   }
-  return { me, loggedIn };
+  return { me, loggedIn, session };
 }
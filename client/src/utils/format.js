@@ -3,3 +3,28 @@ export function formatSats(n) {
   if (!Number.isFinite(v)) return "";
   return v.toLocaleString("en-US");
 }
+
+function formatCurrency(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+// Fiat label shown next to a sats price: the exact price of fiat-pegged
+// products ("€45.00"), otherwise an approximation at the shop's display rate
+// from public settings ("≈ €27.10"); "" when neither is available.
+export function formatFiatPrice(item, fiatDisplay, qty = 1) {
+  const count = Math.max(1, Number(qty) || 1);
+  const pegged = item?.priceFiat === null || item?.priceFiat === undefined || item?.priceFiat === ""
+    ? NaN
+    : Number(item.priceFiat);
+  if (item?.priceCurrency && Number.isFinite(pegged)) {
+    return formatCurrency(pegged * count, item.priceCurrency);
+  }
+  const rate = Number(fiatDisplay?.rate);
+  const sats = Number(item?.priceSats);
+  if (!fiatDisplay?.currency || !(rate > 0) || !Number.isFinite(sats)) return "";
+  return `≈ ${formatCurrency((sats * count / 1e8) * rate, fiatDisplay.currency)}`;
+}
@@ -1,5 +1,5 @@
 import { describe, expect, it } from "vitest";
-import { formatSats } from "./format.js";
+import { formatFiatPrice, formatSats } from "./format.js";
 
 describe("formatSats", () => {
   it("formats integers with grouping", () => {
@@ -12,3 +12,17 @@ describe("formatSats", () => {
     expect(formatSats(undefined)).toBe("");
   });
 });
+
+describe("formatFiatPrice", () => {
+  const display = { currency: "EUR", rate: 50000 };
+
+  it("shows the pegged price of fiat-priced products", () => {
+    expect(formatFiatPrice({ priceSats: 90000, priceCurrency: "USD", priceFiat: 45 }, display)).toBe("$45.00");
+    expect(formatFiatPrice({ priceSats: 90000, priceCurrency: "USD", priceFiat: 45 }, null, 2)).toBe("$90.00");
+  });
+
+  it("approximates sats prices at the display rate", () => {
+    expect(formatFiatPrice({ priceSats: 100000 }, display)).toBe("≈ €50.00");
+    expect(formatFiatPrice({ priceSats: 100000 }, null)).toBe("");
+  });
+});
@@ -0,0 +1,97 @@
+// Helpers for the admin variant editor: option axes are edited as
+// "name + comma-separated values" and every combination gets a row.
+
+const MAX_AXES = 3;
+const MAX_COMBOS = 60;
+
+export function parseAxisValues(text) {
+  const out = [];
+  for (const part of String(text || "").split(",")) {
+    const value = part.trim();
+    if (value && !out.includes(value)) out.push(value);
+  }
+  return out;
+}
+
+export function makeInitialVariantAxes(initial) {
+  const list = Array.isArray(initial?.variantOptions) ? initial.variantOptions : [];
+  return list.slice(0, MAX_AXES).map((axis) => ({
+    name: axis?.name || "",
+    values: Array.isArray(axis?.values) ? axis.values.join(", ") : ""
+  }));
+}
+
+export function normalizeVariantAxes(axes) {
+  const seen = new Set();
+  const result = [];
+  for (const axis of Array.isArray(axes) ? axes : []) {
+    const name = String(axis?.name || "").trim();
+    const values = parseAxisValues(axis?.values);
+    if (!name || !values.length || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    result.push({ name, values });
+    if (result.length >= MAX_AXES) break;
+  }
+  return result;
+}
+
+export function variantComboKey(options, axes) {
+  return (Array.isArray(axes) ? axes : []).map((axis) => options?.[axis.name] ?? "").join(" / ");
+}
+
+export function buildVariantCombos(axes) {
+  const list = normalizeVariantAxes(axes);
+  if (!list.length) return [];
+  let combos = [{}];
+  for (const axis of list) {
+    const next = [];
+    for (const combo of combos) {
+      for (const value of axis.values) {
+        next.push({ ...combo, [axis.name]: value });
+        if (next.length >= MAX_COMBOS) break;
+      }
+      if (next.length >= MAX_COMBOS) break;
+    }
+    combos = next;
+  }
+  return combos.map((options) => ({ key: variantComboKey(options, list), options }));
+}
+
+// Draft rows keyed by combination label; inputs stay strings while editing.
+export function makeInitialVariantDraft(initial) {
+  const axes = Array.isArray(initial?.variantOptions) ? initial.variantOptions : [];
+  const draft = {};
+  for (const v of Array.isArray(initial?.variants) ? initial.variants : []) {
+    draft[variantComboKey(v.options, axes)] = {
+      id: v.id || "",
+      priceSats: v.priceSats ?? "",
+      priceFiat: v.priceFiat ?? "",
+      quantityAvailable: v.quantityAvailable ?? "",
+      imageIndex: Number.isInteger(v.imageIndex) ? String(v.imageIndex) : ""
+    };
+  }
+  return draft;
+}
+
+// With `fiat`, rows carry a fiat price (empty = the product's) and the
+// server derives their sats price from it.
+export function buildVariantPayload(axes, draft, { fallbackPriceSats = 0, fiat = false } = {}) {
+  const variantOptions = normalizeVariantAxes(axes);
+  const variants = buildVariantCombos(axes).map(({ key, options }) => {
+    const row = draft?.[key] || {};
+    const price = row.priceSats === "" || row.priceSats === undefined ? fallbackPriceSats : Number(row.priceSats);
+    const qty = row.quantityAvailable === "" || row.quantityAvailable === undefined
+      ? null
+      : Math.max(0, Math.floor(Number(row.quantityAvailable) || 0));
+    const priceFiat = !fiat || row.priceFiat === "" || row.priceFiat === undefined ? null : Number(row.priceFiat);
+    return {
+      id: row.id || undefined,
+      options,
+      priceSats: Math.max(0, Math.floor(Number(price) || 0)),
+      priceFiat: Number.isFinite(priceFiat) && priceFiat >= 0 ? priceFiat : null,
+      quantityAvailable: qty,
+      imageIndex: row.imageIndex === "" || row.imageIndex === undefined ? null : Number(row.imageIndex)
+    };
+  });
+  return { variantOptions: variants.length ? variantOptions : [], variants };
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { buildVariantCombos, buildVariantPayload, makeInitialVariantDraft } from "./variants.js";
+
+describe("buildVariantCombos", () => {
+  it("expands every axis value and skips incomplete axes", () => {
+    const combos = buildVariantCombos([
+      { name: "Size", values: "A4, A3, A4" },
+      { name: "Frame", values: "Black,Oak" },
+      { name: "", values: "ignored" }
+    ]);
+    expect(combos.map((c) => c.key)).toEqual([
+      "A4 / Black",
+      "A4 / Oak",
+      "A3 / Black",
+      "A3 / Oak"
+    ]);
+    expect(combos[1].options).toEqual({ Size: "A4", Frame: "Oak" });
+  });
+});
+
+describe("buildVariantPayload", () => {
+  it("keeps ids from the draft and falls back to the base price", () => {
+    const initial = {
+      variantOptions: [{ name: "Size", values: ["A4", "A3"] }],
+      variants: [{ id: "v1", options: { Size: "A3" }, priceSats: 1800, quantityAvailable: 2, imageIndex: 1 }]
+    };
+    const draft = makeInitialVariantDraft(initial);
+    const payload = buildVariantPayload([{ name: "Size", values: "A4, A3" }], draft, { fallbackPriceSats: 1000 });
+    expect(payload.variantOptions).toEqual([{ name: "Size", values: ["A4", "A3"] }]);
+    expect(payload.variants[0]).toMatchObject({ options: { Size: "A4" }, priceSats: 1000, quantityAvailable: null, imageIndex: null });
+    expect(payload.variants[1]).toMatchObject({ id: "v1", priceSats: 1800, quantityAvailable: 2, imageIndex: 1 });
+  });
+
+  it("returns empty lists when no axis is defined", () => {
+    expect(buildVariantPayload([], {})).toEqual({ variantOptions: [], variants: [] });
+  });
+});
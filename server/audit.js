@@ -0,0 +1,74 @@
+// server/audit.js
+// Audit trail for admin mutations. `auditAdminMutations` records every
+// successful non-GET /api/admin/* request; routes add detail by setting
+// res.locals.audit = { action, targetType, targetId, before, after }.
+import { AuditLog } from "./db.js";
+
+const SKIP_PATHS = ["/api/admin/login", "/api/admin/logout"];
+// Noise that changes on every write or is too bulky to be useful in a diff
+const IGNORED_KEYS = new Set(["updatedAt", "imageVersion", "images", "imageUrls", "thumbUrls", "cacheTag"]);
+const MAX_STRING = 300;
+const MAX_JSON = 2000;
+
+function summarize(value) {
+  if (typeof value === "string") {
+    return value.length > MAX_STRING ? `${value.slice(0, 120)}… (${value.length} chars)` : value;
+  }
+  if (value && typeof value === "object") {
+    const json = JSON.stringify(value);
+    if (json && json.length > MAX_JSON) {
+      return Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} fields}`;
+    }
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Shallow field diff: { field: { from, to } } for every top-level key whose
+ * value changed. A missing side (create/delete) diffs against null.
+ */
+export function diffObjects(before, after) {
+  const a = before && typeof before === "object" ? before : {};
+  const b = after && typeof after === "object" ? after : {};
+  const out = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_KEYS.has(key)) continue;
+    const from = a[key];
+    const to = b[key];
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    out[key] = { from: summarize(from), to: summarize(to) };
+  }
+  return out;
+}
+
+export function auditAdminMutations(req, res, next) {
+  const path = req.path || "";
+  const method = String(req.method || "").toUpperCase();
+  if (!path.startsWith("/api/admin/") || method === "GET" || method === "HEAD" || method === "OPTIONS") {
+    return next();
+  }
+  if (SKIP_PATHS.some((p) => path.startsWith(p))) return next();
+
+  res.on("finish", () => {
+    if (res.statusCode >= 400) return;
+    try {
+      const detail = res.locals.audit || {};
+      const actor = req.admin || {};
+      const routePath = req.route?.path || path;
+      AuditLog.record({
+        actorId: actor.id || "",
+        actorName: actor.username || "",
+        actorRole: actor.role || "",
+        method,
+        route: routePath,
+        action: detail.action || `${method} ${routePath}`,
+        targetType: detail.targetType || "",
+        targetId: detail.targetId ?? req.params?.id ?? "",
+        diff: detail.diff || diffObjects(detail.before, detail.after)
+      });
+    } catch (e) {
+      console.warn("[audit] failed to record:", e?.message || e);
+    }
+  });
+  next();
+}
@@ -0,0 +1,357 @@
+// server/backup.js
+// Shop backup bundles: a gzipped, versioned JSON snapshot of the catalogue,
+// images, settings, orders (deleted ones included), Nostr post state, PayJoin
+// proposals and the xpub address state. The secrets kept in the database
+// (Boltz refund keys and unclaimed Cashu change on orders) are left out unless
+// a passphrase is given, in which case they travel AES-256-GCM encrypted next
+// to the data. Admin accounts, the audit log and .env are never included.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { fileURLToPath } from "url";
+import { BACKUP_TABLES, ShopData } from "./db.js";
+
+export const BACKUP_FORMAT = "boltcanvas-backup";
+export const BACKUP_VERSION = 1;
+
+const REQUIRED_TABLES = ["products", "settings", "orders"];
+const SECRET_ORDER_FIELDS = ["boltzRefundPrivKey", "cashuChange", "cashuChangeRequest"];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKUP_DIR = process.env.BACKUP_DIR
+  ? path.resolve(__dirname, process.env.BACKUP_DIR)
+  : path.join(__dirname, "backups");
+const BACKUP_INTERVAL_HOURS = Math.max(0, Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) || 0);
+const BACKUP_KEEP = Math.max(1, Number(process.env.BACKUP_KEEP || 7) || 7);
+const BACKUP_PASSPHRASE = process.env.BACKUP_PASSPHRASE || "";
+const LOCAL_NAME_RE = /^(backup|pre-restore)-[0-9TZ-]+\.json\.gz$/;
+
+function rowKey(table, row) {
+  return BACKUP_TABLES[table].map((c) => String(row[c])).join(":");
+}
+
+// Archived orders keep the whole row as JSON in `data`, secrets included
+function parseArchived(row) {
+  try {
+    return JSON.parse(row.data || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function pickSecrets(order) {
+  const picked = {};
+  for (const field of SECRET_ORDER_FIELDS) if (order[field]) picked[field] = order[field];
+  return Object.keys(picked).length ? picked : null;
+}
+
+function blankSecrets(order) {
+  const blank = { ...order };
+  for (const field of SECRET_ORDER_FIELDS) if (field in blank) blank[field] = "";
+  return blank;
+}
+
+// Split secrets out of the rows: returns blanked rows plus
+// { orders: { id: fields }, deleted_orders: { id: fields } }
+function extractSecrets(tables) {
+  const secrets = { orders: {}, deleted_orders: {} };
+  const out = { ...tables };
+  out.orders = (tables.orders || []).map((row) => {
+    const picked = pickSecrets(row);
+    if (!picked) return row;
+    secrets.orders[row.id] = picked;
+    return blankSecrets(row);
+  });
+  if (tables.deleted_orders) {
+    out.deleted_orders = tables.deleted_orders.map((row) => {
+      const archived = parseArchived(row);
+      const picked = pickSecrets(archived);
+      if (!picked) return row;
+      secrets.deleted_orders[row.id] = picked;
+      return { ...row, data: JSON.stringify(blankSecrets(archived)) };
+    });
+  }
+  return { tables: out, secrets };
+}
+
+// Fill blank secret fields from `secrets`, falling back to what is stored now
+function applySecrets(tables, secrets) {
+  const current = extractSecrets({ orders: ShopData.dump("orders"), deleted_orders: ShopData.dump("deleted_orders") }).secrets;
+  const fill = (table, id, order) => {
+    const next = { ...order };
+    for (const field of SECRET_ORDER_FIELDS) {
+      if (!next[field]) next[field] = secrets?.[table]?.[id]?.[field] || current[table][id]?.[field] || "";
+    }
+    return next;
+  };
+  const out = { ...tables, orders: tables.orders.map((row) => fill("orders", row.id, row)) };
+  if (tables.deleted_orders) {
+    out.deleted_orders = tables.deleted_orders.map((row) => ({
+      ...row,
+      data: JSON.stringify(fill("deleted_orders", row.id, parseArchived(row)))
+    }));
+  }
+  return out;
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32, { N: 16384, r: 8, p: 1 });
+}
+
+function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), "utf8"), cipher.final()]);
+  return {
+    alg: "aes-256-gcm",
+    kdf: "scrypt",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+}
+
+function decryptSecrets(blob, passphrase) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(blob.salt, "base64")),
+      Buffer.from(blob.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(blob.tag, "base64"));
+    const json = Buffer.concat([decipher.update(Buffer.from(blob.data, "base64")), decipher.final()]).toString("utf8");
+    return JSON.parse(json);
+  } catch {
+    throw new Error("Wrong passphrase for the encrypted secrets");
+  }
+}
+
+/** Snapshot the shop. With a passphrase the secrets are included, encrypted. */
+export function createBackup({ passphrase } = {}) {
+  const raw = {};
+  for (const table of Object.keys(BACKUP_TABLES)) raw[table] = ShopData.dump(table);
+  const { tables, secrets } = extractSecrets(raw);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    counts: Object.fromEntries(Object.entries(tables).map(([t, rows]) => [t, rows.length])),
+    secrets: passphrase ? encryptSecrets(secrets, passphrase) : null,
+    tables
+  };
+}
+
+export function encodeBackup(bundle) {
+  return zlib.gzipSync(Buffer.from(JSON.stringify(bundle), "utf8"));
+}
+
+/** Accepts the gzipped archive or plain JSON (Buffer, string or object). */
+export function decodeBackup(input) {
+  if (input && typeof input === "object" && !Buffer.isBuffer(input)) return input;
+  let buf = Buffer.isBuffer(input) ? input : Buffer.from(String(input || ""), "utf8");
+  if (buf[0] === 0x1f && buf[1] === 0x8b) {
+    try {
+      buf = zlib.gunzipSync(buf);
+    } catch {
+      throw new Error("The backup archive is corrupted");
+    }
+  }
+  try {
+    return JSON.parse(buf.toString("utf8"));
+  } catch {
+    throw new Error("The backup is not valid JSON");
+  }
+}
+
+/** Throws on anything that would make a restore fail; returns { warnings }. */
+export function validateBackup(bundle) {
+  if (!bundle || typeof bundle !== "object" || bundle.format !== BACKUP_FORMAT) {
+    throw new Error("Not a shop backup");
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) throw new Error("Backup has no valid version");
+  if (bundle.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${bundle.version} is newer than this server supports (${BACKUP_VERSION})`);
+  }
+  const tables = bundle.tables;
+  if (!tables || typeof tables !== "object") throw new Error("Backup has no tables");
+  const warnings = [];
+  for (const table of REQUIRED_TABLES) {
+    if (!Array.isArray(tables[table])) throw new Error(`Backup is missing the ${table} table`);
+  }
+  for (const [table, rows] of Object.entries(tables)) {
+    if (!BACKUP_TABLES[table]) {
+      warnings.push(`Unknown table ${table} is ignored`);
+      continue;
+    }
+    if (!Array.isArray(rows)) throw new Error(`Table ${table} is not a list`);
+    const seen = new Set();
+    rows.forEach((row, i) => {
+      if (!row || typeof row !== "object") throw new Error(`${table} row ${i} is not an object`);
+      for (const col of BACKUP_TABLES[table]) {
+        if (row[col] === undefined || row[col] === null || row[col] === "") {
+          throw new Error(`${table} row ${i} has no ${col}`);
+        }
+      }
+      const key = rowKey(table, row);
+      if (seen.has(key)) throw new Error(`${table} has a duplicate row ${key}`);
+      seen.add(key);
+    });
+  }
+  const productIds = new Set(tables.products.map((p) => String(p.id)));
+  for (const table of ["product_images", "product_nostr_posts"]) {
+    const orphan = (tables[table] || []).find((row) => !productIds.has(String(row.productId)));
+    if (orphan) throw new Error(`${table} refers to missing product ${orphan.productId}`);
+  }
+  const missing = Object.keys(BACKUP_TABLES).filter((t) => !Array.isArray(tables[t]));
+  if (missing.length) warnings.push(`Not in the backup, left as they are: ${missing.join(", ")}`);
+  if (!bundle.secrets) warnings.push("The backup has no secrets; current Boltz refund keys and Cashu change are kept");
+  return { warnings };
+}
+
+const SAMPLE = 20;
+
+function comparable(table, row, cols) {
+  const out = {};
+  for (const c of cols) {
+    if (table === "orders" && SECRET_ORDER_FIELDS.includes(c)) continue;
+    if (table === "deleted_orders" && c === "data") {
+      out[c] = JSON.stringify(blankSecrets(parseArchived(row)));
+      continue;
+    }
+    out[c] = row[c] === undefined ? null : row[c];
+  }
+  return JSON.stringify(out);
+}
+
+/** Per table: how many rows a restore would add, change, remove or keep. */
+export function diffBackup(bundle) {
+  const diff = {};
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    const incoming = bundle.tables[table];
+    if (!Array.isArray(incoming)) continue;
+    const cols = ShopData.columns(table);
+    const current = new Map(ShopData.dump(table).map((row) => [rowKey(table, row), row]));
+    const entry = { added: 0, changed: 0, removed: 0, unchanged: 0, sample: { added: [], changed: [], removed: [] } };
+    const note = (kind, key) => {
+      entry[kind] += 1;
+      if (entry.sample[kind].length < SAMPLE) entry.sample[kind].push(key);
+    };
+    const incomingKeys = new Set();
+    for (const row of incoming) {
+      const key = rowKey(table, row);
+      incomingKeys.add(key);
+      const existing = current.get(key);
+      if (!existing) note("added", key);
+      else if (comparable(table, row, cols) !== comparable(table, existing, cols)) note("changed", key);
+      else entry.unchanged += 1;
+    }
+    for (const key of current.keys()) if (!incomingKeys.has(key)) note("removed", key);
+    diff[table] = entry;
+  }
+  return diff;
+}
+
+// Never move derivation counters backwards: an older backup would otherwise
+// hand out xpub addresses or Boltz rescue keys that were already used. For
+// the same reason xpub addresses seen paid since the backup stay recorded.
+function keepCountersAhead(tables) {
+  const out = { ...tables };
+  if (out.xpub_state) {
+    const current = Number(ShopData.dump("xpub_state")[0]?.nextIndex || 0);
+    out.xpub_state = out.xpub_state.map((row) => ({ ...row, nextIndex: Math.max(current, Number(row.nextIndex || 0)) }));
+  }
+  if (out.xpub_used) {
+    const known = new Set(out.xpub_used.map((row) => Number(row.xpubIndex)));
+    out.xpub_used = [...out.xpub_used, ...ShopData.dump("xpub_used").filter((row) => !known.has(Number(row.xpubIndex)))];
+  }
+  const rescue = ShopData.dump("settings").find((row) => row.key === "boltzRescueNextIndex");
+  if (rescue) {
+    const incoming = out.settings.find((row) => row.key === "boltzRescueNextIndex");
+    const value = String(Math.max(Number(rescue.value || 0), Number(incoming?.value || 0)));
+    out.settings = incoming
+      ? out.settings.map((row) => (row === incoming ? { ...row, value } : row))
+      : [...out.settings, { key: "boltzRescueNextIndex", value }];
+  }
+  return out;
+}
+
+/**
+ * Validate, diff and (unless dryRun) restore a bundle. Before writing, the
+ * current shop is saved as a local "pre-restore" backup.
+ */
+export function restoreBackup(bundle, { passphrase, dryRun = false } = {}) {
+  const { warnings } = validateBackup(bundle);
+  let secrets = null;
+  if (bundle.secrets && passphrase) secrets = decryptSecrets(bundle.secrets, passphrase);
+  else if (bundle.secrets) warnings.push("Enter the passphrase to restore the encrypted secrets; current ones are kept");
+  const diff = diffBackup(bundle);
+  if (dryRun) return { dryRun: true, version: bundle.version, createdAt: bundle.createdAt || 0, diff, warnings };
+
+  const safety = writeLocalBackup({ prefix: "pre-restore" });
+  const tables = {};
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    if (Array.isArray(bundle.tables[table])) tables[table] = bundle.tables[table];
+  }
+  ShopData.replace(applySecrets(keepCountersAhead(tables), secrets));
+  return { dryRun: false, version: bundle.version, createdAt: bundle.createdAt || 0, diff, warnings, safetyBackup: safety.name };
+}
+
+// ---------------------------------------------------------------------
+// Local backups on disk, with rotation
+// ---------------------------------------------------------------------
+export function backupDir() {
+  return BACKUP_DIR;
+}
+
+function rotate(prefix, keep) {
+  const old = listLocalBackups()
+    .filter((b) => b.name.startsWith(`${prefix}-`))
+    .slice(keep);
+  for (const b of old) {
+    try { fs.rmSync(path.join(BACKUP_DIR, b.name)); } catch {}
+  }
+}
+
+export function writeLocalBackup({ prefix = "backup", passphrase = BACKUP_PASSPHRASE, keep = BACKUP_KEEP } = {}) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const name = `${prefix}-${stamp}.json.gz`;
+  const buf = encodeBackup(createBackup({ passphrase }));
+  fs.writeFileSync(path.join(BACKUP_DIR, name), buf, { mode: 0o600 });
+  rotate(prefix, keep);
+  return { name, size: buf.length };
+}
+
+/** Newest first. */
+export function listLocalBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter((name) => LOCAL_NAME_RE.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, createdAt: stat.mtimeMs };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+}
+
+export function readLocalBackup(name) {
+  if (!LOCAL_NAME_RE.test(String(name || ""))) throw new Error("Invalid backup name");
+  const file = path.join(BACKUP_DIR, name);
+  if (!fs.existsSync(file)) return null;
+  return fs.readFileSync(file);
+}
+
+export function startBackupSchedule() {
+  if (!BACKUP_INTERVAL_HOURS) return null;
+  return setInterval(() => {
+    try {
+      const { name } = writeLocalBackup();
+      console.info("[backup] wrote", name);
+    } catch (e) {
+      console.warn("[backup] scheduled backup failed:", e?.message || e);
+    }
+  }, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+}
@@ -1,5 +1,6 @@
 // server/blink.js
 import fetch from "node-fetch";
+import crypto from "crypto";
 
 const DEFAULT_URL = "https://api.blink.sv/graphql";
 
@@ -71,10 +72,14 @@ export async function createInvoiceSats({
   amount,
   memo,
   expiresIn, // seconds (optional override)
+  descriptionHashOnly = false,
 }) {
+  // Only the "on behalf of recipient" mutation accepts a description hash
+  const mutation = descriptionHashOnly ? "lnInvoiceCreateOnBehalfOfRecipient" : "lnInvoiceCreate";
+  const inputType = descriptionHashOnly ? "LnInvoiceCreateOnBehalfOfRecipientInput" : "LnInvoiceCreateInput";
   const query = `
-    mutation LnInvoiceCreate($input: LnInvoiceCreateInput!) {
-      lnInvoiceCreate(input: $input) {
+    mutation LnInvoiceCreate($input: ${inputType}!) {
+      ${mutation}(input: $input) {
         invoice {
           paymentRequest
           paymentHash
@@ -95,19 +100,26 @@ export async function createInvoiceSats({
   const expiresInMinutes = Math.max(1, Math.round(effectiveSeconds / 60));
 
   const variables = {
-    input: {
-      walletId,
-      amount,
-      memo: memo || null,
-      expiresIn: expiresInMinutes, // Blink expects minutes
-    },
+    input: descriptionHashOnly
+      ? {
+          recipientWalletId: walletId,
+          amount,
+          descriptionHash: crypto.createHash("sha256").update(memo || "", "utf8").digest("hex"),
+          expiresIn: expiresInMinutes,
+        }
+      : {
+          walletId,
+          amount,
+          memo: memo || null,
+          expiresIn: expiresInMinutes, // Blink expects minutes
+        },
   };
 
   const data = await gqlRequest({ url, apiKey, query, variables });
-  const out = data?.lnInvoiceCreate;
+  const out = data?.[mutation];
   if (!out || out.errors?.length) {
     const m = out?.errors?.map((e) => e.message).join("; ") || "Unknown error";
-    throw new Error("lnInvoiceCreate failed: " + m);
+    throw new Error(`${mutation} failed: ` + m);
     }
   return out.invoice;
 }
@@ -122,3 +134,86 @@ export async function invoiceStatus({ url, apiKey, paymentHash }) {
   const data = await gqlRequest({ url, apiKey, query, variables });
   return data?.lnInvoicePaymentStatusByHash?.status;
 }
+
+// Received Lightning payments on the BTC wallet since `since` (ms), newest
+// first, for reconciliation. Blink's createdAt is a unix timestamp (seconds).
+export async function listIncomingPayments({ url, apiKey, walletId, since = 0 }) {
+  const query = `
+    query Transactions($first: Int, $after: String, $walletIds: [WalletId]) {
+      me {
+        defaultAccount {
+          transactions(first: $first, after: $after, walletIds: $walletIds) {
+            pageInfo { hasNextPage endCursor }
+            edges {
+              node {
+                direction
+                status
+                settlementAmount
+                createdAt
+                memo
+                initiationVia { ... on InitiationViaLn { paymentHash } }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const out = [];
+  let after = null;
+  for (;;) {
+    const data = await gqlRequest({
+      url,
+      apiKey,
+      query,
+      variables: { first: 100, after, walletIds: walletId ? [walletId] : null }
+    });
+    const page = data?.me?.defaultAccount?.transactions;
+    const edges = Array.isArray(page?.edges) ? page.edges : [];
+    let reachedOlder = false;
+    for (const { node } of edges) {
+      const createdAt = Number(node?.createdAt || 0) * 1000;
+      if (createdAt < since) {
+        reachedOlder = true;
+        break;
+      }
+      const paymentHash = node?.initiationVia?.paymentHash;
+      if (node?.direction !== "RECEIVE" || node?.status !== "SUCCESS" || !paymentHash) continue;
+      out.push({
+        paymentHash,
+        amountSats: Math.abs(Number(node.settlementAmount || 0)),
+        settledAt: createdAt,
+        memo: node.memo || "",
+        paymentRequest: ""
+      });
+    }
+    if (reachedOlder || !page?.pageInfo?.hasNextPage || !page.pageInfo.endCursor) break;
+    after = page.pageInfo.endCursor;
+  }
+  return out;
+}
+
+// Pay a BOLT11 invoice from the BTC wallet (used for refunds); invoices
+// without an amount go through lnNoAmountInvoicePaymentSend with `amountSats`.
+// Blink answers SUCCESS | PENDING | ALREADY_PAID | FAILURE.
+export async function payInvoice({ url, apiKey, walletId, paymentRequest, amountSats, amountless, memo }) {
+  const mutation = amountless ? "lnNoAmountInvoicePaymentSend" : "lnInvoicePaymentSend";
+  const inputType = amountless ? "LnNoAmountInvoicePaymentInput" : "LnInvoicePaymentInput";
+  const query = `
+    mutation PaymentSend($input: ${inputType}!) {
+      ${mutation}(input: $input) {
+        status
+        errors { message }
+      }
+    }
+  `;
+  const input = { walletId, paymentRequest, memo: memo || null };
+  if (amountless) input.amount = Number(amountSats);
+  const data = await gqlRequest({ url, apiKey, query, variables: { input } });
+  const out = data?.[mutation];
+  if (!out || out.errors?.length || out.status === "FAILURE") {
+    const m = out?.errors?.map((e) => e.message).join("; ") || "Payment failed";
+    throw new Error(`${mutation} failed: ` + m);
+  }
+  return { status: out.status === "PENDING" ? "PENDING" : "PAID", preimage: "" };
+}
@@ -186,10 +186,37 @@ export async function getSwapStatus({ swapId }) {
   return data;
 }
 
+// Ask Boltz to co-sign (MuSig2) a key-path refund of a failed submarine swap.
+// `transaction` is the unsigned refund tx hex, `pubNonce` our public nonce.
+export async function getSubmarineRefundSignature({ swapId, pubNonce, transaction, index = 0 }) {
+  requireRestUrl();
+  if (!swapId) throw new Error("swapId is required");
+  let res;
+  try {
+    res = await fetchWithFallback(`${BOLTZ_REST_URL}/v2/swap/submarine/${encodeURIComponent(swapId)}/refund`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ pubNonce, transaction, index })
+    });
+  } catch (e) {
+    throw new Error(`Boltz request failed: ${sanitize(describeError(e))}`);
+  }
+  if (!res?.ok) {
+    const text = await res.text().catch(() => "");
+    let reason = text;
+    try { reason = JSON.parse(text)?.error || text; } catch {}
+    throw new Error(`Boltz HTTP ${res.status} ${sanitize(reason)}`);
+  }
+  const data = await res.json().catch(() => null);
+  if (!data?.pubNonce || !data?.partialSignature) throw new Error("Invalid Boltz refund signature payload");
+  return { pubNonce: data.pubNonce, partialSignature: data.partialSignature };
+}
+
 // Map Boltz' detailed statuses to a simpler progression for the UI.
 export function mapBoltzStatus(status) {
   const s = String(status || "").toLowerCase();
-  if (s === "invoice.paid") return "PAID";
+  // The claim follows the invoice payment, so a swap seen late still counts as paid
+  if (s === "invoice.paid" || s === "transaction.claim.pending" || s === "transaction.claimed") return "PAID";
   if (s === "invoice.pending" || s === "transaction.confirmed") return "CONFIRMED";
   if (s === "transaction.mempool" || s === "transaction.direct") return "MEMPOOL";
   if (s === "swap.expired") return "EXPIRED";
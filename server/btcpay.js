@@ -225,10 +225,32 @@ export async function createInvoiceSats({ url, apiKey, storeId, amount, memo, ex
   };
 }
 
+// BTCPay settles an on-chain invoice after a fixed number of confirmations
+// per speed policy; none of them waits for 3 to 5
+const SPEED_POLICIES = [
+  ["HighSpeed", 0],
+  ["MediumSpeed", 1],
+  ["LowMediumSpeed", 2],
+  ["LowSpeed", 6]
+];
+
+/** The fastest speed policy that waits for at least `confirmations`. */
+export function speedPolicyFor(confirmations) {
+  const wanted = Math.max(0, Math.floor(Number(confirmations) || 0));
+  return (SPEED_POLICIES.find(([, confs]) => confs >= wanted) || SPEED_POLICIES[SPEED_POLICIES.length - 1])[0];
+}
+
+/** Confirmations an invoice's speed policy waits for (null if unknown). */
+export function speedPolicyConfirmations(policy) {
+  const found = SPEED_POLICIES.find(([name]) => name.toLowerCase() === String(policy || "").toLowerCase());
+  return found ? found[1] : null;
+}
+
 /**
- * Create an on-chain payment request (BIP21).
+ * Create an on-chain payment request (BIP21). `confirmations` picks the
+ * invoice's speed policy; without it the store default applies.
  */
-export async function createOnchainInvoice({ url, apiKey, storeId, amount, memo, expiresIn, orderRef } = {}) {
+export async function createOnchainInvoice({ url, apiKey, storeId, amount, memo, expiresIn, orderRef, confirmations } = {}) {
   const targetStoreId = storeId || (await ensureStoreId({ url, apiKey }));
   const expirationMinutes = Math.max(1, Math.round((Number(expiresIn) || 3600) / 60));
   const { chainId, enabledIds, allIds } = await resolveMethodIds({ url, apiKey, storeId: targetStoreId });
@@ -255,7 +277,8 @@ export async function createOnchainInvoice({ url, apiKey, storeId, amount, memo,
         checkout: {
           paymentMethods: [chainId],
           defaultPaymentMethod: chainId,
-          expirationMinutes
+          expirationMinutes,
+          ...(confirmations === undefined ? {} : { speedPolicy: speedPolicyFor(confirmations) })
         }
       }
     });
@@ -319,6 +342,44 @@ export async function invoiceStatus({ url, apiKey, storeId, invoiceId }) {
   return mapStatus(inv?.status);
 }
 
+/**
+ * Settled invoices (Lightning and on-chain) created since `since` (ms), for
+ * reconciliation. paymentHash is the invoiceId, as everywhere else.
+ */
+export async function listIncomingPayments({ url, apiKey, storeId, since = 0 } = {}) {
+  const targetStoreId = storeId || (await ensureStoreId({ url, apiKey }));
+  const pageSize = 100;
+  const out = [];
+  for (let skip = 0; ; skip += pageSize) {
+    const qs = new URLSearchParams({
+      status: "Settled",
+      startDate: String(Math.floor(since / 1000)),
+      take: String(pageSize),
+      skip: String(skip)
+    });
+    const list = await api({
+      url,
+      apiKey,
+      path: `/stores/${targetStoreId}/invoices?${qs}`,
+      method: "GET"
+    });
+    const invoices = Array.isArray(list) ? list : [];
+    for (const inv of invoices) {
+      const currency = String(inv?.currency || "").toUpperCase();
+      const amount = Number(inv?.amount || 0);
+      out.push({
+        paymentHash: inv.id,
+        amountSats: currency === "SATS" ? Math.round(amount) : currency === "BTC" ? Math.round(amount * 1e8) : 0,
+        settledAt: Number(inv.createdTime || 0) * 1000,
+        memo: inv?.metadata?.memo || "",
+        paymentRequest: ""
+      });
+    }
+    if (invoices.length < pageSize) break;
+  }
+  return out;
+}
+
 /**
  * Map BTCPay webhook event type to status.
  */
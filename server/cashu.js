@@ -0,0 +1,345 @@
+// server/cashu.js
+// Cashu ecash at checkout: the buyer pastes a token, and the mint melts it to
+// pay the order's own Lightning invoice. The sats land in the shop wallet and
+// the order is marked paid by the usual Lightning path. Whatever the token
+// held beyond the invoice and the fees the mint actually charged comes back
+// as change (NUT-08), which is handed to the buyer as a new token.
+import crypto from "crypto";
+import fetch from "node-fetch";
+import * as ecc from "tiny-secp256k1";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENV
+// ─────────────────────────────────────────────────────────────────────────────
+// Mints whose tokens are accepted, e.g. https://mint.minibits.cash/Bitcoin
+export const CASHU_MINTS = String(process.env.CASHU_MINTS || "")
+  .split(",")
+  .map((s) => normalizeMintUrl(s))
+  .filter(Boolean);
+export const CASHU_ENABLED = CASHU_MINTS.length > 0;
+const CASHU_TIMEOUT_MS = Math.max(1000, Number(process.env.CASHU_TIMEOUT_MS || 60000));
+
+export function normalizeMintUrl(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Token decoding (NUT-00): cashuA = base64url JSON, cashuB = base64url CBOR
+// ─────────────────────────────────────────────────────────────────────────────
+function base64UrlDecode(s) {
+  return Buffer.from(String(s).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// Just enough CBOR for V4 tokens: ints, byte/text strings, arrays, maps, bools
+function decodeCbor(buf) {
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > buf.length) throw new Error("Truncated CBOR");
+  };
+  const readLength = (info) => {
+    if (info < 24) return info;
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!size) throw new Error("Unsupported CBOR length");
+    need(size);
+    const n = size === 8 ? Number(buf.readBigUInt64BE(pos)) : buf.readUIntBE(pos, size);
+    pos += size;
+    return n;
+  };
+  const item = () => {
+    need(1);
+    const byte = buf[pos++];
+    const major = byte >> 5;
+    const info = byte & 0x1f;
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      throw new Error("Unsupported CBOR value");
+    }
+    const len = readLength(info);
+    switch (major) {
+      case 0: return len;
+      case 1: return -1 - len;
+      case 2: {
+        need(len);
+        const out = buf.subarray(pos, pos + len);
+        pos += len;
+        return out;
+      }
+      case 3: {
+        need(len);
+        const out = buf.toString("utf8", pos, pos + len);
+        pos += len;
+        return out;
+      }
+      case 4: return Array.from({ length: len }, item);
+      case 5: {
+        const out = {};
+        for (let i = 0; i < len; i++) {
+          const key = item();
+          out[key] = item();
+        }
+        return out;
+      }
+      default: throw new Error("Unsupported CBOR type");
+    }
+  };
+  return item();
+}
+
+const hex = (v) => (Buffer.isBuffer(v) ? v.toString("hex") : String(v || ""));
+
+/**
+ * Decode a cashuA/cashuB token (a "cashu:" prefix is allowed).
+ * Returns { mint, unit, memo, proofs: [{ amount, id, secret, C, witness? }], amountSats }.
+ */
+export function decodeToken(raw) {
+  const token = String(raw || "").trim().replace(/^cashu:/i, "");
+  let mint = "";
+  let unit = "sat";
+  let memo = "";
+  let proofs = [];
+  try {
+    if (token.startsWith("cashuA")) {
+      const data = JSON.parse(base64UrlDecode(token.slice(6)).toString("utf8"));
+      const entries = Array.isArray(data?.token) ? data.token : [];
+      const mints = new Set(entries.map((e) => normalizeMintUrl(e?.mint)));
+      if (mints.size !== 1) throw new Error("Tokens from more than one mint are not supported");
+      mint = [...mints][0];
+      unit = data?.unit || "sat";
+      memo = data?.memo || "";
+      proofs = entries.flatMap((e) => (Array.isArray(e?.proofs) ? e.proofs : []));
+    } else if (token.startsWith("cashuB")) {
+      const data = decodeCbor(base64UrlDecode(token.slice(6)));
+      mint = normalizeMintUrl(data?.m);
+      unit = data?.u || "sat";
+      memo = data?.d || "";
+      proofs = (Array.isArray(data?.t) ? data.t : []).flatMap((set) =>
+        (Array.isArray(set?.p) ? set.p : []).map((p) => ({
+          amount: p.a,
+          id: hex(set.i),
+          secret: p.s,
+          C: hex(p.c),
+          ...(p.w ? { witness: p.w } : {})
+        }))
+      );
+    } else {
+      throw new Error("Not a Cashu token");
+    }
+  } catch (e) {
+    throw new Error(`Invalid Cashu token: ${e?.message || e}`);
+  }
+  proofs = proofs.map(({ amount, id, secret, C, witness }) => ({
+    amount: Number(amount),
+    id: String(id || ""),
+    secret: String(secret || ""),
+    C: String(C || ""),
+    ...(witness ? { witness } : {})
+  }));
+  if (!mint || !proofs.length) throw new Error("Invalid Cashu token: no mint or proofs");
+  if (proofs.some((p) => !Number.isSafeInteger(p.amount) || p.amount <= 0 || !p.id || !p.secret || !p.C)) {
+    throw new Error("Invalid Cashu token: malformed proof");
+  }
+  if (unit !== "sat") throw new Error(`Cashu tokens in "${unit}" are not accepted, only sat`);
+  const amountSats = proofs.reduce((sum, p) => sum + p.amount, 0);
+  return { mint, unit, memo, proofs, amountSats };
+}
+
+/** Encode proofs as a cashuA (V3) token, which every wallet can receive. */
+export function encodeToken({ mint, proofs, unit = "sat", memo = "" }) {
+  const data = { token: [{ mint, proofs }], unit, ...(memo ? { memo } : {}) };
+  return `cashuA${Buffer.from(JSON.stringify(data)).toString("base64url")}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Blind signatures (NUT-00): change comes back blinded and is unblinded here
+// ─────────────────────────────────────────────────────────────────────────────
+const HASH_TO_CURVE_DOMAIN = Buffer.from("Secp256k1_HashToCurve_Cashu_");
+const sha256 = (...parts) => crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+
+/** Y = hash_to_curve(secret), as a compressed point. */
+export function hashToCurve(message) {
+  const msgHash = sha256(HASH_TO_CURVE_DOMAIN, Buffer.from(message));
+  const counter = Buffer.alloc(4);
+  for (let i = 0; i < 2 ** 16; i++) {
+    counter.writeUInt32LE(i);
+    const point = Buffer.concat([Buffer.from([0x02]), sha256(msgHash, counter)]);
+    if (ecc.isPoint(point)) return point;
+  }
+  throw new Error("No valid point found for the secret");
+}
+
+function randomScalar() {
+  for (;;) {
+    const r = crypto.randomBytes(32);
+    if (ecc.isPrivate(r)) return r;
+  }
+}
+
+// A blank output (NUT-08): a fresh secret blinded with r; the mint picks its amount
+function blankOutput(keysetId) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const r = randomScalar();
+  const B_ = ecc.pointAdd(hashToCurve(secret), ecc.pointFromScalar(r, true), true);
+  return {
+    output: { amount: 1, id: keysetId, B_: Buffer.from(B_).toString("hex") },
+    blank: { secret, r: r.toString("hex") }
+  };
+}
+
+// C = C_ - r*K for each blind signature, matched to the blank at the same index
+function unblindChange(signatures, blanks, keys) {
+  return (Array.isArray(signatures) ? signatures : []).map((sig, i) => {
+    const blank = blanks[i];
+    const K = keys[String(sig.amount)];
+    if (!blank || !K) throw new Error("Cashu mint returned change we cannot unblind");
+    const rK = ecc.pointMultiply(Buffer.from(K, "hex"), ecc.privateNegate(Buffer.from(blank.r, "hex")), true);
+    const C = ecc.pointAdd(Buffer.from(sig.C_, "hex"), rK, true);
+    return { amount: Number(sig.amount), id: sig.id, secret: blank.secret, C: Buffer.from(C).toString("hex") };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Mint API
+// ─────────────────────────────────────────────────────────────────────────────
+/** The mint refused the request, so nothing was spent. */
+export class CashuMintError extends Error {}
+
+async function mintFetch(mint, path, body) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), CASHU_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(`${mint}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: body ? { "content-type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: ctrl.signal
+    });
+  } catch (e) {
+    throw new Error(`Cashu mint unreachable: ${e?.name === "AbortError" ? "timed out" : e?.message || e}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  const text = await res.text().catch(() => "");
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) {
+    // Only a NUT error ({ detail, code }) is a refusal; a 5xx or a gateway
+    // timeout says nothing about whether the request went through
+    if (res.status < 500 && Number.isInteger(data?.code)) {
+      throw new CashuMintError(`Cashu mint refused: ${data.detail || `error ${data.code}`}`);
+    }
+    throw new Error(`Cashu mint error: ${data?.detail || `HTTP ${res.status}`}`);
+  }
+  return data;
+}
+
+// Steps before the melt spend nothing, so any failure there is a refusal
+async function beforeSpending(fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    throw e instanceof CashuMintError ? e : new CashuMintError(String(e?.message || e));
+  }
+}
+
+async function keysetKeys(mint, keysetId) {
+  const { keysets = [] } = await mintFetch(mint, `/v1/keys/${encodeURIComponent(keysetId)}`);
+  const keys = keysets.find((k) => k.id === keysetId)?.keys;
+  if (!keys) throw new Error(`Cashu mint has no keys for keyset ${keysetId}`);
+  return keys;
+}
+
+/**
+ * Melt a token to pay a BOLT11 invoice (NUT-05). The token must cover the
+ * invoice, the mint's Lightning fee reserve and its input fees. Blank outputs
+ * (NUT-08) bring back the rest, which is returned as `change` (a token) once
+ * the mint has paid; until then `changeRequest` holds what claimChange needs.
+ * Returns { state: "PAID"|"PENDING", mint, amountSats, feeReserveSats, preimage,
+ * change, changeSats, changeRequest }.
+ * CashuMintError means the mint spent nothing; any other error leaves the
+ * outcome unknown and carries the `changeRequest`.
+ */
+export async function meltToInvoice({ token, paymentRequest }) {
+  const decoded = typeof token === "string" ? decodeToken(token) : token;
+  const { mint, proofs, amountSats } = decoded;
+  if (!CASHU_MINTS.includes(mint)) throw new CashuMintError(`Tokens from ${mint} are not accepted here`);
+
+  const { quote, feeReserveSats, keysetId, outputs, blanks } = await beforeSpending(async () => {
+    const quote = await mintFetch(mint, "/v1/melt/quote/bolt11", { request: paymentRequest, unit: "sat" });
+    if (!quote?.quote || !quote?.amount) throw new CashuMintError("Cashu mint returned no melt quote");
+    const feeReserveSats = Number(quote.fee_reserve || 0);
+
+    // NUT-02 input fees: ceil(sum of input_fee_ppk / 1000) over the spent proofs
+    const { keysets = [] } = await mintFetch(mint, "/v1/keysets");
+    const ppk = new Map(keysets.map((k) => [k.id, Number(k.input_fee_ppk || 0)]));
+    const inputFee = Math.ceil(proofs.reduce((sum, p) => sum + (ppk.get(p.id) || 0), 0) / 1000);
+    const needed = Number(quote.amount) + feeReserveSats + inputFee;
+    if (amountSats < needed) {
+      throw new CashuMintError(`This token holds ${amountSats} sats; the order needs ${needed} sats including the mint's fees`);
+    }
+
+    // Enough blank outputs to carry the largest possible change in powers of two
+    const keysetId = keysets.find((k) => k.active !== false && (k.unit || "sat") === "sat")?.id;
+    if (!keysetId) throw new CashuMintError("Cashu mint has no active sat keyset for change");
+    const maxChange = amountSats - Number(quote.amount) - inputFee;
+    const count = Math.max(1, Math.ceil(Math.log2(maxChange + 1)));
+    const made = Array.from({ length: count }, () => blankOutput(keysetId));
+    return {
+      quote,
+      feeReserveSats,
+      keysetId,
+      outputs: made.map((m) => m.output),
+      blanks: made.map((m) => m.blank)
+    };
+  });
+
+  const changeRequest = { mint, quote: quote.quote, keysetId, blanks };
+  let melt;
+  try {
+    melt = await mintFetch(mint, "/v1/melt/bolt11", { quote: quote.quote, inputs: proofs, outputs });
+  } catch (e) {
+    // Outcome unknown: keep what is needed to claim the change if it paid
+    if (!(e instanceof CashuMintError)) e.changeRequest = changeRequest;
+    throw e;
+  }
+  const state = String(melt?.state || (melt?.paid ? "PAID" : "")).toUpperCase();
+  if (state === "UNPAID") throw new CashuMintError("Cashu mint could not pay the invoice");
+  const result = {
+    state: state === "PAID" ? "PAID" : "PENDING",
+    mint,
+    amountSats,
+    feeReserveSats,
+    preimage: melt?.payment_preimage || "",
+    change: "",
+    changeSats: 0,
+    changeRequest: null
+  };
+  if (result.state !== "PAID") return { ...result, changeRequest };
+  try {
+    return { ...result, ...await changeToken(changeRequest, melt.change) };
+  } catch (e) {
+    // The order is paid either way; the change can still be claimed later
+    console.warn("[cashu] change not unblinded:", e?.message || e);
+    return { ...result, changeRequest };
+  }
+}
+
+async function changeToken({ mint, keysetId, blanks }, signatures) {
+  if (!Array.isArray(signatures) || !signatures.length) return { change: "", changeSats: 0 };
+  const proofs = unblindChange(signatures, blanks, await keysetKeys(mint, keysetId));
+  const changeSats = proofs.reduce((sum, p) => sum + p.amount, 0);
+  return { change: encodeToken({ mint, proofs, memo: "Change" }), changeSats };
+}
+
+/**
+ * Fetch the change of a melt that was still pending: asks the mint for the
+ * quote and unblinds its change once paid. Returns { state, change, changeSats }.
+ */
+export async function claimChange(changeRequest) {
+  const quote = await mintFetch(changeRequest.mint, `/v1/melt/quote/bolt11/${encodeURIComponent(changeRequest.quote)}`);
+  const state = String(quote?.state || (quote?.paid ? "PAID" : "")).toUpperCase();
+  if (state !== "PAID") return { state, change: "", changeSats: 0 };
+  return { state, ...await changeToken(changeRequest, quote.change) };
+}
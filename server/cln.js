@@ -0,0 +1,265 @@
+// server/cln.js
+import fetch from "node-fetch";
+import https from "https";
+import fs from "fs";
+import crypto from "crypto";
+import { Settings } from "./db.js";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENV
+// ─────────────────────────────────────────────────────────────────────────────
+const CLN_REST_URL = (process.env.CLN_REST_URL || "").replace(/\/+$/, "");  // clnrest plugin, e.g. https://cln.domain.com:3010
+const CLN_RUNE = process.env.CLN_RUNE || "";                                 // rune allowing invoice, listinvoices, waitinvoice, waitanyinvoice (+ pay for refunds)
+const CLN_INVOICE_EXPIRES_IN = Number(process.env.CLN_INVOICE_EXPIRES_IN || 900); // seconds
+const CLN_TLS_INSECURE = String(process.env.CLN_TLS_INSECURE || "0") === "1";     // allow self-signed (dev)
+const CLN_TLS_CERT_PATH = process.env.CLN_TLS_CERT_PATH || "";                    // optional CA cert (ca.pem)
+const CLN_PAYMENT_FEE_LIMIT_SATS = Number(process.env.CLN_PAYMENT_FEE_LIMIT_SATS || 0); // outgoing payments (refunds)
+// waitanyinvoice/waitinvoice long-poll length (seconds)
+const CLN_WAIT_TIMEOUT = Math.max(5, Number(process.env.CLN_WAIT_TIMEOUT || 60));
+
+// CLN JSON-RPC error codes
+const ERR_INVOICE_EXPIRED = 903;
+const ERR_WAIT_TIMEOUT = 904;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers: HTTPS agent, sanitizers, RPC over clnrest
+// ─────────────────────────────────────────────────────────────────────────────
+let httpsAgent = undefined;
+try {
+  if (CLN_REST_URL.startsWith("https:")) {
+    if (CLN_TLS_CERT_PATH && fs.existsSync(CLN_TLS_CERT_PATH)) {
+      httpsAgent = new https.Agent({ ca: fs.readFileSync(CLN_TLS_CERT_PATH) });
+    } else if (CLN_TLS_INSECURE) {
+      httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+  }
+} catch {}
+
+function sanitize(msg) {
+  const s = String(msg || "");
+  return s
+    .replace(/https?:\/\/[^\s'")]+/gi, "[redacted-url]")   // redact URLs
+    .replace(/\b[0-9a-fA-F]{20,}\b/g, "[redacted]");       // redact long hex blobs
+}
+
+class ClnRpcError extends Error {
+  constructor(code, message) {
+    super(`CLN error ${code}: ${sanitize(message)}`);
+    this.code = code;
+  }
+}
+
+/**
+ * POST /v1/<method> with the rune header. RPC failures (HTTP 4xx/5xx with a
+ * { code, message } body) throw ClnRpcError so callers can branch on the code;
+ * anything else is reported without leaking the node endpoint.
+ */
+async function rpc(method, params = {}, { signal } = {}) {
+  if (!CLN_REST_URL) throw new Error("CLN is not configured.");
+  if (!CLN_RUNE) throw new Error("CLN_RUNE is required for CLN REST calls.");
+  let res;
+  try {
+    res = await fetch(`${CLN_REST_URL}/v1/${method}`, {
+      method: "POST",
+      headers: { "content-type": "application/json", Rune: CLN_RUNE },
+      body: JSON.stringify(params),
+      agent: httpsAgent,
+      signal
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    throw new Error(`CLN request failed: ${sanitize(e?.message || e)}`);
+  }
+  const text = await res.text().catch(() => "");
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) {
+    if (Number.isFinite(Number(data?.code))) throw new ClnRpcError(Number(data.code), data.message || "");
+    throw new Error(`CLN HTTP ${res.status} ${sanitize(text)}`);
+  }
+  return data;
+}
+
+function mapClnStatus(inv) {
+  const st = String(inv?.status || "").toLowerCase();
+  if (st === "paid") return "PAID";
+  if (st === "expired") return "EXPIRED";
+  return "PENDING"; // unpaid
+}
+
+async function findInvoice(paymentHash) {
+  const data = await rpc("listinvoices", { payment_hash: paymentHash });
+  return Array.isArray(data?.invoices) ? data.invoices[0] || null : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API (same surface as lnd.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly = false }) {
+  const expiry = Number.isFinite(Number(expiresIn)) && Number(expiresIn) > 0
+    ? Number(expiresIn)
+    : CLN_INVOICE_EXPIRES_IN;
+  const sats = Math.floor(amount || 0);
+  // Labels must be unique per node
+  const label = `boltcanvas-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const data = await rpc("invoice", {
+    amount_msat: sats * 1000,
+    label,
+    description: memo || "",
+    expiry,
+    // LNURL/zaps: only sha256(description) goes into the invoice
+    ...(descriptionHashOnly ? { deschashonly: true } : {})
+  });
+  const pr = data?.bolt11 || "";
+  const paymentHash = data?.payment_hash || "";
+  if (!pr || !paymentHash) throw new Error("CLN response missing bolt11 or payment_hash.");
+  return { paymentRequest: pr, paymentHash, satoshis: sats };
+}
+
+export async function invoiceStatus({ paymentHash }) {
+  if (!paymentHash) throw new Error("paymentHash is required.");
+  const inv = await findInvoice(paymentHash);
+  if (!inv) throw new Error("CLN invoice not found.");
+  return mapClnStatus(inv);
+}
+
+/**
+ * Paid invoices since `since` (ms), for reconciliation.
+ * Returns: [{ paymentHash, amountSats, settledAt, memo, paymentRequest }]
+ */
+export async function listIncomingPayments({ since = 0 } = {}) {
+  const data = await rpc("listinvoices", {});
+  const invoices = Array.isArray(data?.invoices) ? data.invoices : [];
+  return invoices
+    .filter((inv) => mapClnStatus(inv) === "PAID" && Number(inv.paid_at || 0) * 1000 >= since)
+    .map((inv) => ({
+      paymentHash: inv.payment_hash || "",
+      // older nodes report msat amounts as "1000msat" strings
+      amountSats: Math.floor(parseInt(inv.amount_received_msat ?? inv.amount_msat ?? 0, 10) / 1000) || 0,
+      settledAt: Number(inv.paid_at) * 1000,
+      memo: inv.description || "",
+      paymentRequest: inv.bolt11 || ""
+    }));
+}
+
+/**
+ * Pay a BOLT11 invoice (used for refunds). `pay` resolves once the payment
+ * completes or fails. Fee cap is 1% of the amount (min 10 sats) unless
+ * CLN_PAYMENT_FEE_LIMIT_SATS is set.
+ */
+export async function payInvoice({ paymentRequest, amountSats, amountless }) {
+  if (!paymentRequest) throw new Error("paymentRequest is required.");
+  const feeLimit = CLN_PAYMENT_FEE_LIMIT_SATS > 0
+    ? CLN_PAYMENT_FEE_LIMIT_SATS
+    : Math.max(10, Math.ceil(Number(amountSats || 0) / 100));
+  let data;
+  try {
+    data = await rpc("pay", {
+      bolt11: paymentRequest,
+      maxfee: feeLimit * 1000,
+      ...(amountless ? { amount_msat: Number(amountSats) * 1000 } : {})
+    });
+  } catch (e) {
+    throw new Error(`CLN payment failed: ${e?.message || e}`);
+  }
+  const status = String(data?.status || "").toLowerCase();
+  if (status === "pending") return { status: "PENDING", preimage: "" };
+  if (status !== "complete" || !data?.payment_preimage) {
+    throw new Error("CLN payment failed: no preimage returned.");
+  }
+  return { status: "PAID", preimage: data.payment_preimage };
+}
+
+/**
+ * Subscribe to updates for a single invoice.
+ * - Long-polls `waitinvoice` on the invoice label (returns on pay or expiry).
+ * - Also starts a POLLING fallback (every 2s) so we never miss "PAID"/"EXPIRED".
+ * Returns an unsubscribe function.
+ */
+export function subscribeInvoiceStatus({ paymentHash, onStatus }) {
+  if (!paymentHash) throw new Error("paymentHash is required for subscribeInvoiceStatus");
+
+  let closed = false;
+  let pollTimer;
+  const controller = new AbortController();
+
+  const emit = (st) => {
+    if (closed) return;
+    if (typeof onStatus === "function") onStatus(st);
+    if (st === "PAID" || st === "EXPIRED") unsub();
+  };
+
+  const unsub = () => {
+    if (closed) return;
+    closed = true;
+    try { clearInterval(pollTimer); } catch {}
+    try { controller.abort(); } catch {}
+  };
+
+  // —— Polling fallback (always on) ——————————————————————
+  pollTimer = setInterval(async () => {
+    try {
+      emit(await invoiceStatus({ paymentHash }));
+    } catch {
+      // swallow to keep polling
+    }
+  }, 2000);
+
+  // —— waitinvoice (best-effort) ——————————————————————————
+  (async () => {
+    try {
+      const inv = await findInvoice(paymentHash);
+      if (!inv?.label) return;
+      if (mapClnStatus(inv) !== "PENDING") return emit(mapClnStatus(inv));
+      const paid = await rpc("waitinvoice", { label: inv.label }, { signal: controller.signal });
+      emit(mapClnStatus(paid));
+    } catch (e) {
+      if (e?.code === ERR_INVOICE_EXPIRED) emit("EXPIRED");
+      // anything else: polling keeps us alive
+    }
+  })();
+
+  return unsub;
+}
+
+/**
+ * Long-lived watcher: calls onPaid(paymentHashHex) for every paid invoice.
+ * Follows `waitanyinvoice` from the last pay_index seen (kept in settings so
+ * restarts resume where they stopped); the sweeper in index.js still polls.
+ */
+export function startPaymentWatcher({ onPaid }) {
+  if (!CLN_REST_URL) {
+    console.warn("[CLN Watcher] Skipped: CLN_REST_URL not set.");
+    return;
+  }
+  if (!CLN_RUNE) {
+    console.warn("[CLN Watcher] Skipped: CLN_RUNE not set.");
+    return;
+  }
+
+  let backoffMs = 1000;
+
+  const loop = async () => {
+    try {
+      const lastpayIndex = Settings.clnPayIndex();
+      const inv = await rpc("waitanyinvoice", { lastpay_index: lastpayIndex, timeout: CLN_WAIT_TIMEOUT });
+      backoffMs = 1000;
+      const payIndex = Number(inv?.pay_index || 0);
+      if (payIndex > lastpayIndex) Settings.setClnPayIndex(payIndex);
+      if (inv?.payment_hash && mapClnStatus(inv) === "PAID") {
+        try { onPaid?.(inv.payment_hash); } catch {}
+      }
+      setImmediate(loop);
+    } catch (e) {
+      if (e?.code === ERR_WAIT_TIMEOUT) {
+        setImmediate(loop);
+        return;
+      }
+      setTimeout(loop, backoffMs);
+      backoffMs = Math.min(backoffMs * 2, 15000);
+    }
+  };
+
+  loop();
+}
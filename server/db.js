@@ -2,7 +2,8 @@ import Database from "better-sqlite3";
 import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
-import { makeId, now } from "./utils.js";
+import { makeId, now, hashPassword, verifyPassword } from "./utils.js";
+import { PRICE_CURRENCIES, fiatToSats } from "./fiat.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ENV_DB_FILE = String(process.env.DB_FILE || "").trim();
@@ -113,6 +114,78 @@ CREATE TABLE IF NOT EXISTS nostr_carts (
   data TEXT NOT NULL,
   updatedAt INTEGER NOT NULL
 );
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id TEXT PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL DEFAULT 'percent',
+  value INTEGER NOT NULL DEFAULT 0,
+  minSubtotalSats INTEGER NOT NULL DEFAULT 0,
+  startsAt INTEGER NOT NULL DEFAULT 0,
+  expiresAt INTEGER NOT NULL DEFAULT 0,
+  maxUses INTEGER NOT NULL DEFAULT 0,
+  productIds TEXT NOT NULL DEFAULT '[]',
+  freeShipping INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  note TEXT NOT NULL DEFAULT '',
+  createdAt INTEGER NOT NULL,
+  updatedAt INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id TEXT PRIMARY KEY,
+  orderId TEXT NOT NULL,
+  productId TEXT NOT NULL,
+  variantId TEXT NOT NULL DEFAULT '',
+  qty INTEGER NOT NULL,
+  expiresAt INTEGER NOT NULL,
+  createdAt INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations(productId, variantId);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations(orderId);
+CREATE TABLE IF NOT EXISTS discount_reservations (
+  orderId TEXT PRIMARY KEY,
+  code TEXT NOT NULL,
+  expiresAt INTEGER NOT NULL,
+  createdAt INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_discount_reservations_code ON discount_reservations(code);
+CREATE TABLE IF NOT EXISTS admin_users (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  displayName TEXT NOT NULL DEFAULT '',
+  role TEXT NOT NULL DEFAULT 'content',
+  passwordHash TEXT NOT NULL DEFAULT '',
+  nostrPubkey TEXT NOT NULL DEFAULT '',
+  active INTEGER NOT NULL DEFAULT 1,
+  lastLoginAt INTEGER NOT NULL DEFAULT 0,
+  createdAt INTEGER NOT NULL,
+  updatedAt INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_admin_users_nostr ON admin_users(nostrPubkey);
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id TEXT PRIMARY KEY,
+  at INTEGER NOT NULL,
+  actorId TEXT NOT NULL DEFAULT '',
+  actorName TEXT NOT NULL DEFAULT '',
+  actorRole TEXT NOT NULL DEFAULT '',
+  method TEXT NOT NULL DEFAULT '',
+  route TEXT NOT NULL DEFAULT '',
+  action TEXT NOT NULL DEFAULT '',
+  targetType TEXT NOT NULL DEFAULT '',
+  targetId TEXT NOT NULL DEFAULT '',
+  diff TEXT NOT NULL DEFAULT '{}'
+);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_at ON admin_audit_log(at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(targetType, targetId);
+CREATE TABLE IF NOT EXISTS order_shipments (
+  id TEXT PRIMARY KEY,
+  orderId TEXT NOT NULL,
+  items TEXT NOT NULL DEFAULT '[]',
+  courier TEXT NOT NULL DEFAULT '',
+  tracking TEXT NOT NULL DEFAULT '',
+  shippedAt INTEGER NOT NULL,
+  createdAt INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_order_shipments_order ON order_shipments(orderId);
 CREATE TABLE IF NOT EXISTS xpub_state (
   id INTEGER PRIMARY KEY CHECK (id = 1),
   nextIndex INTEGER NOT NULL DEFAULT 0
@@ -120,6 +193,64 @@ CREATE TABLE IF NOT EXISTS xpub_state (
 INSERT INTO xpub_state (id, nextIndex)
   VALUES (1, 0)
   ON CONFLICT(id) DO NOTHING;
+CREATE TABLE IF NOT EXISTS xpub_recycled (
+  xpubIndex INTEGER PRIMARY KEY,
+  address TEXT NOT NULL DEFAULT '',
+  orderId TEXT NOT NULL DEFAULT '',
+  releasedAt INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS xpub_used (
+  xpubIndex INTEGER PRIMARY KEY,
+  address TEXT NOT NULL DEFAULT '',
+  receivedSats INTEGER NOT NULL DEFAULT 0,
+  txid TEXT NOT NULL DEFAULT '',
+  seenAt INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS payjoin_proposals (
+  orderId TEXT PRIMARY KEY,
+  originalTxid TEXT NOT NULL DEFAULT '',
+  originalHex TEXT NOT NULL DEFAULT '',
+  payjoinTxid TEXT NOT NULL DEFAULT '',
+  hotOutpoint TEXT NOT NULL DEFAULT '',
+  contributedSats INTEGER NOT NULL DEFAULT 0,
+  state TEXT NOT NULL DEFAULT 'PROPOSED',
+  createdAt INTEGER NOT NULL,
+  settledAt INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE IF NOT EXISTS deleted_orders (
+  id TEXT PRIMARY KEY,
+  paymentHash TEXT NOT NULL DEFAULT '',
+  onchainId TEXT NOT NULL DEFAULT '',
+  onchainAddress TEXT NOT NULL DEFAULT '',
+  reason TEXT NOT NULL DEFAULT '',
+  data TEXT NOT NULL DEFAULT '{}',
+  deletedAt INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_deleted_orders_hash ON deleted_orders(paymentHash);
+CREATE INDEX IF NOT EXISTS idx_deleted_orders_address ON deleted_orders(onchainAddress);
+CREATE TABLE IF NOT EXISTS zap_requests (
+  paymentHash TEXT PRIMARY KEY,
+  paymentRequest TEXT NOT NULL DEFAULT '',
+  amountMsat INTEGER NOT NULL DEFAULT 0,
+  description TEXT NOT NULL DEFAULT '',
+  lightningProvider TEXT NOT NULL DEFAULT '',
+  createdAt INTEGER NOT NULL,
+  paidAt INTEGER NOT NULL DEFAULT 0,
+  receiptId TEXT NOT NULL DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_zap_requests_created ON zap_requests(createdAt);
+CREATE TABLE IF NOT EXISTS lnurl_payments (
+  paymentHash TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  paymentRequest TEXT NOT NULL DEFAULT '',
+  amountMsat INTEGER NOT NULL DEFAULT 0,
+  comment TEXT NOT NULL DEFAULT '',
+  zap INTEGER NOT NULL DEFAULT 0,
+  lightningProvider TEXT NOT NULL DEFAULT '',
+  createdAt INTEGER NOT NULL,
+  paidAt INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_lnurl_payments_created ON lnurl_payments(createdAt);
 `);
 
 // Migrations
@@ -138,6 +269,11 @@ addColumnIfMissing("products", "displayOrder INTEGER NOT NULL DEFAULT 0");
 addColumnIfMissing("products", "isUnique INTEGER NOT NULL DEFAULT 1");
 addColumnIfMissing("products", "quantityAvailable INTEGER DEFAULT 1");
 addColumnIfMissing("products", "lastSoldAt INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("products", "variantOptions TEXT NOT NULL DEFAULT '[]'");
+addColumnIfMissing("products", "variants TEXT NOT NULL DEFAULT '[]'");
+// Fiat-pegged prices: priceSats is re-derived from priceFiat at the current rate
+addColumnIfMissing("products", "priceCurrency TEXT NOT NULL DEFAULT ''");
+addColumnIfMissing("products", "priceFiat REAL DEFAULT NULL");
 // Backfill lastSoldAt for existing sold items (run once on startup)
 try {
   db.prepare(`
@@ -215,6 +351,7 @@ addColumnIfMissing("orders", "boltzRefundPubKey TEXT DEFAULT ''");
 addColumnIfMissing("orders", "boltzRedeemScript TEXT DEFAULT ''");
 addColumnIfMissing("orders", "boltzRescueIndex INTEGER DEFAULT 0");
 addColumnIfMissing("orders", "boltzSwapTree TEXT DEFAULT ''");
+addColumnIfMissing("orders", "boltzClaimPubKey TEXT DEFAULT ''");
 addColumnIfMissing("orders", "boltzStatus TEXT DEFAULT ''");
 addColumnIfMissing("orders", "lnurlVerifyUrl TEXT DEFAULT ''");
 addColumnIfMissing("orders", "lnurlExpiresAt INTEGER DEFAULT 0");
@@ -233,6 +370,34 @@ addColumnIfMissing("orders", "xpubIndex INTEGER DEFAULT NULL");
 // NEW: shipping metadata
 addColumnIfMissing("orders", "courier TEXT DEFAULT ''");
 addColumnIfMissing("orders", "tracking TEXT DEFAULT ''");
+addColumnIfMissing("orders", "discountCode TEXT DEFAULT ''");
+addColumnIfMissing("orders", "discountSats INTEGER NOT NULL DEFAULT 0");
+// Refunds (REFUND_REQUESTED -> REFUNDED)
+addColumnIfMissing("orders", "refundSats INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("orders", "refundReason TEXT DEFAULT ''");
+addColumnIfMissing("orders", "refundMethod TEXT DEFAULT ''");
+addColumnIfMissing("orders", "refundDestination TEXT DEFAULT ''");
+addColumnIfMissing("orders", "refundReference TEXT DEFAULT ''");
+addColumnIfMissing("orders", "refundRequestedAt INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("orders", "refundedAt INTEGER NOT NULL DEFAULT 0");
+// When the order was paid, and the BTC price then (fiat per BTC) for exports
+addColumnIfMissing("orders", "paidAt INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("orders", "fiatCurrency TEXT DEFAULT ''");
+addColumnIfMissing("orders", "fiatRate REAL NOT NULL DEFAULT 0");
+addColumnIfMissing("orders", "pricingRates TEXT NOT NULL DEFAULT '{}'");
+// Lightning backend that issued the invoice (failover); '' = primary provider
+addColumnIfMissing("orders", "lightningProvider TEXT NOT NULL DEFAULT ''");
+// Cashu orders: the mint the buyer's token came from and what the token held
+addColumnIfMissing("orders", "cashuMint TEXT NOT NULL DEFAULT ''");
+addColumnIfMissing("orders", "cashuAmountSats INTEGER NOT NULL DEFAULT 0");
+// The buyer's change as a token, or what is needed to claim it while the melt is pending
+addColumnIfMissing("orders", "cashuChange TEXT NOT NULL DEFAULT ''");
+addColumnIfMissing("orders", "cashuChangeSats INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("orders", "cashuChangeRequest TEXT NOT NULL DEFAULT ''");
+// Every transaction seen paying an XPUB order address, and how much more than
+// asked the buyer sent (beyond the tolerance) for the admin to follow up
+addColumnIfMissing("orders", "onchainPayments TEXT NOT NULL DEFAULT '[]'");
+addColumnIfMissing("orders", "onchainOverpaidSats INTEGER NOT NULL DEFAULT 0");
 
 addColumnIfMissing("product_nostr_posts", "teaserContent TEXT NOT NULL DEFAULT ''");
 addColumnIfMissing("product_nostr_posts", "teaserLastEventId TEXT NOT NULL DEFAULT ''");
@@ -248,6 +413,7 @@ db.exec(`
 CREATE INDEX IF NOT EXISTS idx_products_available_created ON products(available DESC, createdAt DESC);
 CREATE INDEX IF NOT EXISTS idx_products_available_order_created ON products(available DESC, displayOrder DESC, createdAt DESC);
 CREATE INDEX IF NOT EXISTS idx_orders_createdAt ON orders(createdAt DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_discountCode ON orders(discountCode);
 `);
 
 // settings table remains KV; we ensure defaults below
@@ -296,6 +462,7 @@ if (!sGet.get("nostrNpub")) sSet.run("nostrNpub", "");
 if (!sGet.get("nostrNip05")) sSet.run("nostrNip05", "");
 if (!sGet.get("nostrRelays")) sSet.run("nostrRelays", JSON.stringify(["wss://relay.damus.io","wss://nos.lol"]));
 if (!sGet.get("lightningAddress")) sSet.run("lightningAddress", "");
+if (!sGet.get("lightningAddressNames")) sSet.run("lightningAddressNames", "[]");
 if (!sGet.get("nostrCommentsEnabled")) sSet.run("nostrCommentsEnabled", "true");
 if (!sGet.get("nostrBlockedPubkeys")) sSet.run("nostrBlockedPubkeys", "[]");
 if (!sGet.get("nostrBlockedHashtags")) sSet.run("nostrBlockedHashtags", "[]");
@@ -1057,6 +1224,108 @@ export function allocateNextXpubIndex() {
   return allocateNextXpubIndexTx();
 }
 
+// Number of xpub addresses handed out so far (indexes 0..n-1)
+export function xpubIndexCount() {
+  return Number(selectXpubIndexStmt.get()?.nextIndex || 0);
+}
+
+// Address lifecycle below the xpub counter: indexes of expired, never-paid
+// orders wait in xpub_recycled to be handed out again, and xpub_used records
+// addresses a scan found money on (including ones whose order is gone).
+export const XpubIndexes = {
+  release({ xpubIndex, address = "", orderId = "" }) {
+    db.prepare(`
+      INSERT INTO xpub_recycled (xpubIndex, address, orderId, releasedAt) VALUES (?, ?, ?, ?)
+      ON CONFLICT(xpubIndex) DO NOTHING
+    `).run(Number(xpubIndex), String(address || ""), String(orderId || ""), now());
+  },
+  // Oldest index released before the cutoff that no order holds, removed
+  // from the pool so two checkouts never get the same one
+  takeRecycled(releasedBefore) {
+    return db.transaction(() => {
+      const row = db.prepare(`
+        SELECT * FROM xpub_recycled r
+         WHERE releasedAt <= ?
+           AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.xpubIndex = r.xpubIndex)
+           AND NOT EXISTS (SELECT 1 FROM xpub_used u WHERE u.xpubIndex = r.xpubIndex)
+         ORDER BY xpubIndex ASC LIMIT 1
+      `).get(releasedBefore);
+      if (!row) return null;
+      db.prepare(`DELETE FROM xpub_recycled WHERE xpubIndex=?`).run(row.xpubIndex);
+      return { xpubIndex: row.xpubIndex, address: row.address, orderId: row.orderId, releasedAt: row.releasedAt };
+    })();
+  },
+  unrelease(xpubIndex) {
+    db.prepare(`DELETE FROM xpub_recycled WHERE xpubIndex=?`).run(Number(xpubIndex));
+  },
+  recycled() {
+    return db.prepare(`SELECT * FROM xpub_recycled ORDER BY xpubIndex ASC`).all();
+  },
+  markUsed({ xpubIndex, address = "", receivedSats = 0, txid = "" }) {
+    db.prepare(`
+      INSERT INTO xpub_used (xpubIndex, address, receivedSats, txid, seenAt) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(xpubIndex) DO UPDATE SET address=excluded.address, receivedSats=excluded.receivedSats, txid=excluded.txid
+    `).run(Number(xpubIndex), String(address || ""), Math.max(0, Math.floor(Number(receivedSats) || 0)), String(txid || ""), now());
+    this.unrelease(xpubIndex);
+  },
+  // Indexes known to have received money: paid or part-paid orders, plus scan findings
+  usedIndexes() {
+    const paid = [...PAID_STATUSES];
+    const rows = db.prepare(`
+      SELECT xpubIndex FROM orders
+       WHERE xpubIndex IS NOT NULL
+         AND (onchainMempoolSats > 0 OR onchainConfirmedSats > 0 OR status IN (${paid.map(() => "?").join(", ")}))
+      UNION SELECT xpubIndex FROM xpub_used
+    `).all(...paid);
+    return new Set(rows.map((r) => Number(r.xpubIndex)));
+  }
+};
+
+// PayJoin proposals sent for XPUB orders. state: PROPOSED until one of the two
+// transactions shows up (PAYJOIN or ORIGINAL); FALLBACK in between once the
+// shop broadcast the original itself, or found its inputs already spent
+export const PayjoinProposals = {
+  create({ orderId, originalTxid, originalHex, payjoinTxid, hotOutpoint, contributedSats }) {
+    db.prepare(`
+      INSERT INTO payjoin_proposals (orderId, originalTxid, originalHex, payjoinTxid, hotOutpoint, contributedSats, state, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, 'PROPOSED', ?)
+    `).run(
+      String(orderId),
+      String(originalTxid || ""),
+      String(originalHex || ""),
+      String(payjoinTxid || ""),
+      String(hotOutpoint || ""),
+      Math.max(0, Math.floor(Number(contributedSats) || 0)),
+      now()
+    );
+    return this.byOrder(orderId);
+  },
+  byOrder(orderId) {
+    return db.prepare(`SELECT * FROM payjoin_proposals WHERE orderId=?`).get(String(orderId || "")) || null;
+  },
+  setState(orderId, state) {
+    db.prepare(`UPDATE payjoin_proposals SET state=?, settledAt=? WHERE orderId=?`)
+      .run(String(state), state === "PROPOSED" ? 0 : now(), String(orderId));
+    return this.byOrder(orderId);
+  },
+  // Sats the shop added to whichever of these transactions are its PayJoins
+  contributedIn(txids) {
+    const ids = (txids || []).filter(Boolean).map(String);
+    if (!ids.length) return 0;
+    const row = db.prepare(`
+      SELECT COALESCE(SUM(contributedSats), 0) AS sats FROM payjoin_proposals
+       WHERE payjoinTxid IN (${ids.map(() => "?").join(", ")})
+    `).get(...ids);
+    return Number(row?.sats || 0);
+  },
+  // Hot wallet coins promised to a recent proposal whose PayJoin or original
+  // has not been seen yet (a broadcast original may still lose to the PayJoin)
+  lockedOutpoints(since) {
+    const rows = db.prepare(`SELECT hotOutpoint FROM payjoin_proposals WHERE state IN ('PROPOSED', 'FALLBACK') AND createdAt >= ?`).all(since);
+    return new Set(rows.map((r) => r.hotOutpoint));
+  }
+};
+
 export const Products = {
   all({ includeImages = false } = {}) {
     const rows = db
@@ -1136,7 +1405,13 @@ export const Products = {
         ? n.shippingZoneOverrides.map((ov) => `${ov.id}:${ov.priceSats}`).join(",")
         : "";
       const hasFiniteQty = Number.isFinite(n.quantityAvailable);
-      const derivedAvailable = n.available && (!hasFiniteQty || n.quantityAvailable > 0);
+      const hasVariants = n.variants.length > 0;
+      const derivedAvailable = hasVariants
+        ? n.available && n.variants.some((v) => v.available)
+        : n.available && (!hasFiniteQty || n.quantityAvailable > 0);
+      const variantTag = hasVariants
+        ? crypto.createHash("sha1").update(JSON.stringify([n.variantOptions, n.variants])).digest("hex")
+        : "";
       return {
         id: n.id,
         title: n.title,
@@ -1156,12 +1431,17 @@ export const Products = {
         depthCm: n.depthCm,
         maxQuantity: (() => {
           if (!derivedAvailable) return 0;
+          if (hasVariants) return n.maxQuantity;
           if (n.isUnique) return 1;
           if (hasFiniteQty) return Math.max(0, n.quantityAvailable);
           return null;
         })(),
         showDimensions: !!n.showDimensions,
         shippingZoneOverrides: Array.isArray(n.shippingZoneOverrides) ? n.shippingZoneOverrides : [],
+        variantOptions: n.variantOptions,
+        variants: n.variants,
+        priceCurrency: n.priceCurrency,
+        priceFiat: n.priceFiat,
         lastSoldAt: n.lastSoldAt || 0,
         cacheTag: [
           n.id,
@@ -1171,6 +1451,7 @@ export const Products = {
           n.displayOrder || 0,
           n.lastSoldAt || 0,
           n.priceSats,
+          n.priceCurrency ? `${n.priceCurrency}${n.priceFiat}` : "",
           safeIdx,
           n.imageVersion || "",
           textTag,
@@ -1180,7 +1461,8 @@ export const Products = {
           n.showDimensions ? "1" : "0",
           overrideTag,
           n.isUnique ? "1" : "0",
-          n.quantityAvailable ?? ""
+          n.quantityAvailable ?? "",
+          variantTag
         ].join(":")
       };
     });
@@ -1206,6 +1488,10 @@ export const Products = {
     shippingZoneOverrides = [],
     isUnique = true,
     quantityAvailable = undefined,
+    variantOptions = [],
+    variants = [],
+    priceCurrency = "",
+    priceFiat = null,
   }) {
     const normalizedImages = normalizeImageInputs(images);
     const imagePayload = prepareImagePayload(normalizedImages, { preNormalized: normalizedImages });
@@ -1214,16 +1500,23 @@ export const Products = {
     const createdAt = now();
     const displayOrder = createdAt;
     const normalizedOverrides = normalizeZoneOverridesInput(shippingZoneOverrides);
-    const uniqueFlag = !!isUnique;
+    const normalizedAxes = normalizeVariantOptionsInput(variantOptions);
+    const normalizedVariants = normalizeVariantsInput(variants, normalizedAxes, { fallbackPriceSats: priceSats });
+    const hasVariants = normalizedVariants.length > 0;
+    // Variant products track stock per combination, never on the product row.
+    const uniqueFlag = hasVariants ? false : !!isUnique;
     const qtyInput = Number(quantityAvailable);
-    const qtyValue = uniqueFlag ? 1 : (Number.isFinite(qtyInput) && qtyInput >= 0 ? Math.floor(qtyInput) : null);
+    const qtyValue = hasVariants
+      ? variantStockTotal(normalizedVariants)
+      : (uniqueFlag ? 1 : (Number.isFinite(qtyInput) && qtyInput >= 0 ? Math.floor(qtyInput) : null));
     const initialAvailable = uniqueFlag ? 1 : (qtyValue === null ? 1 : (qtyValue > 0 ? 1 : 0));
     db.prepare(
       `INSERT INTO products
        (id, title, description, priceSats, images, available, hidden, createdAt, displayOrder,
         subtitle, longDescription, mainImageIndex, widthCm, heightCm, depthCm, showDimensions,
-        shippingZoneOverrides, imageVersion, imageCount, isUnique, quantityAvailable, lastSoldAt)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        shippingZoneOverrides, imageVersion, imageCount, isUnique, quantityAvailable, lastSoldAt,
+        variantOptions, variants, priceCurrency, priceFiat)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     ).run(
       id,
       title,
@@ -1246,7 +1539,10 @@ export const Products = {
       0, // imageCount
       uniqueFlag ? 1 : 0,
       qtyValue,
-      0
+      0,
+      JSON.stringify(hasVariants ? normalizedAxes : []),
+      JSON.stringify(normalizedVariants),
+      ...normalizeFiatPrice(priceCurrency, priceFiat)
     );
     ProductImages.replaceAll(id, imagePayload);
     return this.get(id);
@@ -1281,9 +1577,22 @@ export const Products = {
       ? normalizeZoneOverridesInput(patch.shippingZoneOverrides)
       : (Array.isArray(cur.shippingZoneOverrides) ? cur.shippingZoneOverrides : []);
 
-    const nextIsUnique = patch.isUnique !== undefined ? !!patch.isUnique : !!cur.isUnique;
+    const nextAxes = patch.variantOptions !== undefined
+      ? normalizeVariantOptionsInput(patch.variantOptions)
+      : cur.variantOptions;
+    const nextPriceSats = Math.floor((patch.priceSats ?? cur.priceSats) || 0);
+    const nextVariants = normalizeVariantsInput(
+      patch.variants !== undefined ? patch.variants : cur.variants,
+      nextAxes,
+      { fallbackPriceSats: nextPriceSats }
+    );
+    const hasVariants = nextVariants.length > 0;
+
+    const nextIsUnique = hasVariants ? false : (patch.isUnique !== undefined ? !!patch.isUnique : !!cur.isUnique);
     let nextQuantity;
-    if (nextIsUnique) {
+    if (hasVariants) {
+      nextQuantity = variantStockTotal(nextVariants);
+    } else if (nextIsUnique) {
       nextQuantity = 1;
     } else if (patch.quantityAvailable !== undefined) {
       const qtyNum = Number(patch.quantityAvailable);
@@ -1309,12 +1618,13 @@ export const Products = {
          SET title=?, description=?, priceSats=?, images=?, available=?, hidden=?,
              subtitle=?, longDescription=?, mainImageIndex=?,
              widthCm=?, heightCm=?, depthCm=?, showDimensions=?,
-             shippingZoneOverrides=?, isUnique=?, quantityAvailable=?, lastSoldAt=?
+             shippingZoneOverrides=?, isUnique=?, quantityAvailable=?, lastSoldAt=?,
+             variantOptions=?, variants=?, priceCurrency=?, priceFiat=?
        WHERE id=?`
     ).run(
       patch.title ?? cur.title,
       (patch.description ?? cur.description ?? ""),
-      Math.floor((patch.priceSats ?? cur.priceSats) || 0),
+      nextPriceSats,
       EMPTY_IMAGES_JSON,
       nextAvailable ? 1 : 0,
       (patch.hidden ?? cur.hidden) ? 1 : 0,
@@ -1329,6 +1639,12 @@ export const Products = {
       nextIsUnique ? 1 : 0,
       nextQuantity,
       nextLastSold,
+      JSON.stringify(hasVariants ? nextAxes : []),
+      JSON.stringify(nextVariants),
+      ...normalizeFiatPrice(
+        patch.priceCurrency !== undefined ? patch.priceCurrency : cur.priceCurrency,
+        patch.priceFiat !== undefined ? patch.priceFiat : cur.priceFiat
+      ),
       id
     );
 
@@ -1343,11 +1659,30 @@ export const Products = {
     db.prepare(`DELETE FROM products WHERE id=?`).run(id);
   },
 
-  consumeStock(id, qty = 1) {
+  consumeStock(id, qty = 1, { variantId = "" } = {}) {
     const product = this.get(id, { includeImages: false });
     if (!product) return null;
     const decrement = Math.max(1, Math.floor(Number(qty) || 1));
 
+    if (product.variants.length) {
+      const target = product.variants.find((v) => v.id === variantId);
+      if (!target || target.quantityAvailable === null) return product;
+      const nextVariants = product.variants.map((v) => ({
+        ...v,
+        quantityAvailable: v.id === target.id ? Math.max(0, v.quantityAvailable - decrement) : v.quantityAvailable
+      }));
+      const total = variantStockTotal(nextVariants);
+      const stillAvailable = product.available && (total === null || total > 0);
+      db.prepare(`UPDATE products SET variants=?, quantityAvailable=?, available=?, lastSoldAt=? WHERE id=?`).run(
+        JSON.stringify(nextVariants),
+        total,
+        stillAvailable ? 1 : 0,
+        stillAvailable ? product.lastSoldAt || 0 : now(),
+        id
+      );
+      return this.get(id, { includeImages: false });
+    }
+
     // Unlimited stock (null) never decrements
     if (!product.isUnique && (product.quantityAvailable === null || product.quantityAvailable === undefined)) {
       return product;
@@ -1372,6 +1707,44 @@ export const Products = {
     db.prepare(`UPDATE products SET available=0, quantityAvailable=0, lastSoldAt=? WHERE id=?`).run(now(), id);
   },
 
+  fiatCurrencies() {
+    return db
+      .prepare(`SELECT DISTINCT priceCurrency FROM products WHERE priceCurrency != ''`)
+      .all()
+      .map((row) => row.priceCurrency);
+  },
+
+  /**
+   * Re-derive priceSats (product and variants) of fiat-pegged products from
+   * `rates` ({ EUR: fiatPerBtc }). Currencies missing from `rates` are left
+   * alone. Returns the number of products whose price changed.
+   */
+  repriceFiat(rates = {}) {
+    const rows = db
+      .prepare(`SELECT id, priceSats, priceCurrency, priceFiat, variantOptions, variants FROM products WHERE priceCurrency != ''`)
+      .all();
+    const updateStmt = db.prepare(`UPDATE products SET priceSats=?, variants=? WHERE id=?`);
+    let changed = 0;
+    const tx = db.transaction(() => {
+      for (const row of rows) {
+        const rate = Number(rates?.[row.priceCurrency]);
+        const priceSats = fiatToSats(row.priceFiat, rate);
+        if (priceSats === null) continue;
+        const { variants } = parseVariantState(row);
+        const nextVariants = variants.map((v) => ({
+          ...v,
+          priceSats: fiatToSats(v.priceFiat ?? row.priceFiat, rate) ?? v.priceSats
+        }));
+        const variantsJson = JSON.stringify(nextVariants);
+        if (priceSats === Number(row.priceSats) && variantsJson === JSON.stringify(variants)) continue;
+        updateStmt.run(priceSats, variantsJson, row.id);
+        changed += 1;
+      }
+    });
+    tx();
+    return changed;
+  },
+
   reorder(orderIds = []) {
     if (!Array.isArray(orderIds) || orderIds.length === 0) return 0;
 
@@ -1422,6 +1795,16 @@ function normalizeProductRow(row, { includeImages = false } = {}) {
   const isUnique = row.isUnique !== undefined ? !!row.isUnique : true;
   const qtyRaw = row.quantityAvailable;
   const qtyValue = Number.isFinite(qtyRaw) ? Math.max(0, Math.floor(qtyRaw)) : (isUnique ? 1 : null);
+  const { variantOptions, variants: storedVariants } = parseVariantState(row);
+  const variants = storedVariants.map((v) => {
+    const maxQuantity = !row.available ? 0 : v.quantityAvailable;
+    return {
+      ...v,
+      label: variantLabel(v, variantOptions),
+      maxQuantity,
+      available: maxQuantity === null || maxQuantity > 0
+    };
+  });
   const base = {
     id: row.id,
     title: row.title,
@@ -1432,10 +1815,16 @@ function normalizeProductRow(row, { includeImages = false } = {}) {
     available: !!row.available,
     maxQuantity: (() => {
       if (!row.available) return 0;
+      if (variants.length) {
+        if (variants.some((v) => v.maxQuantity === null)) return null;
+        return Math.max(0, ...variants.map((v) => v.maxQuantity));
+      }
       if (isUnique) return 1;
       if (qtyValue === null || qtyValue === undefined) return null;
       return Math.max(0, qtyValue);
     })(),
+    variantOptions,
+    variants,
     hidden: !!row.hidden,
     createdAt: row.createdAt ?? 0,
     displayOrder: Number(row.displayOrder || 0),
@@ -1449,7 +1838,9 @@ function normalizeProductRow(row, { includeImages = false } = {}) {
     shippingZoneOverrides: parseZoneOverrides(row.shippingZoneOverrides),
     imageCount: Number(row.imageCount || 0),
     imageVersion: row.imageVersion || "",
-    lastSoldAt: Number(row.lastSoldAt || 0)
+    lastSoldAt: Number(row.lastSoldAt || 0),
+    priceCurrency: row.priceCurrency || "",
+    priceFiat: row.priceCurrency ? numOrNull(row.priceFiat) : null
   };
   if (includeImages) {
     base.images = ProductImages.list(row.id);
@@ -1458,6 +1849,37 @@ function normalizeProductRow(row, { includeImages = false } = {}) {
   return base;
 }
 
+// Statuses reached after payment; a late "paid" event must not move an order back from these.
+export const PAID_STATUSES = new Set(["PAID", "PREPARATION", "PARTIALLY_SHIPPED", "SHIPPED", "REFUND_REQUESTED", "REFUNDED"]);
+
+// Deleted orders are kept for a while so payments that land after an order
+// expired or was pruned can still be matched and recovered (reconciliation).
+const DELETED_ORDER_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const archiveOrderStmt = db.prepare(`
+  INSERT OR REPLACE INTO deleted_orders (id, paymentHash, onchainId, onchainAddress, reason, data, deletedAt)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+function archiveOrderRow(row, reason) {
+  // The whole row is kept, Boltz refund key included: a pruned or deleted
+  // swap may still hold the buyer's coins and need refunding (boltz-refund.js)
+
+  // An xpub address nobody paid can be handed out again later
+  const received = Number(row.onchainMempoolSats || 0) + Number(row.onchainConfirmedSats || 0);
+  if (row.onchainProvider === "xpub" && row.xpubIndex !== null && row.xpubIndex !== undefined && row.status === "PENDING" && !received) {
+    XpubIndexes.release({ xpubIndex: row.xpubIndex, address: row.onchainAddress, orderId: row.id });
+  }
+  archiveOrderStmt.run(
+    row.id,
+    row.paymentHash || "",
+    row.onchainId || row.onchainSwapId || row.boltzSwapId || "",
+    row.onchainAddress || row.boltzAddress || "",
+    reason,
+    JSON.stringify(row),
+    now()
+  );
+}
+
 export const Orders = {
   all() {
     this.prunePendingOlderThan(
@@ -1467,7 +1889,7 @@ export const Orders = {
     return db
       .prepare(`SELECT * FROM orders ORDER BY createdAt DESC`)
       .all()
-      .map(normalizeOrderRow);
+      .map(normalizeOrderRows());
   },
   get(id) {
     const o = db.prepare(`SELECT * FROM orders WHERE id=?`).get(id);
@@ -1488,7 +1910,7 @@ export const Orders = {
     const rows = db
       .prepare(`SELECT * FROM orders WHERE clientId=? ORDER BY createdAt DESC`)
       .all(clientId);
-    return rows.map(normalizeOrderRow);
+    return rows.map(normalizeOrderRows(rows));
   },
   create(order) {
     const id = order?.id || makeId();
@@ -1501,8 +1923,9 @@ export const Orders = {
         status, paymentHash, paymentRequest, lnurlVerifyUrl, lnurlExpiresAt,
         onchainId, onchainSwapId, onchainProvider, onchainAddress, onchainAmountSats, onchainBip21, onchainStatus, onchainExpiresAt, onchainMempoolSats, onchainConfirmedSats, xpubIndex,
         boltzSwapId, boltzAddress, boltzExpectedAmountSats, boltzTimeoutBlockHeight,
-        boltzRefundPrivKey, boltzRefundPubKey, boltzRedeemScript, boltzRescueIndex, boltzSwapTree, boltzStatus,
-        createdAt, clientId, notes
+        boltzRefundPrivKey, boltzRefundPubKey, boltzRedeemScript, boltzRescueIndex, boltzSwapTree, boltzClaimPubKey, boltzStatus,
+        createdAt, clientId, notes, discountCode, discountSats,
+        fiatCurrency, fiatRate, pricingRates, lightningProvider, cashuMint, cashuAmountSats
       ) VALUES (
         ?, ?, ?, ?, ?,
         ?,
@@ -1510,8 +1933,9 @@ export const Orders = {
         ?, ?, ?, ?,
         ?, ?, ?, ?, ?, ?,
         ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-        ?, ?, ?
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+        ?, ?, ?, ?, ?,
+        ?, ?, ?, ?, ?, ?
       )
     `);
     stmt.run(
@@ -1557,10 +1981,19 @@ export const Orders = {
       order.boltzRedeemScript || "",
       numOrNull(order.boltzRescueIndex),
       order.boltzSwapTree || "",
+      order.boltzClaimPubKey || "",
       order.boltzStatus || "",
       now(),
       order.clientId || "",
-      order.notes || ""
+      order.notes || "",
+      order.discountCode || "",
+      Math.max(0, Math.floor(Number(order.discountSats || 0))),
+      order.fiatCurrency || "",
+      Math.max(0, Number(order.fiatRate || 0)),
+      JSON.stringify(order.pricingRates || {}),
+      order.lightningProvider || "",
+      order.cashuMint || "",
+      Math.max(0, Math.floor(Number(order.cashuAmountSats || 0)))
     );
     return this.get(id);
   },
@@ -1635,13 +2068,17 @@ export const Orders = {
          SET onchainStatus=?,
              onchainMempoolSats=?,
              onchainConfirmedSats=?,
-             onchainTxid=COALESCE(?, onchainTxid)
+             onchainTxid=COALESCE(?, onchainTxid),
+             onchainPayments=COALESCE(?, onchainPayments),
+             onchainOverpaidSats=COALESCE(?, onchainOverpaidSats)
        WHERE id=?`)
       .run(
         status ?? current.onchainStatus ?? "",
         Math.max(0, Math.floor(Number(mempool || 0))),
         Math.max(0, Math.floor(Number(confirmed || 0))),
         extras.txid ?? null,
+        Array.isArray(extras.payments) ? JSON.stringify(extras.payments) : null,
+        extras.overpaidSats === undefined ? null : Math.max(0, Math.floor(Number(extras.overpaidSats || 0))),
         id
       );
     return this.get(id);
@@ -1650,9 +2087,10 @@ export const Orders = {
     const current = this.byPaymentHash(paymentHash);
     if (!current) return null;
     const statusUpper = String(current.status || "").toUpperCase();
-    const alreadyPaid = statusUpper === "PAID" || statusUpper === "PREPARATION" || statusUpper === "SHIPPED";
+    const alreadyPaid = PAID_STATUSES.has(statusUpper);
     if (!alreadyPaid) {
-      db.prepare(`UPDATE orders SET status='PAID' WHERE paymentHash=?`).run(paymentHash);
+      db.prepare(`UPDATE orders SET status='PAID', paidAt=? WHERE paymentHash=?`).run(now(), paymentHash);
+      StockReservations.release(current.id);
     }
     const next = alreadyPaid ? current : this.byPaymentHash(paymentHash);
     if (next) next.__justPaid = !alreadyPaid;
@@ -1662,9 +2100,10 @@ export const Orders = {
     const current = this.bySwapId(boltzSwapId);
     if (!current) return null;
     const statusUpper = String(current.status || "").toUpperCase();
-    const alreadyPaid = statusUpper === "PAID" || statusUpper === "PREPARATION" || statusUpper === "SHIPPED";
+    const alreadyPaid = PAID_STATUSES.has(statusUpper);
     if (!alreadyPaid) {
-      db.prepare(`UPDATE orders SET status='PAID' WHERE onchainId=? OR onchainSwapId=? OR boltzSwapId=?`).run(boltzSwapId, boltzSwapId, boltzSwapId);
+      db.prepare(`UPDATE orders SET status='PAID', paidAt=? WHERE onchainId=? OR onchainSwapId=? OR boltzSwapId=?`).run(now(), boltzSwapId, boltzSwapId, boltzSwapId);
+      StockReservations.release(current.id);
     }
     const next = alreadyPaid ? current : this.bySwapId(boltzSwapId);
     if (next) next.__justPaid = !alreadyPaid;
@@ -1675,34 +2114,123 @@ export const Orders = {
     db.prepare(`UPDATE orders SET boltzStatus=? WHERE boltzSwapId=?`).run(status || "", boltzSwapId);
     return this.bySwapId(boltzSwapId);
   },
+  // Same contract as markPaidByHash, for orders without a payment hash (xpub)
+  markPaid(id) {
+    const current = this.get(id);
+    if (!current) return null;
+    const alreadyPaid = PAID_STATUSES.has(String(current.status || "").toUpperCase());
+    const next = alreadyPaid ? current : this.setStatus(id, "PAID");
+    next.__justPaid = !alreadyPaid;
+    return next;
+  },
   setStatus(id, status, extras = {}) {
     const cur = this.get(id);
     if (!cur) return null;
     const courier = (extras.courier !== undefined) ? String(extras.courier || "") : cur.courier || "";
     const tracking = (extras.tracking !== undefined) ? String(extras.tracking || "") : cur.tracking || "";
-    db.prepare(`UPDATE orders SET status=?, courier=?, tracking=? WHERE id=?`)
-      .run(status, courier, tracking, id);
+    // Orders marked paid by hand get their payment time here
+    const paidAt = !cur.paidAt && PAID_STATUSES.has(String(status).toUpperCase()) ? now() : cur.paidAt;
+    db.prepare(`UPDATE orders SET status=?, courier=?, tracking=?, paidAt=? WHERE id=?`)
+      .run(status, courier, tracking, paidAt, id);
+    if (String(status).toUpperCase() !== "PENDING") StockReservations.release(id);
+    return this.get(id);
+  },
+  // Store the BTC price at payment time once; later calls keep the first rate
+  setFiatRate(id, { currency, rate } = {}) {
+    const code = String(currency || "").trim().toUpperCase();
+    const value = Number(rate);
+    if (!code || !Number.isFinite(value) || value <= 0) return this.get(id);
+    db.prepare(`UPDATE orders SET fiatCurrency=?, fiatRate=? WHERE id=? AND fiatRate=0`).run(code, value, id);
+    return this.get(id);
+  },
+  // Cashu change: the token once unblinded, or the pending claim until then
+  setCashuChange(id, { change = "", changeSats = 0, changeRequest = null } = {}) {
+    db.prepare(`UPDATE orders SET cashuChange=?, cashuChangeSats=?, cashuChangeRequest=? WHERE id=?`)
+      .run(String(change || ""), Math.max(0, Math.floor(Number(changeSats) || 0)), changeRequest ? JSON.stringify(changeRequest) : "", id);
+    return this.get(id);
+  },
+  requestRefund(id, { amountSats, reason } = {}) {
+    const cur = this.get(id);
+    if (!cur) return null;
+    const status = String(cur.status || "").toUpperCase();
+    if (status !== "PAID" && status !== "PREPARATION" && status !== "PARTIALLY_SHIPPED" && status !== "SHIPPED") {
+      throw new Error("Only paid orders can be refunded");
+    }
+    const sats = amountSats === undefined || amountSats === null || amountSats === ""
+      ? Number(cur.totalSats || 0)
+      : Math.floor(Number(amountSats));
+    if (!Number.isFinite(sats) || sats < 1 || sats > Number(cur.totalSats || 0)) {
+      throw new Error(`Refund amount must be between 1 and ${cur.totalSats} sats`);
+    }
+    db.prepare(`
+      UPDATE orders
+         SET status='REFUND_REQUESTED', refundSats=?, refundReason=?, refundRequestedAt=?
+       WHERE id=?`)
+      .run(sats, String(reason || "").trim().slice(0, 500), now(), id);
+    return this.get(id);
+  },
+  markRefunded(id, { method, destination, reference, amountSats } = {}) {
+    const cur = this.get(id);
+    if (!cur) return null;
+    if (String(cur.status || "").toUpperCase() !== "REFUND_REQUESTED") {
+      throw new Error("Request the refund before marking it as refunded");
+    }
+    const sats = Math.floor(Number(amountSats ?? cur.refundSats));
+    if (!Number.isFinite(sats) || sats < 1 || sats > Number(cur.totalSats || 0)) {
+      throw new Error(`Refund amount must be between 1 and ${cur.totalSats} sats`);
+    }
+    db.prepare(`
+      UPDATE orders
+         SET status='REFUNDED', refundSats=?, refundMethod=?, refundDestination=?, refundReference=?, refundedAt=?
+       WHERE id=?`)
+      .run(sats, String(method || ""), String(destination || ""), String(reference || ""), now(), id);
+    return this.get(id);
+  },
+  // A failed Boltz swap sent back to the buyer. The order was never paid, so
+  // it stays FAILED (out of the sales figures) and only gains the refund details.
+  recordSwapRefund(id, { destination, reference, amountSats, reason } = {}) {
+    const cur = this.get(id);
+    if (!cur) return null;
+    if (!cur.boltzSwapId) throw new Error("Not a Boltz swap order");
+    if (PAID_STATUSES.has(String(cur.status || "").toUpperCase())) {
+      throw new Error("The order is paid; use the normal refund flow");
+    }
+    const sats = Math.floor(Number(amountSats));
+    if (!Number.isFinite(sats) || sats < 1) throw new Error("Refund amount must be a positive number of sats");
+    db.prepare(`
+      UPDATE orders
+         SET status='FAILED', refundSats=?, refundReason=?, refundMethod='onchain', refundDestination=?, refundReference=?, refundedAt=?
+       WHERE id=?`)
+      .run(sats, String(reason || "").slice(0, 500), String(destination || ""), String(reference || ""), now(), id);
+    StockReservations.release(id);
     return this.get(id);
   },
   remove(id) {
-    db.prepare(`DELETE FROM orders WHERE id=?`).run(id);
+    db.transaction(() => {
+      const row = db.prepare(`SELECT * FROM orders WHERE id=?`).get(id);
+      if (row) archiveOrderRow(row, "removed");
+      db.prepare(`DELETE FROM orders WHERE id=?`).run(id);
+      db.prepare(`DELETE FROM order_shipments WHERE orderId=?`).run(id);
+    })();
+    StockReservations.release(id);
+    DiscountReservations.release(id);
   },
   prunePendingOlderThan(ms, boltzMs) {
     const cutoffRegular = now() - ms;
     const cutoffBoltz = now() - (boltzMs ?? ms);
-    // Delete non-Boltz pending older than regular cutoff
-    db.prepare(`
-      DELETE FROM orders
+    // Non-Boltz pending older than regular cutoff
+    const regular = db.prepare(`
+      SELECT * FROM orders
        WHERE status='PENDING'
          AND (paymentMethod <> 'onchain' OR (
            (onchainId IS NULL OR onchainId = '')
            AND (boltzSwapId IS NULL OR boltzSwapId = '')
          ))
          AND createdAt < ?
-    `).run(cutoffRegular);
-    // Delete Boltz on-chain pending older than extended cutoff
-    db.prepare(`
-      DELETE FROM orders
+    `).all(cutoffRegular);
+    // Boltz on-chain pending older than extended cutoff
+    const boltz = db.prepare(`
+      SELECT * FROM orders
        WHERE status='PENDING'
          AND paymentMethod='onchain'
          AND boltzSwapId IS NOT NULL
@@ -1710,11 +2238,20 @@ export const Orders = {
          AND boltzRefundPubKey IS NOT NULL
          AND boltzRefundPubKey <> ''
          AND createdAt < ?
-    `).run(cutoffBoltz);
+    `).all(cutoffBoltz);
+    db.transaction(() => {
+      for (const row of [...regular, ...boltz]) {
+        archiveOrderRow(row, "pruned");
+        db.prepare(`DELETE FROM orders WHERE id=?`).run(row.id);
+      }
+      db.prepare(`DELETE FROM deleted_orders WHERE deletedAt < ?`).run(now() - DELETED_ORDER_RETENTION_MS);
+    })();
+    StockReservations.prune();
+    DiscountReservations.prune();
   },
 };
 
-function normalizeOrderRow(o) {
+function normalizeOrderRow(o, shipments = Shipments.forOrder(o.id)) {
   return {
     ...o,
     items: safeParseJSON(o.items, []),
@@ -1737,6 +2274,8 @@ function normalizeOrderRow(o) {
     onchainMempoolSats: Number(o.onchainMempoolSats || 0),
     onchainConfirmedSats: Number(o.onchainConfirmedSats || 0),
     onchainTxid: o.onchainTxid || "",
+    onchainPayments: safeParseJSON(o.onchainPayments, []),
+    onchainOverpaidSats: Number(o.onchainOverpaidSats || 0),
     xpubIndex: (o.xpubIndex === null || o.xpubIndex === undefined || o.xpubIndex === "")
       ? null
       : Number(o.xpubIndex),
@@ -1751,9 +2290,833 @@ function normalizeOrderRow(o) {
       ? null
       : Number(o.boltzRescueIndex),
     boltzSwapTree: o.boltzSwapTree || "",
+    boltzClaimPubKey: o.boltzClaimPubKey || "",
     boltzStatus: o.boltzStatus || "",
     lnurlVerifyUrl: o.lnurlVerifyUrl || "",
-    lnurlExpiresAt: Number(o.lnurlExpiresAt || 0)
+    lnurlExpiresAt: Number(o.lnurlExpiresAt || 0),
+    discountCode: o.discountCode || "",
+    discountSats: Number(o.discountSats || 0),
+    refundSats: Number(o.refundSats || 0),
+    refundReason: o.refundReason || "",
+    refundMethod: o.refundMethod || "",
+    refundDestination: o.refundDestination || "",
+    refundReference: o.refundReference || "",
+    refundRequestedAt: Number(o.refundRequestedAt || 0),
+    refundedAt: Number(o.refundedAt || 0),
+    paidAt: Number(o.paidAt || 0),
+    fiatCurrency: o.fiatCurrency || "",
+    fiatRate: Number(o.fiatRate || 0),
+    pricingRates: safeParseJSON(o.pricingRates, {}),
+    lightningProvider: o.lightningProvider || "",
+    cashuMint: o.cashuMint || "",
+    cashuAmountSats: Number(o.cashuAmountSats || 0),
+    cashuChange: o.cashuChange || "",
+    cashuChangeSats: Number(o.cashuChangeSats || 0),
+    cashuChangeRequest: safeParseJSON(o.cashuChangeRequest, null),
+    shipments
+  };
+}
+
+// Row mapper for order lists: shipments are loaded in one query, for `rows`
+// or (without them) for every order
+function normalizeOrderRows(rows) {
+  const shipments = Shipments.byOrder(rows?.map((o) => o.id));
+  return (o) => normalizeOrderRow(o, shipments.get(o.id) || []);
+}
+
+export const DiscountCodes = {
+  all() {
+    const usage = new Map(
+      db
+        .prepare(`
+          SELECT code, COUNT(*) AS cnt FROM (
+            SELECT discountCode AS code FROM orders WHERE discountCode <> '' AND status <> 'FAILED'
+            UNION ALL
+            SELECT code FROM discount_reservations
+             WHERE expiresAt > ? AND orderId NOT IN (SELECT id FROM orders)
+          )
+           GROUP BY code
+        `)
+        .all(now())
+        .map((r) => [r.code, Number(r.cnt || 0)])
+    );
+    return db
+      .prepare(`SELECT * FROM discount_codes ORDER BY createdAt DESC`)
+      .all()
+      .map((row) => ({ ...normalizeDiscountRow(row), usedCount: usage.get(row.code) || 0 }));
+  },
+  get(id) {
+    const row = db.prepare(`SELECT * FROM discount_codes WHERE id=?`).get(id);
+    return row ? normalizeDiscountRow(row) : null;
+  },
+  byCode(code) {
+    const key = normalizeDiscountCode(code);
+    if (!key) return null;
+    const row = db.prepare(`SELECT * FROM discount_codes WHERE code=?`).get(key);
+    return row ? normalizeDiscountRow(row) : null;
+  },
+  // Pending orders and checkouts still waiting on their invoice count too,
+  // so a limited code cannot be oversubscribed by parallel checkouts; they
+  // free the slot again once failed or pruned.
+  usageCount(code) {
+    const key = normalizeDiscountCode(code);
+    if (!key) return 0;
+    const row = db
+      .prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM orders WHERE discountCode=? AND status <> 'FAILED') +
+          (SELECT COUNT(*) FROM discount_reservations
+            WHERE code=? AND expiresAt > ? AND orderId NOT IN (SELECT id FROM orders)) AS cnt
+      `)
+      .get(key, key, now());
+    return Number(row?.cnt || 0);
+  },
+  create(input = {}) {
+    const data = normalizeDiscountInput(input);
+    if (!data.code) throw new Error("code is required");
+    if (this.byCode(data.code)) throw new Error("A discount with this code already exists");
+    const id = makeId();
+    const ts = now();
+    db.prepare(`
+      INSERT INTO discount_codes
+        (id, code, kind, value, minSubtotalSats, startsAt, expiresAt, maxUses,
+         productIds, freeShipping, active, note, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      data.code,
+      data.kind,
+      data.value,
+      data.minSubtotalSats,
+      data.startsAt,
+      data.expiresAt,
+      data.maxUses,
+      JSON.stringify(data.productIds),
+      data.freeShipping ? 1 : 0,
+      data.active ? 1 : 0,
+      data.note,
+      ts,
+      ts
+    );
+    return this.get(id);
+  },
+  update(id, patch = {}) {
+    const cur = this.get(id);
+    if (!cur) return null;
+    const data = normalizeDiscountInput({ ...cur, ...patch });
+    if (!data.code) throw new Error("code is required");
+    const clash = this.byCode(data.code);
+    if (clash && clash.id !== id) throw new Error("A discount with this code already exists");
+    db.prepare(`
+      UPDATE discount_codes
+         SET code=?, kind=?, value=?, minSubtotalSats=?, startsAt=?, expiresAt=?, maxUses=?,
+             productIds=?, freeShipping=?, active=?, note=?, updatedAt=?
+       WHERE id=?
+    `).run(
+      data.code,
+      data.kind,
+      data.value,
+      data.minSubtotalSats,
+      data.startsAt,
+      data.expiresAt,
+      data.maxUses,
+      JSON.stringify(data.productIds),
+      data.freeShipping ? 1 : 0,
+      data.active ? 1 : 0,
+      data.note,
+      now(),
+      id
+    );
+    return this.get(id);
+  },
+  remove(id) {
+    db.prepare(`DELETE FROM discount_codes WHERE id=?`).run(id);
+  }
+};
+
+export function normalizeDiscountCode(raw) {
+  return String(raw || "").trim().toUpperCase().replace(/\s+/g, "").slice(0, 40);
+}
+
+function normalizeDiscountInput(input = {}) {
+  const kind = input.kind === "fixed" ? "fixed" : "percent";
+  const rawValue = Math.max(0, Math.floor(numOr(input.value, 0)));
+  const productIds = Array.from(
+    new Set((Array.isArray(input.productIds) ? input.productIds : []).map((v) => String(v || "").trim()).filter(Boolean))
+  );
+  return {
+    code: normalizeDiscountCode(input.code),
+    kind,
+    value: kind === "percent" ? Math.min(100, rawValue) : rawValue,
+    minSubtotalSats: Math.max(0, Math.floor(numOr(input.minSubtotalSats, 0))),
+    startsAt: Math.max(0, Math.floor(numOr(input.startsAt, 0))),
+    expiresAt: Math.max(0, Math.floor(numOr(input.expiresAt, 0))),
+    maxUses: Math.max(0, Math.floor(numOr(input.maxUses, 0))),
+    productIds,
+    freeShipping: input.freeShipping === true || input.freeShipping === 1 || input.freeShipping === "1",
+    active: input.active === undefined ? true : !!input.active,
+    note: String(input.note || "").slice(0, 280)
+  };
+}
+
+function normalizeDiscountRow(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    kind: row.kind === "fixed" ? "fixed" : "percent",
+    value: Number(row.value || 0),
+    minSubtotalSats: Number(row.minSubtotalSats || 0),
+    startsAt: Number(row.startsAt || 0),
+    expiresAt: Number(row.expiresAt || 0),
+    maxUses: Number(row.maxUses || 0),
+    productIds: (() => {
+      const parsed = safeParseJSON(row.productIds, []);
+      return Array.isArray(parsed) ? parsed.map(String) : [];
+    })(),
+    freeShipping: !!row.freeShipping,
+    active: !!row.active,
+    note: row.note || "",
+    createdAt: Number(row.createdAt || 0),
+    updatedAt: Number(row.updatedAt || 0)
+  };
+}
+
+// Units held for PENDING orders until their invoice/swap expires. Released
+// when the order is paid, failed or removed; expired rows are ignored by
+// reservedQty() and swept by prune().
+export const StockReservations = {
+  reservedQty(productId, variantId = "", { at = now() } = {}) {
+    const row = variantId
+      ? db
+          .prepare(`
+            SELECT COALESCE(SUM(qty), 0) AS qty FROM stock_reservations
+             WHERE productId=? AND variantId=? AND expiresAt > ?
+          `)
+          .get(productId, String(variantId), at)
+      : db
+          .prepare(`SELECT COALESCE(SUM(qty), 0) AS qty FROM stock_reservations WHERE productId=? AND expiresAt > ?`)
+          .get(productId, at);
+    return Number(row?.qty || 0);
+  },
+  forOrder(orderId) {
+    return db
+      .prepare(`SELECT * FROM stock_reservations WHERE orderId=? ORDER BY createdAt ASC`)
+      .all(orderId);
+  },
+  // Replaces any previous hold for the order; `items` are checkout lines.
+  hold(orderId, items, expiresAt) {
+    const insert = db.prepare(`
+      INSERT INTO stock_reservations (id, orderId, productId, variantId, qty, expiresAt, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const ts = now();
+    const tx = db.transaction(() => {
+      db.prepare(`DELETE FROM stock_reservations WHERE orderId=?`).run(orderId);
+      for (const it of Array.isArray(items) ? items : []) {
+        if (!it?.productId) continue;
+        const qty = Math.max(1, Math.floor(Number(it.qty) || 1));
+        insert.run(makeId(), orderId, String(it.productId), String(it.variantId || ""), qty, Math.floor(expiresAt), ts);
+      }
+    });
+    tx();
+    return this.forOrder(orderId);
+  },
+  extend(orderId, expiresAt) {
+    db.prepare(`UPDATE stock_reservations SET expiresAt=? WHERE orderId=?`).run(Math.floor(expiresAt), orderId);
+  },
+  release(orderId) {
+    if (!orderId) return;
+    db.prepare(`DELETE FROM stock_reservations WHERE orderId=?`).run(orderId);
+  },
+  prune(at = now()) {
+    db.prepare(`
+      DELETE FROM stock_reservations
+       WHERE expiresAt <= ?
+          OR (orderId NOT IN (SELECT id FROM orders WHERE status='PENDING') AND createdAt < ?)
+    `).run(at, at - 10 * 60 * 1000);
+  }
+};
+
+// A checkout's claim on a limited discount code between validating it and
+// inserting its order row; the order itself counts from then on.
+export const DiscountReservations = {
+  hold(orderId, code, expiresAt) {
+    const key = normalizeDiscountCode(code);
+    if (!orderId || !key) return;
+    db.prepare(`
+      INSERT OR REPLACE INTO discount_reservations (orderId, code, expiresAt, createdAt)
+      VALUES (?, ?, ?, ?)
+    `).run(orderId, key, Math.floor(expiresAt), now());
+  },
+  release(orderId) {
+    if (!orderId) return;
+    db.prepare(`DELETE FROM discount_reservations WHERE orderId=?`).run(orderId);
+  },
+  prune(at = now()) {
+    db.prepare(`
+      DELETE FROM discount_reservations
+       WHERE expiresAt <= ? OR orderId IN (SELECT id FROM orders)
+    `).run(at);
+  }
+};
+
+export const ADMIN_ROLES = ["owner", "fulfilment", "content"];
+
+export const AdminUsers = {
+  all() {
+    return db
+      .prepare(`SELECT * FROM admin_users ORDER BY createdAt ASC`)
+      .all()
+      .map(normalizeAdminUserRow);
+  },
+  count() {
+    return Number(db.prepare(`SELECT COUNT(*) AS cnt FROM admin_users`).get()?.cnt || 0);
+  },
+  get(id) {
+    const row = db.prepare(`SELECT * FROM admin_users WHERE id=?`).get(id);
+    return row ? normalizeAdminUserRow(row) : null;
+  },
+  byUsername(username) {
+    const key = normalizeAdminUsername(username);
+    if (!key) return null;
+    const row = db.prepare(`SELECT * FROM admin_users WHERE username=?`).get(key);
+    return row ? normalizeAdminUserRow(row) : null;
+  },
+  byNostrPubkey(pubkey) {
+    const key = String(pubkey || "").trim().toLowerCase();
+    if (!key) return null;
+    const row = db.prepare(`SELECT * FROM admin_users WHERE nostrPubkey=?`).get(key);
+    return row ? normalizeAdminUserRow(row) : null;
+  },
+  // Returns the user for valid credentials of an active account, else null.
+  authenticate(username, password) {
+    const key = normalizeAdminUsername(username);
+    if (!key || !password) return null;
+    const row = db.prepare(`SELECT * FROM admin_users WHERE username=?`).get(key);
+    if (!row || !row.active || !verifyPassword(password, row.passwordHash)) return null;
+    return normalizeAdminUserRow(row);
+  },
+  touchLogin(id) {
+    db.prepare(`UPDATE admin_users SET lastLoginAt=? WHERE id=?`).run(now(), id);
+  },
+  create(input = {}) {
+    const data = normalizeAdminUserInput(input);
+    if (!data.username) throw new Error("username is required");
+    if (this.byUsername(data.username)) throw new Error("An admin with this username already exists");
+    if (!input.password && !data.nostrPubkey) throw new Error("Set a password or a Nostr pubkey");
+    if (data.role !== "owner" && this.count() === 0) throw new Error("The first admin account must be an owner");
+    if (data.nostrPubkey && this.byNostrPubkey(data.nostrPubkey)) {
+      throw new Error("This Nostr pubkey is already linked to another admin");
+    }
+    const id = makeId();
+    const ts = now();
+    db.prepare(`
+      INSERT INTO admin_users
+        (id, username, displayName, role, passwordHash, nostrPubkey, active, lastLoginAt, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+    `).run(
+      id,
+      data.username,
+      data.displayName,
+      data.role,
+      input.password ? hashPassword(checkAdminPassword(input.password)) : "",
+      data.nostrPubkey,
+      data.active ? 1 : 0,
+      ts,
+      ts
+    );
+    return this.get(id);
+  },
+  // `password` replaces the current one when non-empty; `clearPassword`
+  // removes it (Nostr-only login).
+  update(id, patch = {}) {
+    const row = db.prepare(`SELECT * FROM admin_users WHERE id=?`).get(id);
+    if (!row) return null;
+    const cur = normalizeAdminUserRow(row);
+    const data = normalizeAdminUserInput({ ...cur, ...patch });
+    if (!data.username) throw new Error("username is required");
+    const clash = this.byUsername(data.username);
+    if (clash && clash.id !== id) throw new Error("An admin with this username already exists");
+    if (data.nostrPubkey) {
+      const pkClash = this.byNostrPubkey(data.nostrPubkey);
+      if (pkClash && pkClash.id !== id) throw new Error("This Nostr pubkey is already linked to another admin");
+    }
+    let passwordHash = row.passwordHash || "";
+    if (patch.password) passwordHash = hashPassword(checkAdminPassword(patch.password));
+    else if (patch.clearPassword) passwordHash = "";
+    if (!passwordHash && !data.nostrPubkey) throw new Error("Set a password or a Nostr pubkey");
+    if (cur.role === "owner" && cur.active && !(data.role === "owner" && data.active)) {
+      assertAnotherActiveOwner(id);
+    }
+    db.prepare(`
+      UPDATE admin_users
+         SET username=?, displayName=?, role=?, passwordHash=?, nostrPubkey=?, active=?, updatedAt=?
+       WHERE id=?
+    `).run(
+      data.username,
+      data.displayName,
+      data.role,
+      passwordHash,
+      data.nostrPubkey,
+      data.active ? 1 : 0,
+      now(),
+      id
+    );
+    return this.get(id);
+  },
+  remove(id) {
+    const cur = this.get(id);
+    if (!cur) return;
+    if (cur.role === "owner" && cur.active) assertAnotherActiveOwner(id);
+    db.prepare(`DELETE FROM admin_users WHERE id=?`).run(id);
+  }
+};
+
+function assertAnotherActiveOwner(exceptId) {
+  const row = db
+    .prepare(`SELECT COUNT(*) AS cnt FROM admin_users WHERE role='owner' AND active=1 AND id<>?`)
+    .get(exceptId);
+  if (!Number(row?.cnt || 0)) throw new Error("At least one active owner is required");
+}
+
+function checkAdminPassword(password) {
+  const value = String(password || "");
+  if (value.length < 8) throw new Error("Password must be at least 8 characters");
+  return value;
+}
+
+function normalizeAdminUsername(raw) {
+  return String(raw || "").trim().toLowerCase().replace(/[^a-z0-9._-]/g, "").slice(0, 40);
+}
+
+function normalizeAdminUserInput(input = {}) {
+  const pubkey = String(input.nostrPubkey || "").trim().toLowerCase();
+  if (pubkey && !/^[0-9a-f]{64}$/.test(pubkey)) throw new Error("Nostr pubkey must be 64 hex characters");
+  return {
+    username: normalizeAdminUsername(input.username),
+    displayName: String(input.displayName || "").trim().slice(0, 80),
+    role: ADMIN_ROLES.includes(input.role) ? input.role : "content",
+    nostrPubkey: pubkey,
+    active: input.active === undefined ? true : !!input.active
+  };
+}
+
+// Never exposes the password hash.
+function normalizeAdminUserRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.displayName || "",
+    role: ADMIN_ROLES.includes(row.role) ? row.role : "content",
+    nostrPubkey: row.nostrPubkey || "",
+    hasPassword: !!row.passwordHash,
+    active: !!row.active,
+    lastLoginAt: Number(row.lastLoginAt || 0),
+    createdAt: Number(row.createdAt || 0),
+    updatedAt: Number(row.updatedAt || 0)
+  };
+}
+
+export const AuditLog = {
+  record(entry = {}) {
+    const id = makeId();
+    db.prepare(`
+      INSERT INTO admin_audit_log
+        (id, at, actorId, actorName, actorRole, method, route, action, targetType, targetId, diff)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      Number(entry.at) || now(),
+      String(entry.actorId || ""),
+      String(entry.actorName || ""),
+      String(entry.actorRole || ""),
+      String(entry.method || "").toUpperCase(),
+      String(entry.route || ""),
+      String(entry.action || ""),
+      String(entry.targetType || ""),
+      String(entry.targetId || ""),
+      JSON.stringify(entry.diff && typeof entry.diff === "object" ? entry.diff : {})
+    );
+    return id;
+  },
+  // Filters: actor (id or name), action, targetType, targetId, from/to (ms).
+  list({ actor = "", action = "", targetType = "", targetId = "", from = 0, to = 0, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const args = [];
+    if (actor) {
+      where.push("(actorId=? OR actorName=?)");
+      args.push(String(actor), String(actor));
+    }
+    if (action) {
+      where.push("action=?");
+      args.push(String(action));
+    }
+    if (targetType) {
+      where.push("targetType=?");
+      args.push(String(targetType));
+    }
+    if (targetId) {
+      where.push("targetId=?");
+      args.push(String(targetId));
+    }
+    if (Number(from) > 0) {
+      where.push("at >= ?");
+      args.push(Number(from));
+    }
+    if (Number(to) > 0) {
+      where.push("at <= ?");
+      args.push(Number(to));
+    }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const safeLimit = Math.min(200, Math.max(1, Math.floor(Number(limit) || 50)));
+    const safeOffset = Math.max(0, Math.floor(Number(offset) || 0));
+    const total = Number(db.prepare(`SELECT COUNT(*) AS cnt FROM admin_audit_log ${clause}`).get(...args)?.cnt || 0);
+    const items = db
+      .prepare(`SELECT * FROM admin_audit_log ${clause} ORDER BY at DESC, id DESC LIMIT ? OFFSET ?`)
+      .all(...args, safeLimit, safeOffset)
+      .map((row) => ({ ...row, diff: safeParseJSON(row.diff, {}) }));
+    return { items, total };
+  },
+  facets() {
+    const pluck = (col) =>
+      db.prepare(`SELECT DISTINCT ${col} AS v FROM admin_audit_log WHERE ${col} <> '' ORDER BY ${col}`).all().map((r) => r.v);
+    return { actions: pluck("action"), actors: pluck("actorName"), targetTypes: pluck("targetType") };
+  },
+  pruneOlderThan(ms) {
+    return db.prepare(`DELETE FROM admin_audit_log WHERE at < ?`).run(now() - ms).changes;
+  }
+};
+
+function normalizeShipmentRow(row) {
+  return {
+    ...row,
+    items: safeParseJSON(row.items, []),
+    shippedAt: Number(row.shippedAt || 0),
+    createdAt: Number(row.createdAt || 0)
+  };
+}
+
+// Parcels for an order. Shipment items reference order lines by index:
+// [{ line, qty, title, variantLabel }] (title/label copied for display).
+export const Shipments = {
+  forOrder(orderId) {
+    return db
+      .prepare(`SELECT * FROM order_shipments WHERE orderId=? ORDER BY shippedAt ASC, createdAt ASC`)
+      .all(String(orderId || ""))
+      .map(normalizeShipmentRow);
+  },
+  // Shipments grouped by order id, for `orderIds` or all orders
+  byOrder(orderIds) {
+    const rows = orderIds
+      ? db
+        .prepare(`SELECT * FROM order_shipments WHERE orderId IN (SELECT value FROM json_each(?)) ORDER BY shippedAt ASC, createdAt ASC`)
+        .all(JSON.stringify(orderIds.map(String)))
+      : db.prepare(`SELECT * FROM order_shipments ORDER BY shippedAt ASC, createdAt ASC`).all();
+    const out = new Map();
+    for (const row of rows) {
+      if (!out.has(row.orderId)) out.set(row.orderId, []);
+      out.get(row.orderId).push(normalizeShipmentRow(row));
+    }
+    return out;
+  },
+  get(id) {
+    const row = db.prepare(`SELECT * FROM order_shipments WHERE id=?`).get(id);
+    return row ? normalizeShipmentRow(row) : null;
+  },
+  // Units of each order line not yet in a shipment: [{ line, qty }]
+  remaining(order) {
+    const shipped = new Map();
+    for (const shipment of this.forOrder(order.id)) {
+      for (const it of shipment.items) shipped.set(it.line, (shipped.get(it.line) || 0) + it.qty);
+    }
+    return (Array.isArray(order.items) ? order.items : [])
+      .map((it, line) => ({ line, qty: Math.max(1, Math.floor(Number(it?.qty) || 1)) - (shipped.get(line) || 0) }))
+      .filter((it) => it.qty > 0);
+  },
+  // Creates a shipment (all remaining units when `items` is empty) and moves
+  // the order to PARTIALLY_SHIPPED or SHIPPED. Returns { shipment, order }.
+  create(orderId, { items, courier, tracking, shippedAt } = {}) {
+    const order = Orders.get(orderId);
+    if (!order) throw new Error("Order not found");
+    const status = String(order.status || "").toUpperCase();
+    if (status !== "PAID" && status !== "PREPARATION" && status !== "PARTIALLY_SHIPPED") {
+      throw new Error("Only paid orders that are not fully shipped can get a shipment");
+    }
+    const courierStr = String(courier || "").trim();
+    const trackingStr = String(tracking || "").trim();
+    if (!courierStr || !trackingStr) throw new Error("Courier and tracking are required");
+
+    const remaining = new Map(this.remaining(order).map((it) => [it.line, it.qty]));
+    const requested = Array.isArray(items) && items.length
+      ? items
+      : Array.from(remaining, ([line, qty]) => ({ line, qty }));
+    const lines = new Map();
+    for (const it of requested) {
+      const line = Math.floor(Number(it?.line));
+      const qty = Math.floor(Number(it?.qty));
+      if (!Number.isInteger(line) || !Number.isFinite(qty) || qty <= 0) continue;
+      lines.set(line, (lines.get(line) || 0) + qty);
+    }
+    if (!lines.size) throw new Error("Select at least one item to ship");
+    for (const [line, qty] of lines) {
+      if (qty > (remaining.get(line) || 0)) {
+        const title = order.items[line]?.title || `line ${line + 1}`;
+        throw new Error(`Only ${remaining.get(line) || 0} of "${title}" left to ship`);
+      }
+    }
+
+    const id = makeId();
+    const ts = now();
+    const shipmentItems = Array.from(lines, ([line, qty]) => ({
+      line,
+      qty,
+      title: order.items[line]?.title || "",
+      variantLabel: order.items[line]?.variantLabel || ""
+    }));
+    const complete = Array.from(remaining).every(([line, qty]) => (lines.get(line) || 0) >= qty);
+    const tx = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO order_shipments (id, orderId, items, courier, tracking, shippedAt, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(id, order.id, JSON.stringify(shipmentItems), courierStr, trackingStr, Number(shippedAt) > 0 ? Number(shippedAt) : ts, ts);
+      // The order row keeps the latest parcel for legacy displays and templates
+      Orders.setStatus(order.id, complete ? "SHIPPED" : "PARTIALLY_SHIPPED", { courier: courierStr, tracking: trackingStr });
+    });
+    tx();
+    return { shipment: this.get(id), order: Orders.get(order.id) };
+  },
+  // Deletes a shipment and recomputes the order status. Returns the order.
+  remove(id) {
+    const shipment = this.get(id);
+    if (!shipment) return null;
+    db.prepare(`DELETE FROM order_shipments WHERE id=?`).run(id);
+    const order = Orders.get(shipment.orderId);
+    if (!order) return null;
+    const status = String(order.status || "").toUpperCase();
+    if (status !== "SHIPPED" && status !== "PARTIALLY_SHIPPED") return order;
+    const rest = order.shipments;
+    const last = rest[rest.length - 1];
+    const next = !rest.length ? "PREPARATION" : this.remaining(order).length ? "PARTIALLY_SHIPPED" : "SHIPPED";
+    return Orders.setStatus(order.id, next, { courier: last?.courier || "", tracking: last?.tracking || "" });
+  }
+};
+
+// ---------------------------------------------------------------------
+// Raw table access for backups. Parents come before children so inserts
+// satisfy the foreign keys; deletes run in reverse.
+// ---------------------------------------------------------------------
+export const BACKUP_TABLES = {
+  products: ["id"],
+  product_images: ["productId", "idx"],
+  product_nostr_posts: ["productId"],
+  settings: ["key"],
+  orders: ["id"],
+  order_shipments: ["id"],
+  discount_codes: ["id"],
+  nostr_carts: ["pubkey"],
+  xpub_state: ["id"],
+  xpub_used: ["xpubIndex"],
+  xpub_recycled: ["xpubIndex"],
+  payjoin_proposals: ["orderId"],
+  deleted_orders: ["id"]
+};
+
+export const ShopData = {
+  columns(table) {
+    if (!BACKUP_TABLES[table]) throw new Error(`Unknown table: ${table}`);
+    return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+  },
+  dump(table) {
+    if (!BACKUP_TABLES[table]) throw new Error(`Unknown table: ${table}`);
+    return db.prepare(`SELECT * FROM ${table}`).all();
+  },
+  // Replace the given tables wholesale in one transaction. Columns the
+  // current schema does not know are dropped; missing ones take defaults.
+  replace(tables) {
+    const names = Object.keys(BACKUP_TABLES).filter((t) => Array.isArray(tables[t]));
+    db.transaction(() => {
+      for (const table of [...names].reverse()) db.prepare(`DELETE FROM ${table}`).run();
+      for (const table of names) {
+        const known = new Set(this.columns(table));
+        const stmts = new Map();
+        for (const row of tables[table]) {
+          const cols = Object.keys(row).filter((c) => known.has(c));
+          if (!cols.length) continue;
+          const sig = cols.join(", ");
+          if (!stmts.has(sig)) {
+            stmts.set(sig, db.prepare(`INSERT INTO ${table} (${sig}) VALUES (${cols.map(() => "?").join(", ")})`));
+          }
+          stmts.get(sig).run(...cols.map((c) => row[c]));
+        }
+      }
+      db.prepare(`INSERT INTO xpub_state (id, nextIndex) VALUES (1, 0) ON CONFLICT(id) DO NOTHING`).run();
+    })();
+  }
+};
+
+// Orders removed or pruned while unpaid, kept for reconciliation
+export const DeletedOrders = {
+  all() {
+    const rows = db.prepare(`SELECT * FROM deleted_orders ORDER BY deletedAt DESC`).all();
+    const shipments = Shipments.byOrder(rows.map((row) => row.id));
+    return rows.map((row) => normalizeDeletedOrderRow(row, shipments.get(row.id) || []));
+  },
+  get(id) {
+    const row = db.prepare(`SELECT * FROM deleted_orders WHERE id=?`).get(id);
+    return row ? normalizeDeletedOrderRow(row) : null;
+  },
+  // Put the order back as it was when deleted; the caller marks it paid
+  restore(id) {
+    const row = db.prepare(`SELECT data FROM deleted_orders WHERE id=?`).get(id);
+    if (!row) return null;
+    const data = safeParseJSON(row.data, {});
+    const known = new Set(db.prepare(`PRAGMA table_info(orders)`).all().map((c) => c.name));
+    const cols = Object.keys(data).filter((c) => known.has(c));
+    if (!data.id || !cols.length) return null;
+    db.transaction(() => {
+      db.prepare(`INSERT INTO orders (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`)
+        .run(...cols.map((c) => data[c]));
+      db.prepare(`DELETE FROM deleted_orders WHERE id=?`).run(id);
+      if (data.xpubIndex !== null && data.xpubIndex !== undefined) XpubIndexes.unrelease(data.xpubIndex);
+    })();
+    return Orders.get(id);
+  }
+};
+
+function normalizeDeletedOrderRow(row, shipments) {
+  const data = safeParseJSON(row.data, {});
+  return {
+    id: row.id,
+    paymentHash: row.paymentHash || "",
+    onchainId: row.onchainId || "",
+    onchainAddress: row.onchainAddress || "",
+    reason: row.reason || "",
+    deletedAt: Number(row.deletedAt || 0),
+    order: data?.id ? normalizeOrderRow(data, shipments) : null
+  };
+}
+
+// Unpaid zap and Lightning Address invoices are dropped after this long
+const UNPAID_LNURL_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// NIP-57 zap invoices awaiting payment and their published receipts.
+// `description` is the zap request JSON exactly as hashed into the invoice.
+
+export const ZapRequests = {
+  create({ paymentHash, paymentRequest, amountMsat, description, lightningProvider = "" }) {
+    db.prepare(
+      `INSERT INTO zap_requests (paymentHash, paymentRequest, amountMsat, description, lightningProvider, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(paymentHash, paymentRequest || "", Math.max(0, Math.floor(Number(amountMsat || 0))), description, lightningProvider || "", now());
+    return this.get(paymentHash);
+  },
+  get(paymentHash) {
+    const row = db.prepare(`SELECT * FROM zap_requests WHERE paymentHash=?`).get(String(paymentHash || ""));
+    return row ? normalizeZapRequestRow(row) : null;
+  },
+  // Unpaid zap invoices newer than `since` (ms), for the sweeper
+  unpaidSince(since) {
+    return db.prepare(`SELECT * FROM zap_requests WHERE paidAt=0 AND createdAt>=? ORDER BY createdAt`)
+      .all(Math.floor(Number(since || 0)))
+      .map(normalizeZapRequestRow);
+  },
+  hashes() {
+    return db.prepare(`SELECT paymentHash FROM zap_requests`).all().map((r) => r.paymentHash);
+  },
+  // True only for the first caller, so a receipt is published once
+  markPaid(paymentHash) {
+    return db.prepare(`UPDATE zap_requests SET paidAt=? WHERE paymentHash=? AND paidAt=0`)
+      .run(now(), String(paymentHash || "")).changes === 1;
+  },
+  setReceipt(paymentHash, receiptId) {
+    db.prepare(`UPDATE zap_requests SET receiptId=? WHERE paymentHash=?`).run(String(receiptId || ""), String(paymentHash || ""));
+  },
+  prune() {
+    db.prepare(`DELETE FROM zap_requests WHERE paidAt=0 AND createdAt<?`).run(now() - UNPAID_LNURL_RETENTION_MS);
+  }
+};
+
+function normalizeZapRequestRow(row) {
+  return {
+    paymentHash: row.paymentHash,
+    paymentRequest: row.paymentRequest || "",
+    amountMsat: Number(row.amountMsat || 0),
+    description: row.description || "",
+    lightningProvider: row.lightningProvider || "",
+    createdAt: Number(row.createdAt || 0),
+    paidAt: Number(row.paidAt || 0),
+    receiptId: row.receiptId || ""
+  };
+}
+
+// Lightning Address names hosted by the shop (LUD-16 allows a-z0-9-_.)
+export function normalizeLightningAddressNames(names) {
+  const list = Array.isArray(names) ? names : String(names || "").split(/[\s,]+/);
+  const out = [];
+  for (const raw of list) {
+    const name = String(raw || "").trim().toLowerCase().split("@")[0];
+    if (/^[a-z0-9._-]{1,64}$/.test(name) && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+// Invoices issued through a hosted Lightning Address, for LNURL-verify (LUD-21)
+// and the admin list of received payments with their comments
+export const LnurlPayments = {
+  create({ paymentHash, name, paymentRequest, amountMsat, comment = "", zap = false, lightningProvider = "" }) {
+    db.prepare(
+      `INSERT INTO lnurl_payments (paymentHash, name, paymentRequest, amountMsat, comment, zap, lightningProvider, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      paymentHash,
+      String(name || ""),
+      paymentRequest || "",
+      Math.max(0, Math.floor(Number(amountMsat || 0))),
+      String(comment || ""),
+      zap ? 1 : 0,
+      lightningProvider || "",
+      now()
+    );
+    return this.get(paymentHash);
+  },
+  get(paymentHash) {
+    const row = db.prepare(`SELECT * FROM lnurl_payments WHERE paymentHash=?`).get(String(paymentHash || ""));
+    return row ? normalizeLnurlPaymentRow(row) : null;
+  },
+  unpaidSince(since) {
+    return db.prepare(`SELECT * FROM lnurl_payments WHERE paidAt=0 AND createdAt>=? ORDER BY createdAt`)
+      .all(Math.floor(Number(since || 0)))
+      .map(normalizeLnurlPaymentRow);
+  },
+  paid({ limit = 100 } = {}) {
+    return db.prepare(`SELECT * FROM lnurl_payments WHERE paidAt>0 ORDER BY paidAt DESC LIMIT ?`)
+      .all(Math.max(1, Math.min(500, Math.floor(Number(limit) || 100))))
+      .map(normalizeLnurlPaymentRow);
+  },
+  hashes() {
+    return db.prepare(`SELECT paymentHash FROM lnurl_payments`).all().map((r) => r.paymentHash);
+  },
+  // True only for the first caller
+  markPaid(paymentHash) {
+    return db.prepare(`UPDATE lnurl_payments SET paidAt=? WHERE paymentHash=? AND paidAt=0`)
+      .run(now(), String(paymentHash || "")).changes === 1;
+  },
+  prune() {
+    db.prepare(`DELETE FROM lnurl_payments WHERE paidAt=0 AND createdAt<?`).run(now() - UNPAID_LNURL_RETENTION_MS);
+  }
+};
+
+function normalizeLnurlPaymentRow(row) {
+  return {
+    paymentHash: row.paymentHash,
+    name: row.name || "",
+    paymentRequest: row.paymentRequest || "",
+    amountMsat: Number(row.amountMsat || 0),
+    comment: row.comment || "",
+    zap: !!row.zap,
+    lightningProvider: row.lightningProvider || "",
+    createdAt: Number(row.createdAt || 0),
+    paidAt: Number(row.paidAt || 0)
   };
 }
 
@@ -1796,6 +3159,13 @@ export const Settings = {
     sSet.run("boltzRescueNextIndex", String(next));
     return cur;
   },
+  // Last invoice pay_index handled by the CLN payment watcher (waitanyinvoice)
+  clnPayIndex() {
+    return Math.max(0, Number(sGet.get("clnLastPayIndex")?.value ?? 0) || 0);
+  },
+  setClnPayIndex(index) {
+    sSet.run("clnLastPayIndex", String(Math.max(0, Math.floor(Number(index) || 0))));
+  },
   getAll() {
     const rows = db.prepare(`SELECT key, value FROM settings`).all();
     const map = Object.fromEntries(rows.map((r) => [r.key, r.value]));
@@ -1859,6 +3229,7 @@ export const Settings = {
       nostrDefaultHashtags: map.nostrDefaultHashtags || DEFAULT_TEASER_HASHTAGS,
       nostrCommentsEnabled,
       nostrBlockedPubkeys: safeParseJSON(map.nostrBlockedPubkeys, []),
+      lightningAddressNames: safeParseJSON(map.lightningAddressNames, []),
       nostrBlockedHashtags: safeParseJSON(map.nostrBlockedHashtags, []),
       nostrStallDTag: map.nostrStallDTag || "main",
       nostrCurrency: (map.nostrCurrency || "SATS").toUpperCase(),
@@ -1954,7 +3325,7 @@ export const Settings = {
     // NEW: Embedded Code
     embedCode,
     // NEW:
-    nostrNpub, nostrNip05, nostrRelays, lightningAddress,
+    nostrNpub, nostrNip05, nostrRelays, lightningAddress, lightningAddressNames,
     // NEW: theme
     themeChoice,
     themeTokens,
@@ -2040,6 +3411,9 @@ export const Settings = {
       sSet.run("nostrCommentsEnabled", val ? "true" : "false");
     }
     if (lightningAddress !== undefined) sSet.run("lightningAddress", lightningAddress || "");
+    if (lightningAddressNames !== undefined) {
+      sSet.run("lightningAddressNames", JSON.stringify(normalizeLightningAddressNames(lightningAddressNames)));
+    }
     // NEW: theme
     if (themeChoice !== undefined) sSet.run("themeChoice", themeChoice || "dark");
     if (themeTokens !== undefined) {
@@ -2113,3 +3487,107 @@ function parseZoneOverrides(raw) {
   const parsed = safeParseJSON(raw, []);
   return normalizeZoneOverridesInput(parsed);
 }
+
+// Variant axes: [{ name: "Size", values: ["A4", "A3"] }, ...]
+const MAX_VARIANT_AXES = 3;
+const MAX_VARIANT_VALUES = 12;
+const MAX_VARIANTS = 60;
+
+function normalizeVariantOptionsInput(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const result = [];
+  for (const axis of list) {
+    const name = String(axis?.name || "").trim().slice(0, 40);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    const values = [];
+    for (const rawValue of Array.isArray(axis?.values) ? axis.values : []) {
+      const value = String(rawValue ?? "").trim().slice(0, 60);
+      if (!value || values.includes(value)) continue;
+      values.push(value);
+      if (values.length >= MAX_VARIANT_VALUES) break;
+    }
+    if (!values.length) continue;
+    result.push({ name, values });
+    seen.add(name.toLowerCase());
+    if (result.length >= MAX_VARIANT_AXES) break;
+  }
+  return result;
+}
+
+// Variant combinations: [{ id, options: { Size: "A4" }, priceSats, priceFiat, quantityAvailable, imageIndex }]
+// quantityAvailable null = unlimited; imageIndex null = use the product main image;
+// priceFiat null = use the product fiat price (fiat-pegged products only).
+function normalizeVariantsInput(raw, axes, { fallbackPriceSats = 0 } = {}) {
+  if (!Array.isArray(axes) || !axes.length) return [];
+  const list = Array.isArray(raw) ? raw : [];
+  const seenIds = new Set();
+  const seenCombos = new Set();
+  const result = [];
+  for (const item of list) {
+    const options = {};
+    let complete = true;
+    for (const axis of axes) {
+      const value = String(item?.options?.[axis.name] ?? "").trim();
+      if (!axis.values.includes(value)) {
+        complete = false;
+        break;
+      }
+      options[axis.name] = value;
+    }
+    if (!complete) continue;
+    const label = axes.map((axis) => options[axis.name]).join(" / ");
+    if (seenCombos.has(label)) continue;
+    let id = String(item?.id || "").trim().slice(0, 64);
+    if (!id || seenIds.has(id)) id = makeId();
+    const price = numOrNull(item?.priceSats);
+    const qty = numOrNull(item?.quantityAvailable);
+    const imageIndex = numOrNull(item?.imageIndex);
+    const priceFiat = numOrNull(item?.priceFiat);
+    result.push({
+      id,
+      options,
+      priceSats: Math.max(0, Math.floor(price ?? fallbackPriceSats ?? 0)),
+      priceFiat: priceFiat === null || priceFiat < 0 ? null : Math.round(priceFiat * 100) / 100,
+      quantityAvailable: qty === null ? null : Math.max(0, Math.floor(qty)),
+      imageIndex: imageIndex === null || imageIndex < 0 ? null : Math.floor(imageIndex)
+    });
+    seenIds.add(id);
+    seenCombos.add(label);
+    if (result.length >= MAX_VARIANTS) break;
+  }
+  return result;
+}
+
+// [priceCurrency, priceFiat] columns; an unknown currency or missing amount means sats pricing
+function normalizeFiatPrice(currency, amount) {
+  const code = String(currency || "").trim().toUpperCase();
+  const value = numOrNull(amount);
+  if (!PRICE_CURRENCIES.includes(code) || value === null || value < 0) return ["", null];
+  return [code, Math.round(value * 100) / 100];
+}
+
+function parseVariantState(row) {
+  const variantOptions = normalizeVariantOptionsInput(safeParseJSON(row?.variantOptions, []));
+  const variants = normalizeVariantsInput(safeParseJSON(row?.variants, []), variantOptions, {
+    fallbackPriceSats: Number(row?.priceSats || 0)
+  });
+  return { variantOptions, variants };
+}
+
+function variantLabel(variant, axes) {
+  return (Array.isArray(axes) ? axes : [])
+    .map((axis) => variant?.options?.[axis.name])
+    .filter(Boolean)
+    .join(" / ");
+}
+
+// Sum of finite variant stock, or null when any variant is unlimited.
+function variantStockTotal(variants) {
+  let total = 0;
+  for (const v of variants) {
+    if (v.quantityAvailable === null || v.quantityAvailable === undefined) return null;
+    total += Math.max(0, v.quantityAvailable);
+  }
+  return total;
+}
@@ -0,0 +1,47 @@
+// server/discounts.js
+// Checkout-side evaluation of discount codes (rows come from DiscountCodes in db.js).
+
+/**
+ * Apply a discount row to a priced cart.
+ * `items` are the loaded checkout lines ({ productId, priceSats, qty }).
+ * Returns { code, itemDiscountSats, shippingDiscountSats, discountSats, freeShipping }.
+ * Throws with a customer-facing message when the code cannot be used.
+ */
+export function evaluateDiscount(row, {
+  items = [],
+  subtotalSats = 0,
+  shippingSats = 0,
+  usedCount = 0,
+  at = Date.now()
+} = {}) {
+  if (!row || !row.active) throw new Error("Invalid discount code");
+  if (row.startsAt && at < row.startsAt) throw new Error("This discount code is not active yet");
+  if (row.expiresAt && at >= row.expiresAt) throw new Error("This discount code has expired");
+  if (row.maxUses > 0 && usedCount >= row.maxUses) {
+    throw new Error("This discount code has reached its usage limit");
+  }
+  if (row.minSubtotalSats > 0 && subtotalSats < row.minSubtotalSats) {
+    throw new Error(`This discount code needs a subtotal of at least ${row.minSubtotalSats} sats`);
+  }
+
+  const restricted = Array.isArray(row.productIds) && row.productIds.length > 0;
+  const eligible = restricted ? items.filter((it) => row.productIds.includes(it.productId)) : items;
+  if (!eligible.length) throw new Error("This discount code does not apply to the items in your cart");
+
+  const eligibleSubtotal = eligible.reduce(
+    (sum, it) => sum + Math.max(0, Number(it.priceSats) || 0) * Math.max(1, Number(it.qty) || 1),
+    0
+  );
+  const itemDiscountSats = row.kind === "fixed"
+    ? Math.min(eligibleSubtotal, Math.max(0, row.value))
+    : Math.floor((eligibleSubtotal * Math.min(100, Math.max(0, row.value))) / 100);
+  const shippingDiscountSats = row.freeShipping ? Math.max(0, shippingSats) : 0;
+
+  return {
+    code: row.code,
+    itemDiscountSats,
+    shippingDiscountSats,
+    discountSats: itemDiscountSats + shippingDiscountSats,
+    freeShipping: !!row.freeShipping
+  };
+}
@@ -47,7 +47,10 @@ function label(status) {
   switch (String(status).toUpperCase()) {
     case "PAID": return "Payment received";
     case "PREPARATION": return "In preparation";
+    case "PARTIALLY_SHIPPED": return "Partially shipped";
     case "SHIPPED": return "Shipped";
+    case "REFUND_REQUESTED": return "Refund in progress";
+    case "REFUNDED": return "Refunded";
     default: return String(status).toUpperCase();
   }
 }
@@ -73,7 +76,20 @@ function primaryProductTitle(order) {
   return "";
 }
 
-function makeContext(order, status, s) {
+// "2× Print, 1× Frame (Large)"
+export function shipmentItemsText(shipment) {
+  return (Array.isArray(shipment?.items) ? shipment.items : [])
+    .map((it) => `${it.qty}× ${it.title || "Item"}${it.variantLabel ? ` (${it.variantLabel})` : ""}`)
+    .join(", ");
+}
+
+// Partial shipments reuse the SHIPPED templates unless their own are set
+function templateFor(s, prefix, status) {
+  const code = String(status).toUpperCase();
+  return s[`${prefix}_${code}`] || (code === "PARTIALLY_SHIPPED" ? s[`${prefix}_SHIPPED`] : "") || "";
+}
+
+function makeContext(order, status, s, shipment = null) {
   const address = [order.address || "", order.postalCode || "", order.country || ""]
     .filter(Boolean)
     .join(", ");
@@ -86,8 +102,13 @@ function makeContext(order, status, s) {
     totalSats: fmtSats(order.totalSats),
     subtotalSats: fmtSats(order.subtotalSats),
     shippingSats: fmtSats(order.shippingSats),
-    courier: order.courier || "",
-    tracking: order.tracking || "",
+    discountCode: order.discountCode || "",
+    discountSats: fmtSats(order.discountSats || 0),
+    refundSats: fmtSats(order.refundSats || 0),
+    refundReference: order.refundReference || "",
+    courier: shipment?.courier || order.courier || "",
+    tracking: shipment?.tracking || order.tracking || "",
+    shipmentItems: shipmentItemsText(shipment),
     customerName: order.name || "",
     address,
     createdAt,
@@ -96,12 +117,12 @@ function makeContext(order, status, s) {
   };
 }
 
-function buildBodies(order, status, s) {
+function buildBodies(order, status, s, shipment = null) {
   // Render from customizable templates in Settings (DB); transport is env-based
-  const ctx = makeContext(order, status, s);
+  const ctx = makeContext(order, status, s, shipment);
 
-  const subjTpl = s[`notifyEmailSubject_${String(status).toUpperCase()}`] || `[{{storeName}}] Order {{orderId}}, {{statusLabel}}`;
-  const bodyTpl = s[`notifyEmailBody_${String(status).toUpperCase()}`];
+  const subjTpl = templateFor(s, "notifyEmailSubject", status) || `[{{storeName}}] Order {{orderId}}, {{statusLabel}}`;
+  const bodyTpl = templateFor(s, "notifyEmailBody", status);
 
   const subject = renderTemplate(subjTpl, ctx);
 
@@ -118,11 +139,26 @@ function buildBodies(order, status, s) {
       lines.push("🎉 Thank you, we received your payment.");
       lines.push("We’re preparing your order and will send tracking as soon as it ships.");
     }
+    if (String(status).toUpperCase() === "PARTIALLY_SHIPPED") {
+      lines.push("Part of your order has shipped! 🚚 The rest will follow in another parcel.");
+      if (ctx.shipmentItems) lines.push(`In this parcel: ${ctx.shipmentItems}`);
+      lines.push(`Courier: ${ctx.courier || "-"}`);
+      lines.push(`Tracking: ${ctx.tracking || "-"}`);
+    }
     if (String(status).toUpperCase() === "SHIPPED") {
       lines.push("Your order has shipped! 🚚");
+      if (ctx.shipmentItems) lines.push(`In this parcel: ${ctx.shipmentItems}`);
       lines.push(`Courier: ${ctx.courier || "-"}`);
       lines.push(`Tracking: ${ctx.tracking || "-"}`);
     }
+    if (String(status).toUpperCase() === "REFUND_REQUESTED") {
+      lines.push(`We’re processing a refund of ${ctx.refundSats} sats for your order.`);
+      lines.push("We’ll write again once it has been sent.");
+    }
+    if (String(status).toUpperCase() === "REFUNDED") {
+      lines.push(`Your refund of ${ctx.refundSats} sats has been sent.`);
+      if (ctx.refundReference) lines.push(`Reference: ${ctx.refundReference}`);
+    }
     lines.push("");
     lines.push(`Total: ${ctx.totalSats} sats`);
     text = lines.join("\n");
@@ -231,8 +267,9 @@ async function appendToSent(rawBuffer) {
 /**
  * Send a status email if SMTP is enabled and recipient exists.
  * Also (optionally) appends to the Sent mailbox via IMAP.
+ * Pass `shipment` to describe one parcel (each parcel gets its own email).
  */
-export async function sendOrderStatusEmail(order, status) {
+export async function sendOrderStatusEmail(order, status, { shipment = null } = {}) {
   try {
     if (!order || !order.contactEmail) return;
 
@@ -240,12 +277,12 @@ export async function sendOrderStatusEmail(order, status) {
     const s = Settings.getAll();
     if (!MAIL.enabled) return;
 
-    if (!shouldSend(order.id, status)) return; // idempotency guard
+    if (!shouldSend(order.id, shipment ? `${status}:${shipment.id}` : status)) return; // idempotency guard
 
     const fromAddr = String(MAIL.fromAddress || "").trim();
     if (!fromAddr) return; // can't send without visible From:
 
-    const { subject, text, html } = buildBodies(order, status, s);
+    const { subject, text, html } = buildBodies(order, status, s, shipment);
 
     // Build the message once into a Buffer so we can IMAP-append it later.
     const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
@@ -0,0 +1,159 @@
+// server/fiat.js
+// BTC exchange rates for fiat-pegged prices and for stamping paid orders.
+// Rates come from a pluggable provider (FIAT_RATE_PROVIDER) and are cached;
+// when the provider fails, a still-fresh cached rate is used, then the
+// fallback provider (a local JSON file or manual env rates). Rates older
+// than FIAT_RATE_MAX_AGE_SECONDS are never used to price a checkout.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Currencies products can be priced in
+export const PRICE_CURRENCIES = ["EUR", "USD"];
+
+const FIAT_CURRENCY = String(process.env.FIAT_CURRENCY || "").trim().toUpperCase();
+const FIAT_RATE_PROVIDER = String(process.env.FIAT_RATE_PROVIDER || "mempool").trim().toLowerCase();
+const FIAT_RATE_URL = process.env.FIAT_RATE_URL || "";
+const FIAT_RATE_FILE = process.env.FIAT_RATE_FILE ? path.resolve(__dirname, process.env.FIAT_RATE_FILE) : "";
+const FIAT_MANUAL_RATES = process.env.FIAT_MANUAL_RATES || "";
+const FIAT_RATE_FALLBACK = String(
+  process.env.FIAT_RATE_FALLBACK || (FIAT_RATE_FILE ? "file" : FIAT_MANUAL_RATES ? "manual" : "")
+).trim().toLowerCase();
+const CACHE_MS = Math.max(10, Number(process.env.FIAT_RATE_CACHE_SECONDS || 60)) * 1000;
+const MAX_AGE_MS = Math.max(60, Number(process.env.FIAT_RATE_MAX_AGE_SECONDS || 900)) * 1000;
+
+function pickPrices(raw, keys = Object.keys(raw || {})) {
+  const prices = {};
+  for (const key of keys) {
+    const value = Number(raw?.[key]);
+    if (Number.isFinite(value) && value > 0) prices[String(key).toUpperCase()] = value;
+  }
+  return prices;
+}
+
+async function fetchJson(url) {
+  const r = await fetch(url, { headers: { Accept: "application/json" } });
+  if (!r.ok) throw new Error(`Price feed HTTP ${r.status}`);
+  return r.json();
+}
+
+// name -> async () => ({ prices: { EUR: 60000, ... }, at: ms })
+const providers = {
+  async mempool() {
+    const raw = await fetchJson(FIAT_RATE_URL || "https://mempool.space/api/v1/prices");
+    const at = Number(raw?.time) ? Number(raw.time) * 1000 : Date.now();
+    return { prices: pickPrices(raw, Object.keys(raw || {}).filter((k) => k !== "time")), at };
+  },
+  async coingecko() {
+    const raw = await fetchJson(
+      FIAT_RATE_URL || "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur,gbp,chf,jpy&include_last_updated_at=true"
+    );
+    const btc = raw?.bitcoin || {};
+    const at = Number(btc.last_updated_at) ? Number(btc.last_updated_at) * 1000 : Date.now();
+    return { prices: pickPrices(btc, Object.keys(btc).filter((k) => k !== "last_updated_at")), at };
+  },
+  // { "EUR": 60000, "USD": 65000, "time": 1700000000 } kept up to date by you;
+  // without "time" the file's modification time counts
+  async file() {
+    if (!FIAT_RATE_FILE) throw new Error("FIAT_RATE_FILE is not set");
+    const raw = JSON.parse(await fs.promises.readFile(FIAT_RATE_FILE, "utf8"));
+    const at = Number(raw?.time) ? Number(raw.time) * 1000 : (await fs.promises.stat(FIAT_RATE_FILE)).mtimeMs;
+    return { prices: pickPrices(raw, Object.keys(raw || {}).filter((k) => k !== "time")), at };
+  },
+  // FIAT_MANUAL_RATES="EUR=60000,USD=65000": fixed rates, always considered fresh
+  async manual() {
+    const prices = {};
+    for (const part of FIAT_MANUAL_RATES.split(",")) {
+      const [code, value] = part.split("=").map((s) => String(s || "").trim());
+      if (code && Number(value) > 0) prices[code.toUpperCase()] = Number(value);
+    }
+    if (!Object.keys(prices).length) throw new Error("FIAT_MANUAL_RATES is empty");
+    return { prices, at: Date.now() };
+  }
+};
+
+/** Add or replace a rate provider: fn() resolves to { prices: { CODE: fiatPerBtc }, at }. */
+export function registerRateProvider(name, fn) {
+  providers[String(name).toLowerCase()] = fn;
+}
+
+// Last good quote per currency: { rate, at, source }
+const cache = new Map();
+let lastFetchAt = 0;
+let inflight = null;
+
+async function loadFrom(name) {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown rate provider: ${name}`);
+  const { prices, at } = await provider();
+  for (const [code, rate] of Object.entries(prices || {})) {
+    cache.set(code, { rate, at: Number(at) || Date.now(), source: name });
+  }
+}
+
+async function refresh() {
+  try {
+    await loadFrom(FIAT_RATE_PROVIDER);
+  } catch (e) {
+    console.warn(`[fiat] ${FIAT_RATE_PROVIDER} rate lookup failed:`, e?.message || e);
+    if (FIAT_RATE_FALLBACK && FIAT_RATE_FALLBACK !== FIAT_RATE_PROVIDER) {
+      // The fallback only fills in when nothing fresh is cached
+      const stale = [...cache.values()].every((q) => Date.now() - q.at > MAX_AGE_MS);
+      if (stale) await loadFrom(FIAT_RATE_FALLBACK);
+    }
+  } finally {
+    lastFetchAt = Date.now();
+  }
+}
+
+export function fiatCurrency() {
+  return FIAT_CURRENCY;
+}
+
+export function maxRateAgeMs() {
+  return MAX_AGE_MS;
+}
+
+/** Cached quote without any network call; null when missing or stale. */
+export function cachedRate(currency) {
+  const quote = cache.get(String(currency || "").toUpperCase());
+  if (!quote || Date.now() - quote.at > MAX_AGE_MS) return null;
+  return { ...quote };
+}
+
+/**
+ * Quote for `currency`: { rate, at, source }. Refreshes when the cache is
+ * older than FIAT_RATE_CACHE_SECONDS (or `force`), and throws when no rate
+ * within FIAT_RATE_MAX_AGE_SECONDS is available.
+ */
+export async function getRate(currency = FIAT_CURRENCY, { force = false } = {}) {
+  const code = String(currency || "").toUpperCase();
+  if (!code) throw new Error("No fiat currency configured");
+  if (force || Date.now() - lastFetchAt > CACHE_MS) {
+    if (!inflight) inflight = refresh().finally(() => { inflight = null; });
+    try { await inflight; } catch (e) { console.warn("[fiat] fallback failed:", e?.message || e); }
+  }
+  const quote = cachedRate(code);
+  if (!quote) throw new Error(`No up-to-date BTC/${code} rate available`);
+  return quote;
+}
+
+/** Fiat per 1 BTC. */
+export async function getBtcRate(currency = FIAT_CURRENCY) {
+  return (await getRate(currency)).rate;
+}
+
+export function satsToFiat(sats, rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return Math.round((Number(sats || 0) / 1e8) * value * 100) / 100;
+}
+
+export function fiatToSats(amount, rate) {
+  const value = Number(rate);
+  const fiat = Number(amount);
+  if (!Number.isFinite(value) || value <= 0 || !Number.isFinite(fiat) || fiat < 0) return null;
+  return Math.round((fiat / value) * 1e8);
+}
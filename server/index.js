@@ -12,8 +12,20 @@ import sharp from "sharp";
 import { verifyEvent, finalizeEvent } from "nostr-tools/pure";
 import { SimplePool } from "nostr-tools/pool";
 
-import { makeCors, sessions, logger, requireAdmin } from "./middleware.js";
-import { Products, Orders, Settings, ProductImages, ProductNostrPosts, NostrCarts, DEFAULT_TEASER_HASHTAGS } from "./db.js";
+import { makeCors, sessions, logger, requireAdmin, requirePermission, currentAdmin, ROLE_PERMISSIONS } from "./middleware.js";
+import { Products, Orders, Settings, ProductImages, ProductNostrPosts, NostrCarts, DiscountCodes, DiscountReservations, StockReservations, AdminUsers, AuditLog, Shipments, ZapRequests, LnurlPayments, DeletedOrders, PAID_STATUSES, DEFAULT_TEASER_HASHTAGS } from "./db.js";
+import { evaluateDiscount } from "./discounts.js";
+import { isBitcoinAddress, resolveRefundInvoice } from "./refunds.js";
+import { PRICE_CURRENCIES, cachedRate, fiatCurrency, fiatToSats, getBtcRate, getRate } from "./fiat.js";
+import { backupDir, createBackup, decodeBackup, encodeBackup, listLocalBackups, readLocalBackup, restoreBackup, startBackupSchedule, writeLocalBackup } from "./backup.js";
+import { exportOrders, filterOrders, parseExportFilters } from "./order-export.js";
+import { previewAddresses, receivePayjoin, watchOnchainAddress } from "./onchain/xpub.js";
+import { PayjoinError } from "./onchain/payjoin.js";
+import { ELECTRUM_ENABLED } from "./onchain/electrum.js";
+import { buildSwapRefund, describeSwapRefund } from "./onchain/boltz-refund.js";
+import { RECONCILE_INTERVAL_HOURS, RECONCILE_LOOKBACK_DAYS, lastReconciliation, lastXpubRescan, recoverPayment, reportItem, rescanXpubAddresses, runReconciliation } from "./reconcile.js";
+import { buildPackingSlips, normalizeLayout, renderPackingSlipsHtml, renderPackingSlipsPdf } from "./packing-slips.js";
+import { auditAdminMutations, diffObjects } from "./audit.js";
 import { isEurope } from "./countries.js";
 import { makeId, now } from "./utils.js";
 
@@ -27,14 +39,19 @@ import {
   subscribeInvoiceStatus,
   subscribeBoltzSwapStatus,
   boltzSwapStatus,
+  boltzLockupProgress,
   getOnchainStatus,
   startPaymentWatcher,
+  payInvoice,
+  lightningProviderHealth,
   PAYMENT_PROVIDER,
+  LIGHTNING_PROVIDERS,
   ONCHAIN_PROVIDER,
   emitBtcpayStatus
 } from "./pay.js";
 import * as boltz from "./boltz.js";
 import * as btcpay from "./btcpay.js";
+import { CASHU_ENABLED, CASHU_MINTS, CashuMintError, claimChange as claimCashuChange, decodeToken as decodeCashuToken, meltToInvoice } from "./cashu.js";
 
 // NEW: Nostr helpers
 import {
@@ -54,10 +71,12 @@ import {
   fetchStallAndProducts,
   publishProduct,
   buildCoordinates,
-  KIND_PRODUCT
+  KIND_PRODUCT,
+  parseZapRequest,
+  publishZapReceipt
 } from "./nostr.js";
 
-import { sendOrderStatusEmail, label as statusLabel } from "./email.js";
+import { sendOrderStatusEmail, label as statusLabel, shipmentItemsText } from "./email.js";
 import { verifySvixSignature } from "./svix.js";
 
 const app = express();
@@ -129,6 +148,10 @@ const BTCPAY_WEBHOOK_PATH = (() => {
 const ONCHAIN_ENABLED = String(process.env.ONCHAIN_ENABLED || "true").toLowerCase() === "true";
 const ONCHAIN_MIN_SATS = Math.max(0, Number(process.env.ONCHAIN_MIN_SATS || 0));
 const ONCHAIN_INVOICE_EXPIRES_IN = Math.max(600, Number(process.env.ONCHAIN_INVOICE_EXPIRES_IN || 7200)); // seconds
+const AUDIT_LOG_RETENTION_DAYS = Math.max(1, Number(process.env.AUDIT_LOG_RETENTION_DAYS || 365));
+const STOCK_RESERVATION_MINUTES = Math.max(5, Number(process.env.STOCK_RESERVATION_MINUTES || 60));
+// Provisional hold while the provider creates the invoice
+const CHECKOUT_HOLD_PROVISIONAL_MS = 10 * 60 * 1000;
 
 // Boltz (on-chain → Lightning) defaults
 const BOLTZ_REST_URL = (process.env.BOLTZ_REST_URL || "https://api.boltz.exchange").replace(/\/+$/, "");
@@ -230,12 +253,104 @@ function resolveZonePriceForProduct(zone, product) {
   return Math.max(0, Number(price || 0));
 }
 
+// Load checkout lines from { productId, variantId, qty } input, pricing them
+// from the catalogue, or for fiat-pegged products from `rates` when given
+// (see checkoutPricing). Throws with a customer-facing message on stock issues.
+function loadCheckoutItems(items, rates = {}) {
+  return items.map(({ productId, variantId, qty }) => {
+    const p = Products.get(productId, { includeImages: false });
+    if (!p || !p.available || p.hidden) throw new Error(`Item not available: ${productId}`);
+    const variant = p.variants.length
+      ? p.variants.find((v) => v.id === String(variantId || ""))
+      : null;
+    if (p.variants.length && !variant) throw new Error(`Choose an option for ${p.title}`);
+    const q = Math.max(1, Math.floor(qty || 1));
+    const maxAllowed = maxPurchasableForProduct(p, variant);
+    const itemLabel = variant ? `${productId} (${variant.label})` : productId;
+    if (maxAllowed <= 0) throw new Error(`Item not available: ${itemLabel}`);
+    if (q > maxAllowed) throw new Error(`Only ${maxAllowed} available for ${itemLabel}`);
+    const quote = p.priceCurrency ? rates[p.priceCurrency] : null;
+    const catalogueSats = variant ? variant.priceSats : p.priceSats;
+    const line = {
+      productId,
+      title: p.title,
+      priceSats: quote
+        ? fiatToSats(variant?.priceFiat ?? p.priceFiat, quote.rate) ?? catalogueSats
+        : catalogueSats,
+      qty: q,
+      shippingZoneOverrides: Array.isArray(p.shippingZoneOverrides) ? p.shippingZoneOverrides : []
+    };
+    if (variant) {
+      line.variantId = variant.id;
+      line.variantLabel = variant.label;
+      line.variantOptions = variant.options;
+    }
+    return line;
+  });
+}
+
+// Rates for the fiat-pegged products of a cart, from the in-memory cache the
+// background repricer keeps fresh; checkouts never write to the catalogue.
+// Returns { EUR: { rate, at, source } } for the order; throws when a needed
+// rate is missing or stale.
+function checkoutPricing(items) {
+  const quotes = {};
+  for (const { productId } of items) {
+    const currency = Products.get(productId, { includeImages: false })?.priceCurrency;
+    if (!currency || quotes[currency]) continue;
+    const quote = cachedRate(currency);
+    if (!quote) throw new Error(`Prices in ${currency} cannot be converted to sats right now, please retry in a few minutes`);
+    quotes[currency] = quote;
+  }
+  return quotes;
+}
+
+// Admin product input: { priceCurrency, priceFiat } plus priceSats at the
+// current rate for fiat-pegged products, { priceCurrency: "" } for sats pricing.
+async function fiatPriceInput(body) {
+  const currency = String(body?.priceCurrency || "").trim().toUpperCase();
+  if (!currency) return { priceCurrency: "", priceFiat: null };
+  if (!PRICE_CURRENCIES.includes(currency)) throw new Error(`Unsupported price currency: ${currency}`);
+  const priceFiat = Number(body?.priceFiat);
+  if (!Number.isFinite(priceFiat) || priceFiat <= 0) throw new Error("priceFiat required");
+  const { rate } = await getRate(currency);
+  return { priceCurrency: currency, priceFiat, priceSats: fiatToSats(priceFiat, rate) };
+}
+
+// Variant fiat prices are converted after saving, with the rate fiatPriceInput fetched
+function repriceProduct(product) {
+  const quote = product?.priceCurrency ? cachedRate(product.priceCurrency) : null;
+  if (quote) Products.repriceFiat({ [product.priceCurrency]: quote.rate });
+}
+
+// Shipping for loaded lines to `country`; null when no zone covers it.
+function quoteShippingSats(loaded, country) {
+  const zones = normalizeShippingZones(Settings.getAll().shippingZones);
+  if (!zones.length) return 0;
+  const upperCountry = String(country || "").toUpperCase();
+  const direct = zones.find((z) => (z.countries || []).includes(upperCountry));
+  const fallback = zones.find((z) => (z.countries || []).some((c) => c === "ALL" || c === "*"));
+  const zone = direct || fallback;
+  if (!zone) return null;
+  return loaded.reduce((x, it) => {
+    const perItem = resolveZonePriceForProduct(zone, it);
+    const qty = Math.max(1, Number(it.qty) || 1);
+    return x + perItem * qty;
+  }, 0);
+}
+
 if (PAYMENT_PROVIDER === "blink" && !BLINK_API_KEY) {
   console.warn("[WARN] BLINK_API_KEY is empty. Set it in server/.env (or switch PAYMENT_PROVIDER).");
 }
 if (PAYMENT_PROVIDER === "lnurl" && !(LNURL_LIGHTNING_ADDRESS || LNURL_BECH32 || LNURL_PAY_URL)) {
   console.warn("[WARN] LNURL config missing. Set LNURL_LIGHTNING_ADDRESS or LNURL_BECH32 or LNURL_PAY_URL in server/.env.");
 }
+if (PAYMENT_PROVIDER === "cln" && !(process.env.CLN_REST_URL && process.env.CLN_RUNE)) {
+  console.warn("[WARN] CLN_REST_URL/CLN_RUNE missing. Set them in server/.env.");
+}
+if (PAYMENT_PROVIDER === "phoenixd" && !(process.env.PHOENIXD_URL && process.env.PHOENIXD_PASSWORD)) {
+  console.warn("[WARN] PHOENIXD_URL/PHOENIXD_PASSWORD missing. Set them in server/.env.");
+}
 if (PAYMENT_PROVIDER === "nwc" && !NWC_URL) {
   console.warn("[WARN] NWC_URL is empty. Set it in server/.env (nostr+walletconnect://...).");
 }
@@ -258,6 +373,7 @@ app.use(express.json({
 app.use(express.urlencoded({ extended: true, limit: "50mb" })); // harmless; supports form posts
 app.use(sessions(SESSION_SECRET));
 app.use(logger());
+app.use(auditAdminMutations);
 
 // Ensure a long-lived buyer client id (per browser) for order history
 app.use((req, res, next) => {
@@ -265,9 +381,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// prune PENDING > 1 day hourly
+// prune PENDING > 1 day hourly (and audit entries past retention)
 setInterval(() => {
   try { Orders.prunePendingOlderThan(24 * 60 * 60 * 1000, 14 * 24 * 60 * 60 * 1000); } catch {}
+  try { AuditLog.pruneOlderThan(AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000); } catch {}
 }, 60 * 60 * 1000);
 
 // ---------------------------------------------------------------------
@@ -322,6 +439,7 @@ function ntfyNotifyPaid(order) {
           `Status: ${order.status}`,
           `Total: ${fmt(order.totalSats)} sats`,
           `Subtotal: ${fmt(order.subtotalSats)} • Shipping: ${fmt(order.shippingSats)} sats`,
+          order.discountSats > 0 ? `Discount (${order.discountCode}): -${fmt(order.discountSats)} sats` : ``,
           ``,
           `Items:`,
           itemsLines || " • (empty)",
@@ -339,6 +457,7 @@ function ntfyNotifyPaid(order) {
           `Stato: ${order.status}`,
           `Importo totale: ${fmt(order.totalSats)} sats`,
           `Subtotale: ${fmt(order.subtotalSats)} • Spedizione: ${fmt(order.shippingSats)} sats`,
+          order.discountSats > 0 ? `Sconto (${order.discountCode}): -${fmt(order.discountSats)} sats` : ``,
           ``,
           `Articoli:`,
           itemsLines || " • (vuoto)",
@@ -376,14 +495,36 @@ function ntfyNotifyPaid(order) {
   }
 }
 
+// Best effort: a missing price only leaves the fiat columns of exports empty
+function recordPaidFiatRate(order) {
+  const currency = fiatCurrency();
+  if (!order?.id || !currency || order.fiatRate) return;
+  getBtcRate(currency)
+    .then((rate) => Orders.setFiatRate(order.id, { currency, rate }))
+    .catch((e) => console.warn("[fiat] rate lookup failed:", e?.message || e));
+}
+
 function notifyPaidOnce(order) {
   if (!order) return;
+  recordPaidFiatRate(order);
+  claimPendingCashuChange(order);
   const hash = order.paymentHash || "";
   if (hash && notifiedHashes.has(hash)) return;
   ntfyNotifyPaid(order);
   if (hash) notifiedHashes.add(hash);
 }
 
+// A Cashu melt still pending at checkout: pick up the buyer's change now that it is paid
+async function claimPendingCashuChange(order) {
+  if (!order.cashuChangeRequest || order.cashuChange) return;
+  try {
+    const claimed = await claimCashuChange(order.cashuChangeRequest);
+    if (claimed.state === "PAID") Orders.setCashuChange(order.id, claimed);
+  } catch (e) {
+    console.warn("[cashu] change not claimed:", e?.message || e);
+  }
+}
+
 function ntfyNotifyComment({ event, product, productId, profile } = {}) {
   try {
     if (!NTFY_TOPIC) return;
@@ -432,6 +573,51 @@ function ntfyNotifyComment({ event, product, productId, profile } = {}) {
   }
 }
 
+// A payment to one of the hosted Lightning Addresses (also listed in admin Settings)
+function ntfyNotifyLightningAddress(payment) {
+  try {
+    if (!NTFY_TOPIC) return;
+    if (!payment) return;
+    const url = `${NTFY_URL}/${encodeURIComponent(NTFY_TOPIC)}`;
+    const titlePrefix = NTFY_TITLE_PREFIX ? `${NTFY_TITLE_PREFIX}, ` : "";
+    const langIsEn = String(ADMIN_LANG || "").toLowerCase() === "en";
+    const sats = Math.floor(Number(payment.amountMsat || 0) / 1000).toLocaleString("it-IT");
+    const title = langIsEn
+      ? `${titlePrefix}Lightning Address payment ⚡ ${sats} sats`
+      : `${titlePrefix}Pagamento Lightning Address ⚡ ${sats} sats`;
+    const tags = "zap,moneybag";
+    const bodyLines = [
+      `${langIsEn ? "Address" : "Indirizzo"}: ${payment.name || "-"}`,
+      `${langIsEn ? "Amount" : "Importo"}: ${sats} sats`,
+      "",
+      `${langIsEn ? "Comment" : "Commento"}:`,
+      String(payment.comment || "").slice(0, 800) || (langIsEn ? "(none)" : "(nessuno)")
+    ].join("\n");
+
+    const args = [
+      "-sS",
+      "-X", "POST",
+      url,
+      "-H", `Title: ${title}`,
+      "-H", `Priority: ${NTFY_PRIORITY}`,
+      "-H", `Tags: ${tags}`,
+      "--data-binary", bodyLines
+    ];
+
+    if (NTFY_USER || NTFY_PASSWORD) {
+      args.push("-u", `${NTFY_USER}:${NTFY_PASSWORD}`);
+    }
+
+    const child = spawn("curl", args, { stdio: "ignore" });
+    child.on("error", (err) => console.warn("[ntfy] curl error:", err?.message || err));
+    child.on("close", (code) => {
+      if (code !== 0) console.warn("[ntfy] curl exited with code", code);
+    });
+  } catch (e) {
+    console.warn("[ntfy] failed to send Lightning Address notification:", e?.message || e);
+  }
+}
+
 // ────────────────────────────────────────────────────────────────────
 // Templating helpers for DMs
 // ────────────────────────────────────────────────────────────────────
@@ -453,7 +639,7 @@ function primaryProductTitle(order) {
   return "";
 }
 
-function makeNotifyContext(order, status, s) {
+function makeNotifyContext(order, status, s, shipment = null) {
   const address = [
     order.address || "",
     order.city || "",
@@ -472,8 +658,13 @@ function makeNotifyContext(order, status, s) {
     totalSats: fmtSats(order.totalSats),
     subtotalSats: fmtSats(order.subtotalSats),
     shippingSats: fmtSats(order.shippingSats),
-    courier: order.courier || "",
-    tracking: order.tracking || "",
+    discountCode: order.discountCode || "",
+    discountSats: fmtSats(order.discountSats || 0),
+    refundSats: fmtSats(order.refundSats || 0),
+    refundReference: order.refundReference || "",
+    courier: shipment?.courier || order.courier || "",
+    tracking: shipment?.tracking || order.tracking || "",
+    shipmentItems: shipmentItemsText(shipment),
     customerName: order.name || "",
     address,
     createdAt,
@@ -931,15 +1122,35 @@ function sanitizeUrlArray(raw) {
   return out;
 }
 
-function maxPurchasableForProduct(product) {
+// Units reserved by pending orders count as unavailable.
+function maxPurchasableForProduct(product, variant = null) {
   if (!product || !product.available) return 0;
-  if (Number.isFinite(product.maxQuantity)) return Math.max(0, product.maxQuantity);
-  if (product.isUnique) return 1;
+  if (variant) {
+    if (Number.isFinite(variant.maxQuantity)) {
+      return Math.max(0, variant.maxQuantity - StockReservations.reservedQty(product.id, variant.id));
+    }
+    return MAX_CART_QTY;
+  }
+  const reserved = () => StockReservations.reservedQty(product.id);
+  if (Number.isFinite(product.maxQuantity)) return Math.max(0, product.maxQuantity - reserved());
+  if (product.isUnique) return Math.max(0, 1 - reserved());
   const qty = Number(product.quantityAvailable);
-  if (Number.isFinite(qty) && qty >= 0) return Math.max(0, qty);
+  if (Number.isFinite(qty) && qty >= 0) return Math.max(0, qty - reserved());
   return MAX_CART_QTY;
 }
 
+// When the stock held for an order should lapse, from what the provider
+// reported about the invoice/swap it just created.
+function stockReservationExpiry(inv, paymentMethod) {
+  const nowMs = Date.now();
+  if (paymentMethod === "onchain") {
+    const parsed = inv?.onchainExpiresAt ? Date.parse(inv.onchainExpiresAt) : NaN;
+    return Number.isFinite(parsed) && parsed > nowMs ? parsed : nowMs + ONCHAIN_INVOICE_EXPIRES_IN * 1000;
+  }
+  const lnExpiry = Number(inv?.expiresAt || 0);
+  return lnExpiry > nowMs ? lnExpiry : nowMs + STOCK_RESERVATION_MINUTES * 60 * 1000;
+}
+
 function sanitizeCartProduct(raw) {
   if (!raw || typeof raw !== "object") return null;
   const id = trimCartString(raw.id, 160);
@@ -961,6 +1172,8 @@ function sanitizeCartProduct(raw) {
       const num = Number(raw.quantityAvailable);
       return Number.isFinite(num) && num >= 0 ? Math.floor(num) : null;
     })(),
+    variantId: trimCartString(raw.variantId, 64),
+    variantLabel: trimCartString(raw.variantLabel, 256),
     __cartVersion: Number.isFinite(Number(raw.__cartVersion))
       ? Number(raw.__cartVersion)
       : 0
@@ -1004,7 +1217,8 @@ function sanitizeCartItemsInput(raw) {
   for (const entry of list) {
     const product = sanitizeCartProduct(entry?.product);
     if (!product) continue;
-    const alreadySeen = map.has(product.id);
+    const key = product.variantId ? `${product.id}:${product.variantId}` : product.id;
+    const alreadySeen = map.has(key);
     if (!alreadySeen && order.length >= MAX_CART_ITEMS) {
       continue;
     }
@@ -1012,9 +1226,9 @@ function sanitizeCartItemsInput(raw) {
     const qty = Number.isFinite(qtyRaw)
       ? Math.max(1, Math.min(MAX_CART_QTY, Math.floor(qtyRaw)))
       : 1;
-    map.set(product.id, { product, qty });
+    map.set(key, { product, qty });
     if (!alreadySeen) {
-      order.push(product.id);
+      order.push(key);
     }
   }
   return order.map((id) => map.get(id));
@@ -1108,7 +1322,7 @@ function nostrRelays() {
 // ────────────────────────────────────────────────────────────────────
 // NOSTR: Stall publishing (kind 30017)
 // ────────────────────────────────────────────────────────────────────
-app.post("/api/admin/nostr/stall/publish", requireAdmin, async (req, res) => {
+app.post("/api/admin/nostr/stall/publish", requirePermission("nostr"), async (req, res) => {
   try {
     const settings = Settings.getAll();
     const fallbackRelays = nostrRelays();
@@ -1128,6 +1342,12 @@ app.post("/api/admin/nostr/stall/publish", requireAdmin, async (req, res) => {
       publishedAt: publishResult.createdAt * 1000,
       relayResults: publishResult.relayResults
     });
+    res.locals.audit = {
+      action: "nostr.stall.publish",
+      targetType: "stall",
+      targetId: publishResult.coordinates,
+      after: { eventId: publishResult.event.id, relays: publishResult.relays }
+    };
 
     res.json({
       ok: true,
@@ -1144,7 +1364,7 @@ app.post("/api/admin/nostr/stall/publish", requireAdmin, async (req, res) => {
 });
 
 // NOSTR: Product publishing (kind 30018)
-app.post("/api/admin/products/:id/nostr/publish", requireAdmin, async (req, res) => {
+app.post("/api/admin/products/:id/nostr/publish", requirePermission("nostr"), async (req, res) => {
   try {
     const product = Products.get(req.params.id, { includeImages: false });
     if (!product) return res.status(404).json({ error: "Not found" });
@@ -1218,6 +1438,13 @@ app.post("/api/admin/products/:id/nostr/publish", requireAdmin, async (req, res)
       lastContentHash: publishResult.contentHash
     });
     const nostrRow = ProductNostrPosts.get(product.id);
+    res.locals.audit = {
+      action: "nostr.product.publish",
+      targetType: "product",
+      targetId: product.id,
+      before: { eventId: nostrMeta.lastEventId || "" },
+      after: { eventId: publishResult.event.id }
+    };
 
     let plebeianPush = null;
     try {
@@ -1243,7 +1470,7 @@ app.post("/api/admin/products/:id/nostr/publish", requireAdmin, async (req, res)
 });
 
 // NOSTR: Refresh all products (republish if changed)
-app.post("/api/admin/nostr/products/refresh", requireAdmin, async (req, res) => {
+app.post("/api/admin/nostr/products/refresh", requirePermission("nostr"), async (req, res) => {
   try {
     const settings = Settings.getAll();
     const relays = nostrRelays();
@@ -1327,6 +1554,7 @@ app.post("/api/admin/nostr/products/refresh", requireAdmin, async (req, res) =>
       });
     }
 
+    res.locals.audit = { action: "nostr.products.check", targetType: "product" };
     res.json({ ok: true, relays, results });
   } catch (e) {
     res.status(400).json({ error: String(e?.message || e) });
@@ -1334,7 +1562,7 @@ app.post("/api/admin/nostr/products/refresh", requireAdmin, async (req, res) =>
 });
 
 // Import stall + products from Nostr into local DB
-app.post("/api/admin/nostr/import", requireAdmin, async (req, res) => {
+app.post("/api/admin/nostr/import", requirePermission("nostr"), async (req, res) => {
   try {
     const settings = Settings.getAll();
     const body = req.body || {};
@@ -1517,6 +1745,15 @@ app.post("/api/admin/nostr/import", requireAdmin, async (req, res) => {
       productsImported: createdProducts.length
     });
 
+    res.locals.audit = {
+      action: "nostr.import",
+      targetType: "product",
+      after: {
+        stallImported: updatedSettings.includes("stall"),
+        productsCreated: createdProducts.map((p) => p.id),
+        productsUpdated: updatedProducts
+      }
+    };
     res.json({
       ok: true,
       pubkey: catalog.pubkey,
@@ -1532,8 +1769,11 @@ app.post("/api/admin/nostr/import", requireAdmin, async (req, res) => {
   }
 });
 
-/** DM helper (best effort). Uses admin-editable templates if present. */
-async function dmOrderUpdate(order, rawStatus) {
+/**
+ * DM helper (best effort). Uses admin-editable templates if present.
+ * Pass `shipment` to describe one parcel; partial shipments reuse the SHIPPED template.
+ */
+async function dmOrderUpdate(order, rawStatus, { shipment = null } = {}) {
   try {
     // Only attempt if server has shop keys
     if (!getShopKeys()) {
@@ -1557,11 +1797,11 @@ async function dmOrderUpdate(order, rawStatus) {
 
     const s = Settings.getAll();
     const code = String(rawStatus).toUpperCase();
-    const ctx = makeNotifyContext(order, code, s);
+    const ctx = makeNotifyContext(order, code, s, shipment);
 
     // Try template first
-    const tplKey = `notifyDmTemplate_${code}`;
-    let message = s[tplKey] ? renderTemplate(s[tplKey], ctx) : "";
+    const tpl = s[`notifyDmTemplate_${code}`] || (code === "PARTIALLY_SHIPPED" ? s.notifyDmTemplate_SHIPPED : "");
+    let message = tpl ? renderTemplate(tpl, ctx) : "";
 
     // Fallback to legacy-friendly content if template is empty
     if (!message.trim()) {
@@ -1573,14 +1813,22 @@ async function dmOrderUpdate(order, rawStatus) {
       if (code === "PAID") {
         lines.push("🎉 Great news, your payment was received. We’re starting to prepare your order and we’ll send you the tracking number as soon as it ships. 🚚");
       }
-      if (code === "SHIPPED") {
+      if (code === "PARTIALLY_SHIPPED" || code === "SHIPPED") {
         lines.push(
           "",
-          "Shipment details:",
+          code === "PARTIALLY_SHIPPED" ? "Part of your order has shipped, the rest will follow:" : "Shipment details:",
+          ...(ctx.shipmentItems ? [`Items: ${ctx.shipmentItems}`] : []),
           `Courier: ${ctx.courier || "-"}`,
           `Tracking: ${ctx.tracking || "-"}`
         );
       }
+      if (code === "REFUND_REQUESTED") {
+        lines.push(`We’re processing a refund of ${ctx.refundSats} sats for your order. We’ll let you know once it has been sent.`);
+      }
+      if (code === "REFUNDED") {
+        lines.push(`Your refund of ${ctx.refundSats} sats has been sent.`);
+        if (ctx.refundReference) lines.push(`Reference: ${ctx.refundReference}`);
+      }
       lines.push(`Total: ${ctx.totalSats} sats`);
       message = lines.join("\n");
     }
@@ -1686,7 +1934,11 @@ function imageHandler({ thumb }) {
 app.get("/api/health", (req, res) => res.json({ ok: true }));
 app.get("/api/public-settings", (req, res) => {
   const nostrShopPubkey = getShopPubkey();
-  res.json({ ...Settings.getPublic(), nostrShopPubkey });
+  // Approximate fiat prices next to sats; null until a fresh rate is cached
+  const currency = fiatCurrency();
+  const quote = currency ? cachedRate(currency) : null;
+  const fiatDisplay = quote ? { currency, rate: quote.rate, at: quote.at } : null;
+  res.json({ ...Settings.getPublic(), nostrShopPubkey, fiatDisplay });
 });
 // Expose the stall logo when stored as a data URL (for Nostr publishing)
 app.get("/api/public/stall-logo", (req, res) => {
@@ -1711,6 +1963,7 @@ app.get("/api/payments/config", (req, res) => {
     onchainProvider: ONCHAIN_PROVIDER,
     onchainEnabled: ONCHAIN_ENABLED,
     onchainMinSats: ONCHAIN_MIN_SATS,
+    cashuMints: CASHU_MINTS,
     boltz: {
       rest: BOLTZ_REST_URL,
       ws: BOLTZ_WS_URL,
@@ -1828,23 +2081,133 @@ app.put("/api/cart", (req, res) => {
 // ---------------------------------------------------------------------
 // Admin auth
 // ---------------------------------------------------------------------
+// ADMIN_PIN only works until the first admin account is created; from then
+// on everyone signs in with their own password or Nostr key.
+function startAdminSession(req, user) {
+  req.session.admin = true;
+  req.session.adminUserId = user?.id || "";
+  req.session.adminNostrChallenge = null;
+  if (user?.id) AdminUsers.touchLogin(user.id);
+}
+
+function adminSessionPayload(admin) {
+  if (!admin) return { loggedIn: false, lang: ADMIN_LANG };
+  return {
+    loggedIn: true,
+    lang: ADMIN_LANG,
+    user: { id: admin.id, username: admin.username, displayName: admin.displayName || "", role: admin.role },
+    permissions: ROLE_PERMISSIONS[admin.role] || []
+  };
+}
+
 app.post("/api/admin/login", (req, res) => {
-  const { pin } = req.body || {};
-  if (String(pin || "") !== String(ADMIN_PIN)) {
-    return res.status(401).json({ ok: false, error: "Invalid PIN" });
+  const { pin, username, password } = req.body || {};
+  if (AdminUsers.count() === 0) {
+    if (String(pin || "") !== String(ADMIN_PIN)) {
+      return res.status(401).json({ ok: false, error: "Invalid PIN" });
+    }
+    startAdminSession(req, null);
+    return res.json({ ok: true });
   }
-  req.session.admin = true;
+  const user = AdminUsers.authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({ ok: false, error: "Invalid username or password" });
+  }
+  startAdminSession(req, user);
+  res.json({ ok: true });
+});
+app.get("/api/admin/login/nostr/challenge", (req, res) => {
+  const ch = makeId();
+  req.session.adminNostrChallenge = ch;
+  res.json({ challenge: ch, domain: req.headers.host || "" });
+});
+app.post("/api/admin/login/nostr", (req, res) => {
+  const { event } = req.body || {};
+  const ch = req.session?.adminNostrChallenge || "";
+  if (!ch) return res.status(400).json({ ok: false, error: "Missing challenge" });
+  const domain = String(req.headers.host || "").toLowerCase();
+  if (!verifyLoginEvent(event, ch, { expectedKind: 27235, expectedDomain: domain })) {
+    return res.status(400).json({ ok: false, error: "Invalid signature or challenge" });
+  }
+  const user = AdminUsers.byNostrPubkey(event.pubkey);
+  if (!user || !user.active) {
+    req.session.adminNostrChallenge = null;
+    return res.status(401).json({ ok: false, error: "This Nostr key is not linked to an admin account" });
+  }
+  startAdminSession(req, user);
   res.json({ ok: true });
 });
 app.post("/api/admin/logout", (req, res) => { req.session = null; res.json({ ok: true }); });
-app.get("/api/admin/me", (req, res) => res.json({ loggedIn: !!req.session?.admin, lang: ADMIN_LANG }));
-app.get("/api/admin/config", (req, res) => res.json({ lang: ADMIN_LANG }));
+app.get("/api/admin/me", (req, res) => res.json(adminSessionPayload(currentAdmin(req))));
+app.get("/api/admin/config", (req, res) => res.json({ lang: ADMIN_LANG, pinLogin: AdminUsers.count() === 0 }));
+
+// Audit log viewer (owners only)
+app.get("/api/admin/audit", requirePermission("audit"), (req, res) => {
+  const q = req.query || {};
+  const { items, total } = AuditLog.list({
+    actor: String(q.actor || ""),
+    action: String(q.action || ""),
+    targetType: String(q.targetType || ""),
+    targetId: String(q.targetId || "").trim(),
+    from: Number(q.from) || 0,
+    to: Number(q.to) || 0,
+    limit: Number(q.limit) || 50,
+    offset: Number(q.offset) || 0
+  });
+  res.json({ items, total, ...AuditLog.facets(), retentionDays: AUDIT_LOG_RETENTION_DAYS });
+});
+
+// Admin accounts (owners only)
+async function adminUserInput(body = {}) {
+  const input = { ...body };
+  if (body.nostrPubkey !== undefined) {
+    const raw = String(body.nostrPubkey || "").trim();
+    input.nostrPubkey = raw ? await resolveToPubkey(raw, { allowNip05: false }) : "";
+    if (raw && !input.nostrPubkey) throw new Error("Invalid Nostr pubkey");
+  }
+  return input;
+}
+app.get("/api/admin/users", requirePermission("users"), (req, res) => {
+  res.json(AdminUsers.all());
+});
+app.post("/api/admin/users", requirePermission("users"), async (req, res) => {
+  try {
+    const created = AdminUsers.create(await adminUserInput(req.body || {}));
+    res.locals.audit = { action: "user.create", targetType: "user", targetId: created.id, after: created };
+    res.json(created);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+app.put("/api/admin/users/:id", requirePermission("users"), async (req, res) => {
+  try {
+    const before = AdminUsers.get(req.params.id);
+    const changed = AdminUsers.update(req.params.id, await adminUserInput(req.body || {}));
+    if (!changed) return res.status(404).json({ error: "Not found" });
+    const diff = diffObjects(before, changed);
+    if (req.body?.password) diff.password = { from: "•••", to: "changed" };
+    res.locals.audit = { action: "user.update", targetType: "user", targetId: changed.id, diff };
+    res.json(changed);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+app.delete("/api/admin/users/:id", requirePermission("users"), (req, res) => {
+  try {
+    const before = AdminUsers.get(req.params.id);
+    AdminUsers.remove(req.params.id);
+    res.locals.audit = { action: "user.delete", targetType: "user", targetId: req.params.id, before };
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
 
 // ---------------------------------------------------------------------
 // Admin: settings / products / orders
 // ---------------------------------------------------------------------
 app.get("/api/admin/settings", requireAdmin, (req, res) => res.json({ ...Settings.getAll(), nostrShopPubkey: getShopPubkey() }));
-app.put("/api/admin/settings", requireAdmin, (req, res) => {
+app.put("/api/admin/settings", requirePermission("settings"), (req, res) => {
   // Persist all editable settings (incl. Nostr keys / relays / lightning address)
   const {
     storeName,
@@ -1865,7 +2228,7 @@ app.put("/api/admin/settings", requireAdmin, (req, res) => {
     // NEW: Embedded Code
     embedCode,
     // NEW Nostr/LN
-    nostrNpub, nostrNip05, nostrRelays, lightningAddress, nostrDefaultHashtags, nostrCommentsEnabled,
+    nostrNpub, nostrNip05, nostrRelays, lightningAddress, lightningAddressNames, nostrDefaultHashtags, nostrCommentsEnabled,
     nostrBlockedPubkeys, nostrBlockedHashtags,
     // NEW Theme
     themeChoice,
@@ -1879,32 +2242,117 @@ app.put("/api/admin/settings", requireAdmin, (req, res) => {
     notifyEmailSubject_PAID, notifyEmailSubject_PREPARATION, notifyEmailSubject_SHIPPED,
     notifyEmailBody_PAID, notifyEmailBody_PREPARATION, notifyEmailBody_SHIPPED
   } = req.body || {};
-  res.json(
-    Settings.setAll({
-      storeName, contactNote, logo, logoDark, logoLight, favicon, productsHeading, heroLine, radiusScale,
-      aboutTitle, aboutBody, aboutImage,
-      heroCtaLabel, heroCtaHref,
-      shippingTitle, shippingBullet1, shippingBullet2, shippingBullet3,
-      shippingZones,
-      commissionTitle, commissionBody, commissionCtaLabel, commissionCtaHref,
-      // NEW: Embedded Code
-      embedCode,
-      nostrNpub, nostrNip05, nostrRelays, lightningAddress, nostrDefaultHashtags, nostrCommentsEnabled,
-      nostrBlockedPubkeys, nostrBlockedHashtags,
-      themeChoice, themeTokens,
-      smtpEnabled, smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass,
-      smtpFromName, smtpFromAddress, smtpEnvelopeFrom, smtpReplyTo, smtpSignature, smtpSaveToSent,
-      imapHost, imapPort, imapSecure, imapUser, imapPass, imapMailbox,
-      // pass templates through
-      notifyDmTemplate_PAID, notifyDmTemplate_PREPARATION, notifyDmTemplate_SHIPPED,
-      notifyEmailSubject_PAID, notifyEmailSubject_PREPARATION, notifyEmailSubject_SHIPPED,
-      notifyEmailBody_PAID, notifyEmailBody_PREPARATION, notifyEmailBody_SHIPPED
-    })
-  );
+  const before = Settings.getAll();
+  const saved = Settings.setAll({
+    storeName, contactNote, logo, logoDark, logoLight, favicon, productsHeading, heroLine, radiusScale,
+    aboutTitle, aboutBody, aboutImage,
+    heroCtaLabel, heroCtaHref,
+    shippingTitle, shippingBullet1, shippingBullet2, shippingBullet3,
+    shippingZones,
+    commissionTitle, commissionBody, commissionCtaLabel, commissionCtaHref,
+    // NEW: Embedded Code
+    embedCode,
+    nostrNpub, nostrNip05, nostrRelays, lightningAddress, lightningAddressNames, nostrDefaultHashtags, nostrCommentsEnabled,
+    nostrBlockedPubkeys, nostrBlockedHashtags,
+    themeChoice, themeTokens,
+    smtpEnabled, smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass,
+    smtpFromName, smtpFromAddress, smtpEnvelopeFrom, smtpReplyTo, smtpSignature, smtpSaveToSent,
+    imapHost, imapPort, imapSecure, imapUser, imapPass, imapMailbox,
+    // pass templates through
+    notifyDmTemplate_PAID, notifyDmTemplate_PREPARATION, notifyDmTemplate_SHIPPED,
+    notifyEmailSubject_PAID, notifyEmailSubject_PREPARATION, notifyEmailSubject_SHIPPED,
+    notifyEmailBody_PAID, notifyEmailBody_PREPARATION, notifyEmailBody_SHIPPED
+  });
+  const diff = diffObjects(before, Settings.getAll());
+  for (const key of ["smtpPass", "imapPass"]) {
+    if (diff[key]) diff[key] = { from: "•••", to: "changed" };
+  }
+  res.locals.audit = { action: "settings.update", targetType: "settings", diff };
+  res.json(saved);
+});
+
+// ---------------------------------------------------------------------
+// Backup & restore (owner: the bundle holds every order and setting)
+// ---------------------------------------------------------------------
+function sendBackupFile(res, name, buf) {
+  res.setHeader("Content-Type", "application/gzip");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+  res.end(buf);
+}
+
+// Download a fresh bundle; secrets are only included when a passphrase is sent
+app.post("/api/admin/backup", requirePermission("settings"), (req, res) => {
+  try {
+    const passphrase = String(req.body?.passphrase || "");
+    const buf = encodeBackup(createBackup({ passphrase }));
+    res.locals.audit = { action: "backup.download", targetType: "backup", diff: { secrets: { from: null, to: passphrase ? "encrypted" : "excluded" } } };
+    sendBackupFile(res, `boltcanvas-backup-${new Date().toISOString().slice(0, 10)}.json.gz`, buf);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Lightning backends in failover order, with their recent invoice failures
+app.get("/api/admin/payments/health", requirePermission("settings"), (req, res) => {
+  res.json({ providers: lightningProviderHealth() });
+});
+
+app.get("/api/admin/backups", requirePermission("settings"), (req, res) => {
+  res.json({ dir: backupDir(), items: listLocalBackups() });
+});
+
+app.post("/api/admin/backups", requirePermission("settings"), (req, res) => {
+  try {
+    const saved = writeLocalBackup();
+    res.locals.audit = { action: "backup.create", targetType: "backup", targetId: saved.name };
+    res.json(saved);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/backups/:name", requirePermission("settings"), (req, res) => {
+  try {
+    const buf = readLocalBackup(req.params.name);
+    if (!buf) return res.status(404).json({ error: "Backup not found" });
+    sendBackupFile(res, req.params.name, buf);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
 });
 
+// Restore from an uploaded archive (raw body) or a local backup (?name=).
+// ?dryRun=1 only validates and returns the diff. The passphrase travels in
+// X-Backup-Passphrase so it stays out of URLs and logs.
+app.post(
+  "/api/admin/restore",
+  requirePermission("settings"),
+  express.raw({ type: ["application/gzip", "application/octet-stream", "application/json"], limit: "500mb" }),
+  (req, res) => {
+    try {
+      const name = String(req.query.name || "");
+      const input = name ? readLocalBackup(name) : req.body;
+      if (!input || (Buffer.isBuffer(input) && !input.length)) {
+        return res.status(400).json({ error: name ? "Backup not found" : "Upload a backup file" });
+      }
+      const dryRun = ["1", "true"].includes(String(req.query.dryRun || "").toLowerCase());
+      const result = restoreBackup(decodeBackup(input), {
+        passphrase: String(req.get("x-backup-passphrase") || ""),
+        dryRun
+      });
+      if (!dryRun) {
+        const counts = Object.fromEntries(Object.entries(result.diff).map(([t, d]) => [t, { from: null, to: `+${d.added} ~${d.changed} -${d.removed}` }]));
+        res.locals.audit = { action: "backup.restore", targetType: "backup", targetId: name || "upload", diff: counts };
+      }
+      res.json(result);
+    } catch (e) {
+      res.status(400).json({ error: String(e?.message || e) });
+    }
+  }
+);
+
 // NEW: Admin products list (full objects with images[])
-app.get("/api/admin/products", requireAdmin, (req, res) => {
+app.get("/api/admin/products", requirePermission("products"), (req, res) => {
   const pageParam = Number.parseInt(req.query.page, 10);
   const pageSizeParam = Number.parseInt(req.query.pageSize, 10);
 
@@ -1942,6 +2390,7 @@ app.get("/api/admin/products", requireAdmin, (req, res) => {
     const mainUrl = count ? `/api/products/${p.id}/image/${safeIdx}.jpg${versionTag}` : "";
     const maxQuantity = (() => {
       if (!p.available) return 0;
+      if (p.variants.length) return p.maxQuantity;
       if (p.isUnique) return 1;
       if (Number.isFinite(p.quantityAvailable)) return Math.max(0, p.quantityAvailable);
       return null;
@@ -1983,6 +2432,8 @@ app.get("/api/admin/products", requireAdmin, (req, res) => {
       depthCm: p.depthCm,
       showDimensions: p.showDimensions,
       shippingZoneOverrides: Array.isArray(p.shippingZoneOverrides) ? p.shippingZoneOverrides : [],
+      variantOptions: p.variantOptions,
+      variants: p.variants,
       nostr
     };
   });
@@ -1996,7 +2447,7 @@ app.get("/api/admin/products", requireAdmin, (req, res) => {
   });
 });
 
-app.get("/api/admin/products/:id", requireAdmin, (req, res) => {
+app.get("/api/admin/products/:id", requirePermission("products"), (req, res) => {
   const product = Products.get(req.params.id);
   if (!product) return res.status(404).json({ error: "Not found" });
   const imgs = Array.isArray(product.images) ? product.images : [];
@@ -2034,7 +2485,7 @@ app.get("/api/admin/products/:id", requireAdmin, (req, res) => {
   res.json({ ...product, imageUrls, thumbUrls, absImageUrls, absThumbUrls, nostr });
 });
 
-app.put("/api/admin/products/:id/nostr/teaser", requireAdmin, (req, res) => {
+app.put("/api/admin/products/:id/nostr/teaser", requirePermission("nostr"), (req, res) => {
   try {
     const product = Products.get(req.params.id);
     if (!product) return res.status(404).json({ error: "Not found" });
@@ -2061,6 +2512,13 @@ app.put("/api/admin/products/:id/nostr/teaser", requireAdmin, (req, res) => {
     if (relays !== undefined) payload.relays = relays;
 
     const stored = ProductNostrPosts.setTeaser(product.id, payload);
+    res.locals.audit = {
+      action: "nostr.teaser.update",
+      targetType: "product",
+      targetId: product.id,
+      before: { content: existing?.teaserContent || "", imageUrl: existing?.imageUrl || "", relays: existing?.relays || [] },
+      after: { content: stored?.teaserContent || "", imageUrl: stored?.imageUrl || "", relays: stored?.relays || [] }
+    };
 
     const imgs = Array.isArray(product.images) ? product.images : [];
   const imageUrls = imgs.map((data, i) => {
@@ -2089,7 +2547,7 @@ app.put("/api/admin/products/:id/nostr/teaser", requireAdmin, (req, res) => {
   }
 });
 
-app.post("/api/admin/products/:id/nostr/teaser/publish", requireAdmin, async (req, res) => {
+app.post("/api/admin/products/:id/nostr/teaser/publish", requirePermission("nostr"), async (req, res) => {
   try {
     const product = Products.get(req.params.id);
     if (!product) return res.status(404).json({ error: "Not found" });
@@ -2162,6 +2620,12 @@ app.post("/api/admin/products/:id/nostr/teaser/publish", requireAdmin, async (re
       lastPublishedAt: publishResult.createdAt * 1000,
       lastAck: publishResult.relayResults
     });
+    res.locals.audit = {
+      action: "nostr.teaser.publish",
+      targetType: "product",
+      targetId: product.id,
+      after: { eventId: publishResult.event.id, content: finalContent }
+    };
 
     const nostr = mapNostrConfigForResponse(product, publishedRow, {
       defaultImageUrl,
@@ -2202,7 +2666,7 @@ function normalizeHexPrivateKey(maybeKey) {
   return s;
 }
 
-app.get("/api/admin/orders", requireAdmin, (req, res) => {
+app.get("/api/admin/orders", requirePermission("orders"), (req, res) => {
   try {
     const list = Orders.all() || [];
     list.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
@@ -2212,8 +2676,120 @@ app.get("/api/admin/orders", requireAdmin, (req, res) => {
   }
 });
 
+// Orders export: ?format=csv|json|lines plus the filters in parseExportFilters
+app.get("/api/admin/orders/export", requirePermission("orders"), (req, res) => {
+  try {
+    const orders = filterOrders(Orders.all() || [], parseExportFilters(req.query))
+      .sort((a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0));
+    const { contentType, extension, body } = exportOrders(orders, req.query.format);
+    const stamp = new Date().toISOString().slice(0, 10);
+    const suffix = String(req.query.format || "").toLowerCase() === "lines" ? "-lines" : "";
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="orders-${stamp}${suffix}.${extension}"`);
+    res.send(body);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Reconciliation: backend payment history vs. orders (see reconcile.js)
+app.get("/api/admin/reconciliation", requirePermission("orders"), (req, res) => {
+  res.json({ report: lastReconciliation(), lookbackDays: RECONCILE_LOOKBACK_DAYS });
+});
+
+app.post("/api/admin/reconciliation/run", requirePermission("orders"), async (req, res) => {
+  try {
+    const days = Number(req.body?.days) || RECONCILE_LOOKBACK_DAYS;
+    res.json({ report: await runReconciliation({ days }), lookbackDays: RECONCILE_LOOKBACK_DAYS });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/reconciliation/recover", requirePermission("orders"), async (req, res) => {
+  try {
+    const key = String(req.body?.key || "");
+    const item = reportItem(key);
+    const order = recoverPayment(key);
+    res.locals.audit = {
+      action: "order.recover",
+      targetType: "order",
+      targetId: order.id,
+      before: { status: item?.orderStatus || null },
+      after: { status: order.status, reconciliation: { kind: item?.kind, source: item?.source, amountSats: item?.amountSats } }
+    };
+    if (order.__justPaid && order.items?.length) {
+      for (const it of order.items) {
+        try { Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId }); } catch {}
+      }
+    }
+    notifyPaidOnce(order);
+    try { await dmOrderUpdate(order, "PAID"); } catch {}
+    try { await sendOrderStatusEmail(order, "PAID"); } catch {}
+    res.json({ order, report: lastReconciliation(), rescan: lastXpubRescan() });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// XPUB/descriptor receive addresses, to check against the wallet before
+// taking payments: ?start=0&count=20
+app.get("/api/admin/onchain/addresses", requirePermission("settings"), (req, res) => {
+  try {
+    if (ONCHAIN_PROVIDER !== "xpub") throw new Error("The XPUB on-chain provider is not enabled (ONCHAIN_PROVIDER=xpub)");
+    res.json({ ...previewAddresses({ start: req.query.start, count: req.query.count }), rescan: lastXpubRescan() });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Look for payments on xpub addresses at any age, e.g. late payments to
+// expired orders: { from, to } indexes, default every address handed out
+app.post("/api/admin/onchain/rescan", requirePermission("settings"), async (req, res) => {
+  try {
+    res.json({ rescan: await rescanXpubAddresses({ from: req.body?.from, to: req.body?.to }) });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Packing slips: ?format=html|pdf&layout=a4|4x6
+async function sendPackingSlips(req, res, orders, filename) {
+  const layout = normalizeLayout(req.query.layout);
+  const slips = await buildPackingSlips(orders);
+  if (String(req.query.format || "html").toLowerCase() === "pdf") {
+    const pdf = await renderPackingSlipsPdf(slips, { layout });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}-${layout}.pdf"`);
+    return res.end(pdf);
+  }
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(renderPackingSlipsHtml(slips, { layout }));
+}
+
+app.get("/api/admin/orders/packing-slips", requirePermission("orders"), async (req, res) => {
+  try {
+    const orders = (Orders.all() || [])
+      .filter((o) => o.status === "PAID" || o.status === "PREPARATION")
+      .sort((a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0));
+    await sendPackingSlips(req, res, orders, "packing-slips");
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/orders/:id/packing-slip", requirePermission("orders"), async (req, res) => {
+  try {
+    const order = Orders.get(req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    await sendPackingSlips(req, res, [order], `packing-slip-${order.id}`);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
 // ✅ Admin set order status
-app.post("/api/admin/orders/:id/status", requireAdmin, async (req, res) => {
+app.post("/api/admin/orders/:id/status", requirePermission("orders"), async (req, res) => {
   try {
     const id = req.params.id;
     const status = String(req.body?.status || "").toUpperCase();
@@ -2226,22 +2802,39 @@ app.post("/api/admin/orders/:id/status", requireAdmin, async (req, res) => {
     const existing = Orders.get(id);
     if (!existing) return res.status(404).json({ error: "Not found" });
 
+    if (existing.status === "REFUNDED") {
+      return res.status(400).json({ error: "Refunded orders cannot change status" });
+    }
     if (status === "SHIPPED" && (!courier || !tracking)) {
       return res.status(400).json({ error: "Courier and tracking are required for SHIPPED" });
     }
 
-    const updated = Orders.setStatus(id, status, { courier, tracking });
-    if (status === "PAID" && existing?.status !== "PAID" && Array.isArray(updated?.items)) {
+    // "Mark shipped" ships whatever is left as one parcel
+    const shipRest = status === "SHIPPED"
+      && ["PAID", "PREPARATION", "PARTIALLY_SHIPPED"].includes(existing.status)
+      && Shipments.remaining(existing).length > 0;
+    const shipment = shipRest ? Shipments.create(id, { courier, tracking }).shipment : null;
+    const updated = shipRest ? Orders.get(id) : Orders.setStatus(id, status, { courier, tracking });
+    res.locals.audit = {
+      action: "order.status",
+      targetType: "order",
+      targetId: id,
+      before: { status: existing.status, courier: existing.courier, tracking: existing.tracking },
+      after: { status: updated.status, courier: updated.courier, tracking: updated.tracking }
+    };
+    if (status === "PAID") recordPaidFiatRate(updated);
+    // Cancelling a refund request (back to PAID) keeps the stock already consumed
+    if (status === "PAID" && existing?.status !== "PAID" && existing?.status !== "REFUND_REQUESTED" && Array.isArray(updated?.items)) {
       for (const it of updated.items) {
-        try { Products.consumeStock(it.productId, it.qty || 1); } catch {}
+        try { Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId }); } catch {}
       }
     }
 
     // NOSTR DM on status change
-    try { await dmOrderUpdate(updated, status); } catch {}
+    try { await dmOrderUpdate(updated, status, { shipment }); } catch {}
 
     // Email on status change (if email present and SMTP enabled)
-    try { await sendOrderStatusEmail(updated, status); } catch {}
+    try { await sendOrderStatusEmail(updated, status, { shipment }); } catch {}
 
     return res.json(updated);
   } catch (e) {
@@ -2249,52 +2842,336 @@ app.post("/api/admin/orders/:id/status", requireAdmin, async (req, res) => {
   }
 });
 
-// ✅ Admin delete order (used by client/src/admin/Orders.jsx)
-app.delete("/api/admin/orders/:id", requireAdmin, (req, res) => {
+// Shipments: one parcel per call; each one notifies the buyer with its own
+// courier/tracking. The order becomes PARTIALLY_SHIPPED until every unit ships.
+app.post("/api/admin/orders/:id/shipments", requirePermission("orders"), async (req, res) => {
   try {
-    Orders.remove(req.params.id);
-    res.json({ ok: true });
+    const existing = Orders.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Not found" });
+    const { shipment, order } = Shipments.create(existing.id, {
+      items: Array.isArray(req.body?.items) ? req.body.items : [],
+      courier: req.body?.courier,
+      tracking: req.body?.tracking,
+      shippedAt: req.body?.shippedAt
+    });
+    res.locals.audit = {
+      action: "order.shipment.create",
+      targetType: "order",
+      targetId: order.id,
+      before: { status: existing.status },
+      after: { status: order.status, shipment: { id: shipment.id, items: shipment.items, courier: shipment.courier, tracking: shipment.tracking } }
+    };
+    try { await dmOrderUpdate(order, order.status, { shipment }); } catch {}
+    try { await sendOrderStatusEmail(order, order.status, { shipment }); } catch {}
+    return res.json(order);
   } catch (e) {
-    res.status(400).json({ error: String(e?.message || e) });
+    return res.status(400).json({ error: String(e?.message || e) });
   }
 });
 
-// Products (mutations)
-app.post("/api/admin/products", requireAdmin, (req, res) => {
-  const {
-    title, subtitle, description, longDescription, priceSats, images, mainImageIndex,
-    widthCm, heightCm, depthCm,
-    shippingZoneOverrides,
-    available,
-    showDimensions,
-    hidden,
-    isUnique,
-    quantityAvailable
-  } = req.body || {};
-  if (!title || !priceSats || !images?.length) {
-    return res.status(400).json({ error: "title, priceSats, images required" });
+app.delete("/api/admin/orders/:id/shipments/:shipmentId", requirePermission("orders"), (req, res) => {
+  try {
+    const shipment = Shipments.get(req.params.shipmentId);
+    if (!shipment || shipment.orderId !== req.params.id) return res.status(404).json({ error: "Not found" });
+    const before = Orders.get(req.params.id);
+    const order = Shipments.remove(shipment.id);
+    res.locals.audit = {
+      action: "order.shipment.delete",
+      targetType: "order",
+      targetId: req.params.id,
+      before: { status: before?.status, shipment: { id: shipment.id, items: shipment.items, courier: shipment.courier, tracking: shipment.tracking } },
+      after: { status: order?.status }
+    };
+    return res.json(order);
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
   }
-  const created = Products.create({
-    title,
-    subtitle: subtitle || "",
-    description: description || "",
-    longDescription: longDescription || "",
-    priceSats: Math.floor(priceSats),
-    images,
-    mainImageIndex: Math.max(0, (mainImageIndex|0)),
-    widthCm: widthCm ?? null,
-    heightCm: heightCm ?? null,
-    depthCm: depthCm ?? null,
-    showDimensions: showDimensions !== undefined ? !!showDimensions : true,
+});
+
+// Refunds: PAID/PREPARATION/SHIPPED -> REFUND_REQUESTED -> REFUNDED.
+// Lightning refunds are paid from the shop wallet; on-chain ones are sent by
+// hand and recorded here. The buyer is notified at each step.
+const refundsInFlight = new Set();
+
+function refundAudit(action, before, after) {
+  const pick = (o) => ({
+    status: o.status,
+    refundSats: o.refundSats,
+    refundReason: o.refundReason,
+    refundMethod: o.refundMethod,
+    refundDestination: o.refundDestination,
+    refundReference: o.refundReference
+  });
+  return { action, targetType: "order", targetId: before.id, before: pick(before), after: pick(after) };
+}
+
+// Refunds leave from the wallet that received the order (a failover backend
+// when the primary was down at checkout)
+async function payRefundInvoice({ provider = PAYMENT_PROVIDER, paymentRequest, amountSats, amountless, memo }) {
+  if (provider !== PAYMENT_PROVIDER) return payInvoice({ provider, paymentRequest, amountSats, amountless, memo });
+  if (PAYMENT_PROVIDER === "blink") {
+    const walletId = await ensureBtcWalletId({
+      url: BLINK_GRAPHQL_URL,
+      apiKey: BLINK_API_KEY,
+      explicitWalletId: BLINK_BTC_WALLET_ID || undefined
+    });
+    return payInvoice({ url: BLINK_GRAPHQL_URL, apiKey: BLINK_API_KEY, walletId, paymentRequest, amountSats, amountless, memo });
+  }
+  return payInvoice({ url: NWC_URL, relayUrls: NWC_RELAYS, paymentRequest, amountSats, amountless, memo });
+}
+
+app.post("/api/admin/orders/:id/refund-request", requirePermission("refunds"), async (req, res) => {
+  try {
+    const existing = Orders.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Not found" });
+    const updated = Orders.requestRefund(existing.id, {
+      amountSats: req.body?.amountSats,
+      reason: req.body?.reason
+    });
+    res.locals.audit = refundAudit("order.refund_request", existing, updated);
+    try { await dmOrderUpdate(updated, "REFUND_REQUESTED"); } catch {}
+    try { await sendOrderStatusEmail(updated, "REFUND_REQUESTED"); } catch {}
+    return res.json(updated);
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/orders/:id/refund", requirePermission("refunds"), async (req, res) => {
+  const id = req.params.id;
+  if (refundsInFlight.has(id)) {
+    return res.status(409).json({ error: "A refund for this order is already in progress" });
+  }
+  refundsInFlight.add(id);
+  try {
+    const existing = Orders.get(id);
+    if (!existing) return res.status(404).json({ error: "Not found" });
+    if (existing.status !== "REFUND_REQUESTED") {
+      return res.status(400).json({ error: "Request the refund before paying it" });
+    }
+    const destination = String(req.body?.destination || "").trim();
+    const amountSats = req.body?.amountSats ?? existing.refundSats;
+    let refund;
+    if (existing.paymentMethod === "onchain") {
+      if (!isBitcoinAddress(destination)) {
+        return res.status(400).json({ error: "Enter a valid Bitcoin address" });
+      }
+      const txid = String(req.body?.txid || "").trim().toLowerCase();
+      if (txid && !/^[0-9a-f]{64}$/.test(txid)) {
+        return res.status(400).json({ error: "Invalid transaction id" });
+      }
+      refund = { method: "onchain", destination, reference: txid, amountSats };
+    } else if (req.body?.manual) {
+      // Paid from another wallet (e.g. the LNURL provider cannot send): just record it
+      if (!destination) return res.status(400).json({ error: "Destination is required" });
+      refund = { method: "lightning", destination, reference: String(req.body?.reference || "").trim(), amountSats };
+    } else {
+      const invoice = await resolveRefundInvoice({
+        destination,
+        amountSats: existing.refundSats,
+        comment: `Refund for order ${id}`
+      });
+      const result = await payRefundInvoice({
+        provider: existing.lightningProvider || PAYMENT_PROVIDER,
+        paymentRequest: invoice.paymentRequest,
+        amountSats: invoice.amountSats,
+        amountless: invoice.amountless,
+        memo: `Refund for order ${id}`
+      });
+      if (result?.status !== "PAID") {
+        return res.status(502).json({
+          error: "The wallet reports the payment as pending. Check it there before retrying, then record the refund as already paid."
+        });
+      }
+      refund = {
+        method: "lightning",
+        destination: invoice.destination,
+        reference: result.preimage || invoice.paymentHash,
+        amountSats: invoice.amountSats
+      };
+    }
+    const updated = Orders.markRefunded(id, refund);
+    res.locals.audit = refundAudit("order.refund", existing, updated);
+    try { await dmOrderUpdate(updated, "REFUNDED"); } catch {}
+    try { await sendOrderStatusEmail(updated, "REFUNDED"); } catch {}
+    return res.json(updated);
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  } finally {
+    refundsInFlight.delete(id);
+  }
+});
+
+// Boltz swap refunds: coins locked for a swap that failed or expired (late,
+// short or over-payments) are sent back to the buyer (see onchain/boltz-refund.js)
+const BOLTZ_FAILED_STATUSES = new Set(["swap.expired", "invoice.failedtopay", "transaction.failed", "transaction.lockupfailed"]);
+
+function swapRefundCandidate(id) {
+  const live = Orders.get(id);
+  if (live) return { order: live, deleted: false };
+  const archived = DeletedOrders.get(id);
+  if (archived?.order) return { order: archived.order, deleted: true, deletedAt: archived.deletedAt };
+  return null;
+}
+
+function swapRefundRow({ order, deleted, deletedAt = 0 }) {
+  const info = describeSwapRefund(order);
+  return {
+    id: order.id,
+    deleted,
+    deletedAt,
+    createdAt: order.createdAt,
+    status: order.status,
+    boltzStatus: order.boltzStatus,
+    swapId: order.boltzSwapId,
+    address: info.address,
+    expectedSats: order.boltzExpectedAmountSats || order.onchainAmountSats || 0,
+    timeoutBlockHeight: info.timeoutBlockHeight,
+    ready: info.ready,
+    problem: info.problem,
+    refundSats: order.refundedAt ? order.refundSats : 0,
+    refundDestination: order.refundedAt ? order.refundDestination : "",
+    refundReference: order.refundedAt ? order.refundReference : "",
+    refundedAt: order.refundedAt || 0
+  };
+}
+
+app.get("/api/admin/boltz/refunds", requirePermission("refunds"), (req, res) => {
+  const paid = (o) => PAID_STATUSES.has(String(o.status || "").toUpperCase());
+  const live = Orders.all()
+    .filter((o) => o.boltzSwapId && !paid(o))
+    .filter((o) => o.status === "FAILED" || o.refundedAt || BOLTZ_FAILED_STATUSES.has(String(o.boltzStatus || "").toLowerCase()))
+    .map((order) => swapRefundRow({ order, deleted: false }));
+  const deleted = DeletedOrders.all()
+    .filter((d) => d.order?.boltzSwapId && !Orders.get(d.id))
+    .map((d) => swapRefundRow({ order: d.order, deleted: true, deletedAt: d.deletedAt }));
+  res.json({ swaps: [...live, ...deleted] });
+});
+
+// Signed refund transaction for the admin to broadcast: { destination, feeRate? }
+app.post("/api/admin/boltz/refunds/:id/build", requirePermission("refunds"), async (req, res) => {
+  try {
+    const found = swapRefundCandidate(req.params.id);
+    if (!found?.order?.boltzSwapId) return res.status(404).json({ error: "Not found" });
+    if (PAID_STATUSES.has(String(found.order.status || "").toUpperCase())) {
+      return res.status(400).json({ error: "The order is paid; use the normal refund flow" });
+    }
+    const refund = await buildSwapRefund(found.order, {
+      destination: req.body?.destination,
+      feeRate: req.body?.feeRate
+    });
+    res.locals.audit = {
+      action: "order.swap_refund_build",
+      targetType: "order",
+      targetId: found.order.id,
+      after: { method: refund.method, txid: refund.txid, amountSats: refund.amountSats, feeSats: refund.feeSats }
+    };
+    return res.json({ ...refund, destination: String(req.body.destination).trim() });
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Once broadcast: { txid, amountSats, destination, method? } go on the order
+app.post("/api/admin/boltz/refunds/:id/record", requirePermission("refunds"), async (req, res) => {
+  try {
+    const found = swapRefundCandidate(req.params.id);
+    if (!found?.order?.boltzSwapId) return res.status(404).json({ error: "Not found" });
+    const txid = String(req.body?.txid || "").trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(txid)) return res.status(400).json({ error: "Invalid transaction id" });
+    const destination = String(req.body?.destination || "").trim();
+    if (!isBitcoinAddress(destination)) return res.status(400).json({ error: "Enter a valid Bitcoin address" });
+    const amountSats = Math.floor(Number(req.body?.amountSats));
+    if (!Number.isFinite(amountSats) || amountSats < 1) return res.status(400).json({ error: "Enter the refunded amount in sats" });
+    const method = req.body?.method === "script" ? "script path" : "cooperative";
+    if (found.deleted) DeletedOrders.restore(found.order.id);
+    const before = Orders.get(found.order.id);
+    const updated = Orders.recordSwapRefund(before.id, {
+      destination,
+      reference: txid,
+      amountSats,
+      reason: `Boltz swap ${before.boltzSwapId} refunded (${method})`
+    });
+    res.locals.audit = refundAudit("order.swap_refund", before, updated);
+    try { await dmOrderUpdate(updated, "REFUNDED"); } catch {}
+    try { await sendOrderStatusEmail(updated, "REFUNDED"); } catch {}
+    return res.json(swapRefundRow({ order: updated, deleted: false }));
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// ✅ Admin delete order (used by client/src/admin/Orders.jsx)
+app.delete("/api/admin/orders/:id", requirePermission("orders"), (req, res) => {
+  try {
+    const before = Orders.get(req.params.id);
+    Orders.remove(req.params.id);
+    res.locals.audit = {
+      action: "order.delete",
+      targetType: "order",
+      targetId: req.params.id,
+      before: before
+        ? { status: before.status, totalSats: before.totalSats, name: before.name, surname: before.surname, items: before.items }
+        : null
+    };
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
+// Products (mutations)
+app.post("/api/admin/products", requirePermission("products"), async (req, res) => {
+  const {
+    title, subtitle, description, longDescription, priceSats, images, mainImageIndex,
+    widthCm, heightCm, depthCm,
+    shippingZoneOverrides,
+    available,
+    showDimensions,
+    hidden,
+    isUnique,
+    quantityAvailable,
+    variantOptions,
+    variants
+  } = req.body || {};
+  let fiatPrice;
+  try {
+    fiatPrice = await fiatPriceInput(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+  const basePriceSats = fiatPrice.priceCurrency ? fiatPrice.priceSats : priceSats;
+  if (!title || !basePriceSats || !images?.length) {
+    return res.status(400).json({ error: "title, priceSats, images required" });
+  }
+  const created = Products.create({
+    title,
+    subtitle: subtitle || "",
+    description: description || "",
+    longDescription: longDescription || "",
+    priceSats: Math.floor(basePriceSats),
+    priceCurrency: fiatPrice.priceCurrency,
+    priceFiat: fiatPrice.priceFiat,
+    images,
+    mainImageIndex: Math.max(0, (mainImageIndex|0)),
+    widthCm: widthCm ?? null,
+    heightCm: heightCm ?? null,
+    depthCm: depthCm ?? null,
+    showDimensions: showDimensions !== undefined ? !!showDimensions : true,
     shippingZoneOverrides: Array.isArray(shippingZoneOverrides) ? shippingZoneOverrides : [],
     isUnique: isUnique !== undefined ? !!isUnique : undefined,
-    quantityAvailable: quantityAvailable
+    quantityAvailable: quantityAvailable,
+    variantOptions: Array.isArray(variantOptions) ? variantOptions : [],
+    variants: Array.isArray(variants) ? variants : []
   });
   if (available === false) Products.update(created.id, { available: false });
   if (hidden === true) Products.update(created.id, { hidden: true });
-  res.json(Products.get(created.id));
+  repriceProduct(created);
+  const product = Products.get(created.id);
+  res.locals.audit = { action: "product.create", targetType: "product", targetId: created.id, after: product };
+  res.json(product);
 });
-app.put("/api/admin/products/:id", requireAdmin, (req, res) => {
+app.put("/api/admin/products/:id", requirePermission("products"), async (req, res) => {
   const id = req.params.id;
   const patch = {};
   if (req.body.title !== undefined) patch.title = req.body.title;
@@ -2315,23 +3192,46 @@ app.put("/api/admin/products/:id", requireAdmin, (req, res) => {
   if (req.body.showDimensions !== undefined) patch.showDimensions = !!req.body.showDimensions;
   if (req.body.isUnique !== undefined) patch.isUnique = !!req.body.isUnique;
   if (req.body.quantityAvailable !== undefined) patch.quantityAvailable = req.body.quantityAvailable;
+  if (req.body.variantOptions !== undefined) {
+    patch.variantOptions = Array.isArray(req.body.variantOptions) ? req.body.variantOptions : [];
+  }
+  if (req.body.variants !== undefined) patch.variants = Array.isArray(req.body.variants) ? req.body.variants : [];
+  if (req.body.priceCurrency !== undefined) {
+    try {
+      Object.assign(patch, await fiatPriceInput(req.body));
+    } catch (e) {
+      return res.status(400).json({ error: String(e?.message || e) });
+    }
+  }
 
-  const changed = Products.update(id, patch);
-  if (!changed) return res.status(404).json({ error: "Not found" });
+  const before = Products.get(id, { includeImages: false });
+  if (!Products.update(id, patch)) return res.status(404).json({ error: "Not found" });
+  repriceProduct(before);
+  const changed = Products.get(id);
+  res.locals.audit = { action: "product.update", targetType: "product", targetId: id, before, after: changed };
   res.json(changed);
 });
-app.delete("/api/admin/products/:id", requireAdmin, (req, res) => {
+app.delete("/api/admin/products/:id", requirePermission("products"), (req, res) => {
+  const before = Products.get(req.params.id, { includeImages: false });
   Products.remove(req.params.id);
+  res.locals.audit = { action: "product.delete", targetType: "product", targetId: req.params.id, before };
   res.json({ ok: true });
 });
 
-app.post("/api/admin/products/reorder", requireAdmin, (req, res) => {
+app.post("/api/admin/products/reorder", requirePermission("products"), (req, res) => {
   try {
     const order = Array.isArray(req.body?.order) ? req.body.order : [];
     if (!order.length) {
       return res.status(400).json({ error: "Order array required" });
     }
+    const before = Products.all({ includeImages: false }).map((p) => p.id);
     const updated = Products.reorder(order);
+    res.locals.audit = {
+      action: "product.reorder",
+      targetType: "product",
+      before: { order: before },
+      after: { order: Products.all({ includeImages: false }).map((p) => p.id) }
+    };
     res.json({ ok: true, updated });
   } catch (e) {
     console.error("products-reorder error:", e?.message || e);
@@ -2339,21 +3239,94 @@ app.post("/api/admin/products/reorder", requireAdmin, (req, res) => {
   }
 });
 
+// Discount codes (admin)
+app.get("/api/admin/discounts", requirePermission("discounts"), (req, res) => {
+  res.json(DiscountCodes.all());
+});
+app.post("/api/admin/discounts", requirePermission("discounts"), (req, res) => {
+  try {
+    const created = DiscountCodes.create(req.body || {});
+    res.locals.audit = { action: "discount.create", targetType: "discount", targetId: created.id, after: created };
+    res.json(created);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+app.put("/api/admin/discounts/:id", requirePermission("discounts"), (req, res) => {
+  try {
+    const before = DiscountCodes.get(req.params.id);
+    const changed = DiscountCodes.update(req.params.id, req.body || {});
+    if (!changed) return res.status(404).json({ error: "Not found" });
+    res.locals.audit = { action: "discount.update", targetType: "discount", targetId: changed.id, before, after: changed };
+    res.json(changed);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+app.delete("/api/admin/discounts/:id", requirePermission("discounts"), (req, res) => {
+  const before = DiscountCodes.get(req.params.id);
+  DiscountCodes.remove(req.params.id);
+  res.locals.audit = { action: "discount.delete", targetType: "discount", targetId: req.params.id, before };
+  res.json({ ok: true });
+});
+
+// ---------------------------------------------------------------------
+// Checkout: preview a discount code against the cart (no order created)
+// ---------------------------------------------------------------------
+app.post("/api/checkout/discount", (req, res) => {
+  try {
+    const { items, code, country } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: "No items" });
+    }
+    if (!String(code || "").trim()) {
+      return res.status(400).json({ error: "Enter a discount code" });
+    }
+    const loaded = loadCheckoutItems(items);
+    const subtotal = loaded.reduce((x, it) => x + it.priceSats * Math.max(1, it.qty || 1), 0);
+    const shipping = quoteShippingSats(loaded, country);
+    const discount = evaluateDiscount(DiscountCodes.byCode(code), {
+      items: loaded,
+      subtotalSats: subtotal,
+      shippingSats: shipping ?? 0,
+      usedCount: DiscountCodes.usageCount(code)
+    });
+    res.json({
+      ...discount,
+      subtotalSats: subtotal,
+      shippingSats: shipping
+    });
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+  }
+});
+
 // ---------------------------------------------------------------------
 // Checkout: create invoice (sats) with PER-PRODUCT shipping
 // ---------------------------------------------------------------------
 app.post("/api/checkout/create-invoice", async (req, res) => {
+  let orderId = "";
   try {
     const { items } = req.body || {};
     const rawCustomer = req.body?.customer || {};
-    const paymentMethod = String(req.body?.paymentMethod || "lightning").toLowerCase() === "onchain"
-      ? "onchain"
-      : "lightning";
+    const requestedMethod = String(req.body?.paymentMethod || "lightning").toLowerCase();
+    const paymentMethod = ["onchain", "cashu"].includes(requestedMethod) ? requestedMethod : "lightning";
     if (paymentMethod === "onchain") {
       if (!ONCHAIN_ENABLED) {
         return res.status(400).json({ error: "On-chain payments are disabled" });
       }
     }
+    // Cashu: the token is melted at its mint to pay this order's Lightning invoice
+    let cashuToken = null;
+    if (paymentMethod === "cashu") {
+      if (!CASHU_ENABLED) {
+        return res.status(400).json({ error: "Cashu payments are disabled" });
+      }
+      cashuToken = decodeCashuToken(req.body?.cashuToken);
+      if (!CASHU_MINTS.includes(cashuToken.mint)) {
+        return res.status(400).json({ error: `Tokens from ${cashuToken.mint} are not accepted here` });
+      }
+    }
     const trim = (value, { uppercase = false } = {}) => {
       let out = typeof value === "string" ? value.trim() : String(value || "").trim();
       if (uppercase) out = out.toUpperCase();
@@ -2402,50 +3375,41 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
     }
 
     const country = sanitizedCustomer.country;
-    const loaded = items.map(({ productId, qty }) => {
-      const p = Products.get(productId, { includeImages: false });
-      if (!p || !p.available || p.hidden) throw new Error(`Item not available: ${productId}`);
-      const q = Math.max(1, Math.floor(qty || 1));
-      const maxAllowed = maxPurchasableForProduct(p);
-      if (maxAllowed <= 0) throw new Error(`Item not available: ${productId}`);
-      if (q > maxAllowed) throw new Error(`Only ${maxAllowed} available for ${productId}`);
-      return {
-        productId,
-        title: p.title,
-        priceSats: p.priceSats,
-        qty: q,
-        shippingZoneOverrides: Array.isArray(p.shippingZoneOverrides) ? p.shippingZoneOverrides : []
-      };
-    });
-
+    const pricingRates = checkoutPricing(items);
+    const loaded = loadCheckoutItems(items, pricingRates);
     const subtotal = loaded.reduce((x, it) => x + it.priceSats * Math.max(1, it.qty || 1), 0);
-    const settings = Settings.getAll();
-    const zones = normalizeShippingZones(settings.shippingZones);
-    let shipping = 0;
-
-  if (zones.length > 0) {
-    const upperCountry = country || "";
-    const direct = zones.find((z) => (z.countries || []).includes(upperCountry));
-    const fallback = zones.find((z) => (z.countries || []).some((c) => c === "ALL" || c === "*"));
-      const zone = direct || fallback;
-      if (!zone) {
-        return res.status(400).json({ error: "Shipping not available for this country" });
-      }
-      shipping = loaded.reduce(
-        (x, it) => {
-        const perItem = resolveZonePriceForProduct(zone, it);
-        const qty = Math.max(1, Number(it.qty) || 1);
-        return x + perItem * qty;
-        },
-        0
-      );
-  } else {
-    shipping = 0;
-  }
-    const total = subtotal + shipping;
+    const shipping = quoteShippingSats(loaded, country);
+    if (shipping === null) {
+      return res.status(400).json({ error: "Shipping not available for this country" });
+    }
+    const discountCode = String(req.body?.discountCode || "").trim();
+    const discount = discountCode
+      ? evaluateDiscount(DiscountCodes.byCode(discountCode), {
+          items: loaded,
+          subtotalSats: subtotal,
+          shippingSats: shipping,
+          usedCount: DiscountCodes.usageCount(discountCode)
+        })
+      : null;
+    const discountSats = discount ? discount.discountSats : 0;
+    const total = subtotal + shipping - discountSats;
+    if (total < 1) {
+      return res.status(400).json({ error: "Order total after discount must be at least 1 sat" });
+    }
     if (paymentMethod === "onchain" && ONCHAIN_MIN_SATS > 0 && total < ONCHAIN_MIN_SATS) {
       return res.status(400).json({ error: `Minimum on-chain amount is ${ONCHAIN_MIN_SATS} sats` });
     }
+    if (cashuToken && cashuToken.amountSats < total) {
+      return res.status(400).json({ error: `This token holds ${cashuToken.amountSats} sats; the order total is ${total} sats plus the mint's fees` });
+    }
+
+    // Reserve stock and the discount use before the first await so parallel
+    // checkouts cannot both pass the availability or usage-limit check; the
+    // stock hold is extended to the invoice expiry below, the discount then
+    // counts through the order row.
+    orderId = makeId();
+    StockReservations.hold(orderId, loaded, Date.now() + CHECKOUT_HOLD_PROVISIONAL_MS);
+    if (discount) DiscountReservations.hold(orderId, discount.code, Date.now() + CHECKOUT_HOLD_PROVISIONAL_MS);
 
     // Provider-specific wallet resolution (Lightning side)
     const walletId = await (async () => {
@@ -2477,7 +3441,11 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
                 explicitStoreId: BTCPAY_STORE_ID || undefined
               }
             : {}
-      );
+      ).catch((e) => {
+        // Primary unreachable: leave it to createInvoiceSats to fail over
+        if (LIGHTNING_PROVIDERS.length > 1) return undefined;
+        throw e;
+      });
     })();
 
     // Memo: "Order <store name> <product name>"
@@ -2497,6 +3465,13 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
       subtotalSats: subtotal,
       shippingSats: shipping,
       totalSats: total,
+      discountCode: discount ? discount.code : "",
+      discountSats,
+      pricingRates,
+      // Stamp the checkout rate now when it is the reporting currency
+      ...(pricingRates[fiatCurrency()]
+        ? { fiatCurrency: fiatCurrency(), fiatRate: pricingRates[fiatCurrency()].rate }
+        : {}),
       name: sanitizedCustomer.name,
       surname: sanitizedCustomer.surname,
       address: sanitizedCustomer.address,
@@ -2520,6 +3495,7 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
     if (paymentMethod === "onchain" && ONCHAIN_PROVIDER !== "boltz") {
       const pre = Orders.create({
         ...baseOrderPayload,
+        id: orderId,
         paymentHash: null,
         paymentRequest: null,
         onchainProvider: ONCHAIN_PROVIDER,
@@ -2648,6 +3624,7 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
 
       created = Orders.create({
         ...baseOrderPayload,
+        id: orderId,
         paymentHash: inv.paymentHash,
         paymentRequest: inv.paymentRequest,
         boltzSwapId: inv.boltzSwapId || inv.swapId || "",
@@ -2658,7 +3635,8 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
         boltzRefundPubKey: inv.boltzRefundPubKey || "",
         boltzRedeemScript: "",
         boltzRescueIndex: inv.boltzRescueIndex ?? inv.rescueIndex ?? null,
-        boltzSwapTree: "",
+        boltzSwapTree: inv.boltzSwapTree || "",
+        boltzClaimPubKey: inv.boltzClaimPubKey || "",
         boltzStatus: inv.boltzStatus || "",
         lnurlVerifyUrl: inv.verifyUrl || "",
         lnurlExpiresAt: inv.expiresAt || 0,
@@ -2669,10 +3647,42 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
         onchainAmountSats: inv.onchainAmountSats || 0,
         onchainBip21: inv.onchainBip21 || inv.bip21 || "",
         onchainStatus: paymentMethod === "onchain" ? "UNPAID" : "",
-        onchainExpiresAt: inv.onchainExpiresAt || ""
+        onchainExpiresAt: inv.onchainExpiresAt || "",
+        lightningProvider: inv.lightningProvider || "",
+        cashuMint: cashuToken?.mint || "",
+        cashuAmountSats: cashuToken?.amountSats || 0
       });
     }
 
+    StockReservations.extend(created.id, stockReservationExpiry(inv, paymentMethod));
+
+    if (cashuToken) {
+      try {
+        const melt = await meltToInvoice({ token: cashuToken, paymentRequest: created.paymentRequest });
+        if (melt.change || melt.changeRequest) created = Orders.setCashuChange(created.id, melt);
+        if (melt.state === "PAID") {
+          const order = Orders.markPaidByHash(created.paymentHash);
+          if (order?.__justPaid && order?.items?.length) {
+            for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
+          }
+          notifyPaidOnce(order);
+          try { await dmOrderUpdate(order, "PAID"); } catch {}
+          try { await sendOrderStatusEmail(order, "PAID"); } catch {}
+          created = order;
+        }
+      } catch (e) {
+        // The mint refused, so the token is unspent: drop the order. Anything
+        // else (a 5xx, a timeout) may have paid the invoice; the order stays
+        // PENDING and the watchers or reconciliation settle it as usual.
+        if (e instanceof CashuMintError) {
+          Orders.remove(created.id);
+          throw e;
+        }
+        if (e?.changeRequest) created = Orders.setCashuChange(created.id, { changeRequest: e.changeRequest });
+        console.warn("[cashu] melt outcome unknown:", e?.message || e);
+      }
+    }
+
     const onchainIdOut = inv?.onchainId || inv?.onchainSwapId || created.onchainId || created.onchainSwapId || created.id;
     const swapIdOut = (paymentMethod === "onchain" && ONCHAIN_PROVIDER === "boltz")
       ? (inv?.boltzSwapId || inv?.swapId || created.onchainSwapId || "")
@@ -2685,6 +3695,8 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
       paymentHash: inv?.paymentHash || created.paymentHash || "",
       satoshis: inv?.satoshis ?? created.totalSats ?? total,
       totalSats: total,
+      discountCode: created.discountCode || "",
+      discountSats: created.discountSats || 0,
       swapId: swapIdOut,
       onchainId: onchainIdOut,
       onchainAddress: inv?.onchainAddress || created.onchainAddress || "",
@@ -2692,9 +3704,18 @@ app.post("/api/checkout/create-invoice", async (req, res) => {
       onchainBip21: inv?.onchainBip21 || inv?.bip21 || created.onchainBip21 || "",
       onchainTimeoutBlockHeight: inv?.timeoutBlockHeight || created.boltzTimeoutBlockHeight || 0,
       checkoutLink: inv?.checkoutLink || "",
-      invoiceId: inv?.invoiceId || ""
+      invoiceId: inv?.invoiceId || "",
+      status: created.status,
+      cashuMint: created.cashuMint || "",
+      cashuAmountSats: created.cashuAmountSats || 0,
+      cashuChange: created.cashuChange || "",
+      cashuChangeSats: created.cashuChangeSats || 0
     });
   } catch (e) {
+    if (orderId && !Orders.get(orderId)) {
+      StockReservations.release(orderId);
+      DiscountReservations.release(orderId);
+    }
     console.error("create-invoice error:", e?.message || e);
     res.status(400).json({ error: String(e?.message || e) });
   }
@@ -2732,7 +3753,10 @@ app.post("/api/zaps/create-invoice", async (req, res) => {
               explicitStoreId: BTCPAY_STORE_ID || undefined
             }
         : {}
-    );
+    ).catch((e) => {
+      if (LIGHTNING_PROVIDERS.length > 1) return undefined;
+      throw e;
+    });
 
     const rawNote = String(req.body?.note || "");
     const safeNote = rawNote.replace(/\s+/g, " ").trim().slice(0, 120);
@@ -2788,6 +3812,230 @@ app.post("/api/zaps/create-invoice", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------
+// LNURL-pay endpoint for the shop with NIP-57 zaps: Nostr clients send a
+// kind 9734 zap request to the callback, and a kind 9735 receipt signed with
+// the shop keys is published once the invoice is paid (see settleZap).
+// Point the shop profile's lud06 at https://<shop>/api/zaps/lnurlp.
+// ---------------------------------------------------------------------
+const ZAP_MIN_SATS = Math.max(1, Number(process.env.ZAP_MIN_SATS || 1) || 1);
+const ZAP_MAX_SATS = Math.max(ZAP_MIN_SATS, Number(process.env.ZAP_MAX_SATS || 1_000_000) || 1_000_000);
+// LUD-12: longest comment accepted with a Lightning Address payment
+const LNURL_COMMENT_MAX = 255;
+
+function lnurlpMetadata() {
+  const { storeName } = Settings.getAll();
+  return JSON.stringify([["text/plain", `Zap ${storeName || "Lightning Shop"}`]]);
+}
+
+function lnurlError(res, reason, status = 200) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  return res.status(status).json({ status: "ERROR", reason });
+}
+
+// payRequest shared by the zap endpoint and hosted Lightning Addresses
+function lnurlPayRequest(req, { callbackPath, metadata, commentAllowed = 0 }) {
+  const pubkey = getShopPubkey();
+  return {
+    tag: "payRequest",
+    callback: ensureAbsoluteFromReq(req, callbackPath),
+    minSendable: ZAP_MIN_SATS * 1000,
+    maxSendable: ZAP_MAX_SATS * 1000,
+    metadata,
+    ...(commentAllowed ? { commentAllowed } : {}),
+    ...(pubkey ? { allowsNostr: true, nostrPubkey: pubkey } : {})
+  };
+}
+
+/**
+ * LNURL-pay callback: validate ?amount (msat), ?nostr (NIP-57 zap request)
+ * and ?comment (LUD-12), then create an invoice committing to the zap
+ * request, or to the metadata for a plain payment.
+ * Returns the invoice plus { amountMsat, comment, zap }, or sends an LNURL
+ * error and returns null.
+ */
+async function createLnurlPayInvoice(req, res, { metadata, commentAllowed = 0 }) {
+  const amountMsat = Number(req.query.amount);
+  if (!Number.isSafeInteger(amountMsat) || amountMsat % 1000 !== 0) {
+    lnurlError(res, "Amount must be a whole number of sats, in millisats");
+    return null;
+  }
+  const sats = amountMsat / 1000;
+  if (sats < ZAP_MIN_SATS || sats > ZAP_MAX_SATS) {
+    lnurlError(res, `Amount must be between ${ZAP_MIN_SATS} and ${ZAP_MAX_SATS} sats`);
+    return null;
+  }
+  const comment = typeof req.query.comment === "string" ? req.query.comment.trim() : "";
+  if (comment.length > commentAllowed) {
+    lnurlError(res, commentAllowed ? `Comment is longer than ${commentAllowed} characters` : "Comments are not accepted");
+    return null;
+  }
+
+  // A zap commits the invoice to the zap request; a plain LNURL-pay to the metadata
+  const zapRequestJson = typeof req.query.nostr === "string" ? req.query.nostr : "";
+  if (zapRequestJson) {
+    if (!getShopPubkey()) {
+      lnurlError(res, "This shop cannot sign zap receipts");
+      return null;
+    }
+    try {
+      parseZapRequest(zapRequestJson, { amountMsat });
+    } catch (e) {
+      lnurlError(res, String(e?.message || e));
+      return null;
+    }
+  }
+  const invoice = await createInvoiceSats({
+    ...primaryLightningArgs(),
+    amount: sats,
+    memo: zapRequestJson || metadata,
+    descriptionHashOnly: true
+  });
+  if (zapRequestJson) {
+    ZapRequests.create({
+      paymentHash: invoice.paymentHash,
+      paymentRequest: invoice.paymentRequest,
+      amountMsat,
+      description: zapRequestJson,
+      lightningProvider: invoice.lightningProvider
+    });
+  }
+  return { ...invoice, amountMsat, comment, zap: !!zapRequestJson };
+}
+
+app.get("/api/zaps/lnurlp", (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.json(lnurlPayRequest(req, { callbackPath: "/api/zaps/lnurlp/callback", metadata: lnurlpMetadata() }));
+});
+
+app.get("/api/zaps/lnurlp/callback", async (req, res) => {
+  try {
+    const invoice = await createLnurlPayInvoice(req, res, { metadata: lnurlpMetadata() });
+    if (!invoice) return;
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.json({ pr: invoice.paymentRequest, routes: [] });
+  } catch (e) {
+    console.error("lnurlp callback error:", e?.message || e);
+    return lnurlError(res, "Could not create an invoice");
+  }
+});
+
+// ---------------------------------------------------------------------
+// Hosted Lightning Addresses (LUD-16): name@<shop host> for each name in
+// Settings → lightningAddressNames. Payments land on the shop's own
+// Lightning backend; comments (LUD-12) are kept, status is served to the
+// payer through LNURL-verify (LUD-21), and zaps work as above.
+// ---------------------------------------------------------------------
+function hostedLightningAddressName(raw) {
+  const name = String(raw || "").trim().toLowerCase();
+  return (Settings.getAll().lightningAddressNames || []).includes(name) ? name : "";
+}
+
+function lightningAddressMetadata(req, name) {
+  const { storeName } = Settings.getAll();
+  const identifier = `${name}@${req.hostname}`;
+  return JSON.stringify([
+    ["text/plain", `Pay ${storeName || identifier}`],
+    ["text/identifier", identifier]
+  ]);
+}
+
+app.get("/.well-known/lnurlp/:name", (req, res) => {
+  const name = hostedLightningAddressName(req.params.name);
+  if (!name) return lnurlError(res, "Unknown Lightning Address", 404);
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.json(lnurlPayRequest(req, {
+    callbackPath: `/api/lnurlp/${encodeURIComponent(name)}/callback`,
+    metadata: lightningAddressMetadata(req, name),
+    commentAllowed: LNURL_COMMENT_MAX
+  }));
+});
+
+app.get("/api/lnurlp/:name/callback", async (req, res) => {
+  try {
+    const name = hostedLightningAddressName(req.params.name);
+    if (!name) return lnurlError(res, "Unknown Lightning Address", 404);
+    const invoice = await createLnurlPayInvoice(req, res, {
+      metadata: lightningAddressMetadata(req, name),
+      commentAllowed: LNURL_COMMENT_MAX
+    });
+    if (!invoice) return;
+    LnurlPayments.create({
+      paymentHash: invoice.paymentHash,
+      name,
+      paymentRequest: invoice.paymentRequest,
+      amountMsat: invoice.amountMsat,
+      comment: invoice.comment,
+      zap: invoice.zap,
+      lightningProvider: invoice.lightningProvider
+    });
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.json({
+      pr: invoice.paymentRequest,
+      routes: [],
+      verify: ensureAbsoluteFromReq(req, `/api/lnurlp/verify/${invoice.paymentHash}`)
+    });
+  } catch (e) {
+    console.error("lightning address callback error:", e?.message || e);
+    return lnurlError(res, "Could not create an invoice");
+  }
+});
+
+// LUD-21. The backends do not report the preimage of received payments, so
+// `preimage` stays null; `settled` is what payers act on.
+app.get("/api/lnurlp/verify/:hash", async (req, res) => {
+  const payment = LnurlPayments.get(req.params.hash);
+  if (!payment) return lnurlError(res, "Not found", 404);
+  let settled = payment.paidAt > 0;
+  if (!settled) {
+    try {
+      settled = (await invoiceStatus({ ...lnurlInvoiceLookup(payment), paymentHash: payment.paymentHash })) === "PAID";
+      if (settled) await settleLnurlPayment(payment.paymentHash);
+    } catch (e) {
+      console.warn("[lnurlp] verify lookup failed:", e?.message || e);
+    }
+  }
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.json({ status: "OK", settled, preimage: null, pr: payment.paymentRequest });
+});
+
+// Received Lightning Address payments, newest first
+app.get("/api/admin/lightning-address/payments", requirePermission("orders"), (req, res) => {
+  res.json({ payments: LnurlPayments.paid({ limit: req.query.limit }) });
+});
+
+// Status lookup args for a zap or Lightning Address invoice
+function lnurlInvoiceLookup(payment) {
+  return {
+    ...primaryLightningArgs(),
+    paymentRequest: payment.paymentRequest,
+    provider: payment.lightningProvider || PAYMENT_PROVIDER
+  };
+}
+
+async function settleLnurlPayment(paymentHash) {
+  if (!LnurlPayments.markPaid(paymentHash)) return;
+  const payment = LnurlPayments.get(paymentHash);
+  ntfyNotifyLightningAddress(payment);
+}
+
+// Publish the zap receipt for a paid zap invoice; no-op for other hashes
+async function settleZap(paymentHash) {
+  const zap = ZapRequests.get(paymentHash);
+  if (!zap || !ZapRequests.markPaid(paymentHash)) return;
+  try {
+    const { event } = await publishZapReceipt({
+      description: zap.description,
+      bolt11: zap.paymentRequest,
+      paidAt: Date.now(),
+      fallbackRelays: nostrRelays()
+    });
+    ZapRequests.setReceipt(paymentHash, event.id);
+  } catch (e) {
+    console.warn("[zaps] receipt not published:", e?.message || e);
+  }
+}
+
 // ---------------------------------------------------------------------
 // Boltz helpers (shared by status + SSE)
 // ---------------------------------------------------------------------
@@ -2801,7 +4049,7 @@ async function handleBoltzStatusSideEffects({ swapId, mappedStatus, rawStatus })
   if (mappedStatus === "PAID") {
     const order = Orders.markPaidBySwapId(swapId);
     if (order?.__justPaid && order?.items?.length) {
-      for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+      for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
     }
     notifyPaidOnce(order);
     try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -2820,6 +4068,12 @@ async function handleBoltzStatusSideEffects({ swapId, mappedStatus, rawStatus })
     return Orders.setStatus(orderBefore.id, "FAILED");
   }
 
+  // Buyer's lockup is in flight, or paid but short of ONCHAIN_CONFIRMATIONS:
+  // keep the items held while it confirms
+  if (orderBefore.status === "PENDING" && (mappedStatus === "MEMPOOL" || mappedStatus === "CONFIRMED")) {
+    StockReservations.extend(orderBefore.id, Date.now() + ONCHAIN_INVOICE_EXPIRES_IN * 1000);
+  }
+
   return orderBefore;
 }
 
@@ -2844,14 +4098,34 @@ function resolvePaymentById(id) {
   return { type: "lightning", hash: byId.paymentHash || id, order: byId };
 }
 
+// Connection args for the primary Lightning backend, for invoices that are
+// not tied to an order (zaps)
+function primaryLightningArgs() {
+  if (PAYMENT_PROVIDER === "blink") return { url: BLINK_GRAPHQL_URL, apiKey: BLINK_API_KEY, walletId: BLINK_BTC_WALLET_ID || undefined };
+  if (PAYMENT_PROVIDER === "nwc") return { url: NWC_URL, relayUrls: NWC_RELAYS };
+  if (PAYMENT_PROVIDER === "btcpay") return { url: BTCPAY_URL, apiKey: BTCPAY_API_KEY, walletId: { storeId: BTCPAY_STORE_ID } };
+  return {};
+}
+
+// Which backend issued an order's invoice (failover), plus what LNURL
+// needs to verify it. Orders without one were issued by the primary.
+function invoiceLookup(order) {
+  return {
+    provider: order?.lightningProvider || PAYMENT_PROVIDER,
+    verifyUrl: order?.lnurlVerifyUrl,
+    paymentRequest: order?.paymentRequest,
+    expiresAt: order?.lnurlExpiresAt
+  };
+}
+
 // ---------------------------------------------------------------------
 // Invoice status (polling fallback) - cancels order on EXPIRED
 // ---------------------------------------------------------------------
 async function handleInvoiceStatus(req, res) {
   try {
     const orderForHash = Orders.byPaymentHash(req.params.hash);
-    const args =
-      PAYMENT_PROVIDER === "blink"
+    const args = {
+      ...(PAYMENT_PROVIDER === "blink"
         ? { url: BLINK_GRAPHQL_URL, apiKey: BLINK_API_KEY, paymentHash: req.params.hash }
         : PAYMENT_PROVIDER === "lnurl"
           ? {
@@ -2864,14 +4138,16 @@ async function handleInvoiceStatus(req, res) {
           ? { url: NWC_URL, relayUrls: NWC_RELAYS, paymentHash: req.params.hash }
         : PAYMENT_PROVIDER === "btcpay"
           ? { url: BTCPAY_URL, apiKey: BTCPAY_API_KEY, paymentHash: req.params.hash, walletId: { storeId: BTCPAY_STORE_ID } }
-          : { paymentHash: req.params.hash };
+          : { paymentHash: req.params.hash }),
+      ...invoiceLookup(orderForHash)
+    };
 
     const status = await invoiceStatus(args);
 
     if (status === "PAID") {
       const order = Orders.markPaidByHash(req.params.hash);
       if (order?.__justPaid && order?.items?.length) {
-        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
       }
       notifyPaidOnce(order); // << ntfy
       // NOSTR DM on PAID
@@ -2941,7 +4217,7 @@ async function handleOnchainStatus(req, res) {
         Orders.markPaidBySwapId(swapId) ||
         Orders.markPaidByHash(order.paymentHash || order.id);
       if (updated?.__justPaid && updated?.items?.length) {
-        for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1);
+        for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
       }
       notifyPaidOnce(updated);
       try { await dmOrderUpdate(updated, "PAID"); } catch {}
@@ -2960,7 +4236,8 @@ async function handleOnchainStatus(req, res) {
       onchainAddress,
       onchainAmountSats,
       timeoutBlockHeight,
-      onchainTxid
+      onchainTxid,
+      ...onchainProgress(statusPayload)
     });
   } catch (e) {
     res.status(400).json({ error: String(e.message || e) });
@@ -2968,6 +4245,30 @@ async function handleOnchainStatus(req, res) {
 }
 app.get("/api/onchain/:swapId/status", handleOnchainStatus);
 
+// What an XPUB address has received so far: a PARTIAL payment carries the
+// remaining amount and a BIP21 to top it up. Any provider may add how far the
+// payment is from the confirmations it needs, and whether it can be replaced.
+function onchainProgress(statusPayload) {
+  const progress = {};
+  if (statusPayload?.onchainReceivedSats !== undefined) {
+    Object.assign(progress, {
+      onchainReceivedSats: statusPayload.onchainReceivedSats,
+      onchainRemainingSats: statusPayload.onchainRemainingSats || 0,
+      onchainTopUpBip21: statusPayload.onchainTopUpBip21 || "",
+      onchainOverpaidSats: statusPayload.onchainOverpaidSats || 0
+    });
+  }
+  if (statusPayload?.onchainRequiredConfirmations !== undefined) {
+    Object.assign(progress, {
+      onchainConfirmations: statusPayload.onchainConfirmations ?? null,
+      onchainRequiredConfirmations: statusPayload.onchainRequiredConfirmations,
+      onchainRbf: !!statusPayload.onchainRbf,
+      onchainDoubleSpend: !!statusPayload.onchainDoubleSpend
+    });
+  }
+  return progress;
+}
+
 // ---------------------------------------------------------------------
 // Unified payment status (lightning or on-chain)
 // ---------------------------------------------------------------------
@@ -3011,16 +4312,14 @@ async function handleInvoiceStream(req, res) {
 
   unsub = subscribeInvoiceStatus({
     paymentHash,
-    verifyUrl: orderForHash?.lnurlVerifyUrl,
-    paymentRequest: orderForHash?.paymentRequest,
-    expiresAt: orderForHash?.lnurlExpiresAt,
+    ...invoiceLookup(orderForHash),
     onStatus: async (status) => {
       send({ status });
 
       if (status === "PAID") {
         const order = Orders.markPaidByHash(paymentHash);
         if (order?.__justPaid && order?.items?.length) {
-          for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+          for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
         }
         notifyPaidOnce(order); // << ntfy
         try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -3067,6 +4366,8 @@ async function handleOnchainStream(req, res) {
   let closed = false;
   let unsub = null;
   let currentStatus = String(order.onchainStatus || "UNPAID").toUpperCase();
+  let currentReceived = -1;
+  let currentConfirmations = -1;
   const closeAll = () => {
     if (closed) return;
     closed = true;
@@ -3083,7 +4384,7 @@ async function handleOnchainStream(req, res) {
       Orders.markPaidBySwapId(swapId) ||
       Orders.markPaidByHash(order.paymentHash || order.id);
     if (updated?.__justPaid && updated?.items?.length) {
-      for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1);
+      for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
     }
     notifyPaidOnce(updated);
     try { await dmOrderUpdate(updated, "PAID"); } catch {}
@@ -3096,16 +4397,29 @@ async function handleOnchainStream(req, res) {
     if (!statusPayload || closed) return;
     const mappedStatus = (statusPayload.status || "PENDING").toUpperCase();
     const rawStatus = statusPayload.rawStatus || mappedStatus;
-    if (mappedStatus === currentStatus && mappedStatus !== "CONFIRMED" && mappedStatus !== "PAID") {
+    // A top-up that still leaves the order PARTIAL changes the amounts only,
+    // a new block only the confirmation count
+    const received = statusPayload.onchainReceivedSats ?? -1;
+    const confirmations = statusPayload.onchainConfirmations ?? -1;
+    if (
+      mappedStatus === currentStatus &&
+      received === currentReceived &&
+      confirmations === currentConfirmations &&
+      mappedStatus !== "CONFIRMED" &&
+      mappedStatus !== "PAID"
+    ) {
       return;
     }
     currentStatus = mappedStatus;
+    currentReceived = received;
+    currentConfirmations = confirmations;
     const payload = {
       status: mappedStatus,
       rawStatus,
       onchainAddress: statusPayload.onchainAddress || order.onchainAddress || order.boltzAddress || "",
       onchainAmountSats: statusPayload.onchainAmountSats ?? order.onchainAmountSats ?? order.boltzExpectedAmountSats ?? 0,
-      timeoutBlockHeight: statusPayload.timeoutBlockHeight || order.boltzTimeoutBlockHeight || 0
+      timeoutBlockHeight: statusPayload.timeoutBlockHeight || order.boltzTimeoutBlockHeight || 0,
+      ...onchainProgress(statusPayload)
     };
     send(payload);
 
@@ -3192,12 +4506,14 @@ async function handleOnchainStream(req, res) {
           rawStatus,
           onchainAddress: addr,
           onchainAmountSats: amt,
-          timeoutBlockHeight: timeout
+          timeoutBlockHeight: timeout,
+          ...await boltzLockupProgress(swap, Orders.bySwapId(swapId) || order)
         });
       }
     });
   } else {
-    unsub = setInterval(async () => {
+    const poll = async () => {
+      if (closed) return;
       try {
         const latestOrder = Orders.bySwapId(swapId) || order;
         const statusPayload = await getOnchainStatus(latestOrder, {
@@ -3207,7 +4523,14 @@ async function handleOnchainStream(req, res) {
       } catch {
         // ignore and continue
       }
-    }, pollMs);
+    };
+    // Electrum pushes address activity; keep a slow poll for expiry
+    const unwatch = orderProvider === "xpub" ? watchOnchainAddress(order.onchainAddress, poll) : null;
+    const timer = setInterval(poll, unwatch ? Math.max(pollMs, 60000) : pollMs);
+    unsub = () => {
+      clearInterval(timer);
+      unwatch?.();
+    };
   }
 
   req.on("close", () => closeAll());
@@ -3228,6 +4551,27 @@ app.get("/api/payments/:id/stream", async (req, res) => {
   return handleInvoiceStream(req, res);
 });
 
+// ---------------------------------------------------------------------
+// PayJoin (BIP78) receiver: the pj= endpoint in XPUB order BIP21s. The
+// buyer's wallet posts its signed transaction as a base64 PSBT and gets the
+// proposal back as text; errors use the BIP78 JSON shape.
+// ---------------------------------------------------------------------
+app.post("/api/payjoin/:orderId", express.text({ type: () => true, limit: "100kb" }), async (req, res) => {
+  try {
+    const order = ONCHAIN_PROVIDER === "xpub" ? Orders.get(req.params.orderId) : null;
+    const psbt = await receivePayjoin(order, typeof req.body === "string" ? req.body : "", req.query || {});
+    res.type("text/plain").send(psbt);
+  } catch (e) {
+    if (!(e instanceof PayjoinError)) console.warn("[payjoin] proposal failed:", e?.message || e);
+    const errorCode = e instanceof PayjoinError ? e.code : "unavailable";
+    res.status(400).json({
+      errorCode,
+      message: e instanceof PayjoinError ? e.message : "PayJoin is unavailable right now",
+      ...(errorCode === "version-unsupported" ? { supported: [1] } : {})
+    });
+  }
+});
+
 // ---------------------------------------------------------------------
 // Boltz webhook (optional)
 // ---------------------------------------------------------------------
@@ -3266,7 +4610,8 @@ app.post("/api/webhooks/boltz", async (req, res) => {
     if (!swapId || !rawStatus) {
       return res.status(400).json({ error: "Invalid payload" });
     }
-    const mappedStatus = boltz.mapBoltzStatus(rawStatus);
+    const progress = await boltzLockupProgress({ status: rawStatus }, Orders.bySwapId(swapId));
+    const mappedStatus = progress.status || boltz.mapBoltzStatus(rawStatus);
     await handleBoltzStatusSideEffects({ swapId, mappedStatus, rawStatus });
   } catch (e) {
     console.warn("[boltz webhook] error:", e?.message || e);
@@ -3310,7 +4655,7 @@ app.post(BTCPAY_WEBHOOK_PATH, async (req, res) => {
     if (mapped === "PAID" || mapped === "CONFIRMED") {
       const order = Orders.markPaidByHash(invoiceId);
       if (order?.__justPaid && order?.items?.length) {
-        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
       }
       notifyPaidOnce(order);
       try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -3521,6 +4866,7 @@ if (!TEST_MODE) {
   if (spaProxy) server.on("upgrade", spaProxy.upgrade);
   // On startup, if stall coordinates are missing, try to fetch from relays and link them.
   ensureStallLinkedOnStartup();
+  startBackupSchedule();
 }
 
 // ---------------------------------------------------------------------
@@ -3538,9 +4884,11 @@ if (!TEST_MODE) (function startPaymentUpdatesWatcher() {
   }
   startPaymentWatcher({
     onPaid: async (hash) => {
+      await settleZap(hash);
+      await settleLnurlPayment(hash);
       const order = Orders.markPaidByHash(hash);
       if (order?.__justPaid && order?.items?.length) {
-        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+        for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
       }
       notifyPaidOnce(order);
       try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -3549,6 +4897,32 @@ if (!TEST_MODE) (function startPaymentUpdatesWatcher() {
   });
 })();
 
+// XPUB/BTCPay orders: act on a final on-chain status. Returns true when the
+// order was paid, expired or failed.
+async function settleOnchainOrder(o, mappedStatus) {
+  if (mappedStatus === "CONFIRMED") {
+    const updated =
+      Orders.markPaidBySwapId(o.onchainId || o.onchainSwapId || o.boltzSwapId) ||
+      Orders.markPaidByHash(o.paymentHash || o.id);
+    if (updated?.__justPaid && updated?.items?.length) {
+      for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
+    }
+    notifyPaidOnce(updated);
+    try { await dmOrderUpdate(updated, "PAID"); } catch {}
+    try { await sendOrderStatusEmail(updated, "PAID"); } catch {}
+    return true;
+  }
+  if (mappedStatus === "EXPIRED") {
+    if (o.status === "PENDING") Orders.remove(o.id);
+    return true;
+  }
+  if (mappedStatus === "FAILED") {
+    Orders.setStatus(o.id, "FAILED");
+    return true;
+  }
+  return false;
+}
+
 // ---------------------------------------------------------------------
 // NEW: Background sweeper - keeps PENDING while valid; cancels on EXPIRED
 // Runs periodically so orders are cancelled even if the buyer closes the browser
@@ -3579,27 +4953,8 @@ if (!TEST_MODE) (function startPendingInvoiceSweeper() {
                 if (BOLTZ_FINAL_STATUSES.has(mappedStatus)) {
                   continue;
                 }
-              } else {
-                if (mappedStatus === "CONFIRMED") {
-                  const updated =
-                    Orders.markPaidBySwapId(o.onchainId || o.onchainSwapId || o.boltzSwapId) ||
-                    Orders.markPaidByHash(o.paymentHash || o.id);
-                  if (updated?.__justPaid && updated?.items?.length) {
-                    for (const it of updated.items) Products.consumeStock(it.productId, it.qty || 1);
-                  }
-                  notifyPaidOnce(updated);
-                  try { await dmOrderUpdate(updated, "PAID"); } catch {}
-                  try { await sendOrderStatusEmail(updated, "PAID"); } catch {}
-                  continue;
-                }
-                if (mappedStatus === "EXPIRED") {
-                  if (o.status === "PENDING") Orders.remove(o.id);
-                  continue;
-                }
-                if (mappedStatus === "FAILED") {
-                  Orders.setStatus(o.id, "FAILED");
-                  continue;
-                }
+              } else if (await settleOnchainOrder(o, mappedStatus)) {
+                continue;
               }
             } catch {
               // swallow and fall back to invoice polling
@@ -3613,8 +4968,8 @@ if (!TEST_MODE) (function startPendingInvoiceSweeper() {
             continue;
           }
 
-          const args =
-            PAYMENT_PROVIDER === "blink"
+          const args = {
+            ...(PAYMENT_PROVIDER === "blink"
               ? { url: BLINK_GRAPHQL_URL, apiKey: BLINK_API_KEY, paymentHash: o.paymentHash }
               : PAYMENT_PROVIDER === "lnurl"
                 ? { paymentHash: o.paymentHash, verifyUrl: o.lnurlVerifyUrl, paymentRequest: o.paymentRequest, expiresAt: o.lnurlExpiresAt }
@@ -3622,14 +4977,16 @@ if (!TEST_MODE) (function startPendingInvoiceSweeper() {
                 ? { url: NWC_URL, relayUrls: NWC_RELAYS, paymentHash: o.paymentHash }
               : PAYMENT_PROVIDER === "btcpay"
                 ? { url: BTCPAY_URL, apiKey: BTCPAY_API_KEY, paymentHash: o.paymentHash, walletId: { storeId: BTCPAY_STORE_ID } }
-                : { paymentHash: o.paymentHash };
+                : { paymentHash: o.paymentHash }),
+            ...invoiceLookup(o)
+          };
 
           const st = await invoiceStatus(args);
 
           if (st === "PAID") {
             const order = Orders.markPaidByHash(o.paymentHash);
             if (order?.__justPaid && order?.items?.length) {
-              for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+              for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
             }
             notifyPaidOnce(order);
             try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -3644,6 +5001,25 @@ if (!TEST_MODE) (function startPendingInvoiceSweeper() {
     } catch (e) {
       console.warn("[sweeper] error:", e?.message || e);
     }
+
+    // Zap and Lightning Address invoices are not orders; poll the recent ones
+    // the watcher may have missed
+    try {
+      ZapRequests.prune();
+      LnurlPayments.prune();
+      const since = Date.now() - 2 * 60 * 60 * 1000;
+      const settlers = [[ZapRequests, settleZap], [LnurlPayments, settleLnurlPayment]];
+      for (const [repo, settle] of settlers) {
+        for (const inv of repo.unpaidSince(since)) {
+          try {
+            const st = await invoiceStatus({ ...lnurlInvoiceLookup(inv), paymentHash: inv.paymentHash });
+            if (st === "PAID") await settle(inv.paymentHash);
+          } catch {}
+        }
+      }
+    } catch (e) {
+      console.warn("[sweeper] zap check error:", e?.message || e);
+    }
   }
 
   // Run every 60s; first run shortly after boot
@@ -3651,6 +5027,91 @@ if (!TEST_MODE) (function startPendingInvoiceSweeper() {
   setTimeout(() => { sweepPendingInvoices(); }, 5000);
 })();
 
+// ---------------------------------------------------------------------
+// XPUB over Electrum: subscribe to the address of every pending order so a
+// payment is picked up as soon as the server sees it, not at the next sweep
+// ---------------------------------------------------------------------
+if (!TEST_MODE && ONCHAIN_PROVIDER === "xpub" && ELECTRUM_ENABLED) (function startOnchainAddressWatcher() {
+  const watched = new Map(); // orderId -> unsubscribe
+
+  async function check(orderId) {
+    const o = Orders.get(orderId);
+    if (!o || o.status !== "PENDING") return;
+    const statusPayload = await getOnchainStatus(o);
+    await settleOnchainOrder(o, statusPayload?.status);
+  }
+
+  function syncSubscriptions() {
+    try {
+      const pending = new Map(
+        Orders.all()
+          .filter((o) => o.status === "PENDING" && o.paymentMethod === "onchain" && o.onchainProvider === "xpub" && o.onchainAddress)
+          .map((o) => [o.id, o])
+      );
+      for (const [id, unwatch] of watched) {
+        if (pending.has(id)) continue;
+        unwatch();
+        watched.delete(id);
+      }
+      for (const [id, o] of pending) {
+        if (watched.has(id)) continue;
+        const unwatch = watchOnchainAddress(o.onchainAddress, () => check(id));
+        if (unwatch) watched.set(id, unwatch);
+      }
+    } catch (e) {
+      console.warn("[electrum] watcher error:", e?.message || e);
+    }
+  }
+
+  setInterval(syncSubscriptions, 30 * 1000);
+  setTimeout(syncSubscriptions, 3000);
+})();
+
+// ---------------------------------------------------------------------
+// Fiat rates: keep the cached rates, the sats price of fiat-pegged products
+// and the storefront's approximate fiat prices current. Checkouts only read
+// the cached rates (see checkoutPricing).
+// ---------------------------------------------------------------------
+if (!TEST_MODE) (function startFiatRepricer() {
+  async function repriceFiatProducts() {
+    const currencies = new Set(Products.fiatCurrencies());
+    if (fiatCurrency()) currencies.add(fiatCurrency());
+    const rates = {};
+    for (const currency of currencies) {
+      try {
+        rates[currency] = (await getRate(currency)).rate;
+      } catch (e) {
+        console.warn(`[fiat] ${currency} re-pricing skipped:`, e?.message || e);
+      }
+    }
+    const changed = Products.repriceFiat(rates);
+    if (changed) console.log(`[fiat] re-priced ${changed} product(s)`);
+  }
+
+  setInterval(repriceFiatProducts, 5 * 60 * 1000);
+  setTimeout(() => { repriceFiatProducts(); }, 3000);
+})();
+
+// ---------------------------------------------------------------------
+// Reconciliation: periodically read backend payment history so payments on
+// pruned or unknown invoices show up in the admin report
+// ---------------------------------------------------------------------
+if (!TEST_MODE && RECONCILE_INTERVAL_HOURS > 0) (function startReconciliationJob() {
+  async function reconcile() {
+    try {
+      const { summary, sources } = await runReconciliation();
+      const issues = summary.unpaid + summary.mismatch + summary.deleted + summary.orphan;
+      if (issues) console.warn(`[reconcile] ${issues} payment(s) need attention (unpaid ${summary.unpaid}, mismatch ${summary.mismatch}, deleted ${summary.deleted}, orphan ${summary.orphan})`);
+      for (const s of sources) if (!s.ok) console.warn(`[reconcile] ${s.source} history unavailable:`, s.error);
+    } catch (e) {
+      console.warn("[reconcile] run failed:", e?.message || e);
+    }
+  }
+
+  setInterval(reconcile, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+  setTimeout(() => { reconcile(); }, 60 * 1000);
+})();
+
 // ---------------------------------------------------------------------
 // Optional webhook receiver (disabled by default); add ntfy here too
 // NOTE: currently Blink-only. Keep guarded by ENABLE_WEBHOOKS.
@@ -3686,7 +5147,7 @@ if (ENABLE_WEBHOOKS) {
         if (hash) {
           const order = Orders.markPaidByHash(hash);
           if (order?.__justPaid && order?.items?.length) {
-            for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1);
+            for (const it of order.items) Products.consumeStock(it.productId, it.qty || 1, { variantId: it.variantId });
           }
           notifyPaidOnce(order); // << ntfy
           try { await dmOrderUpdate(order, "PAID"); } catch {}
@@ -3,6 +3,7 @@ import fetch from "node-fetch";
 import WebSocket from "ws";
 import https from "https";
 import fs from "fs";
+import crypto from "crypto";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // ENV
@@ -13,6 +14,7 @@ const LND_INVOICE_EXPIRES_IN = Number(process.env.LND_INVOICE_EXPIRES_IN || 900)
 const LND_TLS_INSECURE = String(process.env.LND_TLS_INSECURE || "0") === "1";     // allow self-signed (dev)
 const LND_TLS_CERT_PATH = process.env.LND_TLS_CERT_PATH || "";                    // optional CA cert (tls.cert)
 const LND_PRIVATE_INVOICES = String(process.env.LND_PRIVATE_INVOICES || "true") === "true";
+const LND_PAYMENT_FEE_LIMIT_SATS = Number(process.env.LND_PAYMENT_FEE_LIMIT_SATS || 0); // outgoing payments (refunds)
 // Optional static route_hints JSON (advanced/rare). Must match LND's RouteHint shape.
 const LND_ROUTE_HINTS_JSON = process.env.LND_ROUTE_HINTS_JSON || "";
 
@@ -89,7 +91,7 @@ function mapLndStateToGeneric(inv) {
 // Public API (mirrors blink.js surface where relevant)
 // ─────────────────────────────────────────────────────────────────────────────
 
-export async function createInvoiceSats({ amount, memo, expiresIn }) {
+export async function createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly = false }) {
   if (!LND_REST_URL) throw new Error("LND is not configured.");
   const expiry = Number.isFinite(Number(expiresIn)) && Number(expiresIn) > 0
     ? Number(expiresIn)
@@ -102,6 +104,10 @@ export async function createInvoiceSats({ amount, memo, expiresIn }) {
     expiry,
     private: !!LND_PRIVATE_INVOICES
   };
+  if (descriptionHashOnly) {
+    body.description_hash = crypto.createHash("sha256").update(memo || "", "utf8").digest("base64");
+    body.memo = "";
+  }
 
   // Optional: force specific route_hints via env JSON (advanced/optional)
   if (LND_ROUTE_HINTS_JSON) {
@@ -138,6 +144,72 @@ export async function invoiceStatus({ paymentHash }) {
   return mapLndStateToGeneric(inv);
 }
 
+/**
+ * Settled invoices since `since` (ms), for reconciliation. Pages backwards
+ * from the newest invoice until it reaches ones created before `since`.
+ * Returns: [{ paymentHash, amountSats, settledAt, memo, paymentRequest }]
+ */
+export async function listIncomingPayments({ since = 0 } = {}) {
+  if (!LND_REST_URL) throw new Error("LND is not configured.");
+  const pageSize = 500;
+  const out = [];
+  let offset = 0;
+  for (;;) {
+    const qs = new URLSearchParams({ reversed: "true", num_max_invoices: String(pageSize) });
+    if (offset) qs.set("index_offset", String(offset));
+    const res = await safeFetch(`${LND_REST_URL}/v1/invoices?${qs}`, {
+      method: "GET",
+      headers: baseHeaders()
+    });
+    const data = await res.json().catch(() => ({}));
+    const invoices = Array.isArray(data?.invoices) ? data.invoices : [];
+    let reachedOlder = false;
+    for (const inv of invoices) {
+      if (Number(inv.creation_date || 0) * 1000 < since) reachedOlder = true;
+      if (mapLndStateToGeneric(inv) !== "PAID") continue;
+      const settledAt = Number(inv.settle_date || 0) * 1000;
+      if (settledAt < since) continue;
+      out.push({
+        paymentHash: b64ToHex(inv.r_hash || ""),
+        amountSats: Number(inv.amt_paid_sat || inv.value || 0),
+        settledAt,
+        memo: inv.memo || "",
+        paymentRequest: inv.payment_request || ""
+      });
+    }
+    const first = Number(data?.first_index_offset || 0);
+    if (reachedOlder || invoices.length < pageSize || first <= 1) break;
+    offset = first;
+  }
+  return out;
+}
+
+/**
+ * Pay a BOLT11 invoice (used for refunds). Synchronous REST call: resolves once
+ * LND settles or fails the payment. Fee cap is 1% of the amount (min 10 sats)
+ * unless LND_PAYMENT_FEE_LIMIT_SATS is set.
+ */
+export async function payInvoice({ paymentRequest, amountSats, amountless }) {
+  if (!LND_REST_URL) throw new Error("LND is not configured.");
+  if (!paymentRequest) throw new Error("paymentRequest is required.");
+  const feeLimit = LND_PAYMENT_FEE_LIMIT_SATS > 0
+    ? LND_PAYMENT_FEE_LIMIT_SATS
+    : Math.max(10, Math.ceil(Number(amountSats || 0) / 100));
+  const res = await safeFetch(`${LND_REST_URL}/v1/channels/transactions`, {
+    method: "POST",
+    headers: baseHeaders(),
+    body: JSON.stringify({
+      payment_request: paymentRequest,
+      fee_limit: { fixed: String(feeLimit) },
+      ...(amountless ? { amt: String(amountSats) } : {})
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (data?.payment_error) throw new Error(`LND payment failed: ${sanitize(data.payment_error)}`);
+  if (!data?.payment_preimage) throw new Error("LND payment failed: no preimage returned.");
+  return { status: "PAID", preimage: b64ToHex(data.payment_preimage) };
+}
+
 /**
  * Subscribe to updates for a single invoice.
  * - Tries WebSocket stream first.
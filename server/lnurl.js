@@ -84,7 +84,7 @@ async function fetchJson(url) {
   return res.json();
 }
 
-function decodeBolt11(invoice) {
+export function decodeBolt11(invoice) {
   const decoded = decodeInvoice(invoice);
   const sections = decoded?.sections || [];
 
@@ -103,8 +103,7 @@ function decodeBolt11(invoice) {
   };
 }
 
-async function getLnurlPayInfo() {
-  const url = getLnurlPayUrl();
+async function getLnurlPayInfo(url = getLnurlPayUrl()) {
   log("LNURL-pay info GET", url);
   const info = await fetchJson(url);
   if (info.status && String(info.status).toUpperCase() === "ERROR") {
@@ -122,6 +121,34 @@ async function getLnurlPayInfo() {
   };
 }
 
+/**
+ * Fetch a BOLT11 invoice for `amount` sats from someone else's Lightning
+ * address (LUD-16). Used to pay refunds to the buyer.
+ */
+export async function invoiceForLightningAddress({ address, amount, comment } = {}) {
+  const sats = Math.max(0, Math.floor(Number(amount || 0)));
+  if (!sats) throw new Error("amount must be > 0");
+  const payInfo = await getLnurlPayInfo(lightningAddressToLnurlp(address));
+  const msats = BigInt(sats) * 1000n;
+  if (msats < BigInt(payInfo.minSendable) || msats > BigInt(payInfo.maxSendable)) {
+    throw new Error(
+      `amount ${sats} sats is outside the range ${payInfo.minSendable / 1000} - ${payInfo.maxSendable / 1000} sats accepted by ${address}`
+    );
+  }
+  const callbackUrl = new URL(payInfo.callback);
+  callbackUrl.searchParams.set("amount", msats.toString());
+  if (comment && payInfo.commentAllowed > 0) {
+    callbackUrl.searchParams.set("comment", String(comment).slice(0, payInfo.commentAllowed));
+  }
+  const resp = await fetchJson(callbackUrl);
+  if (resp.status && String(resp.status).toUpperCase() === "ERROR") {
+    throw new Error(`LNURL-pay callback error: ${resp.reason || "unknown"}`);
+  }
+  const paymentRequest = resp.pr || "";
+  if (!paymentRequest) throw new Error("LNURL-pay callback missing 'pr' (BOLT11 invoice)");
+  return paymentRequest;
+}
+
 export async function ensureBtcWalletId() {
   const info = await getLnurlPayInfo();
   const id = LNURL_LIGHTNING_ADDRESS || LNURL_BECH32 || info.callback;
@@ -1,6 +1,7 @@
 import cookieSession from "cookie-session";
 import cors from "cors";
 import morgan from "morgan";
+import { AdminUsers } from "./db.js";
 
 // Extremely permissive CORS: reflect any Origin and allow credentials.
 export function makeCors() {
@@ -42,9 +43,51 @@ export function logger() {
   return morgan("dev");
 }
 
+// What each admin role may touch. Owners can do everything, including
+// managing the other admin accounts.
+export const ROLE_PERMISSIONS = {
+  // "refunds" moves money out of the shop, so only owners get it
+  owner: ["products", "orders", "refunds", "discounts", "settings", "nostr", "users", "audit"],
+  fulfilment: ["orders"],
+  content: ["products", "nostr"]
+};
+
+export function roleCan(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Resolve the session into the current admin. Accounts are re-read on every
+// request so role changes and deactivation apply immediately. A PIN session
+// has no account and is only honoured until the first account exists.
+export function currentAdmin(req) {
+  if (!req.session?.admin) return null;
+  const userId = req.session.adminUserId || "";
+  if (!userId) {
+    return AdminUsers.count() === 0 ? { id: "", username: "pin", displayName: "", role: "owner" } : null;
+  }
+  const user = AdminUsers.get(userId);
+  return user && user.active ? user : null;
+}
+
 export function requireAdmin(req, res, next) {
-  if (!req.session?.admin) {
+  const admin = currentAdmin(req);
+  if (!admin) {
     return res.status(401).json({ error: "Unauthorized" });
   }
+  req.admin = admin;
   next();
 }
+
+export function requirePermission(permission) {
+  return function permissionMiddleware(req, res, next) {
+    const admin = currentAdmin(req);
+    if (!admin) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!roleCan(admin.role, permission)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    req.admin = admin;
+    next();
+  };
+}
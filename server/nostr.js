@@ -1252,3 +1252,103 @@ export async function publishProductTeaser({
     createdAt: created_at
   };
 }
+
+// ------------------------------
+// Zaps (NIP-57): zap requests (kind 9734) and receipts (kind 9735)
+// ------------------------------
+export const KIND_ZAP_REQUEST = 9734;
+export const KIND_ZAP_RECEIPT = 9735;
+const MAX_ZAP_RECEIPT_RELAYS = 10;
+
+/**
+ * Check a zap request sent to the LNURL callback (NIP-57 appendix D).
+ * `raw` is the `nostr` query value, `amountMsat` the callback amount (the
+ * amount tag is only checked when it is given).
+ * Returns { event, recipient, sender, eventId, coordinate, relays, amountMsat }
+ * or throws with a reason suitable for an LNURL error.
+ */
+export function parseZapRequest(raw, { amountMsat } = {}) {
+  let event;
+  try {
+    event = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    throw new Error("Zap request is not valid JSON");
+  }
+  if (!event || typeof event !== "object" || event.kind !== KIND_ZAP_REQUEST) {
+    throw new Error("Zap request must be a kind 9734 event");
+  }
+  if (!isHex64(event.pubkey) || !verifyEvent(event)) {
+    throw new Error("Zap request signature is invalid");
+  }
+  const tags = Array.isArray(event.tags) ? event.tags : [];
+  const values = (name) => tags.filter((t) => Array.isArray(t) && t[0] === name);
+
+  const p = values("p");
+  if (p.length !== 1 || !isHex64(p[0][1])) throw new Error("Zap request needs exactly one valid p tag");
+  const e = values("e");
+  if (e.length > 1 || (e.length && !isHex64(e[0][1]))) throw new Error("Zap request may have at most one valid e tag");
+  const a = values("a");
+  if (a.length > 1 || (a.length && !parseCoordinatesString(a[0][1]).coordinates)) {
+    throw new Error("Zap request may have at most one valid a tag");
+  }
+  const amountTag = values("amount")[0];
+  if (amountTag && amountMsat !== undefined && String(amountTag[1]) !== String(amountMsat)) {
+    throw new Error("Zap request amount does not match the invoice amount");
+  }
+  const relays = normalizeRelayList((values("relays")[0] || []).slice(1)).slice(0, MAX_ZAP_RECEIPT_RELAYS);
+
+  return {
+    event,
+    recipient: p[0][1].toLowerCase(),
+    sender: event.pubkey.toLowerCase(),
+    eventId: e.length ? e[0][1].toLowerCase() : "",
+    coordinate: a.length ? String(a[0][1]) : "",
+    relays,
+    amountMsat: Number(amountMsat)
+  };
+}
+
+/**
+ * Build the signed zap receipt for a paid zap invoice. `description` is the
+ * zap request JSON exactly as it was hashed into the invoice.
+ */
+export function buildZapReceipt({ description, bolt11, preimage = "", paidAt }) {
+  const keys = getShopKeys();
+  if (!keys) throw new Error("Server Nostr keys not configured");
+  const request = parseZapRequest(description);
+
+  const tags = [["p", request.recipient]];
+  if (request.eventId) tags.push(["e", request.eventId]);
+  if (request.coordinate) tags.push(["a", request.coordinate]);
+  tags.push(["P", request.sender]);
+  tags.push(["bolt11", String(bolt11 || "")]);
+  tags.push(["description", description]);
+  if (preimage) tags.push(["preimage", String(preimage)]);
+
+  const event = finalizeEvent(
+    {
+      kind: KIND_ZAP_RECEIPT,
+      created_at: Math.floor(Number(paidAt || Date.now()) / 1000),
+      pubkey: keys.pubkeyHex,
+      tags,
+      content: ""
+    },
+    keys.seckeyBytes
+  );
+  return { event, relays: request.relays };
+}
+
+/**
+ * Publish a zap receipt to the relays named in the zap request (or
+ * `fallbackRelays` when it names none).
+ */
+export async function publishZapReceipt({ description, bolt11, preimage = "", paidAt, fallbackRelays = [] }) {
+  const { event, relays } = buildZapReceipt({ description, bolt11, preimage, paidAt });
+  const relayList = relays.length ? relays : normalizeRelayList(fallbackRelays);
+  if (!relayList.length) throw new Error("No relays to publish the zap receipt to");
+  const { results: relayResults, lastError } = await publishWithPool(relayList, event, { label: "zap-receipt" });
+  if (!relayResults.some((r) => r.ok)) {
+    throw new Error(lastError?.message || "All relays failed");
+  }
+  return { event, relayResults };
+}
@@ -2,6 +2,7 @@
 // Nostr Wallet Connect (NIP-47) provider via @getalby/sdk.
 import { NWCClient } from "@getalby/sdk";
 import WebSocket from "ws";
+import crypto from "crypto";
 
 // Ensure WebSocket is available for the SDK in Node environments
 if (typeof globalThis.WebSocket === "undefined") {
@@ -112,7 +113,7 @@ export async function ensureBtcWalletId({ url, relayUrls } = {}) {
   return pubkey;
 }
 
-export async function createInvoiceSats({ url, relayUrls, amount, memo, expiresIn } = {}) {
+export async function createInvoiceSats({ url, relayUrls, amount, memo, expiresIn, descriptionHashOnly = false } = {}) {
   const client = await makeClient({ url, relayUrls });
   const sats = Math.max(0, Math.floor(Number(amount || 0)));
   const expirySeconds =
@@ -123,7 +124,9 @@ export async function createInvoiceSats({ url, relayUrls, amount, memo, expiresI
   log("makeInvoice start", { sats, expirySeconds, memo: memo ? memo.slice(0, 60) : "" });
   const res = await client.makeInvoice({
     amount: sats * 1000, // msats (number)
-    description: memo || undefined,
+    ...(descriptionHashOnly
+      ? { description_hash: crypto.createHash("sha256").update(memo || "", "utf8").digest("hex") }
+      : { description: memo || undefined }),
     expiry: expirySeconds
   });
   const r = res || {};
@@ -153,6 +156,53 @@ export async function invoiceStatus({ url, relayUrls, paymentHash } = {}) {
   return status;
 }
 
+// Settled incoming payments since `since` (ms) via NIP-47 list_transactions,
+// for reconciliation. The connection must have the list_transactions permission.
+export async function listIncomingPayments({ url, relayUrls, since = 0 } = {}) {
+  const client = await makeClient({ url, relayUrls });
+  const pageSize = 100;
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const res = await client.listTransactions({
+      from: Math.floor(since / 1000),
+      type: "incoming",
+      limit: pageSize,
+      offset
+    });
+    const list = Array.isArray(res?.transactions) ? res.transactions : [];
+    for (const tx of list) {
+      if (tx?.type && tx.type !== "incoming") continue;
+      if (mapInvoiceState(tx) !== "PAID" || !tx.payment_hash) continue;
+      out.push({
+        paymentHash: tx.payment_hash,
+        amountSats: msatsToSats(tx.amount),
+        settledAt: Number(tx.settled_at || tx.created_at || 0) * 1000,
+        memo: tx.description || "",
+        paymentRequest: tx.invoice || ""
+      });
+    }
+    if (list.length < pageSize) break;
+  }
+  log("listTransactions ok", { count: out.length });
+  return out;
+}
+
+// Pay a BOLT11 invoice through NIP-47 pay_invoice (used for refunds).
+// The connection must have the pay_invoice permission.
+export async function payInvoice({ url, relayUrls, paymentRequest, amountSats, amountless } = {}) {
+  if (!paymentRequest) throw new Error("paymentRequest is required");
+  const client = await makeClient({ url, relayUrls });
+  log("payInvoice start", { invoice: paymentRequest.slice(0, 24) });
+  // pay_invoice takes the amount in msats, for invoices that carry none
+  const res = await client.payInvoice(amountless
+    ? { invoice: paymentRequest, amount: Number(amountSats) * 1000 }
+    : { invoice: paymentRequest });
+  const preimage = res?.preimage || "";
+  if (!preimage) throw new Error("NWC pay_invoice returned no preimage");
+  log("payInvoice ok", { feesPaid: res?.fees_paid });
+  return { status: "PAID", preimage };
+}
+
 /**
  * Subscribe to a single invoice status (polling over NWC lookup_invoice).
  * Returns an unsubscribe function.
@@ -0,0 +1,319 @@
+// server/onchain/boltz-refund.js
+// Refunds for Boltz submarine swaps that failed or expired with the buyer's
+// coins still in the lockup address. The refund is co-signed with Boltz on
+// the key path (MuSig2) when Boltz agrees, or spent through the refund leaf
+// once the swap's timeout block is reached. The signed transaction is handed
+// back for the admin to broadcast; nothing is sent from here. The same block
+// explorer also tells how deep a lockup is (see lockupConfirmations).
+import fetch from "node-fetch";
+import * as ecc from "tiny-secp256k1";
+import * as bitcoin from "bitcoinjs-lib";
+import * as boltz from "../boltz.js";
+import * as musig from "./musig.js";
+
+bitcoin.initEccLib(ecc);
+
+const LEAF_VERSION = 0xc0;
+const DUST_SATS = 330;
+const MAX_FEE_RATE = 1000;
+const FALLBACK_FEE_RATE = 2;
+
+const NETWORKS = [bitcoin.networks.bitcoin, bitcoin.networks.testnet, bitcoin.networks.regtest];
+
+function apiBaseFor(network) {
+  const configured = String(process.env.BOLTZ_REFUND_API_BASE || "").replace(/\/+$/, "");
+  if (configured) return configured;
+  if (network === bitcoin.networks.bitcoin) return "https://mempool.space/api";
+  if (network === bitcoin.networks.testnet) return "https://mempool.space/testnet/api";
+  throw new Error("Set BOLTZ_REFUND_API_BASE to an Esplora API for this network");
+}
+
+// BIP341 leaf hash; the leaves here are always shorter than 253 bytes
+function tapleafHash(leaf) {
+  if (leaf.length >= 0xfd) throw new Error("Unexpected refund leaf size");
+  return bitcoin.crypto.taggedHash("TapLeaf", Buffer.concat([Buffer.from([LEAF_VERSION, leaf.length]), leaf]));
+}
+
+function networkOf(address) {
+  for (const network of NETWORKS) {
+    try {
+      bitcoin.address.toOutputScript(address, network);
+      return network;
+    } catch {}
+  }
+  return null;
+}
+
+async function esplora(network, path) {
+  const res = await fetch(`${apiBaseFor(network)}${path}`);
+  if (res.status === 429) throw new Error("Rate limited by the block explorer (HTTP 429)");
+  if (!res.ok) throw new Error(`Block explorer HTTP ${res.status} for ${path}`);
+  return res;
+}
+
+/** Confirmations of the oldest confirmed transaction paying `address`; 0 while none is. */
+export async function lockupConfirmations(address) {
+  const network = networkOf(address);
+  if (!network) throw new Error("Unrecognised lockup address");
+  const [txsRes, tipRes] = await Promise.all([
+    esplora(network, `/address/${address}/txs`),
+    esplora(network, "/blocks/tip/height")
+  ]);
+  const heights = (await txsRes.json())
+    .filter((tx) => tx?.status?.confirmed && (tx.vout || []).some((out) => out?.scriptpubkey_address === address))
+    .map((tx) => Number(tx.status.block_height))
+    .filter((height) => height > 0);
+  const tipHeight = Number(await tipRes.text());
+  if (!heights.length || !(tipHeight > 0)) return 0;
+  return Math.max(0, tipHeight - Math.min(...heights) + 1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Swap data
+// ─────────────────────────────────────────────────────────────────────────────
+function parseSwapTree(raw) {
+  let tree = raw;
+  if (typeof raw === "string") {
+    try { tree = JSON.parse(raw); } catch { tree = null; }
+  }
+  const claim = String(tree?.claimLeaf?.output || "");
+  const refund = String(tree?.refundLeaf?.output || "");
+  if (!/^[0-9a-f]+$/i.test(claim) || !/^[0-9a-f]+$/i.test(refund)) return null;
+  return { claimLeaf: Buffer.from(claim, "hex"), refundLeaf: Buffer.from(refund, "hex") };
+}
+
+// Refund leaf: <refund x-only key> OP_CHECKSIGVERIFY <timeout> OP_CHECKLOCKTIMEVERIFY
+function refundLeafTimeout(leaf) {
+  const chunks = bitcoin.script.decompile(leaf) || [];
+  const at = chunks.indexOf(bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY);
+  if (at < 1) return 0;
+  const value = chunks[at - 1];
+  if (Buffer.isBuffer(value)) return bitcoin.script.number.decode(value, 5);
+  return typeof value === "number" && value >= bitcoin.opcodes.OP_1 && value <= bitcoin.opcodes.OP_16
+    ? value - bitcoin.opcodes.OP_1 + 1
+    : 0;
+}
+
+/**
+ * What the shop knows about a swap's refund, without touching the network.
+ * Returns { ready, problem, address, timeoutBlockHeight }.
+ */
+export function describeSwapRefund(order) {
+  const address = order?.boltzAddress || order?.onchainAddress || "";
+  const tree = parseSwapTree(order?.boltzSwapTree);
+  const timeoutBlockHeight = (tree && refundLeafTimeout(tree.refundLeaf)) || Number(order?.boltzTimeoutBlockHeight || 0);
+  let problem = "";
+  if (!order?.boltzSwapId || !address) problem = "Not a Boltz swap";
+  else if (!tree || !/^0[23][0-9a-f]{64}$/i.test(order.boltzClaimPubKey || "")) {
+    problem = "The swap was created before refund data was stored; refund it at boltz.exchange with the rescue key";
+  } else {
+    try { refundKeyFor(order); } catch (e) { problem = String(e?.message || e); }
+  }
+  return { ready: !problem, problem, address, timeoutBlockHeight };
+}
+
+function refundKeyFor(order) {
+  const pubkey = String(order.boltzRefundPubKey || "").toLowerCase();
+  const candidates = [];
+  if (order.boltzRefundPrivKey) candidates.push(order.boltzRefundPrivKey);
+  const mnemonic = String(process.env.BOLTZ_RESCUE_MNEMONIC || "").trim();
+  if (mnemonic && order.boltzRescueIndex !== null && order.boltzRescueIndex !== undefined) {
+    candidates.push(boltz.deriveRefundKey(Number(order.boltzRescueIndex), { mnemonic }).refundPrivateKey);
+  }
+  for (const hex of candidates) {
+    const privateKey = Buffer.from(String(hex), "hex");
+    if (privateKey.length !== 32 || !ecc.isPrivate(privateKey)) continue;
+    const derived = Buffer.from(ecc.pointFromScalar(privateKey, true)).toString("hex");
+    if (!pubkey || derived === pubkey) return { privateKey, publicKey: Buffer.from(derived, "hex") };
+  }
+  throw new Error(mnemonic
+    ? "BOLTZ_RESCUE_MNEMONIC does not derive this swap's refund key (was it created with another mnemonic?)"
+    : "No refund key for this swap: set BOLTZ_RESCUE_MNEMONIC to the mnemonic the swap was created with");
+}
+
+// Rebuild the lockup output: MuSig2(Boltz, us) internal key + claim/refund
+// leaves. Boltz aggregates its key first; the other order is tried too.
+function lockupFor(order, refundPubKey, network) {
+  const tree = parseSwapTree(order.boltzSwapTree);
+  const claimPubKey = Buffer.from(order.boltzClaimPubKey, "hex");
+  const scriptTree = [
+    { output: tree.claimLeaf, version: LEAF_VERSION },
+    { output: tree.refundLeaf, version: LEAF_VERSION }
+  ];
+  const address = order.boltzAddress || order.onchainAddress;
+  for (const keys of [[claimPubKey, refundPubKey], [refundPubKey, claimPubKey]]) {
+    const keyCtx = musig.keyAgg(keys);
+    const internalPubkey = musig.aggregateXOnly(keyCtx);
+    const payment = bitcoin.payments.p2tr({ internalPubkey, scriptTree, network });
+    if (payment.address !== address) continue;
+    const scriptPath = bitcoin.payments.p2tr({
+      internalPubkey,
+      scriptTree,
+      redeem: { output: tree.refundLeaf, redeemVersion: LEAF_VERSION },
+      network
+    });
+    return {
+      output: payment.output,
+      keyCtx: musig.applyTaprootTweak(keyCtx, payment.hash),
+      leafHash: tapleafHash(tree.refundLeaf),
+      // [refund leaf script, control block]
+      scriptWitness: scriptPath.witness,
+      timeoutBlockHeight: refundLeafTimeout(tree.refundLeaf) || Number(order.boltzTimeoutBlockHeight || 0)
+    };
+  }
+  throw new Error("The stored swap data does not match the lockup address");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Transaction
+// ─────────────────────────────────────────────────────────────────────────────
+async function chainState(address, network, feeRate) {
+  const [utxoRes, tipRes] = await Promise.all([
+    esplora(network, `/address/${address}/utxo`),
+    esplora(network, "/blocks/tip/height")
+  ]);
+  const utxos = (await utxoRes.json())
+    .filter((u) => /^[0-9a-f]{64}$/i.test(u?.txid || "") && Number(u.value) > 0)
+    .map((u) => ({ txid: u.txid, vout: Number(u.vout), value: Number(u.value) }));
+  const tipHeight = Number(await tipRes.text());
+  let rate = Number(feeRate);
+  if (!(rate > 0)) {
+    try {
+      const estimates = await (await esplora(network, "/fee-estimates")).json();
+      rate = Number(estimates?.["6"] || estimates?.["3"] || 0);
+    } catch {}
+  }
+  if (!(rate > 0)) rate = FALLBACK_FEE_RATE;
+  if (rate > MAX_FEE_RATE) throw new Error(`Fee rate above ${MAX_FEE_RATE} sat/vB`);
+  return { utxos, tipHeight, feeRate: Math.max(1, rate) };
+}
+
+function unsignedTx({ utxos, destination, amountSats, network, locktime, sequence }) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 2;
+  tx.locktime = locktime;
+  for (const u of utxos) tx.addInput(Buffer.from(u.txid, "hex").reverse(), u.vout, sequence);
+  tx.addOutput(bitcoin.address.toOutputScript(destination, network), amountSats);
+  return tx;
+}
+
+function sizeAndFee({ utxos, destination, network, locktime, sequence, witness, feeRate }) {
+  const draft = unsignedTx({ utxos, destination, network, locktime, sequence, amountSats: 0 });
+  utxos.forEach((_, i) => draft.setWitness(i, witness));
+  const vsize = draft.virtualSize();
+  const total = utxos.reduce((sum, u) => sum + u.value, 0);
+  const feeSats = Math.ceil(vsize * feeRate);
+  const amountSats = total - feeSats;
+  if (amountSats < DUST_SATS) {
+    throw new Error(`The swap address holds ${total} sats, not enough to cover a ${feeSats} sat fee`);
+  }
+  return { vsize, feeSats, amountSats };
+}
+
+async function cooperativeRefund(order, ctx) {
+  const { lockup, utxos, destination, network, feeRate, privateKey } = ctx;
+  const sizing = sizeAndFee({ utxos, destination, network, locktime: 0, sequence: 0xffffffff, witness: [Buffer.alloc(64)], feeRate });
+  const tx = unsignedTx({ utxos, destination, network, locktime: 0, sequence: 0xffffffff, amountSats: sizing.amountSats });
+  const msg = tx.hashForWitnessV1(0, [lockup.output], [utxos[0].value], bitcoin.Transaction.SIGHASH_DEFAULT);
+
+  const nonce = musig.nonceGen();
+  const theirs = await boltz.getSubmarineRefundSignature({
+    swapId: order.boltzSwapId,
+    pubNonce: nonce.pubNonce.toString("hex"),
+    transaction: tx.toHex(),
+    index: 0
+  });
+  const aggNonce = musig.nonceAgg([theirs.pubNonce, nonce.pubNonce]);
+  const boltzKey = Buffer.from(order.boltzClaimPubKey, "hex");
+  if (!musig.partialVerify(lockup.keyCtx, { partialSig: Buffer.from(theirs.partialSignature, "hex"), pubNonce: theirs.pubNonce, pubkey: boltzKey, aggNonce, msg })) {
+    throw new Error("Boltz returned an invalid partial signature");
+  }
+  const ours = musig.partialSign(lockup.keyCtx, { secNonce: nonce.secNonce, privateKey, aggNonce, msg });
+  const signature = musig.partialSigAgg(lockup.keyCtx, {
+    partialSigs: [ours, Buffer.from(theirs.partialSignature, "hex")],
+    aggNonce,
+    msg
+  });
+  if (!ecc.verifySchnorr(msg, lockup.output.subarray(2), signature)) throw new Error("The co-signed refund signature does not verify");
+  tx.setWitness(0, [signature]);
+  return { tx, ...sizing };
+}
+
+function scriptPathRefund(ctx) {
+  const { lockup, utxos, destination, network, feeRate, privateKey } = ctx;
+  const locktime = lockup.timeoutBlockHeight;
+  const sequence = 0xfffffffd;
+  const dummy = [Buffer.alloc(64), ...lockup.scriptWitness];
+  const sizing = sizeAndFee({ utxos, destination, network, locktime, sequence, witness: dummy, feeRate });
+  const tx = unsignedTx({ utxos, destination, network, locktime, sequence, amountSats: sizing.amountSats });
+  const prevScripts = utxos.map(() => lockup.output);
+  const values = utxos.map((u) => u.value);
+  utxos.forEach((_, i) => {
+    const hash = tx.hashForWitnessV1(i, prevScripts, values, bitcoin.Transaction.SIGHASH_DEFAULT, lockup.leafHash);
+    tx.setWitness(i, [Buffer.from(ecc.signSchnorr(hash, privateKey)), ...lockup.scriptWitness]);
+  });
+  return { tx, ...sizing };
+}
+
+/**
+ * Build and sign a refund of everything sitting in the swap's lockup address
+ * to `destination`. Tries a cooperative key-path spend first, then the refund
+ * leaf if the timeout has passed.
+ * Returns { method: "cooperative"|"script", hex, txid, amountSats, feeSats,
+ *           vsize, feeRate, inputs, tipHeight, timeoutBlockHeight }.
+ */
+export async function buildSwapRefund(order, { destination, feeRate } = {}) {
+  const info = describeSwapRefund(order);
+  if (!info.ready) throw new Error(info.problem);
+  const network = networkOf(info.address);
+  if (!network) throw new Error("Unrecognised swap lockup address");
+  const to = String(destination || "").trim();
+  try {
+    bitcoin.address.toOutputScript(to, network);
+  } catch {
+    throw new Error("Enter a valid Bitcoin address on the swap's network");
+  }
+
+  const { privateKey, publicKey } = refundKeyFor(order);
+  const lockup = lockupFor(order, publicKey, network);
+  const chain = await chainState(info.address, network, feeRate);
+  if (!chain.utxos.length) {
+    throw new Error("The swap address holds no coins; it was already claimed or refunded");
+  }
+  const ctx = { lockup, utxos: chain.utxos, destination: to, network, feeRate: chain.feeRate, privateKey };
+  const timeoutReached = lockup.timeoutBlockHeight > 0 && chain.tipHeight >= lockup.timeoutBlockHeight;
+
+  let method = "cooperative";
+  let built;
+  // Boltz co-signs a single input: its own lockup transaction
+  if (chain.utxos.length === 1) {
+    try {
+      built = await cooperativeRefund(order, ctx);
+    } catch (e) {
+      if (!timeoutReached) {
+        throw new Error(`Boltz did not co-sign the refund (${e?.message || e}). ` +
+          `A refund without Boltz is possible from block ${lockup.timeoutBlockHeight} (now ${chain.tipHeight}).`);
+      }
+    }
+  } else if (!timeoutReached) {
+    throw new Error(`The swap address holds ${chain.utxos.length} payments; they can be refunded together ` +
+      `from block ${lockup.timeoutBlockHeight} (now ${chain.tipHeight}).`);
+  }
+  if (!built) {
+    method = "script";
+    built = scriptPathRefund(ctx);
+  }
+
+  return {
+    method,
+    hex: built.tx.toHex(),
+    txid: built.tx.getId(),
+    amountSats: built.amountSats,
+    feeSats: built.feeSats,
+    vsize: built.vsize,
+    feeRate: chain.feeRate,
+    inputs: chain.utxos.length,
+    tipHeight: chain.tipHeight,
+    timeoutBlockHeight: lockup.timeoutBlockHeight
+  };
+}
@@ -0,0 +1,63 @@
+// server/onchain/confirmations.js
+// How many confirmations an on-chain payment needs before its order counts as
+// paid, by order amount. ONCHAIN_CONFIRMATIONS lists "minSats:confirmations"
+// steps, e.g. "0:1,1000000:2,5000000:3"; the highest step at or below the
+// order amount applies. 0 accepts a payment from the mempool, as long as it
+// does not signal replace-by-fee and nothing it paid has been replaced.
+import * as bitcoin from "bitcoinjs-lib";
+
+const MAX_CONFIRMATIONS = 100;
+
+/** Parse "minSats:confirmations,..." into steps sorted by amount. */
+export function parseConfirmationPolicy(raw) {
+  const text = String(raw || "").trim() || "0:1";
+  const steps = text.split(",").map((part) => {
+    const m = /^\s*(\d+)\s*:\s*(\d+)\s*$/.exec(part);
+    if (!m) throw new Error(`Invalid ONCHAIN_CONFIRMATIONS step "${part.trim()}" (expected minSats:confirmations)`);
+    const confirmations = Number(m[2]);
+    if (confirmations > MAX_CONFIRMATIONS) throw new Error(`ONCHAIN_CONFIRMATIONS allows at most ${MAX_CONFIRMATIONS} confirmations`);
+    return { minSats: Number(m[1]), confirmations };
+  });
+  steps.sort((a, b) => a.minSats - b.minSats);
+  if (steps[0].minSats !== 0) steps.unshift({ minSats: 0, confirmations: 1 });
+  return steps;
+}
+
+let policy = null;
+
+export function confirmationPolicy() {
+  if (!policy) {
+    try {
+      policy = parseConfirmationPolicy(process.env.ONCHAIN_CONFIRMATIONS);
+    } catch (e) {
+      console.warn(`[onchain] ${e?.message || e}; requiring 1 confirmation`);
+      policy = [{ minSats: 0, confirmations: 1 }];
+    }
+  }
+  return policy;
+}
+
+/** Confirmations required for an order of `amountSats`. */
+export function requiredConfirmations(amountSats, steps = confirmationPolicy()) {
+  const sats = Math.max(0, Number(amountSats) || 0);
+  let required = steps[0]?.confirmations ?? 1;
+  for (const step of steps) if (sats >= step.minSats) required = step.confirmations;
+  return required;
+}
+
+// BIP125: any input with nSequence below 0xfffffffe opts the tx into RBF
+const RBF_SEQUENCE = 0xfffffffe;
+
+/** Whether an Esplora-shaped tx ({ vin: [{ sequence }] }) signals RBF. */
+export function signalsRbf(tx) {
+  return (Array.isArray(tx?.vin) ? tx.vin : []).some((vin) => Number(vin?.sequence) < RBF_SEQUENCE);
+}
+
+/** Same check on a raw transaction hex (e.g. a Boltz lockup). */
+export function rawTxSignalsRbf(hex) {
+  try {
+    return bitcoin.Transaction.fromHex(String(hex || "")).ins.some((input) => input.sequence < RBF_SEQUENCE);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,234 @@
+// server/onchain/descriptors.js
+// BIP380 output descriptors for the XPUB provider: checksum validation, parsing
+// of the watch-only forms a shop needs, and receive address derivation.
+// Supported: pkh(KEY), wpkh(KEY), sh(wpkh(KEY)), tr(KEY) (key path only) and
+// wsh/sh(wsh) of multi/sortedmulti(k, KEY, ...). KEY is an xpub/tpub with an
+// optional [fingerprint/origin] and a ranged path such as /0/* or /<0;1>/*.
+import { BIP32Factory } from "bip32";
+import * as ecc from "tiny-secp256k1";
+import * as bitcoin from "bitcoinjs-lib";
+import bs58check from "bs58check";
+
+bitcoin.initEccLib(ecc);
+const bip32 = BIP32Factory(ecc);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Checksum (BIP380)
+// ─────────────────────────────────────────────────────────────────────────────
+const INPUT_CHARSET =
+  "0123456789()[],'/*abcdefgh@:$%{}" +
+  "IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~" +
+  "ijklmnopqrstuvwxyzABCDEFGH`#\"\\ ";
+const CHECKSUM_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+function polymod(symbols) {
+  let chk = 1n;
+  for (const value of symbols) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < 5; i++) {
+      if ((top >> BigInt(i)) & 1n) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function expand(desc) {
+  const symbols = [];
+  let groups = [];
+  for (const c of desc) {
+    const v = INPUT_CHARSET.indexOf(c);
+    if (v < 0) throw new Error(`Invalid character in descriptor: ${JSON.stringify(c)}`);
+    symbols.push(v & 31);
+    groups.push(v >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups = [];
+    }
+  }
+  if (groups.length === 1) symbols.push(groups[0]);
+  if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1]);
+  return symbols;
+}
+
+/** The 8-character checksum of a descriptor (without any "#..." suffix). */
+export function descriptorChecksum(desc) {
+  const chk = polymod([...expand(desc), 0, 0, 0, 0, 0, 0, 0, 0]) ^ 1n;
+  let out = "";
+  for (let i = 0; i < 8; i++) out += CHECKSUM_CHARSET[Number((chk >> BigInt(5 * (7 - i))) & 31n)];
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────────────────────────────────────
+const XPUB_VERSIONS = {
+  0x0488b21e: bitcoin.networks.bitcoin, // xpub
+  0x043587cf: bitcoin.networks.testnet // tpub
+};
+
+// Split "a,b(c,d),e" on top-level commas
+function splitArgs(body) {
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === "(" || c === "[" || c === "{" || c === "<") depth++;
+    else if (c === ")" || c === "]" || c === "}" || c === ">") depth--;
+    else if (c === "," && depth === 0) {
+      out.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  out.push(body.slice(start));
+  return out;
+}
+
+// "wsh(sortedmulti(2,...))" -> { fn: "wsh", body: "sortedmulti(2,...)" }
+function unwrap(expr) {
+  const m = /^([a-z_]+)\((.*)\)$/s.exec(expr);
+  if (!m) throw new Error(`Unsupported descriptor expression: ${expr.slice(0, 40)}`);
+  return { fn: m[1], body: m[2] };
+}
+
+function parsePathStep(step, where) {
+  if (!/^\d+$/.test(step)) throw new Error(`Invalid derivation step "${step}" in ${where}`);
+  const n = Number(step);
+  if (n >= 0x80000000) throw new Error(`Derivation step out of range in ${where}`);
+  return n;
+}
+
+function parseKey(expr) {
+  let rest = expr.trim();
+  let origin = "";
+  if (rest.startsWith("[")) {
+    const end = rest.indexOf("]");
+    if (end < 0) throw new Error("Unclosed key origin");
+    origin = rest.slice(1, end);
+    if (!/^[0-9a-fA-F]{8}(\/\d+['hH]?)*$/.test(origin)) throw new Error(`Invalid key origin [${origin}]`);
+    rest = rest.slice(end + 1);
+  }
+  const [encoded, ...steps] = rest.split("/");
+  let node;
+  let network;
+  try {
+    const version = bs58check.decode(encoded).slice(0, 4);
+    network = XPUB_VERSIONS[Buffer.from(version).readUInt32BE(0)];
+    if (!network) throw new Error("not an xpub/tpub");
+    node = bip32.fromBase58(encoded, network);
+  } catch (e) {
+    throw new Error(`Descriptor keys must be xpub/tpub extended public keys (${e?.message || e})`);
+  }
+  if (!node.isNeutered()) throw new Error("Descriptor keys must be public (no xprv)");
+  if (steps.at(-1) !== "*") throw new Error("Descriptor keys must end in a ranged path such as /0/*");
+
+  // Fixed steps before the wildcard; a BIP389 <a;b> step picks the receive branch
+  const path = steps.slice(0, -1).map((step) => {
+    const multi = /^<(\d+);(\d+)(;\d+)*>$/.exec(step);
+    if (multi) return parsePathStep(multi[1], encoded.slice(0, 8));
+    if (/['hH]$/.test(step)) throw new Error("Hardened steps after an xpub cannot be derived");
+    return parsePathStep(step, encoded.slice(0, 8));
+  });
+  return { node, network, origin, path };
+}
+
+function deriveKey(key, index) {
+  let node = key.node;
+  for (const step of key.path) node = node.derive(step);
+  return node.derive(index).publicKey;
+}
+
+function parseMulti(expr, where) {
+  const { fn, body } = unwrap(expr);
+  if (fn !== "multi" && fn !== "sortedmulti") throw new Error(`${where}() expects multi() or sortedmulti()`);
+  const [k, ...keyExprs] = splitArgs(body);
+  const threshold = Number(k);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > keyExprs.length) {
+    throw new Error(`Invalid multisig threshold ${k} of ${keyExprs.length}`);
+  }
+  if (keyExprs.length > 20) throw new Error("At most 20 multisig keys");
+  return { sorted: fn === "sortedmulti", threshold, keys: keyExprs.map(parseKey) };
+}
+
+/**
+ * Parse a descriptor, validating its checksum when present.
+ * Returns { descriptor (with checksum), type, threshold, keyCount, network,
+ *           deriveAddress(index, network?) }.
+ */
+export function parseDescriptor(text) {
+  const raw = String(text || "").trim();
+  const hash = raw.lastIndexOf("#");
+  const body = hash >= 0 ? raw.slice(0, hash) : raw;
+  const checksum = descriptorChecksum(body);
+  if (hash >= 0 && raw.slice(hash + 1) !== checksum) {
+    throw new Error(`Descriptor checksum mismatch (expected #${checksum})`);
+  }
+
+  const top = unwrap(body);
+  let type;
+  let keys;
+  let multi = null;
+  if (top.fn === "pkh" || top.fn === "wpkh" || top.fn === "tr") {
+    type = top.fn;
+    const args = splitArgs(top.body);
+    if (args.length !== 1) throw new Error(`${top.fn}() takes a single key; script trees are not supported`);
+    keys = [parseKey(args[0])];
+  } else if (top.fn === "wsh") {
+    type = "wsh-multi";
+    multi = parseMulti(top.body, "wsh");
+    keys = multi.keys;
+  } else if (top.fn === "sh") {
+    const inner = unwrap(top.body);
+    if (inner.fn === "wpkh") {
+      type = "sh-wpkh";
+      keys = [parseKey(inner.body)];
+    } else if (inner.fn === "wsh") {
+      type = "sh-wsh-multi";
+      multi = parseMulti(inner.body, "wsh");
+      keys = multi.keys;
+    } else {
+      throw new Error("sh() supports wpkh() or wsh(multi) only");
+    }
+  } else {
+    throw new Error(`Unsupported descriptor type ${top.fn}()`);
+  }
+
+  const network = keys[0].network;
+  if (keys.some((k) => k.network !== network)) throw new Error("Descriptor mixes mainnet and testnet keys");
+
+  function deriveAddress(index, net = network) {
+    const pubkeys = keys.map((k) => deriveKey(k, index));
+    switch (type) {
+      case "pkh":
+        return bitcoin.payments.p2pkh({ pubkey: pubkeys[0], network: net }).address;
+      case "wpkh":
+        return bitcoin.payments.p2wpkh({ pubkey: pubkeys[0], network: net }).address;
+      case "sh-wpkh":
+        return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: pubkeys[0], network: net }), network: net }).address;
+      case "tr":
+        // BIP86: key-path only, tweaked with an empty script tree
+        return bitcoin.payments.p2tr({ internalPubkey: pubkeys[0].subarray(1, 33), network: net }).address;
+      default: {
+        const ordered = multi.sorted ? [...pubkeys].sort(Buffer.compare) : pubkeys;
+        const p2wsh = bitcoin.payments.p2wsh({
+          redeem: bitcoin.payments.p2ms({ m: multi.threshold, pubkeys: ordered, network: net }),
+          network: net
+        });
+        return type === "sh-wsh-multi"
+          ? bitcoin.payments.p2sh({ redeem: p2wsh, network: net }).address
+          : p2wsh.address;
+      }
+    }
+  }
+
+  return {
+    descriptor: `${body}#${checksum}`,
+    type,
+    threshold: multi?.threshold || 1,
+    keyCount: keys.length,
+    network,
+    deriveAddress
+  };
+}
@@ -0,0 +1,331 @@
+// server/onchain/electrum.js
+// Electrum protocol client (electrs, Fulcrum, ElectrumX) for the XPUB provider:
+// address history in the same shape as the Esplora REST API, and scripthash
+// subscriptions so incoming payments are pushed instead of polled. Talks to
+// your own server only, so buyer addresses never reach a third party.
+import net from "net";
+import tls from "tls";
+import fs from "fs";
+import crypto from "crypto";
+import * as bitcoin from "bitcoinjs-lib";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENV
+// ─────────────────────────────────────────────────────────────────────────────
+// ssl://host:50002 or tcp://host:50001
+const ELECTRUM_URL = String(process.env.ONCHAIN_ELECTRUM_URL || "").trim();
+const ELECTRUM_TLS_INSECURE = String(process.env.ONCHAIN_ELECTRUM_TLS_INSECURE || "0") === "1"; // allow self-signed
+const ELECTRUM_TLS_CERT_PATH = process.env.ONCHAIN_ELECTRUM_TLS_CERT_PATH || "";                // optional CA/server cert
+const ELECTRUM_TIMEOUT_MS = Math.max(1000, Number(process.env.ONCHAIN_ELECTRUM_TIMEOUT_MS || 20000));
+const RECONNECT_MS = 5000;
+const PING_MS = 5 * 60 * 1000;
+
+export const ELECTRUM_ENABLED = !!ELECTRUM_URL;
+
+function parseUrl(raw) {
+  const m = /^(ssl|tls|tcp):\/\/\[?([^\]/]+?)\]?:(\d+)\/?$/i.exec(raw);
+  if (!m) throw new Error("ONCHAIN_ELECTRUM_URL must look like ssl://host:50002 or tcp://host:50001");
+  return { secure: m[1].toLowerCase() !== "tcp", host: m[2], port: Number(m[3]) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Connection: newline-delimited JSON-RPC over TCP/TLS
+// ─────────────────────────────────────────────────────────────────────────────
+class ElectrumClient {
+  constructor(url) {
+    this.target = parseUrl(url);
+    this.socket = null;
+    this.ready = null;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+    this.listeners = new Map(); // scripthash -> Set(fn)
+    this.buffer = "";
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.connectedBefore = false;
+  }
+
+  // Resolves once the socket is open and the version handshake is done
+  connect() {
+    if (!this.ready) {
+      this.ready = this.open()
+        .then(() => this.handshake())
+        .catch((e) => {
+          this.ready = null;
+          this.socket?.destroy();
+          throw e;
+        });
+    }
+    return this.ready;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const { secure, host, port } = this.target;
+      const onConnect = () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        resolve();
+      };
+      const socket = secure
+        ? tls.connect({
+          host,
+          port,
+          servername: net.isIP(host) ? undefined : host,
+          rejectUnauthorized: !ELECTRUM_TLS_INSECURE,
+          ...(ELECTRUM_TLS_CERT_PATH ? { ca: fs.readFileSync(ELECTRUM_TLS_CERT_PATH) } : {})
+        }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      socket.setEncoding("utf8");
+      socket.setTimeout(ELECTRUM_TIMEOUT_MS, () => socket.destroy(new Error("connection timed out")));
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("error", (e) => {
+        if (this.socket !== socket) reject(new Error(`Electrum server unreachable: ${e?.message || e}`));
+      });
+      socket.on("close", () => this.onClose(socket));
+    });
+  }
+
+  async handshake() {
+    await this.call("server.version", ["BoltCanvas", ["1.4", "1.4.2"]]);
+    const resumed = this.connectedBefore;
+    this.connectedBefore = true;
+    clearInterval(this.pingTimer);
+    this.pingTimer = setInterval(() => this.call("server.ping", []).catch(() => {}), PING_MS);
+    this.pingTimer.unref?.();
+    // Subscriptions do not survive a reconnect; renew them and let listeners
+    // re-check, since payments may have arrived while we were away.
+    for (const scripthash of this.listeners.keys()) {
+      this.call("blockchain.scripthash.subscribe", [scripthash])
+        .then(() => resumed && this.notify(scripthash))
+        .catch((e) => console.warn("[electrum] resubscribe failed:", e?.message || e));
+    }
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let nl;
+    while ((nl = this.buffer.indexOf("\n")) >= 0) {
+      const line = this.buffer.slice(0, nl).trim();
+      this.buffer = this.buffer.slice(nl + 1);
+      if (!line) continue;
+      let msg;
+      try { msg = JSON.parse(line); } catch { continue; }
+      if (msg.id !== undefined && msg.id !== null && this.pending.has(msg.id)) {
+        const { resolve, reject, timer } = this.pending.get(msg.id);
+        this.pending.delete(msg.id);
+        clearTimeout(timer);
+        if (msg.error) reject(new Error(`Electrum error: ${msg.error?.message || JSON.stringify(msg.error)}`));
+        else resolve(msg.result);
+      } else if (msg.method === "blockchain.scripthash.subscribe" && Array.isArray(msg.params)) {
+        this.notify(msg.params[0]);
+      }
+    }
+  }
+
+  onClose(socket) {
+    if (this.socket !== socket) return;
+    this.socket = null;
+    this.ready = null;
+    this.buffer = "";
+    clearInterval(this.pingTimer);
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error("Electrum connection closed"));
+    }
+    this.pending.clear();
+    this.scheduleReconnect();
+  }
+
+  // Reconnect only while someone is waiting for notifications; requests
+  // reconnect on their own.
+  scheduleReconnect() {
+    if (!this.listeners.size || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch((e) => {
+        console.warn("[electrum] reconnect failed:", e?.message || e);
+        this.scheduleReconnect();
+      });
+    }, RECONNECT_MS);
+    this.reconnectTimer.unref?.();
+  }
+
+  call(method, params) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) return reject(new Error("Electrum connection closed"));
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Electrum ${method} timed out`));
+      }, ELECTRUM_TIMEOUT_MS);
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ jsonrpc: "2.0", id, method, params })}\n`);
+    });
+  }
+
+  async request(method, params = []) {
+    await this.connect();
+    return this.call(method, params);
+  }
+
+  notify(scripthash) {
+    for (const fn of this.listeners.get(scripthash) || []) {
+      Promise.resolve()
+        .then(() => fn())
+        .catch((e) => console.warn("[electrum] listener error:", e?.message || e));
+    }
+  }
+
+  async subscribe(scripthash, fn) {
+    const first = !this.listeners.has(scripthash);
+    if (first) this.listeners.set(scripthash, new Set());
+    this.listeners.get(scripthash).add(fn);
+    if (!first) return;
+    try {
+      if (this.ready) {
+        await this.ready;
+        await this.call("blockchain.scripthash.subscribe", [scripthash]);
+      } else {
+        // Connecting runs the handshake, which subscribes every listener
+        await this.connect();
+      }
+    } catch (e) {
+      if (!this.socket) this.scheduleReconnect();
+      throw e;
+    }
+  }
+
+  unsubscribe(scripthash, fn) {
+    const set = this.listeners.get(scripthash);
+    if (!set) return;
+    set.delete(fn);
+    if (set.size) return;
+    this.listeners.delete(scripthash);
+    // Protocol 1.4.2+; older servers keep sending notifications, which are ignored
+    if (this.socket) this.call("blockchain.scripthash.unsubscribe", [scripthash]).catch(() => {});
+  }
+
+  close() {
+    this.listeners.clear();
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.socket?.destroy();
+  }
+}
+
+let client = null;
+
+function getClient() {
+  if (!ELECTRUM_ENABLED) throw new Error("ONCHAIN_ELECTRUM_URL is not set");
+  if (!client) client = new ElectrumClient(ELECTRUM_URL);
+  return client;
+}
+
+/** Drop the connection and all subscriptions (tests, shutdown). */
+export function closeElectrum() {
+  client?.close();
+  client = null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Address history
+// ─────────────────────────────────────────────────────────────────────────────
+/** Electrum's address key: reversed sha256 of the output script, hex. */
+export function addressToScripthash(address, network = bitcoin.networks.bitcoin) {
+  const script = bitcoin.address.toOutputScript(address, network);
+  return Buffer.from(crypto.createHash("sha256").update(script).digest()).reverse().toString("hex");
+}
+
+// Transactions and block headers never change once seen; keep a bounded cache
+const txCache = new Map();
+const blockTimeCache = new Map();
+const CACHE_MAX = 5000;
+
+function remember(cache, key, value) {
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, value);
+  return value;
+}
+
+async function getTransaction(txid, network) {
+  if (txCache.has(txid)) return txCache.get(txid);
+  const hex = await getClient().request("blockchain.transaction.get", [txid]);
+  const tx = bitcoin.Transaction.fromHex(hex);
+  const vin = tx.ins.map((input) => ({
+    txid: Buffer.from(input.hash).reverse().toString("hex"),
+    vout: input.index,
+    sequence: input.sequence
+  }));
+  const vout = tx.outs.map((out) => {
+    let address = "";
+    try { address = bitcoin.address.fromOutputScript(out.script, network); } catch {}
+    return { scriptpubkey_address: address, value: Number(out.value) };
+  });
+  return remember(txCache, txid, { vin, vout });
+}
+
+async function getBlockTime(height) {
+  if (blockTimeCache.has(height)) return blockTimeCache.get(height);
+  const header = await getClient().request("blockchain.block.header", [height]);
+  return remember(blockTimeCache, height, Buffer.from(header, "hex").readUInt32LE(68));
+}
+
+/**
+ * Transactions touching an address, shaped like Esplora's
+ * /address/:a/txs/mempool and /txs/chain so callers can use either source.
+ * Returns { mempoolTxs, chainTxs }.
+ */
+export async function getAddressTxs(address, network) {
+  const history = await getClient().request("blockchain.scripthash.get_history", [addressToScripthash(address, network)]);
+  const mempoolTxs = [];
+  const chainTxs = [];
+  for (const item of Array.isArray(history) ? history : []) {
+    const { vin, vout } = await getTransaction(item.tx_hash, network);
+    const confirmed = Number(item.height) > 0;
+    const tx = {
+      txid: item.tx_hash,
+      status: confirmed
+        ? { confirmed: true, block_height: Number(item.height), block_time: await getBlockTime(Number(item.height)) }
+        : { confirmed: false },
+      vin,
+      vout
+    };
+    (confirmed ? chainTxs : mempoolTxs).push(tx);
+  }
+  return { mempoolTxs, chainTxs };
+}
+
+/** Unspent outputs of an address, shaped like Esplora's /address/:a/utxo. */
+export async function getAddressUtxos(address, network) {
+  const unspent = await getClient().request("blockchain.scripthash.listunspent", [addressToScripthash(address, network)]);
+  return (Array.isArray(unspent) ? unspent : []).map((u) => ({
+    txid: u.tx_hash,
+    vout: Number(u.tx_pos),
+    value: Number(u.value),
+    status: Number(u.height) > 0 ? { confirmed: true, block_height: Number(u.height) } : { confirmed: false }
+  }));
+}
+
+/** Broadcast a raw transaction; resolves to its txid. */
+export async function broadcastTransaction(hex) {
+  return getClient().request("blockchain.transaction.broadcast", [hex]);
+}
+
+/** Height of the server's best block. */
+export async function getTipHeight() {
+  const header = await getClient().request("blockchain.headers.subscribe", []);
+  return Number(header?.height) || 0;
+}
+
+/**
+ * Call onChange whenever the server reports new activity on the address
+ * (mempool or a confirmation). Returns an unsubscribe function.
+ */
+export function subscribeAddress(address, network, onChange) {
+  const c = getClient();
+  const scripthash = addressToScripthash(address, network);
+  const fn = () => onChange();
+  c.subscribe(scripthash, fn).catch((e) => console.warn("[electrum] subscribe failed:", e?.message || e));
+  return () => c.unsubscribe(scripthash, fn);
+}
@@ -0,0 +1,154 @@
+// server/onchain/musig.js
+// Just enough BIP327 MuSig2 for one co-signer next to Boltz: key aggregation
+// with an x-only (taproot) tweak, nonces, a partial signature and signature
+// aggregation. Scalars are BigInt, points are compressed 33-byte buffers.
+import crypto from "crypto";
+import * as ecc from "tiny-secp256k1";
+
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+function taggedHash(tag, ...parts) {
+  const tagHash = crypto.createHash("sha256").update(tag).digest();
+  return crypto.createHash("sha256").update(tagHash).update(tagHash).update(Buffer.concat(parts)).digest();
+}
+
+const toInt = (buf) => BigInt(`0x${Buffer.from(buf).toString("hex") || "0"}`);
+const toBytes = (x) => Buffer.from(x.toString(16).padStart(64, "0"), "hex");
+const mod = (x) => ((x % N) + N) % N;
+const hasEvenY = (point) => point[0] === 0x02;
+const xOnly = (point) => Buffer.from(point.subarray(1, 33));
+const negate = (point) => Buffer.concat([Buffer.from([point[0] ^ 1]), point.subarray(1)]);
+
+// Point arithmetic with null standing for the point at infinity
+function add(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const sum = ecc.pointAdd(a, b, true);
+  return sum ? Buffer.from(sum) : null;
+}
+
+function mul(point, scalar) {
+  const k = mod(scalar);
+  if (!point || k === 0n) return null;
+  return Buffer.from(ecc.pointMultiply(point, toBytes(k), true));
+}
+
+function baseMul(scalar) {
+  const k = mod(scalar);
+  return k === 0n ? null : Buffer.from(ecc.pointFromScalar(toBytes(k), true));
+}
+
+function toPubkey(key) {
+  const buf = Buffer.isBuffer(key) ? key : Buffer.from(String(key || ""), "hex");
+  if (buf.length !== 33 || !ecc.isPoint(buf)) throw new Error("MuSig2 keys must be 33-byte compressed public keys");
+  return buf;
+}
+
+/**
+ * Aggregate public keys in the order given (BIP327 KeyAgg).
+ * Returns a key context { pubkeys, point, gacc, tacc, coefficient(pubkey) }.
+ */
+export function keyAgg(keys) {
+  const pubkeys = keys.map(toPubkey);
+  if (pubkeys.length < 2) throw new Error("MuSig2 needs at least two keys");
+  const listHash = taggedHash("KeyAgg list", ...pubkeys);
+  const second = pubkeys.find((pk) => !pk.equals(pubkeys[0])) || null;
+  const coefficient = (pk) => (second && pk.equals(second)
+    ? 1n
+    : mod(toInt(taggedHash("KeyAgg coefficient", listHash, pk))));
+  let point = null;
+  for (const pk of pubkeys) point = add(point, mul(pk, coefficient(pk)));
+  if (!point) throw new Error("MuSig2 aggregate key is the point at infinity");
+  return { pubkeys, point, gacc: 1n, tacc: 0n, coefficient };
+}
+
+/** The aggregate key as a 32-byte x-only key (the taproot internal key). */
+export function aggregateXOnly(ctx) {
+  return xOnly(ctx.point);
+}
+
+/** Apply the BIP341 taproot tweak for a script tree with the given merkle root. */
+export function applyTaprootTweak(ctx, merkleRoot) {
+  const tweak = mod(toInt(taggedHash("TapTweak", xOnly(ctx.point), merkleRoot || Buffer.alloc(0))));
+  const g = hasEvenY(ctx.point) ? 1n : N - 1n;
+  const point = add(mul(ctx.point, g), baseMul(tweak));
+  if (!point) throw new Error("MuSig2 tweaked key is the point at infinity");
+  return { ...ctx, point, gacc: mod(g * ctx.gacc), tacc: mod(tweak + g * ctx.tacc) };
+}
+
+/**
+ * Fresh nonce pair for one signing session. The secret half must only ever
+ * be used once. Returns { secNonce: [k1, k2], pubNonce (66 bytes) }.
+ */
+export function nonceGen() {
+  const scalar = () => {
+    for (;;) {
+      const k = mod(toInt(crypto.randomBytes(32)));
+      if (k !== 0n) return k;
+    }
+  };
+  const secNonce = [scalar(), scalar()];
+  return { secNonce, pubNonce: Buffer.concat(secNonce.map((k) => baseMul(k))) };
+}
+
+function parsePubNonce(nonce) {
+  const buf = Buffer.isBuffer(nonce) ? nonce : Buffer.from(String(nonce || ""), "hex");
+  if (buf.length !== 66) throw new Error("MuSig2 public nonces are 66 bytes");
+  const points = [buf.subarray(0, 33), buf.subarray(33)];
+  if (!points.every((p) => ecc.isPoint(p))) throw new Error("Invalid MuSig2 public nonce");
+  return points.map((p) => Buffer.from(p));
+}
+
+/** Sum the signers' public nonces into the session's aggregate nonce. */
+export function nonceAgg(pubNonces) {
+  const parsed = pubNonces.map(parsePubNonce);
+  return [0, 1].map((j) => parsed.reduce((acc, pair) => add(acc, pair[j]), null));
+}
+
+function session(ctx, aggNonce, msg) {
+  const encoded = Buffer.concat(aggNonce.map((p) => p || Buffer.alloc(33)));
+  const b = mod(toInt(taggedHash("MuSig/noncecoef", encoded, xOnly(ctx.point), msg)));
+  const R = add(aggNonce[0], mul(aggNonce[1], b)) || baseMul(1n);
+  const e = mod(toInt(taggedHash("BIP0340/challenge", xOnly(R), xOnly(ctx.point), msg)));
+  return { b, R, e };
+}
+
+/**
+ * Our partial signature over the 32-byte message `msg`.
+ * Returns the 32-byte partial signature.
+ */
+export function partialSign(ctx, { secNonce, privateKey, aggNonce, msg }) {
+  const sk = toInt(privateKey);
+  if (sk <= 0n || sk >= N) throw new Error("Invalid private key");
+  const pk = baseMul(sk);
+  if (!ctx.pubkeys.some((p) => p.equals(pk))) throw new Error("The private key is not part of this MuSig2 key");
+  const { b, R, e } = session(ctx, aggNonce, msg);
+  const [k1, k2] = hasEvenY(R) ? secNonce : secNonce.map((k) => N - k);
+  const g = hasEvenY(ctx.point) ? 1n : N - 1n;
+  const d = mod(g * ctx.gacc * sk);
+  return toBytes(mod(k1 + b * k2 + e * ctx.coefficient(pk) * d));
+}
+
+/** Check another signer's partial signature against their public nonce and key. */
+export function partialVerify(ctx, { partialSig, pubNonce, pubkey, aggNonce, msg }) {
+  const s = toInt(partialSig);
+  if (s >= N) return false;
+  const { b, R, e } = session(ctx, aggNonce, msg);
+  const [r1, r2] = parsePubNonce(pubNonce);
+  let Re = add(r1, mul(r2, b));
+  if (Re && !hasEvenY(R)) Re = negate(Re);
+  const pk = toPubkey(pubkey);
+  const g = hasEvenY(ctx.point) ? 1n : N - 1n;
+  const expected = add(Re, mul(pk, e * ctx.coefficient(pk) * g * ctx.gacc));
+  const actual = baseMul(s);
+  return !!expected && !!actual && expected.equals(actual);
+}
+
+/** Combine the partial signatures into a BIP340 Schnorr signature (64 bytes). */
+export function partialSigAgg(ctx, { partialSigs, aggNonce, msg }) {
+  const { R, e } = session(ctx, aggNonce, msg);
+  const g = hasEvenY(ctx.point) ? 1n : N - 1n;
+  let s = mod(e * g * ctx.tacc);
+  for (const sig of partialSigs) s = mod(s + toInt(sig));
+  return Buffer.concat([xOnly(R), toBytes(s)]);
+}
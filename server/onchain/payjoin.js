@@ -0,0 +1,244 @@
+// server/onchain/payjoin.js
+// PayJoin (BIP78) receiver for XPUB orders. The buyer's wallet posts the signed
+// transaction paying the order (the "original PSBT") to the pj= endpoint of the
+// BIP21; the shop adds one coin from a small hot wallet, raises the payment
+// output by the same amount (less its share of the fee) and returns the
+// proposal for the buyer to sign and broadcast. Both sides now have inputs in
+// the transaction, so chain analysis can no longer assume all inputs are the
+// buyer's. If the buyer never broadcasts the proposal, the original is
+// broadcast instead (see xpub.js).
+import crypto from "crypto";
+import * as ecc from "tiny-secp256k1";
+import * as bitcoin from "bitcoinjs-lib";
+import bs58check from "bs58check";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENV
+// ─────────────────────────────────────────────────────────────────────────────
+// Public HTTPS (or .onion) base of the receiver endpoint; the order id is appended
+const PAYJOIN_URL = String(process.env.ONCHAIN_PAYJOIN_URL || "").trim().replace(/\/+$/, "");
+// WIF of the P2WPKH key whose coins are contributed. Keep only small amounts on it.
+const HOT_WIF = String(process.env.ONCHAIN_PAYJOIN_HOT_WIF || "").trim();
+// Broadcast the original transaction if neither it nor the PayJoin shows up by then
+export const PAYJOIN_FALLBACK_MS = Math.max(0, Number(process.env.ONCHAIN_PAYJOIN_FALLBACK_SECONDS ?? 120) || 0) * 1000;
+
+export const PAYJOIN_ENABLED = !!(PAYJOIN_URL && HOT_WIF);
+
+// vbytes a P2WPKH input adds to a transaction
+const P2WPKH_INPUT_VSIZE = 68;
+const DUST_SATS = 294;
+
+/** A BIP78 error: `code` is one of the well-known errorCode values. */
+export class PayjoinError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PayjoinError";
+    this.code = code;
+  }
+}
+
+/** The pj= URL for an order, or "" when PayJoin is off. */
+export function payjoinEndpoint(orderId) {
+  if (!PAYJOIN_ENABLED || !orderId) return "";
+  return `${PAYJOIN_URL}/${encodeURIComponent(orderId)}`;
+}
+
+function decodeWif(wif) {
+  let raw;
+  try {
+    raw = bs58check.decode(wif);
+  } catch {
+    throw new Error("ONCHAIN_PAYJOIN_HOT_WIF is not a valid WIF key");
+  }
+  if (raw.length !== 34 || raw[33] !== 0x01) throw new Error("ONCHAIN_PAYJOIN_HOT_WIF must be a compressed WIF key");
+  const privateKey = Buffer.from(raw.subarray(1, 33));
+  if (!ecc.isPrivate(privateKey)) throw new Error("ONCHAIN_PAYJOIN_HOT_WIF is not a valid private key");
+  return { version: raw[0], privateKey };
+}
+
+/**
+ * The hot wallet: its P2WPKH address and a signer for its inputs. Replace
+ * `sign` to keep the key elsewhere (a hardware signer or a remote service).
+ */
+export function hotWallet(network = bitcoin.networks.bitcoin) {
+  const { version, privateKey } = decodeWif(HOT_WIF);
+  if (version !== network.wif) console.warn("[payjoin] ONCHAIN_PAYJOIN_HOT_WIF is for another network than the XPUB");
+  const publicKey = Buffer.from(ecc.pointFromScalar(privateKey, true));
+  const { address, output } = bitcoin.payments.p2wpkh({ pubkey: publicKey, network });
+  const keyPair = {
+    publicKey,
+    sign: (hash) => Buffer.from(ecc.sign(hash, privateKey))
+  };
+  return {
+    address,
+    output,
+    sign(psbt, index) {
+      psbt.signInput(index, keyPair);
+      psbt.finalizeInput(index);
+    }
+  };
+}
+
+function isP2wpkh(script) {
+  return script?.length === 22 && script[0] === 0x00 && script[1] === 0x14;
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// A finalized P2WPKH input carries [signature, pubkey]: the pubkey must be the
+// one the spent output commits to, and the signature valid for this transaction
+function signsP2wpkhInput(tx, index, witnessUtxo) {
+  const { witness, script } = tx.ins[index];
+  if (witness.length !== 2 || script.length || witness[1].length !== 33) return false;
+  const [sig, pubkey] = witness;
+  if (!bitcoin.crypto.hash160(pubkey).equals(witnessUtxo.script.subarray(2))) return false;
+  let decoded;
+  try {
+    decoded = bitcoin.script.signature.decode(sig);
+  } catch {
+    return false;
+  }
+  const scriptCode = bitcoin.payments.p2pkh({ pubkey }).output;
+  const hash = tx.hashForWitnessV0(index, scriptCode, witnessUtxo.value, decoded.hashType);
+  return ecc.verify(hash, pubkey, decoded.signature, true);
+}
+
+/**
+ * Check the buyer's original PSBT: finalized P2WPKH inputs whose signatures
+ * verify against their spent outputs, paying the order address at least
+ * `minSats` once. Returns what buildProposal needs, including the outpoints
+ * it spends so the caller can make sure they are unspent before offering a
+ * coin of its own.
+ */
+export function checkOriginal({ originalPsbt, paymentAddress, minSats, wallet, network }) {
+  let original;
+  try {
+    original = bitcoin.Psbt.fromBase64(String(originalPsbt || "").trim(), { network });
+  } catch {
+    throw new PayjoinError("original-psbt-rejected", "The body is not a base64 PSBT");
+  }
+
+  const inputs = original.data.inputs;
+  if (!inputs.length) throw new PayjoinError("original-psbt-rejected", "The original PSBT has no inputs");
+  for (const input of inputs) {
+    if (!input.finalScriptWitness && !input.finalScriptSig) {
+      throw new PayjoinError("original-psbt-rejected", "The original PSBT must be signed and finalized");
+    }
+    if (!input.witnessUtxo) throw new PayjoinError("original-psbt-rejected", "The original PSBT lacks the spent outputs");
+    // Our input has to look like the buyer's, and segwit keeps the txid stable
+    if (!isP2wpkh(input.witnessUtxo.script)) {
+      throw new PayjoinError("unavailable", "PayJoin is only offered for native SegWit (P2WPKH) payments");
+    }
+    if (wallet.output.equals(input.witnessUtxo.script)) {
+      throw new PayjoinError("original-psbt-rejected", "The original PSBT spends the shop's own coins");
+    }
+  }
+
+  let tx;
+  try {
+    tx = original.extractTransaction();
+  } catch (e) {
+    throw new PayjoinError("original-psbt-rejected", `The original transaction is invalid: ${e?.message || e}`);
+  }
+  // Otherwise anyone could post made-up inputs to learn the shop's coins
+  inputs.forEach((input, i) => {
+    if (!signsP2wpkhInput(tx, i, input.witnessUtxo)) {
+      throw new PayjoinError("original-psbt-rejected", `Input ${i} of the original transaction is not validly signed`);
+    }
+  });
+
+  const paymentScript = bitcoin.address.toOutputScript(paymentAddress, network);
+  const paymentIndexes = tx.outs.map((out, i) => (out.script.equals(paymentScript) ? i : -1)).filter((i) => i >= 0);
+  if (paymentIndexes.length !== 1) {
+    throw new PayjoinError("original-psbt-rejected", "The original transaction must pay the order address exactly once");
+  }
+  const paymentIndex = paymentIndexes[0];
+  if (tx.outs[paymentIndex].value < minSats) {
+    throw new PayjoinError("original-psbt-rejected", "The original transaction pays less than the order amount");
+  }
+
+  const inputSats = inputs.reduce((sum, input) => sum + input.witnessUtxo.value, 0);
+  const fee = inputSats - tx.outs.reduce((sum, out) => sum + out.value, 0);
+  if (fee <= 0) throw new PayjoinError("original-psbt-rejected", "The original transaction pays no fee");
+
+  const spends = tx.ins.map((input, i) => ({
+    txid: Buffer.from(input.hash).reverse().toString("hex"),
+    vout: input.index,
+    value: inputs[i].witnessUtxo.value,
+    address: bitcoin.address.fromOutputScript(inputs[i].witnessUtxo.script, network)
+  }));
+  return { tx, paymentIndex, fee, spends };
+}
+
+/**
+ * Build the PayJoin proposal from a checked original (see checkOriginal).
+ * `hotUtxo` is { txid, vout, value } of the hot wallet; `params` are the
+ * BIP78 query parameters. Returns the base64 proposal with the ids of both
+ * transactions and the sats the shop added to the payment output.
+ */
+export function buildProposal({ original, hotUtxo, wallet, network, params = {} }) {
+  const { tx, paymentIndex, fee } = original;
+  const vsize = tx.virtualSize();
+
+  // Keep the fee rate of the original (or the sender's minimum) with our input
+  // added; the sender may pay for it out of its change, up to what it allows
+  const minFeeRate = optionalNumber(params.minfeerate) || 0;
+  const feeRate = Math.max(fee / vsize, minFeeRate);
+  const extraFee = Math.max(0, Math.ceil(feeRate * (vsize + P2WPKH_INPUT_VSIZE)) - fee);
+  const feeOutputIndex = optionalNumber(params.additionalfeeoutputindex);
+  const maxSenderFee = optionalNumber(params.maxadditionalfeecontribution) || 0;
+  let senderFee = 0;
+  if (feeOutputIndex !== null) {
+    const feeOutput = tx.outs[feeOutputIndex];
+    if (!feeOutput || feeOutputIndex === paymentIndex) {
+      throw new PayjoinError("original-psbt-rejected", "additionalfeeoutputindex does not point at the sender's change");
+    }
+    senderFee = Math.max(0, Math.min(extraFee, maxSenderFee, feeOutput.value - DUST_SATS));
+  }
+  const contributedSats = hotUtxo.value - (extraFee - senderFee);
+  if (contributedSats <= DUST_SATS) throw new PayjoinError("not-enough-money", "The shop's coin cannot cover the extra fee");
+
+  // Sender inputs go back without their signatures or UTXO data, as BIP78 asks;
+  // ours goes in at a random position, signed, with the sender's sequence
+  const proposal = new bitcoin.Psbt({ network });
+  proposal.setVersion(tx.version);
+  proposal.setLocktime(tx.locktime);
+  const ourIndex = crypto.randomInt(tx.ins.length + 1);
+  const ours = {
+    hash: Buffer.from(hotUtxo.txid, "hex").reverse(),
+    index: hotUtxo.vout,
+    sequence: tx.ins[0].sequence
+  };
+  const txInputs = tx.ins.map((input) => ({ hash: input.hash, index: input.index, sequence: input.sequence }));
+  txInputs.splice(ourIndex, 0, ours);
+  txInputs.forEach((input, i) => {
+    proposal.addInput(i === ourIndex ? { ...input, witnessUtxo: { script: wallet.output, value: hotUtxo.value } } : input);
+  });
+  tx.outs.forEach((out, i) => {
+    let value = out.value;
+    if (i === paymentIndex) value += contributedSats;
+    if (i === feeOutputIndex) value -= senderFee;
+    proposal.addOutput({ script: out.script, value });
+  });
+  wallet.sign(proposal, ourIndex);
+
+  // Every input is segwit, so the final txid does not depend on the buyer's
+  // signatures and is known now
+  const unsigned = new bitcoin.Transaction();
+  unsigned.version = tx.version;
+  unsigned.locktime = tx.locktime;
+  txInputs.forEach((input) => unsigned.addInput(input.hash, input.index, input.sequence));
+  proposal.txOutputs.forEach((out) => unsigned.addOutput(out.script, out.value));
+
+  return {
+    psbt: proposal.toBase64(),
+    originalTxid: tx.getId(),
+    originalHex: tx.toHex(),
+    payjoinTxid: unsigned.getId(),
+    contributedSats
+  };
+}
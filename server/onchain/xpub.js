@@ -1,15 +1,23 @@
 // server/onchain/xpub.js
-// XPUB-based on-chain provider using Esplora-compatible endpoints (mempool.space by default).
+// XPUB-based on-chain provider using Esplora-compatible endpoints (mempool.space by default)
+// or your own Electrum server (ONCHAIN_ELECTRUM_URL).
+import crypto from "crypto";
 import fetch from "node-fetch";
 import { BIP32Factory } from "bip32";
 import * as ecc from "tiny-secp256k1";
 import * as bitcoin from "bitcoinjs-lib";
 import bs58check from "bs58check";
-import { allocateNextXpubIndex, Orders } from "../db.js";
+import { allocateNextXpubIndex, Orders, PayjoinProposals, XpubIndexes, xpubIndexCount } from "../db.js";
+import { requiredConfirmations, signalsRbf } from "./confirmations.js";
+import { parseDescriptor } from "./descriptors.js";
+import * as electrum from "./electrum.js";
+import * as payjoin from "./payjoin.js";
 
 const bip32 = BIP32Factory(ecc);
 
 const RAW_XPUB = String(process.env.ONCHAIN_XPUB || "").trim();
+// An output descriptor (multisig, Taproot, ...) takes precedence over ONCHAIN_XPUB
+const RAW_DESCRIPTOR = String(process.env.ONCHAIN_DESCRIPTOR || "").trim();
 
 const VERSIONS = {
   xpub: 0x0488b21e,
@@ -62,12 +70,17 @@ let cachedConfig = null;
 
 function resolveConfig() {
   if (cachedConfig) return cachedConfig;
-  if (!RAW_XPUB) {
-    throw new Error("ONCHAIN_XPUB is required when ONCHAIN_PROVIDER=xpub");
+  if (!RAW_XPUB && !RAW_DESCRIPTOR) {
+    throw new Error("ONCHAIN_XPUB or ONCHAIN_DESCRIPTOR is required when ONCHAIN_PROVIDER=xpub");
   }
-  const normalizedXpub = normalizeToStandardXpub(RAW_XPUB);
-  const { network: inferredNetwork, type: inferredType } = inferNetworkAndType(RAW_XPUB);
-  const addressType = String(process.env.ONCHAIN_XPUB_ADDRESS_TYPE || inferredType || "p2wpkh").toLowerCase();
+  const descriptor = RAW_DESCRIPTOR ? parseDescriptor(RAW_DESCRIPTOR) : null;
+  const normalizedXpub = descriptor ? "" : normalizeToStandardXpub(RAW_XPUB);
+  const { network: inferredNetwork, type: inferredType } = descriptor
+    ? { network: descriptor.network, type: descriptor.type }
+    : inferNetworkAndType(RAW_XPUB);
+  const addressType = descriptor
+    ? descriptor.type
+    : String(process.env.ONCHAIN_XPUB_ADDRESS_TYPE || inferredType || "p2wpkh").toLowerCase();
   const networkName = String(process.env.ONCHAIN_XPUB_NETWORK || "mainnet").toLowerCase();
 
   const network =
@@ -89,8 +102,8 @@ function resolveConfig() {
         ? "https://mempool.space/signet/api"
         : "https://mempool.space/api");
 
-  const accountNode = bip32.fromBase58(normalizedXpub, network);
-  cachedConfig = { addressType, networkName, network, apiBase, accountNode, normalizedXpub };
+  const accountNode = descriptor ? null : bip32.fromBase58(normalizedXpub, network);
+  cachedConfig = { addressType, networkName, network, apiBase, accountNode, normalizedXpub, descriptor };
   return cachedConfig;
 }
 
@@ -100,7 +113,8 @@ function deriveChildNode(index) {
 }
 
 function deriveAddress(index) {
-  const { addressType, network } = resolveConfig();
+  const { addressType, network, descriptor } = resolveConfig();
+  if (descriptor) return descriptor.deriveAddress(index, network);
   const child = deriveChildNode(index);
   if (!child.publicKey) throw new Error("XPUB child has no publicKey");
 
@@ -126,16 +140,22 @@ function satsToBtc(amountSats) {
   return (amountSats / 1e8).toFixed(8).replace(/0+$/, "").replace(/\.$/, "");
 }
 
-function buildBip21(address, amountSats, label) {
+function buildBip21(address, amountSats, label, payjoinUrl = "") {
   const params = new URLSearchParams();
   if (amountSats) params.set("amount", satsToBtc(amountSats));
   if (label) params.set("label", label);
+  if (payjoinUrl) {
+    params.set("pj", payjoinUrl);
+    // The shop never swaps the payment output for another one
+    params.set("pjos", "0");
+  }
   const qs = params.toString();
   return qs ? `bitcoin:${address}?${qs}` : `bitcoin:${address}`;
 }
 
 async function fetchAddressTxs(address) {
-  const { apiBase } = resolveConfig();
+  const { apiBase, network } = resolveConfig();
+  if (electrum.ELECTRUM_ENABLED) return electrum.getAddressTxs(address, network);
   const [mempoolRes, chainRes] = await Promise.all([
     fetch(`${apiBase}/address/${address}/txs/mempool`),
     fetch(`${apiBase}/address/${address}/txs/chain`)
@@ -150,6 +170,23 @@ async function fetchAddressTxs(address) {
   return { mempoolTxs, chainTxs };
 }
 
+async function fetchAddressUtxos(address) {
+  const { apiBase, network } = resolveConfig();
+  if (electrum.ELECTRUM_ENABLED) return electrum.getAddressUtxos(address, network);
+  const res = await fetch(`${apiBase}/address/${address}/utxo`);
+  if (!res.ok) throw new Error(`UTXO lookup failed (HTTP ${res.status})`);
+  return res.json();
+}
+
+async function broadcastTransaction(hex) {
+  const { apiBase } = resolveConfig();
+  if (electrum.ELECTRUM_ENABLED) return electrum.broadcastTransaction(hex);
+  const res = await fetch(`${apiBase}/tx`, { method: "POST", body: hex });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Broadcast failed (HTTP ${res.status}): ${text}`);
+  return text.trim();
+}
+
 function sumOutputsToAddress(txs, address) {
   let total = 0;
   for (const tx of txs) {
@@ -163,6 +200,60 @@ function sumOutputsToAddress(txs, address) {
   return total;
 }
 
+// Every transaction paying the address, confirmed ones first (oldest first).
+// With the chain tip known, confirmed ones carry their confirmation count;
+// mempool ones say whether they signal replace-by-fee.
+function listPaymentsToAddress({ mempoolTxs, chainTxs }, address, tipHeight = 0) {
+  const out = [];
+  const add = (tx, confirmed) => {
+    const amountSats = (Array.isArray(tx.vout) ? tx.vout : [])
+      .filter((vout) => vout.scriptpubkey_address === address)
+      .reduce((sum, vout) => sum + (vout.value || 0), 0);
+    if (!amountSats) return;
+    const height = Number(tx?.status?.block_height || 0);
+    out.push({
+      txid: tx.txid || tx.tx_hash || tx.id || "",
+      amountSats,
+      confirmed,
+      confirmations: confirmed ? (tipHeight && height ? Math.max(1, tipHeight - height + 1) : 1) : 0,
+      rbf: confirmed ? false : signalsRbf(tx),
+      blockTime: confirmed ? Number(tx?.status?.block_time || 0) * 1000 : 0
+    });
+  };
+  [...chainTxs].sort((a, b) => Number(a?.status?.block_time || 0) - Number(b?.status?.block_time || 0)).forEach((tx) => add(tx, true));
+  mempoolTxs.forEach((tx) => add(tx, false));
+  return out;
+}
+
+// Mempool payments seen on an earlier check that are now neither in the
+// mempool nor in a block: replaced (RBF or a double spend) or evicted
+function droppedPayments(previous, payments) {
+  const seen = new Set(payments.map((p) => p.txid));
+  return (Array.isArray(previous) ? previous : [])
+    .filter((p) => p?.txid && !seen.has(p.txid) && (p.dropped || !p.confirmed))
+    .map((p) => ({ ...p, confirmations: 0, dropped: true }));
+}
+
+// Chain tip for confirmation counts; one lookup serves every order for a while
+const TIP_TTL_MS = 20 * 1000;
+let tipCache = { height: 0, at: 0 };
+
+async function fetchTipHeight() {
+  if (tipCache.height && Date.now() - tipCache.at < TIP_TTL_MS) return tipCache.height;
+  let height = 0;
+  if (electrum.ELECTRUM_ENABLED) {
+    height = await electrum.getTipHeight();
+  } else {
+    const { apiBase } = resolveConfig();
+    const res = await fetch(`${apiBase}/blocks/tip/height`);
+    if (!res.ok) throw new Error(`Chain tip lookup failed (HTTP ${res.status})`);
+    height = Number(await res.text());
+  }
+  if (!Number.isFinite(height) || height <= 0) throw new Error("Chain tip lookup returned no height");
+  tipCache = { height, at: Date.now() };
+  return height;
+}
+
 function findTxidPayingAddress(txs, address) {
   for (const tx of txs) {
     if (!Array.isArray(tx.vout)) continue;
@@ -176,7 +267,50 @@ const MIN_SATS = Number(process.env.ONCHAIN_MIN_SATS || 0);
 const EXPIRES_SEC = Math.max(60, Number(process.env.ONCHAIN_INVOICE_EXPIRES_IN || 900)); // seconds
 const EXPIRES_MS = EXPIRES_SEC * 1000;
 const AMOUNT_TOLERANCE_PCT = Number(process.env.ONCHAIN_AMOUNT_TOLERANCE_PCT || 1);
+const AMOUNT_TOLERANCE_SATS = Math.max(0, Math.floor(Number(process.env.ONCHAIN_AMOUNT_TOLERANCE_SATS || 0)));
 const DEBUG_XPUB = String(process.env.ONCHAIN_XPUB_DEBUG || "false").toLowerCase() === "true";
+// Addresses of expired, unpaid orders are handed out again after this long
+// (0 = never), once the chain shows nothing was ever sent to them
+const RECYCLE_AFTER_MS = Math.max(0, Number(process.env.ONCHAIN_XPUB_RECYCLE_AFTER_HOURS ?? 72) || 0) * 60 * 60 * 1000;
+// The receiving wallet's gap limit (20 in most wallets)
+export const XPUB_GAP_LIMIT = Math.max(1, Math.floor(Number(process.env.ONCHAIN_XPUB_GAP_LIMIT || 20)));
+const RESCAN_MAX = 1000;
+// A hot wallet coin offered in a PayJoin proposal is not offered again for this long
+const PAYJOIN_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// A recycled index if one is due and its address is still empty on-chain,
+// else the next fresh one
+async function allocateIndex() {
+  if (RECYCLE_AFTER_MS > 0) {
+    for (let tries = 0; tries < 3; tries += 1) {
+      const candidate = XpubIndexes.takeRecycled(Date.now() - RECYCLE_AFTER_MS);
+      if (!candidate) break;
+      const address = deriveAddress(candidate.xpubIndex);
+      try {
+        const { mempoolTxs, chainTxs } = await fetchAddressTxs(address);
+        if (!mempoolTxs.length && !chainTxs.length) return candidate.xpubIndex;
+        // A late payment: never reuse it; reconciliation or a rescan shows it
+        XpubIndexes.markUsed({
+          xpubIndex: candidate.xpubIndex,
+          address,
+          receivedSats: sumOutputsToAddress(chainTxs, address) + sumOutputsToAddress(mempoolTxs, address),
+          txid: findTxidPayingAddress(chainTxs, address) || findTxidPayingAddress(mempoolTxs, address)
+        });
+      } catch (e) {
+        // Chain source unavailable: keep it for later and take a fresh index
+        XpubIndexes.release(candidate);
+        console.warn("[xpub] recycled address check failed:", e?.message || e);
+        break;
+      }
+    }
+  }
+  const index = await allocateNextXpubIndex();
+  const gap = xpubGapStatus();
+  if (gap.warning) {
+    console.warn(`[xpub] ${gap.trailingUnused} unused addresses in a row (wallet gap limit ${XPUB_GAP_LIMIT}); see Admin → On-chain addresses`);
+  }
+  return index;
+}
 
 export async function createOnchainPayment({ orderId, amountSats, memo }) {
   if (!orderId) throw new Error("orderId is required for XPUB payments");
@@ -185,9 +319,9 @@ export async function createOnchainPayment({ orderId, amountSats, memo }) {
     throw new Error(`Amount below ONCHAIN_MIN_SATS (${MIN_SATS})`);
   }
 
-  const index = await allocateNextXpubIndex();
+  const index = await allocateIndex();
   const address = deriveAddress(index);
-  const bip21 = buildBip21(address, sats, memo || `Order ${orderId}`);
+  const bip21 = buildBip21(address, sats, memo || `Order ${orderId}`, payjoin.payjoinEndpoint(orderId));
 
   const expiresAt = new Date(Date.now() + EXPIRES_MS).toISOString();
   const onchainId = orderId;
@@ -205,10 +339,18 @@ export async function createOnchainPayment({ orderId, amountSats, memo }) {
   };
 }
 
+/**
+ * Sats an XPUB payment may differ from the expected amount and still count as
+ * exact: the larger of ONCHAIN_AMOUNT_TOLERANCE_PCT and _SATS. Less than that
+ * is a partial payment; more is flagged as an overpayment.
+ */
+export function amountTolerance(expectedSats) {
+  return Math.max(Math.floor((expectedSats * AMOUNT_TOLERANCE_PCT) / 100), AMOUNT_TOLERANCE_SATS);
+}
+
 function meetsAmount(expectedSats, receivedSats) {
   if (!expectedSats) return receivedSats > 0;
-  const min = Math.floor(expectedSats * (1 - AMOUNT_TOLERANCE_PCT / 100));
-  return receivedSats >= min;
+  return receivedSats >= expectedSats - amountTolerance(expectedSats);
 }
 
 export async function getOnchainStatus(paymentRow) {
@@ -223,23 +365,55 @@ export async function getOnchainStatus(paymentRow) {
 
   try {
     const { mempoolTxs, chainTxs } = await fetchAddressTxs(address);
-    const mempoolReceived = sumOutputsToAddress(mempoolTxs, address);
-    const confirmedReceived = sumOutputsToAddress(chainTxs, address);
+    const required = requiredConfirmations(expected);
+    // Without the tip every confirmed payment counts once: never more than it has
+    let tipHeight = 0;
+    if (chainTxs.length) {
+      try {
+        tipHeight = await fetchTipHeight();
+      } catch (e) {
+        console.warn("[xpub] chain tip unavailable:", e?.message || e);
+      }
+    }
+    let mempoolReceived = sumOutputsToAddress(mempoolTxs, address);
+    let confirmedReceived = sumOutputsToAddress(chainTxs, address);
     const txidConfirmed = findTxidPayingAddress(chainTxs, address);
     const txidMempool = findTxidPayingAddress(mempoolTxs, address);
     const txid = txidConfirmed || txidMempool || paymentRow?.onchainTxid || "";
-
-    const hasConfirmed = meetsAmount(expected, confirmedReceived);
-    const hasMempool = meetsAmount(expected, mempoolReceived + confirmedReceived);
-
+    const live = listPaymentsToAddress({ mempoolTxs, chainTxs }, address, tipHeight);
+    const joined = await settlePayjoin(orderId, live);
+    if (joined?.confirmed) confirmedReceived -= joined.contributedSats;
+    else if (joined) mempoolReceived -= joined.contributedSats;
+    const dropped = droppedPayments(paymentRow?.onchainPayments, live);
+    const payments = [...live, ...dropped];
+    const received = mempoolReceived + confirmedReceived;
+
+    // A replaceable or replaced payment is never accepted from the mempool
+    const rbf = live.some((p) => p.rbf);
+    const doubleSpend = dropped.length > 0;
+    const needed = required === 0 && (rbf || doubleSpend) ? 1 : required;
+    const settledSats = live
+      .filter((p) => p.confirmations >= needed)
+      .reduce((sum, p) => sum + p.amountSats, 0);
+    const confirmations = live.length ? Math.min(...live.map((p) => p.confirmations)) : 0;
+
+    const hasConfirmed = meetsAmount(expected, settledSats);
+    const hasMempool = meetsAmount(expected, received);
+
+    // A partial payment never expires: the buyer can still top up, and the
+    // order stays visible to the admin until it is settled or refunded.
     let status = "UNPAID";
     if (hasConfirmed) status = "CONFIRMED";
     else if (hasMempool) status = "MEMPOOL";
+    else if (received > 0) status = "PARTIAL";
     else if (expired) status = "EXPIRED";
 
+    const remaining = status === "PARTIAL" ? expected - received : 0;
+    const overpaid = expected && received > expected + amountTolerance(expected) ? received - expected : 0;
+
     if (DEBUG_XPUB) {
       console.info(
-        `[xpub] addr=${address} expected=${expected} mem=${mempoolReceived} conf=${confirmedReceived} -> ${status}`
+        `[xpub] addr=${address} expected=${expected} mem=${mempoolReceived} conf=${confirmedReceived} confs=${confirmations}/${needed} -> ${status}`
       );
     }
 
@@ -247,7 +421,9 @@ export async function getOnchainStatus(paymentRow) {
       await Orders.updateOnchainStatus(orderId, status, {
         mempoolReceived,
         confirmedReceived,
-        txid
+        txid,
+        payments,
+        overpaidSats: overpaid
       });
     }
 
@@ -258,7 +434,16 @@ export async function getOnchainStatus(paymentRow) {
       onchainAmountSats: expected,
       onchainTxid: txid,
       onchainMempoolSats: mempoolReceived,
-      onchainConfirmedSats: confirmedReceived
+      onchainConfirmedSats: confirmedReceived,
+      onchainReceivedSats: received,
+      onchainRemainingSats: remaining,
+      onchainTopUpBip21: remaining ? buildBip21(address, remaining, `Order ${orderId} top-up`) : "",
+      onchainOverpaidSats: overpaid,
+      onchainConfirmations: confirmations,
+      onchainRequiredConfirmations: needed,
+      onchainRbf: rbf,
+      onchainDoubleSpend: doubleSpend,
+      onchainPayments: payments
     };
   } catch (err) {
     console.error("[xpub] getOnchainStatus error", err?.message || err);
@@ -270,3 +455,266 @@ export async function getOnchainStatus(paymentRow) {
     };
   }
 }
+
+// Node replies meaning the original's inputs are spent (or it is already out)
+const INPUTS_GONE_RE = /missingorspent|missing-inputs|mempool-conflict|txn-already-(in-mempool|known)|already in block ?chain/i;
+
+// Follow a PayJoin proposal for the order: in the PayJoin, the shop's own coin
+// is taken off that payment; if neither it nor the original has shown up in
+// time, the original is broadcast as BIP78 asks. Returns the PayJoin payment's
+// { confirmed, contributedSats } once seen.
+async function settlePayjoin(orderId, payments) {
+  const proposal = orderId ? PayjoinProposals.byOrder(orderId) : null;
+  if (!proposal) return null;
+  const joined = payments.find((p) => p.txid === proposal.payjoinTxid);
+  if (joined) {
+    joined.amountSats = Math.max(0, joined.amountSats - proposal.contributedSats);
+    joined.payjoin = true;
+    if (proposal.state !== "PAYJOIN") PayjoinProposals.setState(orderId, "PAYJOIN");
+    return { confirmed: joined.confirmed, contributedSats: proposal.contributedSats };
+  }
+  if (payments.some((p) => p.txid === proposal.originalTxid)) {
+    if (proposal.state === "PROPOSED" || proposal.state === "FALLBACK") PayjoinProposals.setState(orderId, "ORIGINAL");
+    return null;
+  }
+  if (proposal.state === "PROPOSED" && Date.now() - proposal.createdAt >= payjoin.PAYJOIN_FALLBACK_MS) {
+    // Done once it is out, or once the buyer's coins went elsewhere; any other
+    // failure is retried on the next check
+    try {
+      await broadcastTransaction(proposal.originalHex);
+      PayjoinProposals.setState(orderId, "FALLBACK");
+      console.info(`[payjoin] order ${orderId}: broadcast the original transaction ${proposal.originalTxid}`);
+    } catch (e) {
+      const message = String(e?.message || e);
+      if (INPUTS_GONE_RE.test(message)) PayjoinProposals.setState(orderId, "FALLBACK");
+      console.warn(`[payjoin] order ${orderId}: broadcasting the original transaction failed:`, message);
+    }
+  }
+  return null;
+}
+
+// Every outpoint the original spends must exist with the value its PSBT
+// claims and be unspent, mempool included
+async function checkUnspent(spends) {
+  const byAddress = new Map();
+  for (const spend of spends) byAddress.set(spend.address, [...(byAddress.get(spend.address) || []), spend]);
+  for (const [address, wanted] of byAddress) {
+    let utxos;
+    try {
+      utxos = await fetchAddressUtxos(address);
+    } catch (e) {
+      console.warn("[payjoin] input lookup failed:", e?.message || e);
+      throw new payjoin.PayjoinError("unavailable", "The original transaction's inputs cannot be checked right now");
+    }
+    const unspent = new Map((Array.isArray(utxos) ? utxos : []).map((u) => [`${u.txid}:${u.vout}`, Number(u.value)]));
+    for (const spend of wanted) {
+      if (unspent.get(`${spend.txid}:${spend.vout}`) !== spend.value) {
+        throw new payjoin.PayjoinError("original-psbt-rejected", `Input ${spend.txid}:${spend.vout} is spent or does not exist`);
+      }
+    }
+  }
+}
+
+/**
+ * BIP78 receiver: answer the original PSBT a buyer's wallet posted for an
+ * order with a PayJoin proposal (base64) that adds one hot wallet coin.
+ * Throws PayjoinError with the BIP78 error code.
+ */
+export async function receivePayjoin(order, originalPsbt, params = {}) {
+  if (!payjoin.PAYJOIN_ENABLED) throw new payjoin.PayjoinError("unavailable", "PayJoin is not enabled");
+  if (params.v !== undefined && String(params.v) !== "1") {
+    throw new payjoin.PayjoinError("version-unsupported", "This receiver supports PayJoin version 1 only");
+  }
+  const expiresAt = order?.onchainExpiresAt ? Date.parse(order.onchainExpiresAt) : null;
+  if (
+    !order?.onchainAddress ||
+    order.onchainProvider !== "xpub" ||
+    order.status !== "PENDING" ||
+    (expiresAt && Date.now() > expiresAt)
+  ) {
+    throw new payjoin.PayjoinError("unavailable", "This order cannot be paid with PayJoin");
+  }
+  if (PayjoinProposals.byOrder(order.id) || order.onchainPayments?.length) {
+    throw new payjoin.PayjoinError("original-psbt-rejected", "This order already received a payment");
+  }
+
+  const { network } = resolveConfig();
+  const wallet = payjoin.hotWallet(network);
+  const expected = Math.max(0, Math.floor(Number(order.onchainAmountSats || 0)));
+  const original = payjoin.checkOriginal({
+    originalPsbt,
+    paymentAddress: order.onchainAddress,
+    minSats: expected - amountTolerance(expected),
+    wallet,
+    network
+  });
+  // Only a transaction that could be broadcast as it is gets to see a shop coin
+  await checkUnspent(original.spends);
+
+  let utxos;
+  try {
+    utxos = await fetchAddressUtxos(wallet.address);
+  } catch (e) {
+    console.warn("[payjoin] hot wallet lookup failed:", e?.message || e);
+    throw new payjoin.PayjoinError("unavailable", "The shop's wallet is unavailable");
+  }
+  const locked = PayjoinProposals.lockedOutpoints(Date.now() - PAYJOIN_LOCK_MS);
+  const candidates = (Array.isArray(utxos) ? utxos : [])
+    .filter((u) => u?.status?.confirmed && !locked.has(`${u.txid}:${u.vout}`));
+  if (!candidates.length) throw new payjoin.PayjoinError("unavailable", "The shop has no coins to PayJoin with");
+  const hotUtxo = candidates[crypto.randomInt(candidates.length)];
+
+  const proposal = payjoin.buildProposal({
+    original,
+    hotUtxo,
+    wallet,
+    network,
+    params
+  });
+  PayjoinProposals.create({
+    orderId: order.id,
+    originalTxid: proposal.originalTxid,
+    originalHex: proposal.originalHex,
+    payjoinTxid: proposal.payjoinTxid,
+    hotOutpoint: `${hotUtxo.txid}:${hotUtxo.vout}`,
+    contributedSats: proposal.contributedSats
+  });
+  return proposal.psbt;
+}
+
+/**
+ * With an Electrum server, call onChange whenever the address sees a new
+ * transaction or confirmation. Returns an unsubscribe function, or null when
+ * the chain source can only be polled.
+ */
+export function watchOnchainAddress(address, onChange) {
+  if (!electrum.ELECTRUM_ENABLED || !address) return null;
+  const { network } = resolveConfig();
+  return electrum.subscribeAddress(address, network, onChange);
+}
+
+/**
+ * How the handed-out addresses look to a wallet scanning with XPUB_GAP_LIMIT.
+ * `trailingUnused` is the run of unpaid addresses after the last paid one:
+ * once it reaches the gap limit the wallet stops looking, so new payments
+ * only show up after raising the wallet's gap limit. `longestGap` is the
+ * longest such run before a paid address; if it is at or over the limit,
+ * payments already received are hidden from the wallet.
+ */
+export function xpubGapStatus() {
+  const nextIndex = xpubIndexCount();
+  const used = XpubIndexes.usedIndexes();
+  let run = 0;
+  let longestGap = 0;
+  let lastUsedIndex = -1;
+  for (let index = 0; index < nextIndex; index += 1) {
+    if (used.has(index)) {
+      longestGap = Math.max(longestGap, run);
+      run = 0;
+      lastUsedIndex = index;
+    } else {
+      run += 1;
+    }
+  }
+  return {
+    gapLimit: XPUB_GAP_LIMIT,
+    nextIndex,
+    lastUsedIndex,
+    trailingUnused: run,
+    longestGap,
+    recycled: XpubIndexes.recycled().length,
+    recycleAfterHours: RECYCLE_AFTER_MS / (60 * 60 * 1000),
+    warning: run >= Math.ceil(XPUB_GAP_LIMIT * 0.8),
+    hiddenPayments: longestGap >= XPUB_GAP_LIMIT
+  };
+}
+
+/**
+ * What the shop derives addresses from, and receive addresses start..start+count
+ * for comparing with the wallet. `state` is paid, assigned (handed out, nothing
+ * received yet), recycled (waiting to be handed out again) or unused.
+ */
+export function previewAddresses({ start = 0, count = 20 } = {}) {
+  const { addressType, networkName, descriptor, normalizedXpub } = resolveConfig();
+  const from = Math.max(0, Math.floor(Number(start) || 0));
+  const n = Math.min(200, Math.max(1, Math.floor(Number(count) || 20)));
+  const handedOut = xpubIndexCount();
+  const paid = XpubIndexes.usedIndexes();
+  const recycled = new Set(XpubIndexes.recycled().map((r) => r.xpubIndex));
+  const addresses = [];
+  for (let index = from; index < from + n; index += 1) {
+    const state = paid.has(index) ? "paid" : recycled.has(index) ? "recycled" : index < handedOut ? "assigned" : "unused";
+    addresses.push({ index, address: deriveAddress(index), used: index < handedOut, state });
+  }
+  return {
+    source: descriptor ? "descriptor" : "xpub",
+    descriptor: descriptor?.descriptor || "",
+    xpub: descriptor ? "" : normalizedXpub,
+    addressType,
+    threshold: descriptor?.threshold || 1,
+    keyCount: descriptor?.keyCount || 1,
+    network: networkName,
+    derivationPath: descriptor ? "" : "0/i",
+    nextIndex: handedOut,
+    gap: xpubGapStatus(),
+    addresses
+  };
+}
+
+/**
+ * Money received on every address handed out so far, one entry per address,
+ * for reconciliation. Addresses are checked one by one to stay under the
+ * Esplora rate limits; unconfirmed receipts are included.
+ * Returns: [{ address, xpubIndex, amountSats, confirmedSats, txid, settledAt }]
+ */
+export async function listAddressReceipts({ since = 0 } = {}) {
+  const out = [];
+  const count = xpubIndexCount();
+  for (let index = 0; index < count; index += 1) {
+    const receipt = await addressReceipt(index);
+    if (receipt && receipt.settledAt >= since) out.push(receipt);
+  }
+  return out;
+}
+
+/**
+ * Check indexes from..to (default: every address handed out) for money,
+ * however old, and remember the ones that received any so the gap status
+ * counts them. Finds late payments to orders that expired or were pruned.
+ * Returns { from, to, scanned, receipts } with receipts as listAddressReceipts.
+ */
+export async function rescanAddresses({ from = 0, to } = {}) {
+  const start = Math.max(0, Math.floor(Number(from) || 0));
+  const last = to === undefined || to === null || to === ""
+    ? xpubIndexCount() - 1
+    : Math.floor(Number(to));
+  if (!Number.isFinite(last) || last < start) return { from: start, to: start - 1, scanned: 0, receipts: [] };
+  if (last - start + 1 > RESCAN_MAX) throw new Error(`Rescan at most ${RESCAN_MAX} addresses at a time`);
+  const receipts = [];
+  for (let index = start; index <= last; index += 1) {
+    const receipt = await addressReceipt(index);
+    if (receipt) receipts.push(receipt);
+  }
+  return { from: start, to: last, scanned: last - start + 1, receipts };
+}
+
+async function addressReceipt(index) {
+  const address = deriveAddress(index);
+  const { mempoolTxs, chainTxs } = await fetchAddressTxs(address);
+  // PayJoins also carry the shop's own coin, which the buyer did not pay
+  const joinedSats = (txs) => PayjoinProposals.contributedIn(txs.map((tx) => tx.txid));
+  const confirmedSats = sumOutputsToAddress(chainTxs, address) - joinedSats(chainTxs);
+  const amountSats = confirmedSats + sumOutputsToAddress(mempoolTxs, address) - joinedSats(mempoolTxs);
+  if (!amountSats) return null;
+  const txid = findTxidPayingAddress(chainTxs, address) || findTxidPayingAddress(mempoolTxs, address);
+  XpubIndexes.markUsed({ xpubIndex: index, address, receivedSats: amountSats, txid });
+  const times = chainTxs.map((tx) => Number(tx?.status?.block_time || 0) * 1000);
+  return {
+    address,
+    xpubIndex: index,
+    amountSats,
+    confirmedSats,
+    txid,
+    settledAt: mempoolTxs.length ? Date.now() : Math.max(0, ...times)
+  };
+}
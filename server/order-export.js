@@ -0,0 +1,171 @@
+// server/order-export.js
+// Orders export for accounting: filters plus CSV/JSON serializers. One row per
+// order, or one row per line item with shipping/discount rows so each order's
+// rows add up to its total.
+import { satsToFiat } from "./fiat.js";
+
+export const EXPORT_FORMATS = ["csv", "json", "lines"];
+
+function listParam(raw) {
+  const values = Array.isArray(raw) ? raw : String(raw || "").split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date-only `to` (2026-10-19) means through the end of that UTC day
+function timeParam(raw, { endOfDay = false } = {}) {
+  if (raw === undefined || raw === null || raw === "") return 0;
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n;
+  const ms = Date.parse(String(raw));
+  if (!Number.isFinite(ms)) throw new Error(`Invalid date: ${raw}`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(raw).trim()) ? ms + DAY_MS - 1 : ms;
+}
+
+/** Parse ?from&to (ms or ISO dates), ?status, ?paymentMethod, ?onchainProvider (comma lists). */
+export function parseExportFilters(query = {}) {
+  return {
+    from: timeParam(query.from),
+    to: timeParam(query.to, { endOfDay: true }),
+    statuses: listParam(query.status).map((s) => s.toUpperCase()),
+    paymentMethods: listParam(query.paymentMethod).map((s) => s.toLowerCase()),
+    onchainProviders: listParam(query.onchainProvider).map((s) => s.toLowerCase())
+  };
+}
+
+export function filterOrders(orders, filters = {}) {
+  const { from = 0, to = 0, statuses = [], paymentMethods = [], onchainProviders = [] } = filters;
+  return orders.filter((o) => {
+    const at = Number(o.createdAt || 0);
+    if (from && at < from) return false;
+    if (to && at > to) return false;
+    if (statuses.length && !statuses.includes(String(o.status || "").toUpperCase())) return false;
+    if (paymentMethods.length && !paymentMethods.includes(String(o.paymentMethod || "").toLowerCase())) return false;
+    if (onchainProviders.length && !onchainProviders.includes(String(o.onchainProvider || "").toLowerCase())) return false;
+    return true;
+  });
+}
+
+const iso = (ms) => (ms ? new Date(Number(ms)).toISOString() : "");
+
+function fiatValue(order, sats) {
+  const value = satsToFiat(sats, order.fiatRate);
+  return value === null ? "" : value.toFixed(2);
+}
+
+export function orderExportRow(o) {
+  return {
+    id: o.id,
+    createdAt: iso(o.createdAt),
+    paidAt: iso(o.paidAt),
+    status: o.status,
+    paymentMethod: o.paymentMethod,
+    onchainProvider: o.onchainProvider,
+    name: [o.name, o.surname].filter(Boolean).join(" "),
+    country: o.country || "",
+    email: o.contactEmail || "",
+    discountCode: o.discountCode,
+    subtotalSats: Number(o.subtotalSats || 0),
+    discountSats: Number(o.discountSats || 0),
+    shippingSats: Number(o.shippingSats || 0),
+    totalSats: Number(o.totalSats || 0),
+    refundSats: Number(o.refundSats || 0),
+    fiatCurrency: o.fiatCurrency,
+    fiatRate: o.fiatRate || "",
+    fiatTotal: fiatValue(o, o.totalSats),
+    paymentHash: o.paymentHash || "",
+    onchainTxid: o.onchainTxid || "",
+    // XPUB orders can be paid by several transactions; replaced ones paid nothing
+    onchainTxids: (o.onchainPayments || []).filter((p) => !p.dropped).map((p) => p.txid).join(" "),
+    onchainOverpaidSats: Number(o.onchainOverpaidSats || 0)
+  };
+}
+
+function lineRow(o, fields) {
+  return {
+    orderId: o.id,
+    createdAt: iso(o.createdAt),
+    paidAt: iso(o.paidAt),
+    status: o.status,
+    paymentMethod: o.paymentMethod,
+    type: "item",
+    productId: "",
+    title: "",
+    variantLabel: "",
+    qty: "",
+    unitPriceSats: "",
+    ...fields,
+    fiatCurrency: o.fiatCurrency,
+    fiatAmount: fiatValue(o, fields.amountSats)
+  };
+}
+
+export function lineItemExportRows(orders) {
+  const rows = [];
+  let totalSats = 0;
+  for (const o of orders) {
+    for (const it of o.items || []) {
+      const qty = Math.max(1, Number(it.qty) || 1);
+      const unit = Number(it.priceSats || 0);
+      rows.push(lineRow(o, {
+        productId: it.productId || "",
+        title: it.title || "",
+        variantLabel: it.variantLabel || "",
+        qty,
+        unitPriceSats: unit,
+        amountSats: unit * qty
+      }));
+    }
+    if (Number(o.discountSats)) {
+      rows.push(lineRow(o, { type: "discount", title: o.discountCode || "Discount", amountSats: -Number(o.discountSats) }));
+    }
+    if (Number(o.shippingSats)) {
+      rows.push(lineRow(o, { type: "shipping", title: "Shipping", amountSats: Number(o.shippingSats) }));
+    }
+    totalSats += Number(o.totalSats || 0);
+  }
+  rows.push({ orderId: "TOTAL", type: "total", amountSats: totalSats });
+  return rows;
+}
+
+// Quote every cell and defuse spreadsheet formulas in text cells
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function toCsv(rows, columns) {
+  const cols = columns || Object.keys(rows[0] || {});
+  const lines = [cols.map(csvCell).join(",")];
+  for (const row of rows) lines.push(cols.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export const LINE_COLUMNS = [
+  "orderId", "createdAt", "paidAt", "status", "paymentMethod", "type",
+  "productId", "title", "variantLabel", "qty", "unitPriceSats", "amountSats",
+  "fiatCurrency", "fiatAmount"
+];
+
+/** Returns { contentType, extension, body } for `format` (csv | json | lines). */
+export function exportOrders(orders, format = "csv") {
+  const kind = String(format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(kind)) throw new Error(`Unknown export format: ${format}`);
+  if (kind === "json") {
+    const body = orders.map((o) => ({
+      ...orderExportRow(o),
+      items: (o.items || []).map(({ productId, title, variantLabel, qty, priceSats }) => ({
+        productId, title, variantLabel: variantLabel || "", qty, priceSats
+      }))
+    }));
+    return { contentType: "application/json", extension: "json", body: JSON.stringify(body, null, 2) };
+  }
+  const body = kind === "lines"
+    ? toCsv(lineItemExportRows(orders), LINE_COLUMNS)
+    : toCsv(orders.map(orderExportRow), Object.keys(orderExportRow({})));
+  return { contentType: "text/csv; charset=utf-8", extension: "csv", body };
+}
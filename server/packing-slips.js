@@ -0,0 +1,244 @@
+// server/packing-slips.js
+// Printable packing slips for the packer. Everything is rendered locally:
+// HTML for the browser print dialog and PDF via pdfkit, one slip per page,
+// on A4 sheets or 4x6" labels.
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import sharp from "sharp";
+import { Products, ProductImages, Settings } from "./db.js";
+import { COUNTRIES } from "./countries.js";
+
+export const SLIP_LAYOUTS = {
+  a4: { cssSize: "A4", cssMargin: "12mm", pdfSize: "A4", pdfMargin: 36, thumb: 56 },
+  "4x6": { cssSize: "4in 6in", cssMargin: "0.2in", pdfSize: [288, 432], pdfMargin: 14, thumb: 28 }
+};
+
+export function normalizeLayout(raw) {
+  const value = String(raw || "").toLowerCase();
+  return SLIP_LAYOUTS[value] ? value : "a4";
+}
+
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function countryName(code) {
+  const upper = String(code || "").toUpperCase();
+  return COUNTRIES.find((c) => c.code === upper)?.name || upper;
+}
+
+function addressLines(order) {
+  return [
+    [order.name, order.surname].filter(Boolean).join(" "),
+    order.address,
+    [order.postalCode, order.city, order.province].filter(Boolean).join(" "),
+    countryName(order.country),
+    order.contactPhone ? `Tel. ${order.contactPhone}` : ""
+  ].map((line) => String(line || "").trim()).filter(Boolean);
+}
+
+function thumbIndex(productId) {
+  const product = productId ? Products.get(productId, { includeImages: false }) : null;
+  const count = Number(product?.imageCount || 0);
+  if (!count) return null;
+  const idx = Number.isInteger(product.mainImageIndex) ? product.mainImageIndex : 0;
+  return Math.min(Math.max(0, idx), count - 1);
+}
+
+function slipLines(order) {
+  return (order.items || []).map((it) => {
+    const idx = thumbIndex(it.productId);
+    return {
+      productId: it.productId || "",
+      title: String(it.title || it.productId || ""),
+      variantLabel: String(it.variantLabel || ""),
+      qty: Math.max(1, Number(it.qty) || 1),
+      thumbIndex: idx,
+      thumbUrl: idx === null ? "" : `/api/products/${encodeURIComponent(it.productId)}/thumb/${idx}`
+    };
+  });
+}
+
+function storeHeader() {
+  const s = Settings.getAll();
+  return {
+    storeName: s.storeName || "",
+    logo: s.logoLight || s.logo || s.logoDark || ""
+  };
+}
+
+/**
+ * Collect what a slip prints for each order: address lines, item lines with
+ * the product thumbnail URL, notes and the order id as an SVG QR code.
+ */
+export async function buildPackingSlips(orders = []) {
+  const slips = [];
+  for (const order of orders) {
+    slips.push({
+      id: order.id,
+      createdAt: Number(order.createdAt || 0),
+      status: order.status,
+      address: addressLines(order),
+      email: order.contactEmail || "",
+      notes: String(order.notes || "").trim(),
+      lines: slipLines(order),
+      qrSvg: await QRCode.toString(String(order.id), { type: "svg", margin: 0, errorCorrectionLevel: "M" })
+    });
+  }
+  return slips;
+}
+
+function slipHtml(slip, header) {
+  const logo = header.logo
+    ? `<img class="logo" src="${esc(header.logo)}" alt="">`
+    : "";
+  const store = header.storeName ? `<div class="store">${esc(header.storeName)}</div>` : "";
+  const items = slip.lines.map((line) => `
+        <tr>
+          <td class="thumb">${line.thumbUrl ? `<img src="${esc(line.thumbUrl)}" alt="">` : ""}</td>
+          <td>${esc(line.title)}${line.variantLabel ? ` <span class="muted">(${esc(line.variantLabel)})</span>` : ""}</td>
+          <td class="qty">× ${line.qty}</td>
+        </tr>`).join("");
+  return `
+  <section class="slip">
+    <header>
+      <div class="brand">${logo}${store}</div>
+      <div class="qr">${slip.qrSvg}</div>
+    </header>
+    <div class="order">Order <strong>${esc(slip.id)}</strong>${slip.createdAt ? ` · ${esc(new Date(slip.createdAt).toISOString().slice(0, 10))}` : ""}</div>
+    <div class="address">${slip.address.map(esc).join("<br>")}</div>
+    <table class="items">${items}
+    </table>
+    ${slip.notes ? `<div class="notes"><div class="muted">Notes</div>${esc(slip.notes)}</div>` : ""}
+  </section>`;
+}
+
+export function renderPackingSlipsHtml(slips, { layout = "a4" } = {}) {
+  const key = normalizeLayout(layout);
+  const spec = SLIP_LAYOUTS[key];
+  const header = storeHeader();
+  const small = key === "4x6";
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Packing slips</title>
+<style>
+  @page { size: ${spec.cssSize}; margin: ${spec.cssMargin}; }
+  body { margin: 0; font-family: Helvetica, Arial, sans-serif; font-size: ${small ? "10px" : "13px"}; color: #000; }
+  .slip { page-break-after: always; break-after: page; }
+  .slip:last-child { page-break-after: auto; break-after: auto; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; gap: 8px; }
+  .brand { display: flex; align-items: center; gap: 8px; }
+  .logo { max-height: ${small ? "32px" : "56px"}; max-width: 50%; }
+  .store { font-weight: bold; font-size: ${small ? "12px" : "18px"}; }
+  .qr svg { width: ${small ? "64px" : "96px"}; height: ${small ? "64px" : "96px"}; }
+  .order { margin: 8px 0; }
+  .address { font-size: ${small ? "13px" : "16px"}; line-height: 1.35; border: 1px solid #000; padding: 8px; margin-bottom: 10px; }
+  .items { width: 100%; border-collapse: collapse; }
+  .items td { border-top: 1px solid #ccc; padding: 4px; vertical-align: middle; }
+  .thumb { width: ${spec.thumb}px; }
+  .thumb img { width: ${spec.thumb}px; height: ${spec.thumb}px; object-fit: contain; }
+  .qty { text-align: right; white-space: nowrap; font-weight: bold; }
+  .notes { margin-top: 10px; white-space: pre-wrap; }
+  .muted { color: #555; }
+</style>
+</head>
+<body>${slips.map((slip) => slipHtml(slip, header)).join("")}
+</body>
+</html>`;
+}
+
+async function pngFromDataUrl(dataUrl, side) {
+  const match = /^data:[^;]+;base64,(.+)$/i.exec(String(dataUrl || ""));
+  if (!match) return null;
+  try {
+    return await sharp(Buffer.from(match[1], "base64"))
+      .resize({ width: side, height: side, fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch {
+    return null;
+  }
+}
+
+function thumbPng(line) {
+  if (line.thumbIndex === null) return null;
+  const record = ProductImages.getRecord(line.productId, line.thumbIndex);
+  return record ? pngFromDataUrl(record.data, 160) : null;
+}
+
+/**
+ * Render the slips to a PDF buffer. Thumbnails come straight from the
+ * product images table; logos are only embedded when stored as data URLs,
+ * so no request leaves the server.
+ */
+export async function renderPackingSlipsPdf(slips, { layout = "a4" } = {}) {
+  const key = normalizeLayout(layout);
+  const spec = SLIP_LAYOUTS[key];
+  const small = key === "4x6";
+  const header = storeHeader();
+  const logo = await pngFromDataUrl(header.logo, 400);
+
+  const doc = new PDFDocument({ size: spec.pdfSize, margin: spec.pdfMargin, autoFirstPage: false, info: { Title: "Packing slips" } });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const qrSide = small ? 64 : 96;
+  for (const slip of slips) {
+    doc.addPage();
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+    let y = doc.page.margins.top;
+
+    const qr = await QRCode.toBuffer(String(slip.id), { type: "png", margin: 0, width: qrSide * 2, errorCorrectionLevel: "M" });
+    doc.image(qr, right - qrSide, y, { width: qrSide, height: qrSide });
+    let x = left;
+    if (logo) {
+      const logoHeight = small ? 32 : 56;
+      doc.image(logo, x, y, { fit: [width / 2, logoHeight] });
+      y += logoHeight + 6;
+    }
+    if (header.storeName) {
+      doc.font("Helvetica-Bold").fontSize(small ? 12 : 18).text(header.storeName, x, y, { width: width - qrSide - 8 });
+      y = doc.y + 4;
+    }
+    y = Math.max(y, doc.page.margins.top + qrSide + 8);
+
+    doc.font("Helvetica").fontSize(small ? 9 : 11)
+      .text(`Order ${slip.id}${slip.createdAt ? ` · ${new Date(slip.createdAt).toISOString().slice(0, 10)}` : ""}`, left, y, { width });
+    y = doc.y + 6;
+
+    const addressTop = y;
+    doc.fontSize(small ? 12 : 15).text(slip.address.join("\n"), left + 6, addressTop + 6, { width: width - 12 });
+    y = doc.y + 6;
+    doc.rect(left, addressTop, width, y - addressTop).stroke();
+    y += 10;
+
+    doc.fontSize(small ? 9 : 11);
+    for (const line of slip.lines) {
+      const png = await thumbPng(line);
+      const rowTop = y;
+      if (png) doc.image(png, left, rowTop, { fit: [spec.thumb, spec.thumb] });
+      const textX = left + spec.thumb + 8;
+      const title = line.variantLabel ? `${line.title} (${line.variantLabel})` : line.title;
+      doc.font("Helvetica").text(title, textX, rowTop + 2, { width: width - spec.thumb - 56 });
+      const textBottom = doc.y;
+      doc.font("Helvetica-Bold").text(`× ${line.qty}`, right - 40, rowTop + 2, { width: 40, align: "right" });
+      y = Math.max(rowTop + spec.thumb, textBottom) + 6;
+      doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor("#cccccc").stroke().strokeColor("#000000");
+    }
+
+    if (slip.notes) {
+      doc.font("Helvetica-Bold").text("Notes", left, y + 4, { width });
+      doc.font("Helvetica").text(slip.notes, left, doc.y + 2, { width });
+    }
+  }
+  if (!slips.length) doc.addPage();
+  doc.end();
+  return done;
+}
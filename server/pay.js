@@ -5,7 +5,7 @@ import { Settings } from "./db.js";
 import { deriveRefundKey } from "./boltz.js";
 
 // Choose providers
-// - Lightning: "blink" (default) | "lnd" | "btcpay" | "nwc" | "lnurl"
+// - Lightning: "blink" (default) | "lnd" | "cln" | "phoenixd" | "btcpay" | "nwc" | "lnurl"
 // - On-chain: "boltz" (default) | "btcpay" | "xpub"
 export const LIGHTNING_PAYMENT_PROVIDER = String(
   process.env.LIGHTNING_PAYMENT_PROVIDER ||
@@ -20,12 +20,29 @@ export const ONCHAIN_PROVIDER = String(
 // Backward compat alias (used throughout codebase)
 export const PAYMENT_PROVIDER = LIGHTNING_PAYMENT_PROVIDER;
 
+// Failover: further Lightning backends tried in order when the primary cannot
+// create an invoice, e.g. LIGHTNING_FALLBACK_PROVIDERS=nwc,lnd
+const KNOWN_LIGHTNING_PROVIDERS = new Set(["blink", "lnd", "cln", "phoenixd", "btcpay", "nwc", "lnurl"]);
+export const LIGHTNING_PROVIDERS = [...new Set([
+  PAYMENT_PROVIDER,
+  ...String(process.env.LIGHTNING_FALLBACK_PROVIDERS || "")
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter((x) => KNOWN_LIGHTNING_PROVIDERS.has(x))
+])];
+
 // Blink driver (reuses your existing blink.js)
 import * as blink from "./blink.js";
 
 // LND driver
 import * as lnd from "./lnd.js";
 
+// Core Lightning driver (clnrest)
+import * as cln from "./cln.js";
+
+// phoenixd driver (HTTP API + websocket)
+import * as phoenixd from "./phoenixd.js";
+
 // NWC driver (NIP-47 via @getalby/sdk)
 import * as nwc from "./nwc.js";
 
@@ -40,6 +57,8 @@ import * as boltz from "./boltz.js";
 
 // On-chain XPUB provider (Esplora/mempool.space)
 import * as xpubOnchain from "./onchain/xpub.js";
+import { rawTxSignalsRbf, requiredConfirmations } from "./onchain/confirmations.js";
+import { lockupConfirmations } from "./onchain/boltz-refund.js";
 
 // Shared event bus for BTCPay webhook-driven updates
 const btcpayEmitter = new EventEmitter();
@@ -49,8 +68,102 @@ export function emitBtcpayStatus(invoiceId, status) {
   btcpayEmitter.emit(invoiceId, status);
 }
 
+// ---------------------------------------------------------------------
+// Provider health (failover bookkeeping)
+// A backend that fails to create an invoice sits out a cooldown that
+// doubles with each consecutive failure (30s → 5min).
+// ---------------------------------------------------------------------
+const PROVIDER_COOLDOWN_MS = 30 * 1000;
+const PROVIDER_COOLDOWN_MAX_MS = 5 * 60 * 1000;
+const healthByProvider = new Map();
+
+function healthOf(provider) {
+  if (!healthByProvider.has(provider)) {
+    healthByProvider.set(provider, { failures: 0, lastError: "", lastFailureAt: 0, downUntil: 0 });
+  }
+  return healthByProvider.get(provider);
+}
+
+function markProviderUp(provider) {
+  const h = healthOf(provider);
+  h.failures = 0;
+  h.downUntil = 0;
+}
+
+function markProviderDown(provider, err) {
+  const h = healthOf(provider);
+  h.failures += 1;
+  h.lastError = String(err?.message || err || "").slice(0, 300);
+  h.lastFailureAt = Date.now();
+  h.downUntil = h.lastFailureAt + Math.min(PROVIDER_COOLDOWN_MS * 2 ** (h.failures - 1), PROVIDER_COOLDOWN_MAX_MS);
+}
+
+function isProviderUp(provider) {
+  return healthOf(provider).downUntil <= Date.now();
+}
+
 /**
- * Ensure BTC wallet id (Blink needs it; LND returns a dummy).
+ * Health of every configured Lightning backend, primary first.
+ * Returns: [{ provider, primary, healthy, failures, lastError, lastFailureAt, downUntil }]
+ */
+export function lightningProviderHealth() {
+  return LIGHTNING_PROVIDERS.map((provider) => ({
+    provider,
+    primary: provider === PAYMENT_PROVIDER,
+    healthy: isProviderUp(provider),
+    ...healthOf(provider)
+  }));
+}
+
+// Connection settings for a backend, read from env
+function envConnection(provider) {
+  if (provider === "blink") {
+    return { url: process.env.BLINK_GRAPHQL_URL, apiKey: process.env.BLINK_API_KEY || "", walletId: undefined };
+  }
+  if (provider === "nwc") {
+    return {
+      url: process.env.NWC_URL || process.env.NWC_WALLET_CONNECT_URL || "",
+      relayUrls: String(process.env.NWC_RELAYS_CSV || process.env.NWC_RELAYS || "")
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean)
+    };
+  }
+  if (provider === "btcpay") {
+    return {
+      url: (process.env.BTCPAY_URL || "").replace(/\/+$/, ""),
+      apiKey: process.env.BTCPAY_API_KEY || "",
+      walletId: { storeId: process.env.BTCPAY_STORE_ID || "" }
+    };
+  }
+  return {};
+}
+
+/**
+ * Callers build connection args for the primary provider; any other backend
+ * (an order issued by a fallback) reads its own settings from env instead.
+ */
+function connectionArgs(provider, args = {}) {
+  if (provider === PAYMENT_PROVIDER) return args;
+  return { ...args, ...envConnection(provider) };
+}
+
+// Blink wallet id for invoices when the caller did not resolve one
+// (Blink as a fallback, or the primary when its API was down at checkout)
+let blinkWalletIdCache = "";
+async function blinkWalletId({ url, apiKey }) {
+  if (!blinkWalletIdCache) {
+    blinkWalletIdCache = await blink.ensureBtcWalletId({
+      url,
+      apiKey,
+      explicitWalletId: process.env.BLINK_BTC_WALLET_ID || undefined
+    });
+  }
+  return blinkWalletIdCache;
+}
+
+/**
+ * Ensure BTC wallet id (Blink needs it; LND, CLN and phoenixd return a dummy).
  */
 export async function ensureBtcWalletId(args = {}) {
   if (PAYMENT_PROVIDER === "blink") {
@@ -68,62 +181,174 @@ export async function ensureBtcWalletId(args = {}) {
     const { url, apiKey, explicitStoreId } = args;
     return btcpay.ensureBtcWalletId({ url, apiKey, explicitStoreId });
   }
+  if (PAYMENT_PROVIDER === "cln" || PAYMENT_PROVIDER === "phoenixd") return `${PAYMENT_PROVIDER}-btc`;
   return "lnd-btc";
 }
 
+// `descriptionHashOnly` is for LNURL-pay and zaps: the wallet checks that the
+// invoice's description hash is sha256 of the metadata (or zap request) it was
+// given, so the invoice commits to sha256(memo) instead of carrying the memo.
+// BTCPay store invoices and LNURL forwarding cannot do that.
+const DESCRIPTION_HASH_PROVIDERS = new Set(["blink", "lnd", "cln", "phoenixd", "nwc"]);
+
 /**
- * Create invoice in satoshis.
- * Returns: { paymentRequest, paymentHash, satoshis }
+ * Create invoice in satoshis, trying LIGHTNING_PROVIDERS in order (backends
+ * in cooldown are skipped unless all of them are). Pass `provider` to pin one.
+ * Returns: { paymentRequest, paymentHash, satoshis, lightningProvider }
  */
-export async function createInvoiceSats(args) {
-  if (PAYMENT_PROVIDER === "blink") {
-    const { url, apiKey, walletId, amount, memo, expiresIn } = args || {};
-    return blink.createInvoiceSats({ url, apiKey, walletId, amount, memo, expiresIn });
+export async function createInvoiceSats(args = {}) {
+  const usable = args.descriptionHashOnly
+    ? LIGHTNING_PROVIDERS.filter((p) => DESCRIPTION_HASH_PROVIDERS.has(p))
+    : LIGHTNING_PROVIDERS;
+  if (!usable.length) throw new Error("No configured Lightning backend can create description-hash invoices");
+  const healthy = usable.filter(isProviderUp);
+  const candidates = args.provider
+    ? [args.provider]
+    : (healthy.length ? healthy : usable);
+  let lastError;
+  for (const provider of candidates) {
+    try {
+      const invoice = await createInvoiceWith(provider, connectionArgs(provider, args));
+      markProviderUp(provider);
+      return { ...invoice, lightningProvider: provider };
+    } catch (e) {
+      markProviderDown(provider, e);
+      lastError = e;
+      if (candidates.length > 1) {
+        console.warn(`[Lightning] ${provider} could not create an invoice: ${e?.message || e}`);
+      }
+    }
   }
-  if (PAYMENT_PROVIDER === "lnurl") {
+  throw lastError;
+}
+
+async function createInvoiceWith(provider, args) {
+  if (provider === "blink") {
+    const { url, apiKey, amount, memo, expiresIn, descriptionHashOnly } = args || {};
+    const walletId = args?.walletId || await blinkWalletId({ url, apiKey });
+    return blink.createInvoiceSats({ url, apiKey, walletId, amount, memo, expiresIn, descriptionHashOnly });
+  }
+  if (provider === "lnurl") {
     const { amount, memo } = args || {};
     return lnurl.createInvoiceSats({ amount, memo });
   }
-  if (PAYMENT_PROVIDER === "nwc") {
-    const { url, relayUrls, amount, memo, expiresIn } = args || {};
-    return nwc.createInvoiceSats({ url, relayUrls, amount, memo, expiresIn });
+  if (provider === "nwc") {
+    const { url, relayUrls, amount, memo, expiresIn, descriptionHashOnly } = args || {};
+    return nwc.createInvoiceSats({ url, relayUrls, amount, memo, expiresIn, descriptionHashOnly });
   }
-  if (PAYMENT_PROVIDER === "btcpay") {
+  if (provider === "btcpay") {
     const { url, apiKey, walletId, amount, memo, expiresIn } = args || {};
     // walletId is actually {storeId,...} for BTCPay driver
     const storeId = walletId?.storeId || walletId;
     return btcpay.createInvoiceSats({ url, apiKey, storeId, amount, memo, expiresIn });
   }
+  if (provider === "cln") {
+    const { amount, memo, expiresIn, descriptionHashOnly } = args || {};
+    return cln.createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly });
+  }
+  if (provider === "phoenixd") {
+    const { amount, memo, expiresIn, descriptionHashOnly } = args || {};
+    return phoenixd.createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly });
+  }
   // LND
-  const { amount, memo, expiresIn } = args || {};
-  return lnd.createInvoiceSats({ amount, memo, expiresIn });
+  const { amount, memo, expiresIn, descriptionHashOnly } = args || {};
+  return lnd.createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly });
 }
 
 /**
  * Poll invoice status: "PENDING" | "PAID" | "EXPIRED"
+ * Pass `provider` for invoices issued by a fallback backend.
  */
-export async function invoiceStatus(args) {
-  if (PAYMENT_PROVIDER === "blink") {
+export async function invoiceStatus(args = {}) {
+  const provider = args.provider || PAYMENT_PROVIDER;
+  args = connectionArgs(provider, args);
+  if (provider === "blink") {
     const { url, apiKey, paymentHash } = args || {};
     return blink.invoiceStatus({ url, apiKey, paymentHash });
   }
-  if (PAYMENT_PROVIDER === "lnurl") {
+  if (provider === "lnurl") {
     const { paymentHash, verifyUrl, paymentRequest, expiresAt } = args || {};
     return lnurl.invoiceStatus({ paymentHash, verifyUrl, paymentRequest, expiresAt });
   }
-  if (PAYMENT_PROVIDER === "nwc") {
+  if (provider === "nwc") {
     const { url, relayUrls, paymentHash } = args || {};
     return nwc.invoiceStatus({ url, relayUrls, paymentHash });
   }
-  if (PAYMENT_PROVIDER === "btcpay") {
+  if (provider === "btcpay") {
     const { url, apiKey, paymentHash, walletId } = args || {};
     // In BTCPay we store invoiceId in paymentHash to avoid decoding BOLT11.
     return btcpay.invoiceStatus({ url, apiKey, storeId: walletId?.storeId || walletId, invoiceId: paymentHash });
   }
+  if (provider === "cln") {
+    const { paymentHash } = args || {};
+    return cln.invoiceStatus({ paymentHash });
+  }
+  if (provider === "phoenixd") {
+    const { paymentHash } = args || {};
+    return phoenixd.invoiceStatus({ paymentHash });
+  }
   const { paymentHash } = args || {};
   return lnd.invoiceStatus({ paymentHash });
 }
 
+/**
+ * Settled incoming Lightning payments since `since` (ms) on one backend, for
+ * reconciliation. Connection settings come from env. LNURL has no history.
+ * Returns: [{ paymentHash, amountSats, settledAt, memo, paymentRequest }]
+ */
+export async function listIncomingPayments({ provider = PAYMENT_PROVIDER, since = 0 } = {}) {
+  const { url, apiKey, walletId, relayUrls } = envConnection(provider);
+  if (provider === "blink") {
+    return blink.listIncomingPayments({ url, apiKey, walletId: await blinkWalletId({ url, apiKey }), since });
+  }
+  if (provider === "nwc") return nwc.listIncomingPayments({ url, relayUrls, since });
+  if (provider === "btcpay") return btcpay.listIncomingPayments({ url, apiKey, storeId: walletId?.storeId, since });
+  if (provider === "cln") return cln.listIncomingPayments({ since });
+  if (provider === "phoenixd") return phoenixd.listIncomingPayments({ since });
+  if (provider === "lnd") return lnd.listIncomingPayments({ since });
+  throw new Error(`The ${provider} provider has no payment history to reconcile against`);
+}
+
+/**
+ * Pay an outgoing BOLT11 invoice from the shop wallet (refunds). With
+ * `amountless` the invoice carries no amount and `amountSats` is sent.
+ * Returns: { status: "PAID" | "PENDING", preimage }
+ */
+export async function payInvoice(args = {}) {
+  const provider = args.provider || PAYMENT_PROVIDER;
+  args = connectionArgs(provider, args);
+  if (provider === "blink") {
+    const { url, apiKey, walletId, paymentRequest, amountSats, amountless, memo } = args || {};
+    return blink.payInvoice({
+      url,
+      apiKey,
+      walletId: walletId || await blinkWalletId({ url, apiKey }),
+      paymentRequest,
+      amountSats,
+      amountless,
+      memo
+    });
+  }
+  if (provider === "nwc") {
+    const { url, relayUrls, paymentRequest, amountSats, amountless } = args || {};
+    return nwc.payInvoice({ url, relayUrls, paymentRequest, amountSats, amountless });
+  }
+  if (provider === "lnd") {
+    const { paymentRequest, amountSats, amountless } = args || {};
+    return lnd.payInvoice({ paymentRequest, amountSats, amountless });
+  }
+  if (provider === "cln") {
+    const { paymentRequest, amountSats, amountless } = args || {};
+    return cln.payInvoice({ paymentRequest, amountSats, amountless });
+  }
+  if (provider === "phoenixd") {
+    const { paymentRequest, amountSats, amountless } = args || {};
+    return phoenixd.payInvoice({ paymentRequest, amountSats, amountless });
+  }
+  // LNURL is receive-only and BTCPay payouts are managed in BTCPay itself
+  throw new Error(`Lightning refunds are not supported with the ${provider} provider; pay the buyer from your wallet instead`);
+}
+
 // ---------------------------------------------------------------------
 // On-chain via Boltz (Submarine swap: BTC on-chain -> pay LN invoice)
 // ---------------------------------------------------------------------
@@ -166,7 +391,8 @@ export async function createOnchainSwapViaBoltz(args = {}) {
       storeId: args.walletId?.storeId || args.walletId,
       amount,
       memo,
-      expiresIn: args.expiresIn
+      expiresIn: args.expiresIn,
+      confirmations: requiredConfirmations(amount)
     });
     const onchainId = invoice.invoiceId || invoice.paymentHash || "";
     return {
@@ -184,35 +410,8 @@ export async function createOnchainSwapViaBoltz(args = {}) {
     };
   }
 
-  // Blink or LND: create standard LN invoice, then a Boltz swap
-  const invoice =
-    PAYMENT_PROVIDER === "blink"
-      ? await blink.createInvoiceSats({
-          url: args.url,
-          apiKey: args.apiKey,
-          walletId: args.walletId,
-          amount,
-          memo,
-          expiresIn: args.expiresIn
-        })
-      : PAYMENT_PROVIDER === "lnurl"
-        ? await lnurl.createInvoiceSats({
-            amount,
-            memo
-          })
-      : PAYMENT_PROVIDER === "nwc"
-        ? await nwc.createInvoiceSats({
-            url: args.url,
-            relayUrls: args.relayUrls,
-            amount,
-            memo,
-            expiresIn: args.expiresIn
-          })
-          : await lnd.createInvoiceSats({
-              amount,
-              memo,
-              expiresIn: args.expiresIn
-            });
+  // Any Lightning provider (with failover): create standard LN invoice, then a Boltz swap
+  const invoice = await createInvoiceSats({ ...args, amount, memo });
 
   // 2) Create Submarine swap at Boltz (deterministic refund key if rescue mnemonic is set)
   const rescueMnemonic = String(process.env.BOLTZ_RESCUE_MNEMONIC || "").trim();
@@ -259,7 +458,9 @@ export async function createOnchainSwapViaBoltz(args = {}) {
     boltzRefundPubKey: refundPublicKey || "",
     boltzRescueIndex: derivedIndex ?? rescueIndex,
     boltzRedeemScript: "",
-    boltzSwapTree: "",
+    // Kept so the admin can refund the buyer if the swap fails
+    boltzSwapTree: swapTree,
+    boltzClaimPubKey: String(swap?.claimPublicKey || ""),
     onchainAddress,
     onchainAmountSats,
     timeoutBlockHeight,
@@ -274,6 +475,22 @@ export async function boltzSwapStatus({ swapId }) {
   return { swap, mappedStatus, onchainAddress, onchainAmountSats, timeoutBlockHeight, redeemScript, swapTree };
 }
 
+/**
+ * On-chain receipts for reconciliation: one entry per xpub address that
+ * received money. Boltz swaps settle as Lightning invoices and BTCPay
+ * on-chain invoices are listed with its Lightning ones, so only xpub has
+ * anything of its own here.
+ */
+export async function listOnchainReceipts({ since = 0 } = {}) {
+  if (ONCHAIN_PROVIDER !== "xpub") return [];
+  return xpubOnchain.listAddressReceipts({ since });
+}
+
+export async function rescanOnchainAddresses({ from, to } = {}) {
+  if (ONCHAIN_PROVIDER !== "xpub") throw new Error("Rescanning needs the XPUB on-chain provider (ONCHAIN_PROVIDER=xpub)");
+  return xpubOnchain.rescanAddresses({ from, to });
+}
+
 export function subscribeBoltzSwapStatus({ swapId, onUpdate }) {
   return boltz.subscribeSwapStatus({ swapId, onUpdate });
 }
@@ -315,7 +532,8 @@ export async function createOnchainPaymentForOrder({
       storeId: walletId?.storeId || walletId,
       amount: sats,
       memo,
-      expiresIn
+      expiresIn,
+      confirmations: requiredConfirmations(sats)
     });
     const onchainId = invoice?.invoiceId || invoice?.paymentHash || `btcpay-${order.id}`;
     return {
@@ -371,11 +589,14 @@ export async function getOnchainStatus(paymentRow, { btcpayConfig } = {}) {
       if (st === "expired" || st === "invalid") return "EXPIRED";
       return "PENDING";
     })();
+    // BTCPay counts confirmations itself; its speed policy says how many it waits for
+    const required = btcpay.speedPolicyConfirmations(inv?.checkout?.speedPolicy);
     return {
       status: mapped,
       rawStatus: raw,
       onchainAddress: paymentRow.onchainAddress || paymentRow.boltzAddress || "",
-      onchainAmountSats: paymentRow.onchainAmountSats || paymentRow.boltzExpectedAmountSats || 0
+      onchainAmountSats: paymentRow.onchainAmountSats || paymentRow.boltzExpectedAmountSats || 0,
+      ...(required === null ? {} : { onchainRequiredConfirmations: required })
     };
   }
 
@@ -388,16 +609,51 @@ export async function getOnchainStatus(paymentRow, { btcpayConfig } = {}) {
     rawStatus: swap?.status || "",
     onchainAddress: onchainAddress || paymentRow.onchainAddress || "",
     onchainAmountSats: onchainAmountSats || paymentRow.onchainAmountSats || 0,
-    timeoutBlockHeight
+    timeoutBlockHeight,
+    // Last: may hold the status back until the lockup is deep enough
+    ...await boltzLockupProgress(swap, paymentRow)
   };
 }
 
 /**
- * Subscribe to a single invoice status updates.
+ * How far a Boltz lockup is from the confirmations ONCHAIN_CONFIRMATIONS asks
+ * for the order's amount. Boltz pays the invoice as soon as it accepts the
+ * lockup (usually one confirmation, sometimes none), so a paid swap whose
+ * lockup is not deep enough yet comes back with `status: "CONFIRMED"`, which
+ * keeps the order pending until a later check finds the confirmations.
+ */
+export async function boltzLockupProgress(swap, order) {
+  const raw = String(swap?.status || "");
+  const paid = boltz.mapBoltzStatus(raw) === "PAID";
+  if (raw !== "transaction.mempool" && raw !== "transaction.confirmed" && !paid) return {};
+  const required = requiredConfirmations(order?.onchainAmountSats || order?.boltzExpectedAmountSats || order?.totalSats);
+  // Boltz's status says whether the lockup confirmed, not how deep it is
+  let confirmations = raw === "transaction.mempool" ? 0 : raw === "transaction.confirmed" ? 1 : null;
+  if (confirmations === null ? required > 0 : confirmations > 0 && confirmations < required) {
+    try {
+      confirmations = await lockupConfirmations(order?.boltzAddress || order?.onchainAddress || swap?.address || "");
+    } catch (e) {
+      console.warn("[boltz] lockup confirmations unavailable:", e?.message || e);
+      confirmations = confirmations ?? 0;
+    }
+  }
+  confirmations = confirmations ?? 0;
+  return {
+    onchainConfirmations: confirmations,
+    onchainRequiredConfirmations: required,
+    onchainRbf: raw === "transaction.mempool" && rawTxSignalsRbf(swap?.transaction?.hex),
+    ...(paid && confirmations < required ? { status: "CONFIRMED" } : {})
+  };
+}
+
+/**
+ * Subscribe to a single invoice status updates on the backend that issued it
+ * (`provider`, defaults to the primary).
  * Returns an unsubscribe function.
  */
-export function subscribeInvoiceStatus({ paymentHash, onStatus, ...rest }) {
-  if (PAYMENT_PROVIDER === "blink") {
+export function subscribeInvoiceStatus({ paymentHash, onStatus, provider: pinned, ...rest }) {
+  const provider = pinned || PAYMENT_PROVIDER;
+  if (provider === "blink") {
     const BLINK_WS_URL = process.env.BLINK_WS_URL || "wss://ws.blink.sv/graphql";
     const BLINK_API_KEY = process.env.BLINK_API_KEY || "";
     const ws = new WebSocket(BLINK_WS_URL, "graphql-transport-ws");
@@ -447,7 +703,7 @@ export function subscribeInvoiceStatus({ paymentHash, onStatus, ...rest }) {
     return unsub;
   }
 
-  if (PAYMENT_PROVIDER === "lnurl") {
+  if (provider === "lnurl") {
     const { verifyUrl, paymentRequest, expiresAt } = rest || {};
     return lnurl.subscribeInvoiceStatus({
       paymentHash,
@@ -458,7 +714,7 @@ export function subscribeInvoiceStatus({ paymentHash, onStatus, ...rest }) {
     });
   }
 
-  if (PAYMENT_PROVIDER === "btcpay") {
+  if (provider === "btcpay") {
     const BTCPAY_URL = process.env.BTCPAY_URL || "";
     const BTCPAY_API_KEY = process.env.BTCPAY_API_KEY || "";
     const BTCPAY_STORE_ID = process.env.BTCPAY_STORE_ID || "";
@@ -506,7 +762,7 @@ export function subscribeInvoiceStatus({ paymentHash, onStatus, ...rest }) {
   }
 
   // LND: subscribe all invoices and filter by this hash
-  if (PAYMENT_PROVIDER === "nwc") {
+  if (provider === "nwc") {
     const NWC_URL = process.env.NWC_URL || process.env.NWC_WALLET_CONNECT_URL || "";
     const RELAYS = String(process.env.NWC_RELAYS_CSV || process.env.NWC_RELAYS || "")
       .split(",")
@@ -520,16 +776,29 @@ export function subscribeInvoiceStatus({ paymentHash, onStatus, ...rest }) {
     });
   }
 
+  if (provider === "cln") {
+    return cln.subscribeInvoiceStatus({ paymentHash, onStatus });
+  }
+
+  if (provider === "phoenixd") {
+    return phoenixd.subscribeInvoiceStatus({ paymentHash, onStatus });
+  }
+
   // LND: subscribe all invoices and filter by this hash
   return lnd.subscribeInvoiceStatus({ paymentHash, onStatus });
 }
 
 /**
  * Long-lived server-side watcher to mark orders PAID.
- * Calls onPaid(paymentHash) when money arrives.
+ * Calls onPaid(paymentHash) when money arrives on any configured backend,
+ * so invoices issued by a fallback provider are picked up as well.
  */
 export function startPaymentWatcher({ onPaid }) {
-  if (PAYMENT_PROVIDER === "blink") {
+  for (const provider of LIGHTNING_PROVIDERS) startProviderWatcher(provider, { onPaid });
+}
+
+function startProviderWatcher(provider, { onPaid }) {
+  if (provider === "blink") {
     const BLINK_WS_URL = process.env.BLINK_WS_URL || "wss://ws.blink.sv/graphql";
     const BLINK_API_KEY = process.env.BLINK_API_KEY || "";
     let ws;
@@ -595,23 +864,35 @@ export function startPaymentWatcher({ onPaid }) {
     return;
   }
 
-  if (PAYMENT_PROVIDER === "btcpay") {
+  if (provider === "btcpay") {
     // We rely on webhooks and the background sweeper for BTCPay.
     return;
   }
 
-  if (PAYMENT_PROVIDER === "lnurl") {
+  if (provider === "lnurl") {
     // Polling/sweeper handle LNURL verify; no push channel.
     lnurl.startPaymentWatcher();
     return;
   }
 
-  if (PAYMENT_PROVIDER === "nwc") {
+  if (provider === "nwc") {
     // Notifications (payment_received) + polling/sweeper handle updates for NWC.
     nwc.startPaymentWatcher({ onPaid });
     return;
   }
 
+  if (provider === "cln") {
+    // waitanyinvoice long-poll + sweeper
+    cln.startPaymentWatcher({ onPaid });
+    return;
+  }
+
+  if (provider === "phoenixd") {
+    // payment_received websocket events + sweeper
+    phoenixd.startPaymentWatcher({ onPaid });
+    return;
+  }
+
   // LND mode
   lnd.startPaymentWatcher({ onPaid });
 }
@@ -0,0 +1,264 @@
+// server/phoenixd.js
+import fetch from "node-fetch";
+import WebSocket from "ws";
+import crypto from "crypto";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ENV
+// ─────────────────────────────────────────────────────────────────────────────
+const PHOENIXD_URL = (process.env.PHOENIXD_URL || "").replace(/\/+$/, "");   // e.g. http://127.0.0.1:9740
+const PHOENIXD_PASSWORD = process.env.PHOENIXD_PASSWORD || "";               // http-password from ~/.phoenix/phoenix.conf
+const PHOENIXD_INVOICE_EXPIRES_IN = Number(process.env.PHOENIXD_INVOICE_EXPIRES_IN || 900); // seconds
+
+// WebSocket endpoint (HTTP → WS)
+const PHOENIXD_WS_URL =
+  process.env.PHOENIXD_WS_URL ||
+  (PHOENIXD_URL ? `${PHOENIXD_URL.replace(/^http:/, "ws:").replace(/^https:/, "wss:")}/websocket` : "");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers: auth, sanitizers, safe fetch
+// ─────────────────────────────────────────────────────────────────────────────
+function authHeader() {
+  if (!PHOENIXD_PASSWORD) {
+    throw new Error("PHOENIXD_PASSWORD is required for phoenixd calls.");
+  }
+  // phoenixd uses HTTP basic auth with an empty user name
+  return `Basic ${Buffer.from(`:${PHOENIXD_PASSWORD}`).toString("base64")}`;
+}
+
+function sanitize(msg) {
+  const s = String(msg || "");
+  return s
+    .replace(/https?:\/\/[^\s'")]+/gi, "[redacted-url]")   // redact URLs
+    .replace(/\b[0-9a-fA-F]{20,}\b/g, "[redacted]");       // redact long hex blobs
+}
+
+// Ensure we never leak the phoenixd endpoint to callers
+async function safeFetch(path, { method = "GET", form } = {}) {
+  if (!PHOENIXD_URL) throw new Error("phoenixd is not configured.");
+  const headers = { Authorization: authHeader() };
+  let body;
+  if (form) {
+    headers["content-type"] = "application/x-www-form-urlencoded";
+    body = new URLSearchParams(form).toString();
+  }
+  let res;
+  try {
+    res = await fetch(`${PHOENIXD_URL}${path}`, { method, headers, body });
+  } catch (e) {
+    throw new Error(`phoenixd request failed: ${sanitize(e?.message || e)}`);
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`phoenixd HTTP ${res.status} ${sanitize(text)}`);
+  }
+  return res.json().catch(() => ({}));
+}
+
+// Invoices we created, so unpaid ones can be reported EXPIRED without decoding BOLT11
+const expiryByHash = new Map();
+
+function mapIncoming(payment, paymentHash) {
+  if (payment?.isPaid === true) return "PAID";
+  const expiresAt = Number(payment?.expiresAt || 0) || expiryByHash.get(paymentHash) || (
+    Number(payment?.createdAt || 0) ? Number(payment.createdAt) + PHOENIXD_INVOICE_EXPIRES_IN * 1000 : 0
+  );
+  if (expiresAt && Date.now() > expiresAt) return "EXPIRED";
+  return "PENDING";
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API (same surface as lnd.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function createInvoiceSats({ amount, memo, expiresIn, descriptionHashOnly = false }) {
+  const expiry = Number.isFinite(Number(expiresIn)) && Number(expiresIn) > 0
+    ? Number(expiresIn)
+    : PHOENIXD_INVOICE_EXPIRES_IN;
+  const sats = Math.floor(amount || 0);
+  const data = await safeFetch("/createinvoice", {
+    method: "POST",
+    form: {
+      amountSat: String(sats),
+      ...(descriptionHashOnly
+        ? { descriptionHash: crypto.createHash("sha256").update(memo || "", "utf8").digest("hex") }
+        : { description: memo || "" }),
+      expirySeconds: String(expiry)
+    }
+  });
+  const pr = data?.serialized || "";
+  const paymentHash = data?.paymentHash || "";
+  if (!pr || !paymentHash) throw new Error("phoenixd response missing serialized invoice or paymentHash.");
+  expiryByHash.set(paymentHash, Date.now() + expiry * 1000);
+  return { paymentRequest: pr, paymentHash, satoshis: sats };
+}
+
+export async function invoiceStatus({ paymentHash }) {
+  if (!paymentHash) throw new Error("paymentHash is required.");
+  const payment = await safeFetch(`/payments/incoming/${encodeURIComponent(paymentHash)}`);
+  const status = mapIncoming(payment, paymentHash);
+  if (status !== "PENDING") expiryByHash.delete(paymentHash);
+  return status;
+}
+
+/**
+ * Received payments since `since` (ms), for reconciliation. phoenixd only
+ * lists paid incoming payments unless asked for all of them.
+ * Returns: [{ paymentHash, amountSats, settledAt, memo, paymentRequest }]
+ */
+export async function listIncomingPayments({ since = 0 } = {}) {
+  const pageSize = 100;
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const qs = new URLSearchParams({ from: String(Math.max(0, Math.floor(since))), limit: String(pageSize), offset: String(offset) });
+    const page = await safeFetch(`/payments/incoming?${qs}`);
+    const list = Array.isArray(page) ? page : [];
+    for (const p of list) {
+      if (p?.isPaid !== true || !p.paymentHash) continue;
+      out.push({
+        paymentHash: String(p.paymentHash),
+        amountSats: Number(p.receivedSat || 0),
+        settledAt: Number(p.completedAt || p.createdAt || 0),
+        memo: p.description || "",
+        paymentRequest: p.invoice || ""
+      });
+    }
+    if (list.length < pageSize) break;
+  }
+  return out;
+}
+
+/**
+ * Pay a BOLT11 invoice (used for refunds). phoenixd answers once the payment
+ * has settled or failed; its own fee policy applies.
+ */
+export async function payInvoice({ paymentRequest, amountSats, amountless }) {
+  if (!paymentRequest) throw new Error("paymentRequest is required.");
+  const form = { invoice: paymentRequest };
+  if (amountless) form.amountSat = String(amountSats);
+  const data = await safeFetch("/payinvoice", { method: "POST", form });
+  if (data?.reason) throw new Error(`phoenixd payment failed: ${sanitize(data.reason)}`);
+  if (!data?.paymentPreimage) throw new Error("phoenixd payment failed: no preimage returned.");
+  return { status: "PAID", preimage: data.paymentPreimage };
+}
+
+function openSocket() {
+  return new WebSocket(PHOENIXD_WS_URL, { headers: { Authorization: authHeader() } });
+}
+
+// payment_received events: { type, amountSat, paymentHash, externalId, timestamp }
+function receivedHash(raw) {
+  let msg;
+  try { msg = JSON.parse(raw.toString()); } catch { return ""; }
+  return msg?.type === "payment_received" && msg.paymentHash ? String(msg.paymentHash) : "";
+}
+
+/**
+ * Subscribe to updates for a single invoice.
+ * - Listens on the websocket for payment_received.
+ * - Also starts a POLLING fallback (every 2s) so we never miss "PAID"/"EXPIRED".
+ * Returns an unsubscribe function.
+ */
+export function subscribeInvoiceStatus({ paymentHash, onStatus }) {
+  if (!paymentHash) throw new Error("paymentHash is required for subscribeInvoiceStatus");
+
+  let closed = false;
+  let ws;
+  let pollTimer;
+
+  const unsub = () => {
+    if (closed) return;
+    closed = true;
+    try { clearInterval(pollTimer); } catch {}
+    try { ws?.close(); } catch {}
+  };
+
+  const emit = (st) => {
+    if (closed) return;
+    if (typeof onStatus === "function") onStatus(st);
+    if (st === "PAID" || st === "EXPIRED") unsub();
+  };
+
+  // —— Polling fallback (always on) ——————————————————————
+  pollTimer = setInterval(async () => {
+    try {
+      emit(await invoiceStatus({ paymentHash }));
+    } catch {
+      // swallow to keep polling
+    }
+  }, 2000);
+
+  // —— WebSocket (best-effort) ————————————————————————————
+  try {
+    if (PHOENIXD_WS_URL) {
+      ws = openSocket();
+      ws.on("message", (raw) => {
+        if (receivedHash(raw) === paymentHash) emit("PAID");
+      });
+      ws.on("error", () => { /* ignore; polling keeps us alive */ });
+      ws.on("close", () => { /* ignore; polling keeps us alive */ });
+    }
+  } catch {
+    // ignore; polling keeps us alive
+  }
+
+  return unsub;
+}
+
+/**
+ * Long-lived watcher: calls onPaid(paymentHashHex) for every payment_received
+ * event. Reconnects with backoff; the sweeper in index.js still polls.
+ * Returns a stop function.
+ */
+export function startPaymentWatcher({ onPaid }) {
+  if (!PHOENIXD_URL) {
+    console.warn("[phoenixd Watcher] Skipped: PHOENIXD_URL not set.");
+    return;
+  }
+  if (!PHOENIXD_PASSWORD) {
+    console.warn("[phoenixd Watcher] Skipped: PHOENIXD_PASSWORD not set.");
+    return;
+  }
+
+  let ws;
+  let reconnectTimer;
+  let backoffMs = 1000;
+  let stopped = false;
+
+  const connect = () => {
+    clearTimeout(reconnectTimer);
+    if (stopped) return;
+    try {
+      ws = openSocket();
+
+      ws.on("open", () => { backoffMs = 1000; });
+
+      ws.on("message", (raw) => {
+        const hash = receivedHash(raw);
+        if (!hash) return;
+        expiryByHash.delete(hash);
+        try { onPaid?.(hash); } catch {}
+      });
+
+      const scheduleReconnect = () => {
+        try { ws.close(); } catch {}
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(connect, Math.min(backoffMs, 15000));
+        backoffMs = Math.min(backoffMs * 2, 15000);
+      };
+
+      ws.on("error", scheduleReconnect);
+      ws.on("close", scheduleReconnect);
+    } catch {
+      // If WS altogether is unavailable, the background sweeper in index.js
+      // still marks orders as PAID via polling.
+    }
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    try { ws?.close(); } catch {}
+  };
+}
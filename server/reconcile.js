@@ -0,0 +1,224 @@
+// server/reconcile.js
+// Ledger reconciliation: read what the payment backends actually received and
+// match every receipt to an order. Payments on orders that are still unpaid,
+// were deleted, or never existed (and paid orders whose amount differs) go
+// into an admin report, and each can be recovered into a PAID order.
+import { DeletedOrders, LnurlPayments, Orders, PAID_STATUSES, ZapRequests } from "./db.js";
+import { LIGHTNING_PROVIDERS, ONCHAIN_PROVIDER, listIncomingPayments, listOnchainReceipts, rescanOnchainAddresses } from "./pay.js";
+
+export const RECONCILE_LOOKBACK_DAYS = Math.max(1, Number(process.env.RECONCILE_LOOKBACK_DAYS || 30) || 30);
+export const RECONCILE_INTERVAL_HOURS = Math.max(0, Number(process.env.RECONCILE_INTERVAL_HOURS ?? 6) || 0);
+// The watchers and sweeper usually mark fresh payments within a few minutes
+const UNPAID_GRACE_MS = 10 * 60 * 1000;
+
+let lastReport = null;
+let running = null;
+let lastRescan = null;
+
+export function lastReconciliation() {
+  return lastReport;
+}
+
+export function lastXpubRescan() {
+  return lastRescan;
+}
+
+// A payment from the last report or rescan, by its item key
+export function reportItem(key) {
+  return [lastReport, lastRescan].flatMap((r) => r?.items || []).find((i) => i.key === key) || null;
+}
+
+// Backends with a history to read: every Lightning provider in use except
+// LNURL, plus BTCPay when it only handles on-chain
+function lightningSources() {
+  const sources = LIGHTNING_PROVIDERS.filter((p) => p !== "lnurl");
+  if (ONCHAIN_PROVIDER === "btcpay" && !sources.includes("btcpay")) sources.push("btcpay");
+  return sources;
+}
+
+async function collectReceipts(since) {
+  const sources = [];
+  const receipts = [];
+  const read = async (source, load) => {
+    try {
+      const list = await load();
+      sources.push({ source, ok: true, count: list.length, error: "" });
+      for (const r of list) receipts.push({ ...r, source });
+    } catch (e) {
+      sources.push({ source, ok: false, count: 0, error: String(e?.message || e) });
+    }
+  };
+  for (const provider of lightningSources()) {
+    await read(provider, () => listIncomingPayments({ provider, since }));
+  }
+  if (ONCHAIN_PROVIDER === "xpub") {
+    await read("xpub", () => listOnchainReceipts({ since }));
+  }
+  return { sources, receipts };
+}
+
+function expectedSats(order) {
+  if (!order) return 0;
+  if (order.paymentMethod === "onchain" && order.onchainProvider === "xpub") {
+    return Number(order.onchainAmountSats || order.totalSats || 0);
+  }
+  return Number(order.totalSats || 0);
+}
+
+function indexBy(list, keysOf) {
+  const map = new Map();
+  for (const entry of list) {
+    for (const key of keysOf(entry)) if (key && !map.has(key)) map.set(key, entry);
+  }
+  return map;
+}
+
+/**
+ * Match receipts to orders. Pure so it can be tested without backends.
+ * Returns { summary, items } where items only hold the receipts that need a look.
+ */
+export function matchReceipts(receipts, { orders = [], deleted = [], lnurlHashes = [], now = Date.now() } = {}) {
+  const liveByRef = indexBy(orders, (o) => [o.paymentHash, o.onchainId, o.onchainAddress]);
+  const deletedByRef = indexBy(deleted, (d) => [d.paymentHash, d.onchainId, d.onchainAddress]);
+  const lnurl = new Set(lnurlHashes);
+  const summary = { receipts: receipts.length, matched: 0, unpaid: 0, mismatch: 0, deleted: 0, orphan: 0 };
+  const items = [];
+
+  for (const r of receipts) {
+    const ref = r.address || r.paymentHash;
+    // Zaps and Lightning Address payments are payments to the shop without an order
+    if (!r.address && lnurl.has(r.paymentHash)) {
+      summary.matched += 1;
+      continue;
+    }
+    const order = liveByRef.get(ref);
+    const archived = order ? null : deletedByRef.get(ref);
+    const known = order || archived?.order || null;
+    const expected = expectedSats(known);
+    const amountSats = Number(r.amountSats || 0);
+
+    let kind;
+    if (order) {
+      const paid = PAID_STATUSES.has(String(order.status || "").toUpperCase());
+      if (!paid) {
+        if (now - Number(r.settledAt || 0) < UNPAID_GRACE_MS) continue;
+        kind = "unpaid";
+      } else if (expected && amountSats !== expected) {
+        kind = "mismatch";
+      } else {
+        summary.matched += 1;
+        continue;
+      }
+    } else {
+      kind = archived ? "deleted" : "orphan";
+    }
+
+    summary[kind] += 1;
+    items.push({
+      key: `${r.source}:${ref}`,
+      kind,
+      source: r.source,
+      paymentHash: r.paymentHash || "",
+      paymentRequest: r.paymentRequest || "",
+      address: r.address || "",
+      xpubIndex: r.xpubIndex ?? null,
+      txid: r.txid || "",
+      amountSats,
+      expectedSats: expected,
+      settledAt: Number(r.settledAt || 0),
+      memo: r.memo || "",
+      orderId: order?.id || archived?.id || "",
+      orderStatus: known?.status || "",
+      deletedAt: archived?.deletedAt || 0,
+      customer: known ? [known.name, known.surname].filter(Boolean).join(" ") : "",
+      recoveredOrderId: ""
+    });
+  }
+  return { summary, items };
+}
+
+/**
+ * Pull incoming history from every backend in use and rebuild the report.
+ * Concurrent calls share the run in progress.
+ */
+export function runReconciliation({ days = RECONCILE_LOOKBACK_DAYS } = {}) {
+  if (running) return running;
+  running = (async () => {
+    const ranAt = Date.now();
+    const since = ranAt - Math.max(1, Number(days) || RECONCILE_LOOKBACK_DAYS) * 24 * 60 * 60 * 1000;
+    const { sources, receipts } = await collectReceipts(since);
+    const { summary, items } = matchReceipts(receipts, {
+      orders: Orders.all(),
+      deleted: DeletedOrders.all(),
+      lnurlHashes: [...ZapRequests.hashes(), ...LnurlPayments.hashes()],
+      now: ranAt
+    });
+    lastReport = { ranAt, since, sources, summary, items };
+    return lastReport;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/**
+ * Scan xpub addresses for money regardless of age, and match it to orders
+ * like a reconciliation run; the findings can be recovered the same way.
+ */
+export async function rescanXpubAddresses({ from, to } = {}) {
+  const ranAt = Date.now();
+  const scan = await rescanOnchainAddresses({ from, to });
+  const receipts = scan.receipts.map((r) => ({ ...r, source: "xpub" }));
+  const { summary, items } = matchReceipts(receipts, {
+    orders: Orders.all(),
+    deleted: DeletedOrders.all(),
+    now: ranAt
+  });
+  lastRescan = { ranAt, from: scan.from, to: scan.to, scanned: scan.scanned, summary, items };
+  return lastRescan;
+}
+
+/**
+ * Turn a report item into a PAID order: the live order is marked paid, a
+ * deleted one is brought back first, and an orphan payment gets a bare order
+ * the admin can fill in. Returns the order with __justPaid like
+ * Orders.markPaidByHash, so the caller can run the usual PAID side effects.
+ */
+export function recoverPayment(key) {
+  const item = reportItem(key);
+  if (!item) throw new Error("Payment not found in the last reconciliation report or rescan");
+  if (item.recoveredOrderId) throw new Error(`Already recovered as order ${item.recoveredOrderId}`);
+  if (item.kind === "mismatch") throw new Error("The order is already paid; settle the amount difference by hand");
+
+  let order = null;
+  if (item.kind === "unpaid") {
+    order = Orders.get(item.orderId);
+  } else if (item.kind === "deleted") {
+    order = Orders.get(item.orderId) || DeletedOrders.restore(item.orderId);
+  } else {
+    const onchain = !!item.address;
+    order = Orders.create({
+      items: [],
+      subtotalSats: item.amountSats,
+      shippingSats: 0,
+      totalSats: item.amountSats,
+      paymentMethod: onchain ? "onchain" : "lightning",
+      paymentHash: item.paymentHash || null,
+      paymentRequest: item.paymentRequest || null,
+      lightningProvider: onchain ? "" : item.source,
+      onchainProvider: onchain ? item.source : "",
+      onchainAddress: item.address,
+      onchainAmountSats: onchain ? item.amountSats : 0,
+      xpubIndex: item.xpubIndex,
+      notes: `Recovered by reconciliation${item.memo ? `: ${item.memo}` : ""}`
+    });
+  }
+  if (!order) throw new Error("The order for this payment no longer exists");
+
+  const paid = order.paymentHash ? Orders.markPaidByHash(order.paymentHash) : Orders.markPaid(order.id);
+  // The same payment can sit in both the report and the rescan
+  for (const report of [lastReport, lastRescan]) {
+    for (const i of report?.items || []) if (i.key === key) i.recoveredOrderId = paid.id;
+  }
+  return paid;
+}
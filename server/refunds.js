@@ -0,0 +1,83 @@
+// server/refunds.js
+// Refund destinations. Lightning refunds are paid by the shop wallet to a
+// buyer invoice or Lightning address; on-chain refunds are sent by hand and
+// only recorded, so we just check the address looks valid.
+import * as bitcoin from "bitcoinjs-lib";
+import { decodeBolt11, invoiceForLightningAddress } from "./lnurl.js";
+
+const LIGHTNING_ADDRESS_RE = /^[a-z0-9._+-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const NETWORKS = [bitcoin.networks.bitcoin, bitcoin.networks.testnet, bitcoin.networks.regtest];
+
+/**
+ * Classify what the admin pasted for a Lightning refund.
+ * Returns { kind: "invoice", paymentRequest } or { kind: "address", address }.
+ */
+export function parseLightningDestination(raw) {
+  const value = String(raw || "").trim().replace(/^lightning:/i, "");
+  if (/^ln(bc|tb|bcrt|tbs)[0-9]/i.test(value)) {
+    return { kind: "invoice", paymentRequest: value.toLowerCase() };
+  }
+  if (LIGHTNING_ADDRESS_RE.test(value)) {
+    return { kind: "address", address: value.toLowerCase() };
+  }
+  throw new Error("Enter a BOLT11 invoice or a Lightning address (name@domain)");
+}
+
+export function isBitcoinAddress(raw) {
+  const value = String(raw || "").trim();
+  if (!value) return false;
+  return NETWORKS.some((network) => {
+    try {
+      bitcoin.address.toOutputScript(value, network);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+function invoiceDetails(paymentRequest) {
+  let decoded;
+  try {
+    decoded = decodeBolt11(paymentRequest);
+  } catch {
+    throw new Error("Invalid Lightning invoice");
+  }
+  const expiresAt = decoded.timestampSec ? (decoded.timestampSec + decoded.expirySec) * 1000 : 0;
+  if (expiresAt && Date.now() > expiresAt) throw new Error("The invoice has expired");
+  const amountSats = decoded.millisatoshis ? decoded.millisatoshis / 1000 : 0;
+  return { paymentHash: decoded.paymentHash, amountSats };
+}
+
+/**
+ * Turn a Lightning destination into a payable invoice for exactly `amountSats`.
+ * A pasted invoice must ask for that amount, or for none (the wallet then
+ * sends `amountSats`); Lightning addresses are asked for an invoice of it.
+ * Returns { paymentRequest, paymentHash, amountSats, amountless, destination }.
+ */
+export async function resolveRefundInvoice({ destination, amountSats, comment } = {}) {
+  const parsed = parseLightningDestination(destination);
+  const sats = Math.floor(Number(amountSats));
+  if (!Number.isFinite(sats) || sats < 1) throw new Error("Refund amount is required");
+  let paymentRequest = parsed.paymentRequest;
+  if (parsed.kind === "address") {
+    paymentRequest = await invoiceForLightningAddress({ address: parsed.address, amount: sats, comment });
+  }
+  const details = invoiceDetails(paymentRequest);
+  const amountless = !details.amountSats;
+  if (amountless && parsed.kind === "address") {
+    throw new Error("The Lightning address returned an invoice without an amount");
+  }
+  if (!amountless && details.amountSats !== sats) {
+    throw new Error(parsed.kind === "address"
+      ? "The Lightning address returned an invoice for a different amount"
+      : `The invoice asks for ${details.amountSats} sats, not the ${sats} sats being refunded`);
+  }
+  return {
+    paymentRequest,
+    paymentHash: details.paymentHash,
+    amountSats: sats,
+    amountless,
+    destination: parsed.kind === "address" ? parsed.address : paymentRequest
+  };
+}
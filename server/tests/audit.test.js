@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { diffObjects } from "../audit.js";
+
+describe("diffObjects", () => {
+  it("returns only changed top-level fields", () => {
+    const diff = diffObjects(
+      { title: "A", priceSats: 100, tags: ["x"], updatedAt: 1 },
+      { title: "B", priceSats: 100, tags: ["x", "y"], updatedAt: 2 }
+    );
+    expect(diff).toEqual({
+      title: { from: "A", to: "B" },
+      tags: { from: ["x"], to: ["x", "y"] }
+    });
+  });
+
+  it("diffs creates and deletes against null", () => {
+    expect(diffObjects(null, { code: "X" })).toEqual({ code: { from: null, to: "X" } });
+    expect(diffObjects({ code: "X" }, undefined)).toEqual({ code: { from: "X", to: null } });
+  });
+
+  it("skips image payloads and summarizes long values", () => {
+    const long = "a".repeat(1000);
+    const big = Array.from({ length: 500 }, (_, i) => `item-${i}`);
+    const diff = diffObjects({ images: ["1"], description: "" }, { images: ["2"], description: long, list: big });
+    expect(diff.images).toBeUndefined();
+    expect(diff.description.to).toMatch(/\(1000 chars\)$/);
+    expect(diff.list.to).toBe("[500 items]");
+  });
+});
@@ -0,0 +1,116 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+const PNG_DATA_URL = "data:image/png;base64,iVBORw0KGgo=";
+
+async function setup() {
+  process.env.BACKUP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "boltcanvas-backups-"));
+  const db = await freshDb();
+  const backup = await import("../backup.js");
+  const product = db.Products.create({ title: "Print", description: "d", priceSats: 1000, images: [PNG_DATA_URL] });
+  db.Settings.setAll({ storeName: "Before" });
+  const order = db.Orders.create({
+    items: [{ productId: product.id, title: "Print", priceSats: 1000, qty: 1 }],
+    subtotalSats: 1000,
+    shippingSats: 0,
+    totalSats: 1000,
+    paymentHash: "hash-backup",
+    boltzRefundPrivKey: "refund-key",
+    address: "A",
+    country: "IT"
+  });
+  db.Orders.setCashuChange(order.id, { change: "cashu-change", changeSats: 5, changeRequest: { quote: "change-quote" } });
+  return { ...db, backup, product, order };
+}
+
+describe("backup & restore", () => {
+  it("round-trips the shop and keeps secrets out unless encrypted", async () => {
+    const { backup, Products, Orders, Settings, ShopData, XpubIndexes, PayjoinProposals, product, order } = await setup();
+    const gone = Orders.create({ items: [], subtotalSats: 500, shippingSats: 0, totalSats: 500, country: "IT" });
+    Orders.setCashuChange(gone.id, { change: "archived-change", changeSats: 3 });
+    Orders.remove(gone.id);
+    XpubIndexes.release({ xpubIndex: 3, address: "bc1q-three", orderId: "expired" });
+    XpubIndexes.markUsed({ xpubIndex: 4, address: "bc1q-four", receivedSats: 700, txid: "tx4" });
+    PayjoinProposals.create({ orderId: order.id, originalTxid: "orig", originalHex: "0200", payjoinTxid: "pj", hotOutpoint: "hot:0", contributedSats: 2000 });
+    const archivedChange = () => JSON.parse(ShopData.dump("deleted_orders")[0]?.data || "{}").cashuChange;
+
+    const plain = backup.createBackup();
+    expect(plain.counts).toMatchObject({ products: 1, product_images: 1, deleted_orders: 1, xpub_recycled: 1, xpub_used: 1, payjoin_proposals: 1 });
+    for (const secret of ["refund-key", "archived-change", "cashu-change", "change-quote"]) {
+      expect(JSON.stringify(plain)).not.toContain(secret);
+    }
+
+    const sealed = backup.decodeBackup(backup.encodeBackup(backup.createBackup({ passphrase: "pw" })));
+    for (const secret of ["refund-key", "archived-change", "cashu-change", "change-quote"]) {
+      expect(JSON.stringify(sealed)).not.toContain(secret);
+    }
+    // Archived rows are unchanged apart from their blanked secrets
+    expect(backup.restoreBackup(sealed, { dryRun: true }).diff.deleted_orders).toMatchObject({ unchanged: 1 });
+
+    // Change the shop, then restore the snapshot
+    Settings.setAll({ storeName: "After" });
+    Products.remove(product.id);
+    Orders.remove(order.id);
+    XpubIndexes.takeRecycled(Date.now());
+    ShopData.replace({ deleted_orders: [], payjoin_proposals: [] });
+
+    const preview = backup.restoreBackup(sealed, { passphrase: "pw", dryRun: true });
+    expect(preview.diff.products.added).toBe(1);
+    expect(preview.diff.orders.added).toBe(1);
+    expect(preview.diff.settings.changed).toBeGreaterThanOrEqual(1);
+    expect(Products.get(product.id)).toBeNull();
+
+    expect(() => backup.restoreBackup(sealed, { passphrase: "wrong" })).toThrow(/Wrong passphrase/);
+
+    const result = backup.restoreBackup(sealed, { passphrase: "pw" });
+    expect(result.safetyBackup).toMatch(/^pre-restore-/);
+    expect(Settings.getAll().storeName).toBe("Before");
+    expect(Products.get(product.id, { includeImages: true }).images).toHaveLength(1);
+    expect(Orders.get(order.id)).toMatchObject({ boltzRefundPrivKey: "refund-key", cashuChange: "cashu-change" });
+    expect(ShopData.dump("deleted_orders").map((row) => row.id)).toEqual([gone.id]);
+    expect(archivedChange()).toBe("archived-change");
+    expect(XpubIndexes.recycled().map((row) => row.xpubIndex)).toEqual([3]);
+    expect(ShopData.dump("xpub_used")).toMatchObject([{ xpubIndex: 4, receivedSats: 700, txid: "tx4" }]);
+    // Its locked hot-wallet coin and contribution survive the restore
+    expect(PayjoinProposals.byOrder(order.id)).toMatchObject({ hotOutpoint: "hot:0", contributedSats: 2000, state: "PROPOSED" });
+  });
+
+  it("keeps current secrets and counters when restoring an older bundle", async () => {
+    const { backup, Orders, Settings, ShopData, XpubIndexes, allocateNextXpubIndex, order } = await setup();
+    const plain = backup.createBackup();
+    allocateNextXpubIndex();
+    allocateNextXpubIndex();
+    Settings.nextRescueIndex();
+    XpubIndexes.markUsed({ xpubIndex: 1, address: "bc1q-one", receivedSats: 300 });
+
+    const result = backup.restoreBackup(plain);
+    expect(result.warnings.join(" ")).toMatch(/no secrets/);
+    expect(Orders.get(order.id)).toMatchObject({ boltzRefundPrivKey: "refund-key", cashuChange: "cashu-change" });
+    expect(ShopData.dump("xpub_state")[0].nextIndex).toBe(2);
+    // An address paid after the backup is never handed out again
+    expect(ShopData.dump("xpub_used").map((row) => row.xpubIndex)).toEqual([1]);
+    expect(ShopData.dump("settings").find((row) => row.key === "boltzRescueNextIndex").value).toBe("1");
+  });
+
+  it("rejects invalid bundles before touching the database", async () => {
+    const { backup } = await setup();
+    const good = backup.createBackup();
+    expect(() => backup.validateBackup({})).toThrow(/Not a shop backup/);
+    expect(() => backup.validateBackup({ ...good, version: 99 })).toThrow(/newer/);
+    expect(() => backup.validateBackup({ ...good, tables: { ...good.tables, orders: undefined } })).toThrow(/missing the orders/);
+    expect(() => backup.validateBackup({ ...good, tables: { ...good.tables, products: [] } })).toThrow(/missing product/);
+    expect(() => backup.decodeBackup(Buffer.from([0x1f, 0x8b, 1, 2]))).toThrow(/corrupted/);
+  });
+
+  it("writes local backups with rotation", async () => {
+    const { backup } = await setup();
+    for (let i = 0; i < 4; i += 1) backup.writeLocalBackup({ keep: 2 });
+    const items = backup.listLocalBackups();
+    expect(items).toHaveLength(2);
+    expect(backup.readLocalBackup(items[0].name).length).toBeGreaterThan(0);
+    expect(() => backup.readLocalBackup("../shop.db")).toThrow(/Invalid backup name/);
+  });
+});
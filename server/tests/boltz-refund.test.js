@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+import * as musig from "../onchain/musig.js";
+
+bitcoin.initEccLib(ecc);
+
+// Esplora + Boltz stand-in: UTXOs and transactions of the lockup address, chain
+// tip, and the cooperative refund endpoint (co-signs with the claim key unless declining)
+const chain = { utxos: [], txs: [], tip: 800000, boltzDeclines: false, refundRequests: 0 };
+
+vi.mock("node-fetch", () => ({
+  default: vi.fn(async (url, init = {}) => {
+    const u = String(url);
+    const reply = (body, status = 200) => ({
+      ok: status < 400,
+      status,
+      json: async () => body,
+      text: async () => (typeof body === "string" ? body : JSON.stringify(body))
+    });
+    if (u.endsWith("/utxo")) return reply(chain.utxos);
+    if (u.endsWith("/txs")) return reply(chain.txs);
+    if (u.endsWith("/blocks/tip/height")) return reply(String(chain.tip));
+    if (u.endsWith("/fee-estimates")) return reply({ 6: 5 });
+    if (u.includes("/v2/swap/submarine/swap-r/refund")) {
+      chain.refundRequests++;
+      if (chain.boltzDeclines) return reply({ error: "swap is not eligible for a cooperative refund" }, 400);
+      return reply(boltzCosign(JSON.parse(init.body)));
+    }
+    throw new Error(`unexpected fetch ${u}`);
+  })
+}));
+
+const MNEMONIC = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+const CLAIM_KEY = Buffer.alloc(32, 5);
+const CLAIM_PUB = Buffer.from(ecc.pointFromScalar(CLAIM_KEY, true));
+const TIMEOUT = 800100;
+const BUYER = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+
+let lockup = null;
+
+function swapTree(refundPub) {
+  const op = bitcoin.opcodes;
+  const claimLeaf = bitcoin.script.compile([
+    op.OP_SIZE, bitcoin.script.number.encode(32), op.OP_EQUALVERIFY,
+    op.OP_HASH160, crypto.randomBytes(20), op.OP_EQUALVERIFY,
+    CLAIM_PUB.subarray(1), op.OP_CHECKSIG
+  ]);
+  const refundLeaf = bitcoin.script.compile([
+    refundPub.subarray(1), op.OP_CHECKSIGVERIFY, bitcoin.script.number.encode(TIMEOUT), op.OP_CHECKLOCKTIMEVERIFY
+  ]);
+  return { claimLeaf, refundLeaf };
+}
+
+function boltzCosign({ pubNonce, transaction, index }) {
+  const tx = bitcoin.Transaction.fromHex(transaction);
+  const msg = tx.hashForWitnessV1(index, [lockup.output], [chain.utxos[0].value], bitcoin.Transaction.SIGHASH_DEFAULT);
+  const nonce = musig.nonceGen();
+  const aggNonce = musig.nonceAgg([nonce.pubNonce, pubNonce]);
+  const partialSignature = musig.partialSign(lockup.keyCtx, { secNonce: nonce.secNonce, privateKey: CLAIM_KEY, aggNonce, msg });
+  return { pubNonce: nonce.pubNonce.toString("hex"), partialSignature: partialSignature.toString("hex") };
+}
+
+async function load() {
+  process.env.BOLTZ_RESCUE_MNEMONIC = MNEMONIC;
+  const { Orders } = await freshDb();
+  const boltz = await import("../boltz.js");
+  const refunds = await import("../onchain/boltz-refund.js");
+  const refundPub = Buffer.from(boltz.deriveRefundKey(3, { mnemonic: MNEMONIC }).refundPublicKey, "hex");
+  const tree = swapTree(refundPub);
+  const scriptTree = [{ output: tree.claimLeaf, version: 0xc0 }, { output: tree.refundLeaf, version: 0xc0 }];
+  const keyCtx = musig.keyAgg([CLAIM_PUB, refundPub]);
+  const payment = bitcoin.payments.p2tr({ internalPubkey: musig.aggregateXOnly(keyCtx), scriptTree });
+  lockup = { output: payment.output, keyCtx: musig.applyTaprootTweak(keyCtx, payment.hash), tree, refundPub };
+
+  const order = Orders.create({
+    id: "ord-r",
+    items: [],
+    subtotalSats: 20000,
+    shippingSats: 0,
+    totalSats: 20000,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123",
+    paymentMethod: "onchain",
+    onchainProvider: "boltz",
+    onchainAddress: payment.address,
+    boltzSwapId: "swap-r",
+    boltzAddress: payment.address,
+    boltzExpectedAmountSats: 20500,
+    boltzTimeoutBlockHeight: TIMEOUT,
+    boltzRefundPubKey: refundPub.toString("hex"),
+    boltzRescueIndex: 3,
+    boltzSwapTree: JSON.stringify({
+      claimLeaf: { version: 192, output: tree.claimLeaf.toString("hex") },
+      refundLeaf: { version: 192, output: tree.refundLeaf.toString("hex") }
+    }),
+    boltzClaimPubKey: CLAIM_PUB.toString("hex")
+  });
+  return { Orders, refunds, order };
+}
+
+describe("boltz swap refunds", () => {
+  afterEach(() => {
+    chain.utxos = [];
+    chain.txs = [];
+    chain.tip = 800000;
+    chain.boltzDeclines = false;
+    chain.refundRequests = 0;
+    delete process.env.BOLTZ_RESCUE_MNEMONIC;
+    delete process.env.ONCHAIN_CONFIRMATIONS;
+  });
+
+  it("aggregates keys like BIP327 and signs with two parties", () => {
+    const X = [
+      "02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9",
+      "03DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659",
+      "023590A94E768F8E1815C2F24B4D80A8E3149316C3518CE7B7AD338368D038CA66"
+    ];
+    expect(musig.aggregateXOnly(musig.keyAgg([X[0], X[1], X[2]])).toString("hex"))
+      .toBe("90539eede565f5d054f32cc0c220126889ed1e5d193baf15aef344fe59d4610c");
+    expect(musig.aggregateXOnly(musig.keyAgg([X[2], X[1], X[0]])).toString("hex"))
+      .toBe("6204de8b083426dc6eaf9502d27024d53fc826bf7d2012148a0575435df54b2b");
+    expect(musig.aggregateXOnly(musig.keyAgg([X[0], X[0], X[1], X[1]])).toString("hex"))
+      .toBe("69bc22bfa5d106306e48a20679de1d7389386124d07571d0d872686028c26a3e");
+
+    const [a, b] = [Buffer.alloc(32, 1), Buffer.alloc(32, 2)];
+    const [pa, pb] = [a, b].map((k) => Buffer.from(ecc.pointFromScalar(k, true)));
+    const ctx = musig.applyTaprootTweak(musig.keyAgg([pa, pb]), Buffer.alloc(32, 9));
+    const msg = Buffer.alloc(32, 3);
+    const [na, nb] = [musig.nonceGen(), musig.nonceGen()];
+    const aggNonce = musig.nonceAgg([na.pubNonce, nb.pubNonce]);
+    const sa = musig.partialSign(ctx, { secNonce: na.secNonce, privateKey: a, aggNonce, msg });
+    const sb = musig.partialSign(ctx, { secNonce: nb.secNonce, privateKey: b, aggNonce, msg });
+    expect(musig.partialVerify(ctx, { partialSig: sb, pubNonce: nb.pubNonce, pubkey: pb, aggNonce, msg })).toBe(true);
+    expect(musig.partialVerify(ctx, { partialSig: sa, pubNonce: nb.pubNonce, pubkey: pb, aggNonce, msg })).toBe(false);
+    const sig = musig.partialSigAgg(ctx, { partialSigs: [sa, sb], aggNonce, msg });
+    expect(ecc.verifySchnorr(msg, musig.aggregateXOnly(ctx), sig)).toBe(true);
+  });
+
+  it("co-signs a key-path refund with Boltz", async () => {
+    const { refunds, order } = await load();
+    chain.utxos = [{ txid: "aa".repeat(32), vout: 1, value: 20500, status: { confirmed: true } }];
+
+    const refund = await refunds.buildSwapRefund(order, { destination: BUYER });
+    expect(refund).toMatchObject({ method: "cooperative", inputs: 1, feeRate: 5, timeoutBlockHeight: TIMEOUT });
+    expect(refund.amountSats + refund.feeSats).toBe(20500);
+    expect(refund.feeSats).toBe(refund.vsize * 5);
+
+    const tx = bitcoin.Transaction.fromHex(refund.hex);
+    expect(tx.getId()).toBe(refund.txid);
+    expect(bitcoin.address.fromOutputScript(tx.outs[0].script)).toBe(BUYER);
+    expect(tx.ins[0].witness).toHaveLength(1);
+    const msg = tx.hashForWitnessV1(0, [lockup.output], [20500], bitcoin.Transaction.SIGHASH_DEFAULT);
+    expect(ecc.verifySchnorr(msg, lockup.output.subarray(2), tx.ins[0].witness[0])).toBe(true);
+  });
+
+  it("spends the refund leaf once the timeout has passed", async () => {
+    const { refunds, order } = await load();
+    chain.boltzDeclines = true;
+    chain.utxos = [{ txid: "bb".repeat(32), vout: 0, value: 20500 }];
+
+    await expect(refunds.buildSwapRefund(order, { destination: BUYER, feeRate: 2 }))
+      .rejects.toThrow(/not eligible.*possible from block 800100 \(now 800000\)/);
+
+    chain.tip = TIMEOUT;
+    chain.utxos.push({ txid: "cc".repeat(32), vout: 3, value: 700 });
+    const refund = await refunds.buildSwapRefund(order, { destination: BUYER, feeRate: 2 });
+    expect(refund).toMatchObject({ method: "script", inputs: 2, amountSats: 21200 - refund.feeSats });
+
+    const tx = bitcoin.Transaction.fromHex(refund.hex);
+    expect(tx.locktime).toBe(TIMEOUT);
+    const leafHash = bitcoin.crypto.taggedHash("TapLeaf", Buffer.concat([
+      Buffer.from([0xc0, lockup.tree.refundLeaf.length]),
+      lockup.tree.refundLeaf
+    ]));
+    tx.ins.forEach((input, i) => {
+      expect(input.sequence).toBe(0xfffffffd);
+      expect(input.witness[1].equals(lockup.tree.refundLeaf)).toBe(true);
+      const msg = tx.hashForWitnessV1(i, [lockup.output, lockup.output], [20500, 700], bitcoin.Transaction.SIGHASH_DEFAULT, leafHash);
+      expect(ecc.verifySchnorr(msg, lockup.refundPub.subarray(1), input.witness[0])).toBe(true);
+    });
+  });
+
+  it("explains why a swap cannot be refunded here", async () => {
+    const { refunds, order } = await load();
+    expect(refunds.describeSwapRefund(order)).toMatchObject({ ready: true, timeoutBlockHeight: TIMEOUT });
+    expect(refunds.describeSwapRefund({ ...order, boltzSwapTree: "" }).problem).toMatch(/before refund data was stored/);
+    expect(refunds.describeSwapRefund({ ...order, boltzRescueIndex: 4 }).problem).toMatch(/does not derive/);
+
+    delete process.env.BOLTZ_RESCUE_MNEMONIC;
+    expect(refunds.describeSwapRefund(order).problem).toMatch(/set BOLTZ_RESCUE_MNEMONIC/);
+    await expect(refunds.buildSwapRefund(order, { destination: BUYER })).rejects.toThrow(/set BOLTZ_RESCUE_MNEMONIC/);
+    expect(chain.refundRequests).toBe(0);
+  });
+
+  it("holds a paid swap until its lockup has the confirmations the policy asks for", async () => {
+    process.env.ONCHAIN_CONFIRMATIONS = "0:1,10000:3";
+    vi.resetModules();
+    const { boltzLockupProgress } = await import("../pay.js");
+    const order = { boltzAddress: BUYER, onchainAmountSats: 20500 };
+    chain.txs = [
+      { status: { confirmed: true, block_height: 799999 }, vout: [{ scriptpubkey_address: BUYER, value: 20500 }] },
+      // Boltz's claim spends the lockup and pays elsewhere: not the lockup
+      { status: { confirmed: true, block_height: 799990 }, vout: [{ scriptpubkey_address: "bc1qboltz", value: 20000 }] }
+    ];
+
+    // Boltz already paid the invoice, but the lockup has 2 of 3 confirmations
+    expect(await boltzLockupProgress({ status: "invoice.paid" }, order))
+      .toEqual({ onchainConfirmations: 2, onchainRequiredConfirmations: 3, onchainRbf: false, status: "CONFIRMED" });
+    chain.tip = 800001;
+    expect(await boltzLockupProgress({ status: "transaction.claimed" }, order))
+      .toEqual({ onchainConfirmations: 3, onchainRequiredConfirmations: 3, onchainRbf: false });
+
+    // Below the threshold one confirmation is enough, as Boltz's status shows
+    chain.txs = [];
+    expect(await boltzLockupProgress({ status: "transaction.confirmed" }, { ...order, onchainAmountSats: 5000 }))
+      .toEqual({ onchainConfirmations: 1, onchainRequiredConfirmations: 1, onchainRbf: false });
+  });
+});
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import * as ecc from "tiny-secp256k1";
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const MINT = "https://mint.test/Bitcoin";
+
+// The mint's private key for each amount, and the keyset it publishes (NUT-01)
+const mintKey = (amount) => crypto.createHash("sha256").update(`mint-key-${amount}`).digest();
+const AMOUNTS = Array.from({ length: 12 }, (_, i) => 2 ** i);
+const KEYS = Object.fromEntries(AMOUNTS.map((a) => [a, Buffer.from(ecc.pointFromScalar(mintKey(a), true)).toString("hex")]));
+
+// Mint stand-in: keysets, melt quotes and melts (NUT-02/05/08). `lightningFee`
+// is what paying the invoice actually cost; the rest of the reserve is change.
+const mint = { calls: [], spent: new Set(), feePpk: 0, meltState: "PAID", meltStatus: 200, lightningFee: 0, outputs: [] };
+
+// Blind-sign the blank outputs for `sats` of change, largest amounts first
+function signChange(outputs, sats) {
+  const amounts = AMOUNTS.filter((a) => sats & a).reverse();
+  return amounts.map((amount, i) => ({
+    amount,
+    id: outputs[i].id,
+    C_: Buffer.from(ecc.pointMultiply(Buffer.from(outputs[i].B_, "hex"), mintKey(amount), true)).toString("hex")
+  }));
+}
+
+vi.mock("node-fetch", () => ({
+  default: vi.fn(async (url, init = {}) => {
+    const path = String(url).slice(MINT.length);
+    const body = init.body ? JSON.parse(init.body) : {};
+    mint.calls.push({ path, body });
+    const reply = (status, data) => ({ ok: status < 400, status, text: async () => JSON.stringify(data) });
+    if (path === "/v1/keysets") {
+      return reply(200, { keysets: [{ id: "009a1f293253e41e", unit: "sat", active: true, input_fee_ppk: mint.feePpk }] });
+    }
+    if (path === "/v1/keys/009a1f293253e41e") {
+      return reply(200, { keysets: [{ id: "009a1f293253e41e", unit: "sat", keys: KEYS }] });
+    }
+    if (path === "/v1/melt/quote/bolt11") {
+      const amount = Number(String(body.request).replace(/^lnbc/, ""));
+      return reply(200, { quote: "q1", amount, fee_reserve: 2, state: "UNPAID" });
+    }
+    if (path === "/v1/melt/quote/bolt11/q1") {
+      return reply(200, { quote: "q1", state: mint.meltState, change: signChange(mint.outputs, 4) });
+    }
+    if (path === "/v1/melt/bolt11") {
+      if (body.inputs.some((p) => mint.spent.has(p.secret))) return reply(400, { detail: "Token already spent.", code: 11001 });
+      body.inputs.forEach((p) => mint.spent.add(p.secret));
+      mint.outputs = body.outputs;
+      if (mint.meltStatus !== 200) return reply(mint.meltStatus, { detail: "Bad gateway" });
+      const paid = body.inputs.reduce((sum, p) => sum + p.amount, 0) - 100 - mint.lightningFee;
+      const change = mint.meltState === "PAID" ? signChange(body.outputs, paid) : [];
+      return reply(200, { state: mint.meltState, payment_preimage: "pre", change });
+    }
+    return reply(404, { detail: "not found" });
+  })
+}));
+
+function tokenA(amounts, { mintUrl = MINT, unit = "sat" } = {}) {
+  const proofs = amounts.map((amount, i) => ({ amount, id: "009a1f293253e41e", secret: `s${i}-${amount}`, C: "02abcd" }));
+  const json = JSON.stringify({ token: [{ mint: mintUrl, proofs }], unit, memo: "thanks" });
+  return `cashuA${Buffer.from(json).toString("base64url")}`;
+}
+
+// Small CBOR encoder for building V4 tokens
+function cbor(value) {
+  const head = (major, n) => {
+    if (n < 24) return Buffer.from([(major << 5) | n]);
+    if (n < 256) return Buffer.from([(major << 5) | 24, n]);
+    const b = Buffer.alloc(3);
+    b[0] = (major << 5) | 25;
+    b.writeUInt16BE(n, 1);
+    return b;
+  };
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === "number") return head(0, value);
+  if (typeof value === "string") return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(cbor)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([k, v]) => [cbor(k), cbor(v)])]);
+}
+
+function tokenB(amounts) {
+  const data = {
+    m: MINT,
+    u: "sat",
+    t: [{
+      i: Buffer.from("009a1f293253e41e", "hex"),
+      p: amounts.map((a, i) => ({ a, s: `b${i}-${a}`, c: Buffer.from("02abcd", "hex") }))
+    }]
+  };
+  return `cashuB${cbor(data).toString("base64url")}`;
+}
+
+async function loadCashu() {
+  process.env.CASHU_MINTS = `${MINT}/, https://other.test`;
+  vi.resetModules();
+  return import("../cashu.js");
+}
+
+describe("cashu", () => {
+  afterEach(() => {
+    mint.calls = [];
+    mint.spent.clear();
+    mint.feePpk = 0;
+    mint.meltState = "PAID";
+    mint.meltStatus = 200;
+    mint.lightningFee = 0;
+    delete process.env.CASHU_MINTS;
+  });
+
+  it("decodes V3 and V4 tokens", async () => {
+    const cashu = await loadCashu();
+    expect(cashu.CASHU_MINTS).toEqual([MINT, "https://other.test"]);
+
+    const a = cashu.decodeToken(`cashu:${tokenA([64, 32, 4])}`);
+    expect(a).toMatchObject({ mint: MINT, unit: "sat", memo: "thanks", amountSats: 100 });
+    expect(a.proofs[0]).toEqual({ amount: 64, id: "009a1f293253e41e", secret: "s0-64", C: "02abcd" });
+
+    const b = cashu.decodeToken(tokenB([8, 2]));
+    expect(b).toMatchObject({ mint: MINT, amountSats: 10 });
+    expect(b.proofs[1]).toEqual({ amount: 2, id: "009a1f293253e41e", secret: "b1-2", C: "02abcd" });
+
+    expect(() => cashu.decodeToken("lnbc1")).toThrow(/Not a Cashu token/);
+    expect(() => cashu.decodeToken(tokenA([1], { unit: "usd" }))).toThrow(/only sat/);
+  });
+
+  it("melts a token into the order invoice", async () => {
+    const cashu = await loadCashu();
+    mint.lightningFee = 1;
+    const result = await cashu.meltToInvoice({ token: tokenA([64, 32, 8]), paymentRequest: "lnbc100" });
+    expect(result).toMatchObject({ state: "PAID", mint: MINT, amountSats: 104, feeReserveSats: 2, preimage: "pre", changeSats: 3, changeRequest: null });
+    const melt = mint.calls.find((c) => c.path === "/v1/melt/bolt11");
+    expect(melt.body).toMatchObject({ quote: "q1" });
+    expect(melt.body.inputs).toHaveLength(3);
+    expect(melt.body.outputs).toHaveLength(3); // up to 4 sats of change
+
+    // The change is a token the buyer's wallet can redeem: C = k * hash_to_curve(secret)
+    const change = cashu.decodeToken(result.change);
+    expect(change).toMatchObject({ mint: MINT, amountSats: 3 });
+    expect(change.proofs.map((p) => p.amount)).toEqual([2, 1]);
+    for (const proof of change.proofs) {
+      const expected = ecc.pointMultiply(cashu.hashToCurve(proof.secret), mintKey(proof.amount), true);
+      expect(proof.C).toBe(Buffer.from(expected).toString("hex"));
+    }
+
+    // The same proofs cannot be spent twice, and the mint says so
+    const again = cashu.meltToInvoice({ token: tokenA([64, 32, 8]), paymentRequest: "lnbc100" });
+    await expect(again).rejects.toBeInstanceOf(cashu.CashuMintError);
+    await expect(again).rejects.toThrow(/Token already spent/);
+  });
+
+  it("keeps a pending melt's change claimable and treats gateway errors as unknown", async () => {
+    const cashu = await loadCashu();
+    mint.meltState = "PENDING";
+    const pending = await cashu.meltToInvoice({ token: tokenA([64, 32, 8]), paymentRequest: "lnbc100" });
+    expect(pending).toMatchObject({ state: "PENDING", change: "", changeRequest: { mint: MINT, quote: "q1", keysetId: "009a1f293253e41e" } });
+    expect(pending.changeRequest.blanks).toHaveLength(3);
+    expect(await cashu.claimChange(pending.changeRequest)).toEqual({ state: "PENDING", change: "", changeSats: 0 });
+
+    // Once the mint has paid, the change is unblinded from the quote
+    mint.meltState = "PAID";
+    const claimed = await cashu.claimChange(pending.changeRequest);
+    expect(claimed).toMatchObject({ state: "PAID", changeSats: 4 });
+    expect(cashu.decodeToken(claimed.change).proofs[0].C)
+      .toBe(Buffer.from(ecc.pointMultiply(cashu.hashToCurve(pending.changeRequest.blanks[0].secret), mintKey(4), true)).toString("hex"));
+
+    mint.meltStatus = 502;
+    const unknown = await cashu.meltToInvoice({ token: tokenA([128]), paymentRequest: "lnbc100" }).catch((e) => e);
+    expect(unknown).not.toBeInstanceOf(cashu.CashuMintError);
+    expect(unknown.message).toMatch(/Bad gateway/);
+    expect(unknown.changeRequest).toMatchObject({ mint: MINT, quote: "q1" });
+  });
+
+  it("refuses short tokens and unknown mints before spending", async () => {
+    const cashu = await loadCashu();
+    mint.feePpk = 1000; // 1 sat per input
+    const short = cashu.meltToInvoice({ token: tokenA([64, 32, 4]), paymentRequest: "lnbc100" });
+    await expect(short).rejects.toBeInstanceOf(cashu.CashuMintError);
+    await expect(short).rejects.toThrow(/holds 100 sats; the order needs 105 sats/);
+    expect(mint.calls.some((c) => c.path === "/v1/melt/bolt11")).toBe(false);
+
+    await expect(cashu.meltToInvoice({ token: tokenA([128], { mintUrl: "https://evil.test" }), paymentRequest: "lnbc100" }))
+      .rejects.toThrow(/not accepted here/);
+  });
+});
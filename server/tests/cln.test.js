@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+
+// Minimal clnrest: POST /v1/<method> with a Rune header
+const node = { invoices: [], calls: [], waitany: [] };
+
+vi.mock("node-fetch", () => ({
+  default: vi.fn(async (url, init) => {
+    const method = String(url).split("/v1/")[1];
+    const params = JSON.parse(init.body || "{}");
+    node.calls.push({ method, params, rune: init.headers.Rune });
+    const reply = (status, body) => ({ ok: status < 400, status, text: async () => JSON.stringify(body) });
+    if (method === "invoice") {
+      const inv = {
+        label: params.label,
+        bolt11: `lnbc${params.amount_msat / 1000}`,
+        payment_hash: `hash-${node.invoices.length + 1}`,
+        status: "unpaid"
+      };
+      node.invoices.push(inv);
+      return reply(201, { bolt11: inv.bolt11, payment_hash: inv.payment_hash, expires_at: 0 });
+    }
+    if (method === "listinvoices") {
+      return reply(201, { invoices: node.invoices.filter((i) => i.payment_hash === params.payment_hash) });
+    }
+    if (method === "waitinvoice") {
+      const inv = node.invoices.find((i) => i.label === params.label);
+      return inv.status === "expired"
+        ? reply(500, { code: 903, message: "invoice expired" })
+        : reply(201, { ...inv, status: "paid" });
+    }
+    if (method === "waitanyinvoice") {
+      const next = node.waitany.shift();
+      // Park the watcher once the queue is drained
+      return next ? reply(201, next) : new Promise(() => {});
+    }
+    if (method === "pay") {
+      return reply(201, { status: "complete", payment_preimage: "ab".repeat(32) });
+    }
+    return reply(500, { code: -32601, message: `Unknown command ${method}` });
+  })
+}));
+
+async function loadCln() {
+  process.env.CLN_REST_URL = "http://cln.test:3010";
+  process.env.CLN_RUNE = "test-rune";
+  const db = await freshDb();
+  const cln = await import("../cln.js");
+  return { ...db, cln };
+}
+
+describe("cln backend", () => {
+  afterEach(() => {
+    node.invoices = [];
+    node.calls = [];
+    node.waitany = [];
+    delete process.env.CLN_REST_URL;
+    delete process.env.CLN_RUNE;
+  });
+
+  it("creates invoices, reads their status and pays refunds", async () => {
+    const { cln } = await loadCln();
+    const inv = await cln.createInvoiceSats({ amount: 2100, memo: "Order" });
+    expect(inv).toEqual({ paymentRequest: "lnbc2100", paymentHash: "hash-1", satoshis: 2100 });
+    expect(node.calls[0]).toMatchObject({
+      method: "invoice",
+      rune: "test-rune",
+      params: { amount_msat: 2100000, description: "Order", expiry: 900 }
+    });
+
+    expect(await cln.invoiceStatus({ paymentHash: "hash-1" })).toBe("PENDING");
+    node.invoices[0].status = "paid";
+    expect(await cln.invoiceStatus({ paymentHash: "hash-1" })).toBe("PAID");
+    await expect(cln.invoiceStatus({ paymentHash: "missing" })).rejects.toThrow(/not found/);
+
+    const paid = await cln.payInvoice({ paymentRequest: "lnbc1", amountSats: 5000 });
+    expect(paid.status).toBe("PAID");
+    expect(node.calls.at(-1).params).toMatchObject({ bolt11: "lnbc1", maxfee: 50000 });
+  });
+
+  it("reports payment and expiry through waitinvoice", async () => {
+    const { cln } = await loadCln();
+    const first = await cln.createInvoiceSats({ amount: 1000 });
+    const second = await cln.createInvoiceSats({ amount: 1000 });
+    node.invoices[1].status = "expired";
+
+    const statuses = await Promise.all([first, second].map(({ paymentHash }) => new Promise((resolve) => {
+      cln.subscribeInvoiceStatus({ paymentHash, onStatus: resolve });
+    })));
+    expect(statuses).toEqual(["PAID", "EXPIRED"]);
+  });
+
+  it("follows waitanyinvoice from the stored pay_index", async () => {
+    const { cln, Settings } = await loadCln();
+    Settings.setClnPayIndex(4);
+    node.waitany.push({ payment_hash: "hash-a", status: "paid", pay_index: 5 });
+    const paid = await new Promise((resolve) => {
+      cln.startPaymentWatcher({ onPaid: resolve });
+    });
+    expect(paid).toBe("hash-a");
+    expect(node.calls.find((c) => c.method === "waitanyinvoice").params.lastpay_index).toBe(4);
+    expect(Settings.clnPayIndex()).toBe(5);
+  });
+});
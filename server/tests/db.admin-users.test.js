@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+const PUBKEY = "a".repeat(64);
+
+describe("db: admin users", () => {
+  it("authenticates with a hashed password", async () => {
+    const { AdminUsers } = await freshDb();
+    const owner = AdminUsers.create({ username: "Owner", role: "owner", password: "s3cret-pass" });
+    expect(owner).toMatchObject({ username: "owner", role: "owner", hasPassword: true, active: true });
+    expect(owner.passwordHash).toBeUndefined();
+
+    expect(AdminUsers.authenticate("OWNER", "s3cret-pass")?.id).toBe(owner.id);
+    expect(AdminUsers.authenticate("owner", "nope")).toBeNull();
+
+    AdminUsers.create({ username: "packer", role: "fulfilment", password: "packer-pass" });
+    const packer = AdminUsers.byUsername("packer");
+    AdminUsers.update(packer.id, { active: false });
+    expect(AdminUsers.authenticate("packer", "packer-pass")).toBeNull();
+  });
+
+  it("links Nostr pubkeys and validates input", async () => {
+    const { AdminUsers } = await freshDb();
+    expect(() => AdminUsers.create({ username: "social", role: "content", nostrPubkey: PUBKEY }))
+      .toThrow(/first admin account must be an owner/);
+    AdminUsers.create({ username: "owner", role: "owner", password: "s3cret-pass" });
+    const social = AdminUsers.create({ username: "social", role: "content", nostrPubkey: PUBKEY.toUpperCase() });
+    expect(AdminUsers.byNostrPubkey(PUBKEY)?.id).toBe(social.id);
+    expect(social.hasPassword).toBe(false);
+
+    expect(() => AdminUsers.create({ username: "other", nostrPubkey: PUBKEY })).toThrow(/already linked/);
+    expect(() => AdminUsers.create({ username: "weak", password: "short" })).toThrow(/at least 8/);
+    expect(() => AdminUsers.create({ username: "none" })).toThrow(/password or a Nostr pubkey/);
+    expect(() => AdminUsers.update(social.id, { nostrPubkey: "" })).toThrow(/password or a Nostr pubkey/);
+  });
+
+  it("keeps at least one active owner", async () => {
+    const { AdminUsers } = await freshDb();
+    const owner = AdminUsers.create({ username: "owner", role: "owner", password: "s3cret-pass" });
+    expect(() => AdminUsers.update(owner.id, { role: "content" })).toThrow(/active owner/);
+    expect(() => AdminUsers.remove(owner.id)).toThrow(/active owner/);
+
+    AdminUsers.create({ username: "partner", role: "owner", password: "partner-pass" });
+    AdminUsers.update(owner.id, { role: "fulfilment" });
+    expect(AdminUsers.get(owner.id).role).toBe("fulfilment");
+  });
+});
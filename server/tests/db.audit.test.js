@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+describe("db: admin audit log", () => {
+  it("records entries and filters them", async () => {
+    const { AuditLog } = await freshDb();
+    AuditLog.record({
+      at: 1000,
+      actorId: "u1",
+      actorName: "anna",
+      actorRole: "owner",
+      method: "put",
+      route: "/api/admin/products/:id",
+      action: "product.update",
+      targetType: "product",
+      targetId: "p1",
+      diff: { title: { from: "Old", to: "New" } }
+    });
+    AuditLog.record({ at: 2000, actorName: "bruno", action: "order.status", targetType: "order", targetId: "o1" });
+    AuditLog.record({ at: 3000, actorName: "anna", action: "product.delete", targetType: "product", targetId: "p1" });
+
+    const all = AuditLog.list();
+    expect(all.total).toBe(3);
+    expect(all.items.map((r) => r.action)).toEqual(["product.delete", "order.status", "product.update"]);
+    expect(all.items[2].method).toBe("PUT");
+    expect(all.items[2].diff).toEqual({ title: { from: "Old", to: "New" } });
+
+    expect(AuditLog.list({ actor: "anna" }).total).toBe(2);
+    expect(AuditLog.list({ actor: "u1" }).total).toBe(1);
+    expect(AuditLog.list({ targetType: "product", targetId: "p1" }).total).toBe(2);
+    expect(AuditLog.list({ from: 1500, to: 2500 }).items.map((r) => r.action)).toEqual(["order.status"]);
+
+    const page = AuditLog.list({ limit: 1, offset: 1 });
+    expect(page.total).toBe(3);
+    expect(page.items.map((r) => r.action)).toEqual(["order.status"]);
+
+    expect(AuditLog.facets()).toEqual({
+      actions: ["order.status", "product.delete", "product.update"],
+      actors: ["anna", "bruno"],
+      targetTypes: ["order", "product"]
+    });
+  });
+
+  it("prunes entries past the retention window", async () => {
+    const { AuditLog } = await freshDb();
+    const day = 24 * 60 * 60 * 1000;
+    AuditLog.record({ at: Date.now() - 400 * day, action: "old" });
+    AuditLog.record({ action: "recent" });
+    expect(AuditLog.pruneOlderThan(365 * day)).toBe(1);
+    expect(AuditLog.list().items.map((r) => r.action)).toEqual(["recent"]);
+  });
+});
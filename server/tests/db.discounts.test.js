@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+function orderWith(code) {
+  return {
+    items: [{ productId: "p1", title: "Art", priceSats: 1000 }],
+    subtotalSats: 1000,
+    shippingSats: 0,
+    totalSats: 900,
+    discountCode: code,
+    discountSats: 100,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123"
+  };
+}
+
+describe("db: discount codes", () => {
+  it("normalizes codes and rejects duplicates", async () => {
+    const { DiscountCodes } = await freshDb();
+    const created = DiscountCodes.create({ code: " summer 10 ", kind: "percent", value: 250 });
+    expect(created.code).toBe("SUMMER10");
+    expect(created.value).toBe(100);
+    expect(created.active).toBe(true);
+    expect(DiscountCodes.byCode("summer10")?.id).toBe(created.id);
+    expect(() => DiscountCodes.create({ code: "SUMMER10" })).toThrow(/already exists/);
+
+    const updated = DiscountCodes.update(created.id, { kind: "fixed", value: 500, productIds: ["p1", "p1"] });
+    expect(updated).toMatchObject({ kind: "fixed", value: 500, productIds: ["p1"] });
+
+    DiscountCodes.remove(created.id);
+    expect(DiscountCodes.get(created.id)).toBeNull();
+  });
+
+  it("counts uses from non-failed orders", async () => {
+    const { DiscountCodes, Orders } = await freshDb();
+    DiscountCodes.create({ code: "ONCE", kind: "fixed", value: 100, maxUses: 1 });
+    const order = Orders.create(orderWith("ONCE"));
+    expect(order.discountCode).toBe("ONCE");
+    expect(order.discountSats).toBe(100);
+    const failed = Orders.create(orderWith("ONCE"));
+    Orders.setStatus(failed.id, "FAILED");
+
+    expect(DiscountCodes.usageCount("once")).toBe(1);
+    expect(DiscountCodes.all()[0].usedCount).toBe(1);
+  });
+
+  it("reserves a limited code before the order row exists", async () => {
+    const { DiscountCodes, DiscountReservations, Orders } = await freshDb();
+    const { evaluateDiscount } = await import("../discounts.js");
+    DiscountCodes.create({ code: "ONCE", kind: "fixed", value: 100, maxUses: 1 });
+    const expiresAt = Date.now() + 60_000;
+    // Both checkouts validate before either has awaited its invoice
+    const checkout = (orderId) => {
+      const discount = evaluateDiscount(DiscountCodes.byCode("ONCE"), {
+        items: [{ productId: "p1", priceSats: 1000, qty: 1 }],
+        subtotalSats: 1000,
+        usedCount: DiscountCodes.usageCount("ONCE")
+      });
+      DiscountReservations.hold(orderId, discount.code, expiresAt);
+      return discount;
+    };
+    checkout("first");
+    expect(() => checkout("second")).toThrow(/usage limit/);
+    expect(DiscountCodes.all()[0].usedCount).toBe(1);
+
+    // A failed invoice hands the use back
+    DiscountReservations.release("first");
+    expect(DiscountCodes.usageCount("ONCE")).toBe(0);
+
+    // Once the order row exists the use is counted once, and freed on removal
+    checkout("third");
+    Orders.create({ ...orderWith("ONCE"), id: "third" });
+    expect(DiscountCodes.usageCount("ONCE")).toBe(1);
+    Orders.remove("third");
+    expect(DiscountCodes.usageCount("ONCE")).toBe(0);
+
+    DiscountReservations.hold("stale", "ONCE", Date.now() - 1);
+    expect(DiscountCodes.usageCount("ONCE")).toBe(0);
+  });
+});
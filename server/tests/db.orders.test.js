@@ -12,6 +12,7 @@ describe("db: orders", () => {
       shippingSats: 100,
       totalSats: 1100,
       paymentHash: "hash-1",
+      lightningProvider: "nwc",
       contactEmail: "buyer@example.com",
       address: "123 St",
       city: "Town",
@@ -24,6 +25,7 @@ describe("db: orders", () => {
     const byId = Orders.get(created.id);
     expect(byId.paymentHash).toBe("hash-1");
     expect(byId.totalSats).toBe(1100);
+    expect(byId.lightningProvider).toBe("nwc");
 
     const byHash = Orders.byPaymentHash("hash-1");
     expect(byHash?.id).toBe(created.id);
@@ -52,4 +54,53 @@ describe("db: orders", () => {
     const gone = Orders.get(old.id);
     expect(gone).toBeNull();
   });
+
+  it("keeps the Boltz refund key of a deleted order", async () => {
+    const { Orders, DeletedOrders } = await freshDb();
+    const order = Orders.create({
+      items: [],
+      subtotalSats: 5000,
+      shippingSats: 0,
+      totalSats: 5000,
+      paymentMethod: "onchain",
+      onchainProvider: "boltz",
+      boltzSwapId: "swap-1",
+      boltzRefundPrivKey: "11".repeat(32),
+      address: "A",
+      city: "B",
+      province: "C",
+      country: "IT",
+      contactPhone: "123"
+    });
+    Orders.remove(order.id);
+    // Without it the swap could only be refunded with BOLTZ_RESCUE_MNEMONIC
+    expect(DeletedOrders.get(order.id).order.boltzRefundPrivKey).toBe("11".repeat(32));
+    expect(DeletedOrders.restore(order.id).boltzRefundPrivKey).toBe("11".repeat(32));
+  });
+
+  it("records the payment time and keeps the first fiat rate", async () => {
+    const { Orders } = await freshDb();
+    const order = Orders.create({
+      items: [],
+      subtotalSats: 1000,
+      shippingSats: 0,
+      totalSats: 1000,
+      paymentHash: "paid-hash",
+      address: "A",
+      city: "B",
+      province: "C",
+      country: "IT",
+      contactPhone: "123"
+    });
+    expect(Orders.get(order.id).paidAt).toBe(0);
+
+    const paid = Orders.markPaidByHash("paid-hash");
+    expect(paid.paidAt).toBeGreaterThan(0);
+    expect(Orders.setStatus(order.id, "PREPARATION").paidAt).toBe(paid.paidAt);
+
+    expect(Orders.setFiatRate(order.id, { currency: "eur", rate: 60000 }).fiatRate).toBe(60000);
+    const again = Orders.setFiatRate(order.id, { currency: "USD", rate: 70000 });
+    expect(again.fiatCurrency).toBe("EUR");
+    expect(again.fiatRate).toBe(60000);
+  });
 });
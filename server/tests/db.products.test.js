@@ -48,4 +48,66 @@ describe("db: products", () => {
     const publics = Products.allPublic();
     expect(publics[0].mainImageIndex).toBe(0);
   });
+
+  it("stores variants with per-variant price and stock", async () => {
+    const { Products } = await freshDb();
+    const product = Products.create({
+      title: "Print",
+      description: "desc",
+      priceSats: 1000,
+      images: [PNG_DATA_URL],
+      variantOptions: [{ name: "Size", values: ["A4", "A3", "A3"] }],
+      variants: [
+        { options: { Size: "A4" }, quantityAvailable: 2 },
+        { options: { Size: "A3" }, priceSats: 1800, quantityAvailable: 1, imageIndex: 0 },
+        { options: { Size: "A5" }, priceSats: 1 }
+      ]
+    });
+    expect(product.variantOptions).toEqual([{ name: "Size", values: ["A4", "A3"] }]);
+    expect(product.variants).toHaveLength(2);
+    expect(product.isUnique).toBe(false);
+    const [a4, a3] = product.variants;
+    expect(a4.priceSats).toBe(1000);
+    expect(a3.priceSats).toBe(1800);
+    expect(a3.label).toBe("A3");
+
+    Products.consumeStock(product.id, 1, { variantId: a3.id });
+    const afterA3 = Products.get(product.id, { includeImages: false });
+    expect(afterA3.available).toBe(true);
+    expect(afterA3.variants.find((v) => v.id === a3.id).available).toBe(false);
+    expect(Products.allPublic()[0].available).toBe(true);
+
+    Products.consumeStock(product.id, 2, { variantId: a4.id });
+    const soldOut = Products.get(product.id, { includeImages: false });
+    expect(soldOut.available).toBe(false);
+    expect(soldOut.quantityAvailable).toBe(0);
+
+    const restocked = Products.update(product.id, {
+      variants: soldOut.variants.map((v) => ({ ...v, quantityAvailable: 5 }))
+    });
+    expect(restocked.available).toBe(true);
+    expect(restocked.variants.map((v) => v.id)).toEqual([a4.id, a3.id]);
+  });
+
+  it("keeps the other variants' fiat prices when one variant sells", async () => {
+    const { Products } = await freshDb();
+    const product = Products.create({
+      title: "Pegged print",
+      priceSats: 1,
+      priceCurrency: "EUR",
+      priceFiat: 20,
+      images: [PNG_DATA_URL],
+      variantOptions: [{ name: "Size", values: ["A4", "A3"] }],
+      variants: [
+        { options: { Size: "A4" }, quantityAvailable: 3 },
+        { options: { Size: "A3" }, priceFiat: 25, quantityAvailable: 3 }
+      ]
+    });
+    const [a4, a3] = product.variants;
+
+    Products.consumeStock(product.id, 1, { variantId: a4.id });
+    const after = Products.get(product.id, { includeImages: false });
+    expect(after.variants.find((v) => v.id === a4.id).quantityAvailable).toBe(2);
+    expect(after.variants.find((v) => v.id === a3.id)).toMatchObject({ priceFiat: 25, quantityAvailable: 3 });
+  });
 });
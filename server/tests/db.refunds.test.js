@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+function paidOrder(Orders) {
+  const order = Orders.create({
+    items: [{ productId: "p1", title: "Art", priceSats: 1000 }],
+    subtotalSats: 1000,
+    shippingSats: 200,
+    totalSats: 1200,
+    paymentHash: "hash-1",
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123"
+  });
+  Orders.markPaidByHash("hash-1");
+  return order;
+}
+
+describe("db: refunds", () => {
+  it("moves a paid order through REFUND_REQUESTED to REFUNDED", async () => {
+    const { Orders } = await freshDb();
+    const order = paidOrder(Orders);
+
+    const requested = Orders.requestRefund(order.id, { reason: "Damaged in transit" });
+    expect(requested.status).toBe("REFUND_REQUESTED");
+    expect(requested.refundSats).toBe(1200);
+    expect(requested.refundReason).toBe("Damaged in transit");
+    expect(requested.refundRequestedAt).toBeGreaterThan(0);
+
+    const refunded = Orders.markRefunded(order.id, {
+      method: "lightning",
+      destination: "buyer@wallet.example",
+      reference: "preimage",
+      amountSats: 1000
+    });
+    expect(refunded.status).toBe("REFUNDED");
+    expect(refunded.refundSats).toBe(1000);
+    expect(refunded.refundMethod).toBe("lightning");
+    expect(refunded.refundDestination).toBe("buyer@wallet.example");
+    expect(refunded.refundReference).toBe("preimage");
+    expect(refunded.refundedAt).toBeGreaterThan(0);
+
+    // A late payment notification must not move the order back to PAID
+    expect(Orders.markPaidByHash("hash-1").status).toBe("REFUNDED");
+  });
+
+  it("rejects refunds for unpaid orders and out-of-range amounts", async () => {
+    const { Orders } = await freshDb();
+    const pending = Orders.create({
+      items: [],
+      subtotalSats: 500,
+      shippingSats: 0,
+      totalSats: 500,
+      address: "A",
+      city: "B",
+      province: "C",
+      country: "IT",
+      contactPhone: "123"
+    });
+    expect(() => Orders.requestRefund(pending.id)).toThrow(/Only paid orders/);
+    expect(() => Orders.markRefunded(pending.id, { amountSats: 100 })).toThrow(/Request the refund/);
+
+    const order = paidOrder(Orders);
+    expect(() => Orders.requestRefund(order.id, { amountSats: 5000 })).toThrow(/between 1 and 1200/);
+    Orders.requestRefund(order.id, { amountSats: 300 });
+    expect(() => Orders.markRefunded(order.id, { amountSats: 0 })).toThrow(/between 1 and 1200/);
+  });
+
+  it("records a failed swap's refund without counting the order as paid", async () => {
+    const { Orders } = await freshDb();
+    const swap = Orders.create({
+      items: [],
+      subtotalSats: 1000,
+      shippingSats: 0,
+      totalSats: 1000,
+      paymentMethod: "onchain",
+      boltzSwapId: "swap-1",
+      address: "A",
+      city: "B",
+      province: "C",
+      country: "IT",
+      contactPhone: "123"
+    });
+    Orders.setStatus(swap.id, "FAILED");
+    // The buyer may have locked more than the order total
+    const recorded = Orders.recordSwapRefund(swap.id, {
+      destination: "bc1qbuyer",
+      reference: "ab".repeat(32),
+      amountSats: 1150,
+      reason: "Boltz swap swap-1 refunded (cooperative)"
+    });
+    expect(recorded).toMatchObject({
+      status: "FAILED",
+      refundSats: 1150,
+      refundMethod: "onchain",
+      refundDestination: "bc1qbuyer",
+      refundReference: "ab".repeat(32)
+    });
+    expect(recorded.refundedAt).toBeGreaterThan(0);
+
+    expect(() => Orders.recordSwapRefund(paidOrder(Orders).id, { amountSats: 100 })).toThrow(/Not a Boltz swap/);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+function pendingOrder(Orders, id, items) {
+  return Orders.create({
+    id,
+    items,
+    subtotalSats: 1000,
+    shippingSats: 0,
+    totalSats: 1000,
+    paymentHash: `hash-${id}`,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123"
+  });
+}
+
+describe("db: stock reservations", () => {
+  it("holds units until they expire", async () => {
+    const { StockReservations } = await freshDb();
+    const at = Date.now();
+    StockReservations.hold("o1", [{ productId: "p1", qty: 2 }, { productId: "p2", variantId: "v1", qty: 1 }], at + 60_000);
+    StockReservations.hold("o2", [{ productId: "p1", qty: 1 }], at + 1_000);
+
+    expect(StockReservations.reservedQty("p1", "", { at })).toBe(3);
+    expect(StockReservations.reservedQty("p2", "v1", { at })).toBe(1);
+    expect(StockReservations.reservedQty("p2", "v2", { at })).toBe(0);
+    expect(StockReservations.reservedQty("p1", "", { at: at + 5_000 })).toBe(2);
+
+    StockReservations.extend("o2", at + 60_000);
+    expect(StockReservations.reservedQty("p1", "", { at: at + 5_000 })).toBe(3);
+  });
+
+  it("releases when the order is paid, failed or removed", async () => {
+    const { Orders, StockReservations } = await freshDb();
+    const expiresAt = Date.now() + 60_000;
+    const items = [{ productId: "p1", qty: 1 }];
+    for (const id of ["paid", "failed", "gone"]) {
+      pendingOrder(Orders, id, items);
+      StockReservations.hold(id, items, expiresAt);
+    }
+    expect(StockReservations.reservedQty("p1")).toBe(3);
+
+    Orders.markPaidByHash("hash-paid");
+    Orders.setStatus("failed", "FAILED");
+    Orders.remove("gone");
+    expect(StockReservations.reservedQty("p1")).toBe(0);
+  });
+
+  it("prunes expired holds", async () => {
+    const { StockReservations } = await freshDb();
+    StockReservations.hold("o1", [{ productId: "p1", qty: 1 }], Date.now() - 1);
+    StockReservations.prune();
+    expect(StockReservations.forOrder("o1")).toEqual([]);
+  });
+});
@@ -20,4 +20,11 @@ describe("db: settings", () => {
     expect(next.shippingZones[0].id).toBe("z1");
     expect(next.nostrCommentsEnabled).toBe(false);
   });
+
+  it("keeps only valid, unique Lightning Address names", async () => {
+    const { Settings } = await freshDb();
+    expect(Settings.getAll().lightningAddressNames).toEqual([]);
+    Settings.setAll({ lightningAddressNames: "Shop, tips@old.example\nshop, bad!name, ok_1.x" });
+    expect(Settings.getAll().lightningAddressNames).toEqual(["shop", "tips", "ok_1.x"]);
+  });
 });
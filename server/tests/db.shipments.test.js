@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+function paidOrder(Orders) {
+  const order = Orders.create({
+    items: [
+      { productId: "p1", title: "Print", priceSats: 1000, qty: 2 },
+      { productId: "p2", title: "Frame", variantLabel: "Large", priceSats: 500, qty: 1 }
+    ],
+    subtotalSats: 2500,
+    shippingSats: 0,
+    totalSats: 2500,
+    paymentHash: "hash-ship",
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123"
+  });
+  Orders.markPaidByHash("hash-ship");
+  return order;
+}
+
+describe("db: shipments", () => {
+  it("ships an order in several parcels", async () => {
+    const { Orders, Shipments } = await freshDb();
+    const order = paidOrder(Orders);
+
+    const first = Shipments.create(order.id, { items: [{ line: 0, qty: 1 }], courier: "DHL", tracking: "T1" });
+    expect(first.order.status).toBe("PARTIALLY_SHIPPED");
+    expect(first.order.courier).toBe("DHL");
+    expect(first.shipment.items).toEqual([{ line: 0, qty: 1, title: "Print", variantLabel: "" }]);
+    expect(Shipments.remaining(first.order)).toEqual([{ line: 0, qty: 1 }, { line: 1, qty: 1 }]);
+
+    expect(() => Shipments.create(order.id, { items: [{ line: 0, qty: 2 }], courier: "DHL", tracking: "T2" }))
+      .toThrow(/Only 1 of "Print" left to ship/);
+    expect(() => Shipments.create(order.id, { items: [{ line: 1, qty: 1 }], courier: "", tracking: "T2" }))
+      .toThrow(/Courier and tracking/);
+
+    // No items = everything that is left
+    const second = Shipments.create(order.id, { courier: "UPS", tracking: "T2" });
+    expect(second.order.status).toBe("SHIPPED");
+    expect(second.order.tracking).toBe("T2");
+    expect(second.order.shipments.map((s) => s.tracking)).toEqual(["T1", "T2"]);
+    // Order lists load every order's shipments in one go
+    expect(Orders.all().find((o) => o.id === order.id).shipments.map((s) => s.tracking)).toEqual(["T1", "T2"]);
+    expect(() => Shipments.create(order.id, { courier: "UPS", tracking: "T3" })).toThrow(/not fully shipped/);
+  });
+
+  it("recomputes the order status when a shipment is removed", async () => {
+    const { Orders, Shipments } = await freshDb();
+    const order = paidOrder(Orders);
+    const first = Shipments.create(order.id, { items: [{ line: 1, qty: 1 }], courier: "DHL", tracking: "T1" });
+    const second = Shipments.create(order.id, { courier: "UPS", tracking: "T2" });
+
+    const afterSecond = Shipments.remove(second.shipment.id);
+    expect(afterSecond.status).toBe("PARTIALLY_SHIPPED");
+    expect(afterSecond.tracking).toBe("T1");
+
+    const afterFirst = Shipments.remove(first.shipment.id);
+    expect(afterFirst.status).toBe("PREPARATION");
+    expect(afterFirst.shipments).toEqual([]);
+
+    Shipments.create(order.id, { courier: "UPS", tracking: "T3" });
+    Orders.remove(order.id);
+    expect(Shipments.forOrder(order.id)).toEqual([]);
+  });
+});
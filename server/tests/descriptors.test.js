@@ -0,0 +1,78 @@
+import { BIP32Factory } from "bip32";
+import * as ecc from "tiny-secp256k1";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+import { descriptorChecksum, parseDescriptor } from "../onchain/descriptors.js";
+
+vi.mock("node-fetch", () => ({ default: vi.fn() }));
+
+// "abandon ... about" test mnemonic, BIP84 and BIP86 account keys
+const BIP84_XPUB = "xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V";
+const BIP86_XPUB = "xpub6BgBgsespWvERF3LHQu6CnqdvfEvtMcQjYrcRzx53QJjSxarj2afYWcLteoGVky7D3UKDP9QyrLprQ3VCECoY49yfdDEHGCtMMj92pReUsQ";
+
+const bip32 = BIP32Factory(ecc);
+const cosigner = (n) => bip32.fromSeed(Buffer.alloc(32, n)).neutered().toBase58();
+
+describe("output descriptors", () => {
+  afterEach(() => {
+    delete process.env.ONCHAIN_DESCRIPTOR;
+  });
+
+  it("computes and checks BIP380 checksums", () => {
+    expect(descriptorChecksum("raw(deadbeef)")).toBe("89f8spxm");
+    const desc = `wpkh([73c5da0a/84h/0h/0h]${BIP84_XPUB}/<0;1>/*)`;
+    expect(parseDescriptor(`${desc}#qf45pmyh`).descriptor).toBe(`${desc}#qf45pmyh`);
+    expect(parseDescriptor(desc).descriptor).toBe(`${desc}#qf45pmyh`);
+    expect(() => parseDescriptor(`${desc}#qf45pmyx`)).toThrow(/checksum mismatch \(expected #qf45pmyh\)/);
+  });
+
+  it("derives BIP84 and BIP86 receive addresses", () => {
+    const wpkh = parseDescriptor(`wpkh([73c5da0a/84h/0h/0h]${BIP84_XPUB}/0/*)`);
+    expect(wpkh).toMatchObject({ type: "wpkh", threshold: 1, keyCount: 1 });
+    expect(wpkh.deriveAddress(0)).toBe("bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu");
+
+    const tr = parseDescriptor(`tr([73c5da0a/86h/0h/0h]${BIP86_XPUB}/0/*)`);
+    expect(tr.type).toBe("tr");
+    expect(tr.deriveAddress(0)).toBe("bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr");
+  });
+
+  it("sorts sortedmulti keys so cosigner order does not matter", () => {
+    const [a, b, c] = [cosigner(1), cosigner(2), cosigner(3)];
+    const one = parseDescriptor(`wsh(sortedmulti(2,${a}/0/*,${b}/0/*,${c}/0/*))`);
+    const two = parseDescriptor(`wsh(sortedmulti(2,${c}/0/*,${a}/0/*,${b}/0/*))`);
+    expect(one).toMatchObject({ type: "wsh-multi", threshold: 2, keyCount: 3 });
+    expect(one.deriveAddress(5)).toBe(two.deriveAddress(5));
+    expect(one.deriveAddress(5)).toMatch(/^bc1q[a-z0-9]{58}$/);
+
+    // multi() keeps the order as written
+    const unsorted = parseDescriptor(`wsh(multi(2,${c}/0/*,${a}/0/*,${b}/0/*))`);
+    const nested = parseDescriptor(`sh(wsh(sortedmulti(2,${a}/0/*,${b}/0/*,${c}/0/*)))`);
+    expect([unsorted.deriveAddress(5), nested.deriveAddress(5)]).not.toContain(one.deriveAddress(5));
+    expect(nested.deriveAddress(5)).toMatch(/^3/);
+  });
+
+  it("rejects descriptors it cannot watch", () => {
+    const xprv = bip32.fromSeed(Buffer.alloc(32, 1)).toBase58();
+    expect(() => parseDescriptor(`wpkh(${BIP84_XPUB}/0h/*)`)).toThrow(/Hardened steps/);
+    expect(() => parseDescriptor(`wpkh(${BIP84_XPUB}/0/5)`)).toThrow(/ranged path/);
+    expect(() => parseDescriptor(`wpkh(${xprv}/0/*)`)).toThrow(/xpub\/tpub/);
+    expect(() => parseDescriptor(`tr(${BIP86_XPUB}/0/*,pk(${BIP84_XPUB}/0/*))`)).toThrow(/script trees/);
+    expect(() => parseDescriptor(`wsh(sortedmulti(3,${cosigner(1)}/0/*,${cosigner(2)}/0/*))`)).toThrow(/threshold/);
+  });
+
+  it("previews the addresses the shop will hand out", async () => {
+    process.env.ONCHAIN_DESCRIPTOR = `tr([73c5da0a/86h/0h/0h]${BIP86_XPUB}/<0;1>/*)`;
+    await freshDb();
+    const xpub = await import("../onchain/xpub.js");
+    const preview = xpub.previewAddresses({ start: 0, count: 3 });
+    expect(preview).toMatchObject({ source: "descriptor", addressType: "tr", network: "mainnet", nextIndex: 0 });
+    expect(preview.descriptor).toMatch(/#[a-z0-9]{8}$/);
+    expect(preview.addresses).toHaveLength(3);
+    expect(preview.addresses[0]).toEqual({
+      index: 0,
+      address: "bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr",
+      used: false,
+      state: "unused"
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { evaluateDiscount } from "../discounts.js";
+
+const items = [
+  { productId: "a", priceSats: 1000, qty: 2 },
+  { productId: "b", priceSats: 500, qty: 1 }
+];
+
+function code(overrides = {}) {
+  return {
+    code: "TEST",
+    kind: "percent",
+    value: 10,
+    minSubtotalSats: 0,
+    startsAt: 0,
+    expiresAt: 0,
+    maxUses: 0,
+    productIds: [],
+    freeShipping: false,
+    active: true,
+    ...overrides
+  };
+}
+
+describe("evaluateDiscount", () => {
+  it("applies a percentage to the whole cart", () => {
+    const res = evaluateDiscount(code(), { items, subtotalSats: 2500, shippingSats: 300 });
+    expect(res).toMatchObject({ code: "TEST", itemDiscountSats: 250, shippingDiscountSats: 0, discountSats: 250 });
+  });
+
+  it("limits fixed amounts to eligible products and waives shipping", () => {
+    const res = evaluateDiscount(code({ kind: "fixed", value: 800, productIds: ["b"], freeShipping: true }), {
+      items,
+      subtotalSats: 2500,
+      shippingSats: 300
+    });
+    expect(res).toMatchObject({ itemDiscountSats: 500, shippingDiscountSats: 300, discountSats: 800, freeShipping: true });
+  });
+
+  it("rejects codes outside their window, limits or scope", () => {
+    const ctx = { items, subtotalSats: 2500, at: 1000 };
+    expect(() => evaluateDiscount(null, ctx)).toThrow(/Invalid/);
+    expect(() => evaluateDiscount(code({ active: false }), ctx)).toThrow(/Invalid/);
+    expect(() => evaluateDiscount(code({ startsAt: 2000 }), ctx)).toThrow(/not active yet/);
+    expect(() => evaluateDiscount(code({ expiresAt: 1000 }), ctx)).toThrow(/expired/);
+    expect(() => evaluateDiscount(code({ maxUses: 2 }), { ...ctx, usedCount: 2 })).toThrow(/usage limit/);
+    expect(() => evaluateDiscount(code({ minSubtotalSats: 3000 }), ctx)).toThrow(/at least 3000/);
+    expect(() => evaluateDiscount(code({ productIds: ["zzz"] }), ctx)).toThrow(/does not apply/);
+  });
+});
@@ -0,0 +1,145 @@
+import net from "net";
+import * as bitcoin from "bitcoinjs-lib";
+import { BIP32Factory } from "bip32";
+import * as ecc from "tiny-secp256k1";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+
+vi.mock("node-fetch", () => ({ default: vi.fn(async () => { throw new Error("Esplora must not be used"); }) }));
+
+const XPUB = BIP32Factory(ecc).fromSeed(Buffer.alloc(32, 9)).neutered().toBase58();
+
+// Electrum server stand-in: history per scripthash, raw transactions, headers
+const chain = { history: {}, txs: {}, subscribed: [], sockets: new Set() };
+
+function header(time) {
+  const buf = Buffer.alloc(80);
+  buf.writeUInt32LE(time, 68);
+  return buf.toString("hex");
+}
+
+function rawTx(address, value, salt) {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.alloc(32, salt), 0);
+  tx.addOutput(bitcoin.address.toOutputScript(address), value);
+  return { txid: tx.getId(), hex: tx.toHex() };
+}
+
+const server = net.createServer((socket) => {
+  chain.sockets.add(socket);
+  socket.on("close", () => chain.sockets.delete(socket));
+  let buffer = "";
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const { id, method, params } = JSON.parse(buffer.slice(0, nl));
+      buffer = buffer.slice(nl + 1);
+      let result = null;
+      if (method === "server.version") result = ["fake-electrs", "1.4"];
+      if (method === "blockchain.scripthash.get_history") result = chain.history[params[0]] || [];
+      if (method === "blockchain.transaction.get") result = chain.txs[params[0]];
+      if (method === "blockchain.block.header") result = header(1700000000 + params[0]);
+      if (method === "blockchain.headers.subscribe") result = { height: 800004, hex: header(1700800004) };
+      if (method === "blockchain.scripthash.subscribe") {
+        chain.subscribed.push(params[0]);
+        result = null;
+      }
+      socket.write(`${JSON.stringify({ jsonrpc: "2.0", id, result })}\n`);
+    }
+  });
+});
+
+function push(scripthash) {
+  for (const socket of chain.sockets) {
+    socket.write(`${JSON.stringify({ jsonrpc: "2.0", method: "blockchain.scripthash.subscribe", params: [scripthash, "abcd"] })}\n`);
+  }
+}
+
+async function load() {
+  process.env.ONCHAIN_XPUB = XPUB;
+  process.env.ONCHAIN_ELECTRUM_URL = `tcp://127.0.0.1:${server.address().port}`;
+  const { Orders } = await freshDb();
+  const xpub = await import("../onchain/xpub.js");
+  const electrum = await import("../onchain/electrum.js");
+  const payment = await xpub.createOnchainPayment({ orderId: "ord-e", amountSats: 10000 });
+  Orders.create({
+    id: "ord-e",
+    items: [],
+    subtotalSats: 10000,
+    shippingSats: 0,
+    totalSats: 10000,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123",
+    paymentMethod: "onchain",
+    onchainProvider: "xpub",
+    ...payment
+  });
+  return { Orders, xpub, electrum, address: payment.onchainAddress };
+}
+
+describe("electrum chain source", () => {
+  let electrum = null;
+  beforeAll(() => new Promise((resolve) => server.listen(0, "127.0.0.1", resolve)));
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+  afterEach(() => {
+    electrum?.closeElectrum();
+    chain.history = {};
+    chain.txs = {};
+    chain.subscribed = [];
+    delete process.env.ONCHAIN_XPUB;
+    delete process.env.ONCHAIN_ELECTRUM_URL;
+  });
+
+  it("computes Electrum scripthashes", async () => {
+    ({ electrum } = await load());
+    expect(electrum.addressToScripthash("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa"))
+      .toBe("8b01df4e368ea28f8dc0423bcf7a4923e3a12d307c875e47a0cfbf90b5c39161");
+  });
+
+  it("builds the order status from Electrum history", async () => {
+    let ctx;
+    ({ electrum, ...ctx } = await load());
+    const { Orders, xpub, address } = ctx;
+    const confirmed = rawTx(address, 6000, 1);
+    const unconfirmed = rawTx(address, 4000, 2);
+    chain.txs = { [confirmed.txid]: confirmed.hex, [unconfirmed.txid]: unconfirmed.hex };
+    chain.history[electrum.addressToScripthash(address)] = [
+      { tx_hash: confirmed.txid, height: 800000 },
+      { tx_hash: unconfirmed.txid, height: 0, fee: 200 }
+    ];
+
+    const status = await xpub.getOnchainStatus(Orders.get("ord-e"));
+    expect(status).toMatchObject({
+      status: "MEMPOOL",
+      onchainConfirmedSats: 6000,
+      onchainMempoolSats: 4000,
+      onchainReceivedSats: 10000,
+      onchainTxid: confirmed.txid
+    });
+    expect(status.onchainPayments).toEqual([
+      { txid: confirmed.txid, amountSats: 6000, confirmed: true, confirmations: 5, rbf: false, blockTime: (1700000000 + 800000) * 1000 },
+      { txid: unconfirmed.txid, amountSats: 4000, confirmed: false, confirmations: 0, rbf: false, blockTime: 0 }
+    ]);
+  });
+
+  it("pushes address activity to watchers", async () => {
+    let ctx;
+    ({ electrum, ...ctx } = await load());
+    const scripthash = electrum.addressToScripthash(ctx.address);
+    const onChange = vi.fn();
+    const unwatch = ctx.xpub.watchOnchainAddress(ctx.address, onChange);
+    await vi.waitFor(() => expect(chain.subscribed).toEqual([scripthash]));
+
+    push(scripthash);
+    await vi.waitFor(() => expect(onChange).toHaveBeenCalledTimes(1));
+
+    unwatch();
+    push(scripthash);
+    await new Promise((r) => setTimeout(r, 50));
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+});
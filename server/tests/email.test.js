@@ -60,4 +60,27 @@ describe("email", () => {
     expect(createTransport).toHaveBeenCalledTimes(2); // builder + smtp for first call
     expect(sendMail).toHaveBeenCalledTimes(2); // builder + smtp
   });
+
+  it("sends one email per shipment with its courier and tracking", async () => {
+    const email = await loadEmail();
+    const order = {
+      id: "o2",
+      totalSats: 3000,
+      status: "PARTIALLY_SHIPPED",
+      contactEmail: "buyer@example.com",
+      createdAt: Date.now(),
+      items: [{ title: "Print", qty: 2 }]
+    };
+    const parcel = (id, tracking) => ({ id, courier: "DHL", tracking, items: [{ line: 0, qty: 1, title: "Print" }] });
+
+    await email.sendOrderStatusEmail(order, "PARTIALLY_SHIPPED", { shipment: parcel("s1", "T1") });
+    await email.sendOrderStatusEmail(order, "PARTIALLY_SHIPPED", { shipment: parcel("s2", "T2") });
+    await email.sendOrderStatusEmail(order, "PARTIALLY_SHIPPED", { shipment: parcel("s2", "T2") });
+
+    expect(sendMail).toHaveBeenCalledTimes(4); // builder + smtp, twice
+    const texts = sendMail.mock.calls.map(([mail]) => mail.text);
+    expect(texts[0]).toContain("Tracking: T1");
+    expect(texts[0]).toContain("In this parcel: 1× Print");
+    expect(texts[2]).toContain("Tracking: T2");
+  });
 });
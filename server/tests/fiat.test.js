@@ -0,0 +1,86 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, describe, expect, it } from "vitest";
+import { freshDb } from "./helpers.js";
+
+const PNG_DATA_URL = "data:image/png;base64,iVBORw0KGgo=";
+const FIAT_ENV = ["FIAT_RATE_PROVIDER", "FIAT_RATE_FALLBACK", "FIAT_RATE_FILE", "FIAT_MANUAL_RATES"];
+
+async function loadFiat(env) {
+  Object.assign(process.env, env);
+  await freshDb();
+  return import("../fiat.js");
+}
+
+describe("fiat rates", () => {
+  afterEach(() => {
+    for (const key of FIAT_ENV) delete process.env[key];
+  });
+
+  it("falls back when the primary provider fails", async () => {
+    const fiat = await loadFiat({ FIAT_RATE_PROVIDER: "broken", FIAT_MANUAL_RATES: "EUR=60000,usd=65000" });
+    const quote = await fiat.getRate("eur");
+    expect(quote).toMatchObject({ rate: 60000, source: "manual" });
+    expect(fiat.cachedRate("USD").rate).toBe(65000);
+    expect(fiat.fiatToSats(30, quote.rate)).toBe(50000);
+    expect(fiat.satsToFiat(50000, quote.rate)).toBe(30);
+  });
+
+  it("refuses rates older than the maximum age", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "boltcanvas-rates-")), "rates.json");
+    fs.writeFileSync(file, JSON.stringify({ EUR: 60000, time: Math.floor(Date.now() / 1000) - 3600 }));
+    const fiat = await loadFiat({ FIAT_RATE_PROVIDER: "file", FIAT_RATE_FILE: file });
+    await expect(fiat.getRate("EUR")).rejects.toThrow(/No up-to-date BTC\/EUR rate/);
+    expect(fiat.cachedRate("EUR")).toBeNull();
+  });
+
+  it("uses registered providers", async () => {
+    const fiat = await loadFiat({ FIAT_RATE_PROVIDER: "custom" });
+    fiat.registerRateProvider("custom", async () => ({ prices: { USD: 70000 }, at: Date.now() }));
+    expect((await fiat.getRate("USD", { force: true })).source).toBe("custom");
+  });
+});
+
+describe("db: fiat-pegged products", () => {
+  it("re-prices products and variants from their fiat price", async () => {
+    const { Products, Orders } = await freshDb();
+    const pegged = Products.create({
+      title: "Pegged",
+      priceSats: 1,
+      priceCurrency: "eur",
+      priceFiat: 30,
+      images: [PNG_DATA_URL],
+      variantOptions: [{ name: "Size", values: ["A4", "A3"] }],
+      variants: [
+        { options: { Size: "A4" } },
+        { options: { Size: "A3" }, priceFiat: 60 }
+      ]
+    });
+    const sats = Products.create({ title: "Sats", priceSats: 1234, priceCurrency: "GBP", priceFiat: 10, images: [] });
+    expect(pegged).toMatchObject({ priceCurrency: "EUR", priceFiat: 30 });
+    expect(sats).toMatchObject({ priceCurrency: "", priceFiat: null });
+    expect(Products.fiatCurrencies()).toEqual(["EUR"]);
+
+    expect(Products.repriceFiat({ EUR: 60000 })).toBe(1);
+    const repriced = Products.get(pegged.id);
+    expect(repriced.priceSats).toBe(50000);
+    expect(repriced.variants.map((v) => v.priceSats)).toEqual([50000, 100000]);
+    expect(Products.get(sats.id).priceSats).toBe(1234);
+    expect(Products.repriceFiat({ EUR: 60000 })).toBe(0);
+    expect(Products.repriceFiat({ USD: 60000 })).toBe(0);
+
+    const order = Orders.create({
+      items: [{ productId: pegged.id, title: "Pegged", priceSats: 50000, qty: 1 }],
+      subtotalSats: 50000,
+      shippingSats: 0,
+      totalSats: 50000,
+      pricingRates: { EUR: { rate: 60000, at: 1, source: "manual" } },
+      fiatCurrency: "EUR",
+      fiatRate: 60000
+    });
+    expect(order.pricingRates.EUR.rate).toBe(60000);
+    Orders.setFiatRate(order.id, { currency: "EUR", rate: 1 });
+    expect(Orders.get(order.id).fiatRate).toBe(60000);
+  });
+});
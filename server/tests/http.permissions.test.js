@@ -0,0 +1,42 @@
+import fs from "fs";
+import request from "supertest";
+import { describe, expect, it, vi } from "vitest";
+import { DB_PATH } from "./helpers.js";
+
+async function loadApp() {
+  if (fs.existsSync(DB_PATH)) fs.rmSync(DB_PATH);
+  vi.resetModules();
+  const mod = await import("../index.js");
+  const { AdminUsers } = await import("../db.js");
+  AdminUsers.create({ username: "owner", role: "owner", password: "owner-pass" });
+  AdminUsers.create({ username: "packer", role: "fulfilment", password: "packer-pass" });
+  return mod.app;
+}
+
+async function login(app, username, password) {
+  const agent = request.agent(app);
+  const res = await agent.post("/api/admin/login").send({ username, password });
+  expect(res.status).toBe(200);
+  return agent;
+}
+
+describe("admin permissions", () => {
+  it("keeps refunds to owners", async () => {
+    const app = await loadApp();
+    const packer = await login(app, "packer", "packer-pass");
+    expect((await packer.get("/api/admin/orders")).status).toBe(200);
+    expect((await packer.get("/api/admin/me")).body.permissions).not.toContain("refunds");
+    for (const path of ["/api/admin/orders/ord-1/refund-request", "/api/admin/orders/ord-1/refund"]) {
+      expect((await packer.post(path).send({ amountSats: 1000, destination: "lnbc1" })).status).toBe(403);
+    }
+    // Nor can a packer sign away a swap's locked coins or mark it refunded
+    expect((await packer.get("/api/admin/boltz/refunds")).status).toBe(403);
+    for (const path of ["/api/admin/boltz/refunds/ord-1/build", "/api/admin/boltz/refunds/ord-1/record"]) {
+      expect((await packer.post(path).send({ destination: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu" })).status).toBe(403);
+    }
+
+    // The owner gets past the permission check to the missing order
+    const owner = await login(app, "owner", "owner-pass");
+    expect((await owner.post("/api/admin/orders/ord-1/refund").send({ destination: "lnbc1" })).status).toBe(404);
+  });
+});
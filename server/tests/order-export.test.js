@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { exportOrders, filterOrders, lineItemExportRows, parseExportFilters } from "../order-export.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse("2025-03-01T00:00:00Z");
+
+const orders = [
+  {
+    id: "o1",
+    createdAt: T0,
+    paidAt: T0 + 60000,
+    status: "PAID",
+    paymentMethod: "lightning",
+    onchainProvider: "",
+    name: "Ada",
+    surname: "Lovelace",
+    items: [
+      { productId: "p1", title: "Print", priceSats: 1000, qty: 2 },
+      { productId: "p2", title: "=HYPERLINK(\"x\")", variantLabel: "Large", priceSats: 500, qty: 1 }
+    ],
+    subtotalSats: 2500,
+    discountCode: "TEN",
+    discountSats: 250,
+    shippingSats: 100,
+    totalSats: 2350,
+    fiatCurrency: "EUR",
+    fiatRate: 40000
+  },
+  {
+    id: "o2",
+    createdAt: T0 + 3 * DAY,
+    status: "SHIPPED",
+    paymentMethod: "onchain",
+    onchainProvider: "xpub",
+    items: [{ productId: "p1", title: "Print", priceSats: 1000, qty: 1 }],
+    subtotalSats: 1000,
+    discountSats: 0,
+    shippingSats: 0,
+    totalSats: 1000,
+    fiatCurrency: "",
+    fiatRate: 0
+  }
+];
+
+describe("orders export", () => {
+  it("filters by date range, status, payment method and on-chain provider", () => {
+    const ids = (query) => filterOrders(orders, parseExportFilters(query)).map((o) => o.id);
+    expect(ids({})).toEqual(["o1", "o2"]);
+    expect(ids({ from: "2025-03-02", to: String(T0 + 4 * DAY) })).toEqual(["o2"]);
+    // A date-only `to` includes orders from that whole day
+    const evening = [{ id: "late", createdAt: T0 + 3 * DAY + 20 * 60 * 60 * 1000 }];
+    expect(filterOrders(evening, parseExportFilters({ from: "2025-03-04", to: "2025-03-04" })).map((o) => o.id)).toEqual(["late"]);
+    expect(filterOrders(evening, parseExportFilters({ to: "2025-03-04T12:00:00Z" }))).toEqual([]);
+    expect(ids({ status: "paid,preparation" })).toEqual(["o1"]);
+    expect(ids({ paymentMethod: "onchain" })).toEqual(["o2"]);
+    expect(ids({ onchainProvider: "boltz" })).toEqual([]);
+    expect(() => parseExportFilters({ from: "yesterday" })).toThrow(/Invalid date/);
+  });
+
+  it("writes one CSV row per order with the fiat value at payment time", () => {
+    const { body, contentType } = exportOrders(orders, "csv");
+    expect(contentType).toMatch(/text\/csv/);
+    const [header, first, second] = body.trim().split("\r\n");
+    expect(header.split(",")).toContain('"fiatTotal"');
+    expect(first).toContain('"2025-03-01T00:01:00.000Z"');
+    expect(first).toContain(',2350,');
+    expect(first).toContain('"0.94"');
+    expect(second).toContain('"xpub"');
+  });
+
+  it("adds up line items, discounts and shipping to the order totals", () => {
+    const rows = lineItemExportRows(orders);
+    const o1 = rows.filter((r) => r.orderId === "o1");
+    expect(o1.map((r) => r.type)).toEqual(["item", "item", "discount", "shipping"]);
+    expect(o1.reduce((sum, r) => sum + r.amountSats, 0)).toBe(2350);
+    expect(o1[0].fiatAmount).toBe("0.80");
+    expect(rows.at(-1)).toEqual({ orderId: "TOTAL", type: "total", amountSats: 3350 });
+
+    const csv = exportOrders(orders, "lines").body;
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(JSON.parse(exportOrders(orders, "json").body)[0].items).toHaveLength(2);
+    expect(() => exportOrders(orders, "xml")).toThrow(/Unknown export format/);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import sharp from "sharp";
+import { freshDb } from "./helpers.js";
+
+async function pngDataUrl() {
+  const buf = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#336699" } }).png().toBuffer();
+  return `data:image/png;base64,${buf.toString("base64")}`;
+}
+
+async function setup() {
+  const { Orders, Products, Settings } = await freshDb();
+  const slips = await import("../packing-slips.js");
+  const image = await pngDataUrl();
+  Settings.setAll({ storeName: "Test <Store>", logo: image });
+  const product = Products.create({ title: "Print", description: "d", priceSats: 1000, images: [image] });
+  const order = Orders.create({
+    items: [
+      { productId: product.id, title: "Print", priceSats: 1000, qty: 2 },
+      { productId: "gone", title: "Frame", variantLabel: "Large", priceSats: 500, qty: 1 }
+    ],
+    subtotalSats: 2500,
+    shippingSats: 0,
+    totalSats: 2500,
+    paymentHash: "hash-slip",
+    name: "Ada",
+    surname: "Lovelace",
+    address: "Via Roma 1",
+    city: "Milano",
+    postalCode: "20100",
+    country: "IT",
+    notes: "Gift wrap please"
+  });
+  return { slips, product, order: Orders.get(order.id) };
+}
+
+describe("packing slips", () => {
+  it("renders address, items, notes and a QR code as HTML", async () => {
+    const { slips, product, order } = await setup();
+    const built = await slips.buildPackingSlips([order]);
+    expect(built[0].address).toEqual(["Ada Lovelace", "Via Roma 1", "20100 Milano", "Italy"]);
+    expect(built[0].lines.map((l) => l.thumbUrl)).toEqual([`/api/products/${product.id}/thumb/0`, ""]);
+
+    const html = slips.renderPackingSlipsHtml(built, { layout: "4x6" });
+    expect(html).toContain("size: 4in 6in");
+    expect(html).toContain("Test &lt;Store&gt;");
+    expect(html).toContain(`/api/products/${product.id}/thumb/0`);
+    expect(html).toContain("Frame <span class=\"muted\">(Large)</span>");
+    expect(html).toContain("Gift wrap please");
+    expect(html).toContain("<svg");
+    expect(slips.renderPackingSlipsHtml(built, { layout: "bogus" })).toContain("size: A4");
+  });
+
+  it("renders a PDF locally", async () => {
+    const { slips, order } = await setup();
+    const built = await slips.buildPackingSlips([order, order]);
+    const pdf = await slips.renderPackingSlipsPdf(built, { layout: "a4" });
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.toString("latin1").match(/\/Type \/Page\b/g)).toHaveLength(2);
+  });
+});
@@ -9,6 +9,7 @@ vi.mock("../blink.js", () => {
       satoshis: amount
     })),
     invoiceStatus: vi.fn(async ({ paymentHash }) => (paymentHash === "paid-hash" ? "PAID" : "PENDING")),
+    payInvoice: vi.fn(async () => ({ status: "PAID", preimage: "" })),
     subscribeInvoiceStatus: vi.fn()
   };
 });
@@ -89,6 +90,14 @@ describe("pay abstraction (blink)", () => {
     expect(blink.invoiceStatus).toHaveBeenCalledWith(expect.objectContaining({ paymentHash: "paid-hash" }));
   });
 
+  it("pays refund invoices through the blink driver", async () => {
+    const pay = await loadPay();
+    const blink = await import("../blink.js");
+    const result = await pay.payInvoice({ walletId: "w1", paymentRequest: "lnbc1refund" });
+    expect(result.status).toBe("PAID");
+    expect(blink.payInvoice).toHaveBeenCalledWith(expect.objectContaining({ walletId: "w1", paymentRequest: "lnbc1refund" }));
+  });
+
   it("invokes onPaid when websocket receives payment updates", async () => {
     const pay = await loadPay();
     const onPaid = vi.fn();
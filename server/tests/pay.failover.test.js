@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../blink.js", () => ({
+  ensureBtcWalletId: vi.fn(async () => "blink-wallet"),
+  createInvoiceSats: vi.fn(async () => { throw new Error("Blink GraphQL HTTP 503"); }),
+  invoiceStatus: vi.fn(async () => "PENDING"),
+  payInvoice: vi.fn()
+}));
+vi.mock("../nwc.js", () => ({
+  ensureBtcWalletId: vi.fn(async () => "nwc-btc"),
+  createInvoiceSats: vi.fn(async ({ amount }) => ({ paymentRequest: "lnbc-nwc", paymentHash: `nwc-${amount}`, satoshis: amount })),
+  invoiceStatus: vi.fn(async () => "PAID"),
+  payInvoice: vi.fn(),
+  subscribeInvoiceStatus: vi.fn(() => () => {}),
+  startPaymentWatcher: vi.fn()
+}));
+vi.mock("ws", () => {
+  class FakeWS {
+    on() {}
+    send() {}
+    close() {}
+  }
+  return { default: FakeWS };
+});
+
+async function loadPay() {
+  process.env.PAYMENT_PROVIDER = "blink";
+  process.env.LIGHTNING_FALLBACK_PROVIDERS = "nwc, unknown";
+  process.env.BLINK_API_KEY = "test-key";
+  process.env.NWC_URL = "nostr+walletconnect://wallet";
+  vi.resetModules();
+  const pay = await import("../pay.js");
+  return { pay, blink: await import("../blink.js"), nwc: await import("../nwc.js") };
+}
+
+describe("pay abstraction (lightning failover)", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    for (const key of ["PAYMENT_PROVIDER", "LIGHTNING_FALLBACK_PROVIDERS", "BLINK_API_KEY", "NWC_URL"]) delete process.env[key];
+    vi.restoreAllMocks();
+  });
+
+  it("moves to the next provider when invoice creation fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { pay, blink, nwc } = await loadPay();
+    expect(pay.LIGHTNING_PROVIDERS).toEqual(["blink", "nwc"]);
+
+    const invoice = await pay.createInvoiceSats({ url: "https://blink.test", apiKey: "test-key", walletId: "w1", amount: 500, memo: "Order" });
+    expect(invoice).toEqual({ paymentRequest: "lnbc-nwc", paymentHash: "nwc-500", satoshis: 500, lightningProvider: "nwc" });
+    // Blink's connection args are not handed to the fallback
+    expect(nwc.createInvoiceSats).toHaveBeenCalledWith(expect.objectContaining({ url: "nostr+walletconnect://wallet", amount: 500 }));
+
+    const [primary, fallback] = pay.lightningProviderHealth();
+    expect(primary).toMatchObject({ provider: "blink", primary: true, healthy: false, failures: 1, lastError: "Blink GraphQL HTTP 503" });
+    expect(fallback).toMatchObject({ provider: "nwc", primary: false, healthy: true, failures: 0 });
+
+    // Blink sits out its cooldown
+    await pay.createInvoiceSats({ amount: 600 });
+    expect(blink.createInvoiceSats).toHaveBeenCalledTimes(1);
+  });
+
+  it("tries every provider when all are cooling down and reports the last error", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { pay, blink, nwc } = await loadPay();
+    nwc.createInvoiceSats.mockRejectedValue(new Error("NWC relay timeout"));
+
+    await expect(pay.createInvoiceSats({ amount: 1 })).rejects.toThrow(/NWC relay timeout/);
+    await expect(pay.createInvoiceSats({ amount: 1 })).rejects.toThrow(/NWC relay timeout/);
+    expect(blink.createInvoiceSats).toHaveBeenCalledTimes(2);
+    expect(pay.lightningProviderHealth().map((h) => h.failures)).toEqual([2, 2]);
+  });
+
+  it("queries the backend that issued the invoice", async () => {
+    const { pay, blink, nwc } = await loadPay();
+
+    expect(await pay.invoiceStatus({ paymentHash: "h1", provider: "nwc" })).toBe("PAID");
+    expect(nwc.invoiceStatus).toHaveBeenCalledWith(expect.objectContaining({ paymentHash: "h1", url: "nostr+walletconnect://wallet" }));
+    expect(await pay.invoiceStatus({ paymentHash: "h2" })).toBe("PENDING");
+    expect(blink.invoiceStatus).toHaveBeenCalledWith(expect.objectContaining({ paymentHash: "h2" }));
+
+    const onStatus = vi.fn();
+    pay.subscribeInvoiceStatus({ paymentHash: "h1", provider: "nwc", onStatus });
+    expect(nwc.subscribeInvoiceStatus).toHaveBeenCalledWith(expect.objectContaining({ paymentHash: "h1", onStatus }));
+
+    const onPaid = vi.fn();
+    pay.startPaymentWatcher({ onPaid });
+    expect(nwc.startPaymentWatcher).toHaveBeenCalledWith({ onPaid });
+  });
+
+  it("pays refunds from the backend that received the order", async () => {
+    const { pay, blink, nwc } = await loadPay();
+    nwc.payInvoice.mockResolvedValue({ status: "PAID", preimage: "p1" });
+    blink.payInvoice.mockResolvedValue({ status: "PAID", preimage: "" });
+
+    await pay.payInvoice({ provider: "nwc", paymentRequest: "lnbc-refund", amountSats: 700, amountless: true });
+    expect(nwc.payInvoice).toHaveBeenCalledWith(expect.objectContaining({
+      url: "nostr+walletconnect://wallet",
+      paymentRequest: "lnbc-refund",
+      amountSats: 700,
+      amountless: true
+    }));
+    expect(blink.payInvoice).not.toHaveBeenCalled();
+
+    // A Blink wallet id is resolved when the caller has none
+    await pay.payInvoice({ paymentRequest: "lnbc-refund-2", apiKey: "test-key" });
+    expect(blink.payInvoice).toHaveBeenCalledWith(expect.objectContaining({ walletId: "blink-wallet", paymentRequest: "lnbc-refund-2" }));
+  });
+});
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import http from "http";
+import { WebSocketServer } from "ws";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// Local phoenixd stand-in: form-encoded HTTP API + /websocket events
+function startMockPhoenixd() {
+  const state = { invoices: new Map(), requests: [], sockets: new Set() };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const form = Object.fromEntries(new URLSearchParams(body));
+      state.requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, form });
+      const json = (status, payload) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+      if (req.headers.authorization !== `Basic ${Buffer.from(":secret").toString("base64")}`) {
+        return json(401, { error: "unauthorized" });
+      }
+      if (req.method === "POST" && req.url === "/createinvoice") {
+        const paymentHash = `hash${state.invoices.size + 1}`;
+        state.invoices.set(paymentHash, { isPaid: false, createdAt: Date.now() });
+        return json(200, { amountSat: Number(form.amountSat), paymentHash, serialized: `lnbc${form.amountSat}` });
+      }
+      const incoming = req.url.match(/^\/payments\/incoming\/(.+)$/);
+      if (req.method === "GET" && incoming) {
+        const inv = state.invoices.get(decodeURIComponent(incoming[1]));
+        return inv ? json(200, { paymentHash: incoming[1], ...inv }) : json(404, { error: "not found" });
+      }
+      if (req.method === "POST" && req.url === "/payinvoice") {
+        return json(200, { recipientAmountSat: 1000, routingFeeSat: 2, paymentPreimage: "ff".repeat(32) });
+      }
+      json(404, { error: "unknown route" });
+    });
+  });
+  const wss = new WebSocketServer({ server, path: "/websocket" });
+  wss.on("connection", (socket) => {
+    state.sockets.add(socket);
+    socket.on("close", () => state.sockets.delete(socket));
+  });
+  state.pay = (paymentHash) => {
+    state.invoices.get(paymentHash).isPaid = true;
+    const event = JSON.stringify({ type: "payment_received", amountSat: 1000, paymentHash, timestamp: Date.now() });
+    for (const socket of state.sockets) socket.send(event);
+  };
+  state.connected = (count) => new Promise((resolve) => {
+    const check = () => (state.sockets.size >= count ? resolve() : setTimeout(check, 10));
+    check();
+  });
+  state.close = () => new Promise((resolve) => {
+    for (const socket of state.sockets) socket.terminate();
+    wss.close(() => server.close(() => resolve()));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      state.url = `http://127.0.0.1:${server.address().port}`;
+      resolve(state);
+    });
+  });
+}
+
+async function loadPay(url) {
+  process.env.PAYMENT_PROVIDER = "phoenixd";
+  process.env.PHOENIXD_URL = url;
+  process.env.PHOENIXD_PASSWORD = "secret";
+  vi.resetModules();
+  return import("../pay.js");
+}
+
+describe("pay abstraction (phoenixd)", () => {
+  let mock;
+
+  beforeEach(async () => {
+    mock = await startMockPhoenixd();
+  });
+
+  afterEach(async () => {
+    await mock.close();
+    for (const key of ["PAYMENT_PROVIDER", "PHOENIXD_URL", "PHOENIXD_PASSWORD"]) delete process.env[key];
+  });
+
+  it("creates invoices, reads their status and pays refunds", async () => {
+    const pay = await loadPay(mock.url);
+    expect(await pay.ensureBtcWalletId()).toBe("phoenixd-btc");
+
+    const invoice = await pay.createInvoiceSats({ amount: 1000, memo: "Order 1" });
+    expect(invoice).toEqual({ paymentRequest: "lnbc1000", paymentHash: "hash1", satoshis: 1000, lightningProvider: "phoenixd" });
+    expect(mock.requests[0].form).toEqual({ amountSat: "1000", description: "Order 1", expirySeconds: "900" });
+
+    expect(await pay.invoiceStatus({ paymentHash: "hash1" })).toBe("PENDING");
+    mock.invoices.get("hash1").isPaid = true;
+    expect(await pay.invoiceStatus({ paymentHash: "hash1" })).toBe("PAID");
+
+    mock.invoices.set("old", { isPaid: false, createdAt: Date.now() - 3600 * 1000 });
+    expect(await pay.invoiceStatus({ paymentHash: "old" })).toBe("EXPIRED");
+
+    // LNURL/zap invoices carry sha256(description) instead of the text
+    await pay.createInvoiceSats({ amount: 21, memo: "{\"kind\":9734}", descriptionHashOnly: true });
+    expect(mock.requests.at(-1).form).toEqual({
+      amountSat: "21",
+      descriptionHash: crypto.createHash("sha256").update("{\"kind\":9734}").digest("hex"),
+      expirySeconds: "900"
+    });
+
+    const refund = await pay.payInvoice({ paymentRequest: "lnbc1refund" });
+    expect(refund).toEqual({ status: "PAID", preimage: "ff".repeat(32) });
+  });
+
+  it("reports payments from the websocket", async () => {
+    const pay = await loadPay(mock.url);
+    const { paymentHash } = await pay.createInvoiceSats({ amount: 1000 });
+
+    const onPaid = vi.fn();
+    const phoenixd = await import("../phoenixd.js");
+    const stop = phoenixd.startPaymentWatcher({ onPaid });
+    const status = new Promise((resolve) => {
+      pay.subscribeInvoiceStatus({ paymentHash, onStatus: resolve });
+    });
+    // watcher + subscription
+    await mock.connected(2);
+    mock.pay(paymentHash);
+
+    expect(await status).toBe("PAID");
+    await vi.waitFor(() => expect(onPaid).toHaveBeenCalledWith(paymentHash));
+    stop();
+  });
+
+  it("surfaces auth failures without leaking the endpoint", async () => {
+    process.env.PAYMENT_PROVIDER = "phoenixd";
+    process.env.PHOENIXD_URL = mock.url;
+    process.env.PHOENIXD_PASSWORD = "wrong";
+    vi.resetModules();
+    const pay = await import("../pay.js");
+    const error = await pay.createInvoiceSats({ amount: 1 }).catch((e) => e);
+    expect(error.message).toMatch(/phoenixd HTTP 401/);
+    expect(error.message).not.toContain("127.0.0.1");
+  });
+});
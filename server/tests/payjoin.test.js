@@ -0,0 +1,204 @@
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import bs58check from "bs58check";
+import { BIP32Factory } from "bip32";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+
+// Esplora stand-in: address history, coins by address (and which addresses
+// were looked up), and broadcasts, which fail with `broadcastError` when set
+const esplora = { chain: [], mempool: [], utxos: {}, lookups: [], broadcasts: [], broadcastError: "" };
+
+vi.mock("node-fetch", () => ({
+  default: vi.fn(async (url, init = {}) => {
+    const u = String(url);
+    const reply = (body, status = 200) => ({ ok: status < 400, status, json: async () => body, text: async () => String(body) });
+    if (u.endsWith("/tx") && init.method === "POST") {
+      esplora.broadcasts.push(init.body);
+      if (esplora.broadcastError) return reply(esplora.broadcastError, 400);
+      return reply(bitcoin.Transaction.fromHex(init.body).getId());
+    }
+    const utxo = /\/address\/([^/]+)\/utxo$/.exec(u);
+    if (utxo) {
+      esplora.lookups.push(utxo[1]);
+      return reply(esplora.utxos[utxo[1]] || []);
+    }
+    if (u.endsWith("/blocks/tip/height")) return reply(800000);
+    return reply(u.endsWith("/txs/mempool") ? esplora.mempool : esplora.chain);
+  })
+}));
+
+const XPUB = BIP32Factory(ecc).fromSeed(Buffer.alloc(32, 7)).neutered().toBase58();
+const HOT_KEY = Buffer.alloc(32, 3);
+const BUYER_KEY = Buffer.alloc(32, 4);
+
+function keyPair(privateKey) {
+  return { publicKey: Buffer.from(ecc.pointFromScalar(privateKey, true)), sign: (hash) => Buffer.from(ecc.sign(hash, privateKey)) };
+}
+
+const buyer = keyPair(BUYER_KEY);
+const buyerCoin = {
+  hash: Buffer.alloc(32, 0x11),
+  index: 0,
+  witnessUtxo: { script: bitcoin.payments.p2wpkh({ pubkey: buyer.publicKey }).output, value: 50000 }
+};
+const buyerAddress = bitcoin.payments.p2wpkh({ pubkey: buyer.publicKey }).address;
+const buyerChange = bitcoin.payments.p2wpkh({ pubkey: keyPair(Buffer.alloc(32, 5)).publicKey }).address;
+const hotAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair(HOT_KEY).publicKey }).address;
+
+// Serialized witness stack, as a finalized PSBT input carries it
+function witnessOf(items) {
+  return Buffer.concat([Buffer.from([items.length]), ...items.flatMap((item) => [Buffer.from([item.length]), item])]);
+}
+
+// The buyer wallet's signed transaction: pays the order, change back to itself
+function originalPsbt(address, amount) {
+  const psbt = new bitcoin.Psbt();
+  psbt.addInput({ ...buyerCoin, sequence: 0xfffffffd });
+  psbt.addOutput({ address, value: amount });
+  psbt.addOutput({ address: buyerChange, value: 50000 - amount - 1000 });
+  psbt.signInput(0, buyer);
+  psbt.finalizeAllInputs();
+  return psbt.toBase64();
+}
+
+async function load() {
+  process.env.ONCHAIN_XPUB = XPUB;
+  process.env.ONCHAIN_PAYJOIN_URL = "https://shop.example/api/payjoin/";
+  process.env.ONCHAIN_PAYJOIN_HOT_WIF = bs58check.encode(Buffer.concat([Buffer.from([0x80]), HOT_KEY, Buffer.from([1])]));
+  const { Orders, PayjoinProposals } = await freshDb();
+  const xpub = await import("../onchain/xpub.js");
+  const payment = await xpub.createOnchainPayment({ orderId: "ord-1", amountSats: 10000 });
+  Orders.create({
+    id: "ord-1",
+    items: [],
+    subtotalSats: 10000,
+    shippingSats: 0,
+    totalSats: 10000,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123",
+    paymentMethod: "onchain",
+    onchainProvider: "xpub",
+    ...payment
+  });
+  esplora.utxos = {
+    [hotAddress]: [{ txid: "22".repeat(32), vout: 1, value: 30000, status: { confirmed: true } }],
+    [buyerAddress]: [{ txid: "11".repeat(32), vout: 0, value: 50000, status: { confirmed: true } }]
+  };
+  return { Orders, PayjoinProposals, xpub, payment, address: payment.onchainAddress };
+}
+
+describe("payjoin receiver", () => {
+  afterEach(() => {
+    Object.assign(esplora, { chain: [], mempool: [], utxos: {}, lookups: [], broadcasts: [], broadcastError: "" });
+    for (const key of ["ONCHAIN_XPUB", "ONCHAIN_PAYJOIN_URL", "ONCHAIN_PAYJOIN_HOT_WIF", "ONCHAIN_PAYJOIN_FALLBACK_SECONDS"]) {
+      delete process.env[key];
+    }
+  });
+
+  it("adds a hot wallet coin and counts only the buyer's part of the PayJoin", async () => {
+    const { Orders, PayjoinProposals, xpub, payment, address } = await load();
+    expect(payment.onchainBip21).toContain(`pj=${encodeURIComponent("https://shop.example/api/payjoin/ord-1")}&pjos=0`);
+
+    const proposal = bitcoin.Psbt.fromBase64(await xpub.receivePayjoin(Orders.get("ord-1"), originalPsbt(address, 10000), {
+      v: "1",
+      additionalfeeoutputindex: "1",
+      maxadditionalfeecontribution: "50"
+    }));
+    const record = PayjoinProposals.byOrder("ord-1");
+    expect(record).toMatchObject({ state: "PROPOSED", hotOutpoint: `${"22".repeat(32)}:1` });
+
+    // Ours is signed; the buyer's comes back stripped for it to sign again
+    const ours = proposal.txInputs.findIndex((input) => input.hash.equals(Buffer.alloc(32, 0x22)));
+    const theirs = 1 - ours;
+    expect(proposal.data.inputs[ours].finalScriptWitness).toBeTruthy();
+    expect(proposal.data.inputs[theirs]).not.toHaveProperty("witnessUtxo");
+    expect(proposal.data.inputs[theirs]).not.toHaveProperty("finalScriptWitness");
+    expect(proposal.txInputs.map((input) => input.sequence)).toEqual([0xfffffffd, 0xfffffffd]);
+    expect(proposal.txOutputs.map((out) => out.value)).toEqual([10000 + record.contributedSats, 39000 - 50]);
+
+    proposal.updateInput(theirs, { witnessUtxo: buyerCoin.witnessUtxo });
+    proposal.signInput(theirs, buyer);
+    proposal.finalizeInput(theirs);
+    const final = proposal.extractTransaction();
+    expect(final.getId()).toBe(record.payjoinTxid);
+    const fee = 50000 + 30000 - final.outs.reduce((sum, out) => sum + out.value, 0);
+    // The original's fee rate still holds with our input added
+    const originalVsize = bitcoin.Psbt.fromBase64(originalPsbt(address, 10000)).extractTransaction().virtualSize();
+    expect(fee / final.virtualSize()).toBeGreaterThanOrEqual(1000 / originalVsize);
+
+    esplora.mempool = [{
+      txid: final.getId(),
+      status: { confirmed: false },
+      vin: final.ins.map((input) => ({ sequence: input.sequence })),
+      vout: final.outs.map((out) => ({ scriptpubkey_address: bitcoin.address.fromOutputScript(out.script), value: out.value }))
+    }];
+    const status = await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(status).toMatchObject({ status: "MEMPOOL", onchainReceivedSats: 10000, onchainMempoolSats: 10000, onchainOverpaidSats: 0 });
+    expect(status.onchainPayments).toEqual([expect.objectContaining({ txid: final.getId(), amountSats: 10000, payjoin: true })]);
+    expect(PayjoinProposals.byOrder("ord-1").state).toBe("PAYJOIN");
+    expect(await xpub.listAddressReceipts()).toEqual([expect.objectContaining({ address, amountSats: 10000 })]);
+  });
+
+  it("rejects what it cannot join and broadcasts the original when the PayJoin never shows up", async () => {
+    process.env.ONCHAIN_PAYJOIN_FALLBACK_SECONDS = "0";
+    const { Orders, PayjoinProposals, xpub, address } = await load();
+    const order = Orders.get("ord-1");
+    await expect(xpub.receivePayjoin(order, originalPsbt(address, 10000), { v: "2" }))
+      .rejects.toMatchObject({ code: "version-unsupported" });
+    await expect(xpub.receivePayjoin(order, originalPsbt(address, 5000)))
+      .rejects.toMatchObject({ code: "original-psbt-rejected", message: expect.stringMatching(/less than the order amount/) });
+    await expect(xpub.receivePayjoin(order, "not a psbt")).rejects.toMatchObject({ code: "original-psbt-rejected" });
+
+    const original = originalPsbt(address, 10000);
+    await xpub.receivePayjoin(order, original);
+    await expect(xpub.receivePayjoin(order, original)).rejects.toMatchObject({ message: expect.stringMatching(/already/) });
+
+    // A node that cannot be reached is tried again on the next check
+    esplora.broadcastError = "Service Unavailable";
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(PayjoinProposals.byOrder("ord-1").state).toBe("PROPOSED");
+    esplora.broadcastError = "";
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    const originalHex = bitcoin.Psbt.fromBase64(original).extractTransaction().toHex();
+    expect(esplora.broadcasts).toEqual([originalHex, originalHex]);
+    expect(PayjoinProposals.byOrder("ord-1").state).toBe("FALLBACK");
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(esplora.broadcasts).toHaveLength(2);
+    // The buyer may still broadcast the PayJoin, so the hot coin stays promised
+    expect(PayjoinProposals.lockedOutpoints(0).has(`${"22".repeat(32)}:1`)).toBe(true);
+  });
+
+  it("stops retrying the original once its inputs are spent", async () => {
+    process.env.ONCHAIN_PAYJOIN_FALLBACK_SECONDS = "0";
+    const { Orders, PayjoinProposals, xpub, address } = await load();
+    await xpub.receivePayjoin(Orders.get("ord-1"), originalPsbt(address, 10000));
+    esplora.broadcastError = "sendrawtransaction RPC error: {\"code\":-25,\"message\":\"bad-txns-inputs-missingorspent\"}";
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(PayjoinProposals.byOrder("ord-1").state).toBe("FALLBACK");
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(esplora.broadcasts).toHaveLength(1);
+  });
+
+  it("checks the original's signatures and inputs before looking at the shop's coins", async () => {
+    const { Orders, xpub, address } = await load();
+    const order = Orders.get("ord-1");
+
+    // A well-formed signature by the right key, over some other message
+    const forged = bitcoin.Psbt.fromBase64(originalPsbt(address, 10000));
+    const signature = bitcoin.script.signature.encode(Buffer.from(ecc.sign(Buffer.alloc(32, 9), BUYER_KEY)), bitcoin.Transaction.SIGHASH_ALL);
+    forged.data.inputs[0].finalScriptWitness = witnessOf([signature, buyer.publicKey]);
+    await expect(xpub.receivePayjoin(order, forged.toBase64()))
+      .rejects.toMatchObject({ code: "original-psbt-rejected", message: expect.stringMatching(/not validly signed/) });
+    expect(esplora.lookups).toEqual([]);
+
+    // Signed, but the coin it spends is gone
+    esplora.utxos[buyerAddress] = [];
+    await expect(xpub.receivePayjoin(order, originalPsbt(address, 10000)))
+      .rejects.toMatchObject({ code: "original-psbt-rejected", message: expect.stringMatching(/spent or does not exist/) });
+    expect(esplora.lookups).toEqual([buyerAddress]);
+  });
+});
@@ -0,0 +1,150 @@
+import Database from "better-sqlite3";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DB_PATH, freshDb } from "./helpers.js";
+
+const history = { nwc: [], rescan: [] };
+
+vi.mock("../pay.js", () => ({
+  LIGHTNING_PROVIDERS: ["nwc", "lnurl"],
+  ONCHAIN_PROVIDER: "",
+  listIncomingPayments: vi.fn(async ({ provider }) => history[provider]),
+  listOnchainReceipts: vi.fn(async () => []),
+  rescanOnchainAddresses: vi.fn(async ({ from = 0, to = 9 } = {}) => ({ from, to, scanned: to - from + 1, receipts: history.rescan }))
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+function order(Orders, fields) {
+  return Orders.create({
+    items: [],
+    subtotalSats: 1000,
+    shippingSats: 0,
+    totalSats: 1000,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123",
+    ...fields
+  });
+}
+
+async function load() {
+  const db = await freshDb();
+  const reconcile = await import("../reconcile.js");
+  return { ...db, reconcile };
+}
+
+describe("reconciliation", () => {
+  afterEach(() => {
+    history.nwc = [];
+    history.rescan = [];
+  });
+
+  it("sorts receipts into matched, unpaid, mismatch, deleted and orphan", async () => {
+    const { reconcile } = await load();
+    const now = Date.now();
+    const orders = [
+      { id: "o1", status: "PAID", totalSats: 1000, paymentHash: "h-ok" },
+      { id: "o2", status: "PENDING", totalSats: 1000, paymentHash: "h-unpaid" },
+      { id: "o3", status: "SHIPPED", totalSats: 1000, paymentHash: "h-short" },
+      { id: "o4", status: "PENDING", totalSats: 1000, paymentHash: "h-fresh" },
+      { id: "o5", status: "PENDING", paymentMethod: "onchain", onchainProvider: "xpub", onchainAmountSats: 5000, totalSats: 4900, onchainAddress: "bc1qaddr" }
+    ];
+    const deleted = [{ id: "o6", paymentHash: "h-gone", deletedAt: now - HOUR, order: { id: "o6", status: "PENDING", totalSats: 700, name: "Ada" } }];
+    const receipts = [
+      { source: "nwc", paymentHash: "h-ok", amountSats: 1000, settledAt: now - HOUR },
+      { source: "nwc", paymentHash: "h-unpaid", amountSats: 1000, settledAt: now - HOUR },
+      { source: "nwc", paymentHash: "h-short", amountSats: 900, settledAt: now - HOUR },
+      { source: "nwc", paymentHash: "h-fresh", amountSats: 1000, settledAt: now - 60 * 1000 },
+      { source: "xpub", address: "bc1qaddr", amountSats: 5000, settledAt: now - HOUR },
+      { source: "nwc", paymentHash: "h-gone", amountSats: 700, settledAt: now - HOUR },
+      { source: "nwc", paymentHash: "h-who", amountSats: 42, settledAt: now - HOUR }
+    ];
+
+    const { summary, items } = reconcile.matchReceipts(receipts, { orders, deleted, now });
+    expect(summary).toEqual({ receipts: 7, matched: 1, unpaid: 2, mismatch: 1, deleted: 1, orphan: 1 });
+    expect(items.map((i) => [i.key, i.kind])).toEqual([
+      ["nwc:h-unpaid", "unpaid"],
+      ["nwc:h-short", "mismatch"],
+      ["xpub:bc1qaddr", "unpaid"],
+      ["nwc:h-gone", "deleted"],
+      ["nwc:h-who", "orphan"]
+    ]);
+    expect(items[1]).toMatchObject({ amountSats: 900, expectedSats: 1000, orderId: "o3" });
+    expect(items[3]).toMatchObject({ orderId: "o6", expectedSats: 700, customer: "Ada" });
+  });
+
+  it("archives pruned orders and recovers their payment into a PAID order", async () => {
+    const { Orders, DeletedOrders, reconcile } = await load();
+    const stale = order(Orders, { paymentHash: "h-stale", name: "Ada" });
+    const sqlite = new Database(DB_PATH);
+    sqlite.prepare(`UPDATE orders SET createdAt=? WHERE id=?`).run(Date.now() - 48 * HOUR, stale.id);
+    sqlite.close();
+    Orders.prunePendingOlderThan(24 * HOUR);
+    expect(Orders.get(stale.id)).toBeNull();
+    expect(DeletedOrders.get(stale.id)).toMatchObject({ reason: "pruned", paymentHash: "h-stale" });
+
+    history.nwc = [{ paymentHash: "h-stale", amountSats: 1000, settledAt: Date.now() - 30 * HOUR }];
+    const report = await reconcile.runReconciliation({ days: 7 });
+    expect(report.sources).toEqual([{ source: "nwc", ok: true, count: 1, error: "" }]);
+    expect(report.items).toHaveLength(1);
+    expect(report.items[0]).toMatchObject({ kind: "deleted", orderId: stale.id });
+
+    const paid = reconcile.recoverPayment("nwc:h-stale");
+    expect(paid).toMatchObject({ id: stale.id, status: "PAID", name: "Ada", __justPaid: true });
+    expect(DeletedOrders.get(stale.id)).toBeNull();
+    expect(() => reconcile.recoverPayment("nwc:h-stale")).toThrow(/Already recovered/);
+  });
+
+  it("creates a bare PAID order for an orphan payment", async () => {
+    const { Orders, reconcile } = await load();
+    history.nwc = [{ paymentHash: "h-orphan", amountSats: 2100, settledAt: Date.now() - HOUR, memo: "tip", paymentRequest: "lnbc2100" }];
+    await reconcile.runReconciliation();
+
+    const paid = reconcile.recoverPayment("nwc:h-orphan");
+    expect(paid).toMatchObject({
+      status: "PAID",
+      totalSats: 2100,
+      paymentHash: "h-orphan",
+      lightningProvider: "nwc",
+      notes: "Recovered by reconciliation: tip",
+      __justPaid: true
+    });
+    expect(Orders.byPaymentHash("h-orphan").id).toBe(paid.id);
+  });
+
+  it("finds late payments to expired xpub orders in a rescan", async () => {
+    const { Orders, reconcile } = await load();
+    const expired = order(Orders, {
+      name: "Ada",
+      paymentMethod: "onchain",
+      onchainProvider: "xpub",
+      onchainId: "xp-1",
+      onchainAddress: "bc1qlate",
+      onchainAmountSats: 1000,
+      xpubIndex: 3
+    });
+    Orders.remove(expired.id);
+
+    // Months after the order expired, well outside any reconciliation window
+    history.rescan = [{ address: "bc1qlate", xpubIndex: 3, amountSats: 1000, confirmedSats: 1000, txid: "t1", settledAt: Date.now() - 200 * 24 * HOUR }];
+    const rescan = await reconcile.rescanXpubAddresses();
+    expect(rescan).toMatchObject({ from: 0, to: 9, scanned: 10, summary: { receipts: 1, deleted: 1 } });
+    expect(rescan.items[0]).toMatchObject({ key: "xpub:bc1qlate", kind: "deleted", orderId: expired.id, xpubIndex: 3 });
+    expect(reconcile.reportItem("xpub:bc1qlate")).toBe(rescan.items[0]);
+
+    const paid = reconcile.recoverPayment("xpub:bc1qlate");
+    expect(paid).toMatchObject({ id: expired.id, status: "PAID", __justPaid: true });
+    expect(reconcile.lastXpubRescan().items[0].recoveredOrderId).toBe(expired.id);
+  });
+
+  it("reports a failing source without dropping the others", async () => {
+    const { reconcile } = await load();
+    const pay = await import("../pay.js");
+    pay.listIncomingPayments.mockRejectedValueOnce(new Error("NWC wallet does not allow list_transactions"));
+    const report = await reconcile.runReconciliation();
+    expect(report.sources).toEqual([{ source: "nwc", ok: false, count: 0, error: "NWC wallet does not allow list_transactions" }]);
+    expect(report.summary.receipts).toBe(0);
+  });
+});
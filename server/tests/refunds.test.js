@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { isBitcoinAddress, parseLightningDestination, resolveRefundInvoice } from "../refunds.js";
+
+// BOLT11 test vectors: 250,000 sats (60s expiry) and a donation invoice without amount
+const INVOICE_250K =
+  "lnbc2500u1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpuaztrnwngzn3kdzw5hydlzf03qdgm2hdq27cqv3agm2awhz5se903vruatfhq77w3ls4evs3ch9zw97j25emudupq63nyw24cg27h2rspfj9srp";
+const INVOICE_NO_AMOUNT =
+  "lnbc1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq8rkx3yf5tcsyz3d73gafnh3cax9rn449d9p5uxz9ezhhypd0elx87sjle52x86fux2ypatgddc6k63n7erqz25le42c4u4ecky03ylcqca784w";
+const INVOICE_TIME = 1496314658 * 1000;
+
+describe("refunds", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("classifies Lightning destinations", () => {
+    expect(parseLightningDestination(`lightning:${INVOICE_250K.toUpperCase()}`)).toEqual({
+      kind: "invoice",
+      paymentRequest: INVOICE_250K
+    });
+    expect(parseLightningDestination(" Buyer@Wallet.example ")).toEqual({ kind: "address", address: "buyer@wallet.example" });
+    expect(() => parseLightningDestination("bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4")).toThrow(/BOLT11 invoice or a Lightning address/);
+  });
+
+  it("validates Bitcoin addresses on any network", () => {
+    expect(isBitcoinAddress("bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4")).toBe(true);
+    expect(isBitcoinAddress("tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx")).toBe(true);
+    expect(isBitcoinAddress("bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5")).toBe(false);
+    expect(isBitcoinAddress("")).toBe(false);
+  });
+
+  it("pays a pasted invoice only for exactly the refund amount", async () => {
+    vi.useFakeTimers({ now: INVOICE_TIME + 1000 });
+    const resolved = await resolveRefundInvoice({ destination: INVOICE_250K, amountSats: 250000 });
+    expect(resolved).toMatchObject({ amountSats: 250000, amountless: false });
+    expect(resolved.paymentHash).toBe("0001020304050607080900010203040506070809000102030405060708090102");
+    // The buyer asks for more (or less) than the admin is refunding
+    await expect(resolveRefundInvoice({ destination: INVOICE_250K, amountSats: 1000 }))
+      .rejects.toThrow(/asks for 250000 sats, not the 1000 sats being refunded/);
+    await expect(resolveRefundInvoice({ destination: INVOICE_250K, amountSats: 300000 })).rejects.toThrow(/not the 300000 sats/);
+    await expect(resolveRefundInvoice({ destination: INVOICE_250K })).rejects.toThrow(/amount is required/);
+  });
+
+  it("sends the refund amount to an invoice without one", async () => {
+    vi.useFakeTimers({ now: INVOICE_TIME + 1000 });
+    const resolved = await resolveRefundInvoice({ destination: INVOICE_NO_AMOUNT, amountSats: 1200 });
+    expect(resolved).toMatchObject({ amountSats: 1200, amountless: true, paymentRequest: INVOICE_NO_AMOUNT });
+  });
+
+  it("rejects expired invoices", async () => {
+    await expect(resolveRefundInvoice({ destination: INVOICE_250K, amountSats: 250000 })).rejects.toThrow(/expired/);
+  });
+});
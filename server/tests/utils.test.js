@@ -27,4 +27,14 @@ describe("utils", () => {
     expect(value).toBeGreaterThanOrEqual(before);
     expect(value).toBeLessThanOrEqual(after);
   });
+
+  it("hashPassword round-trips through verifyPassword", async () => {
+    const { hashPassword, verifyPassword } = await import("../utils.js");
+    const stored = hashPassword("correct horse");
+    expect(stored.startsWith("scrypt$")).toBe(true);
+    expect(hashPassword("correct horse")).not.toBe(stored);
+    expect(verifyPassword("correct horse", stored)).toBe(true);
+    expect(verifyPassword("wrong", stored)).toBe(false);
+    expect(verifyPassword("correct horse", "")).toBe(false);
+  });
 });
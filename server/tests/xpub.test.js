@@ -0,0 +1,197 @@
+import { BIP32Factory } from "bip32";
+import * as ecc from "tiny-secp256k1";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { freshDb } from "./helpers.js";
+
+// Esplora stand-in: transactions per address, split into chain and mempool,
+// and the chain tip
+const esplora = { chain: [], mempool: [], tip: 800000 };
+
+vi.mock("node-fetch", () => ({
+  default: vi.fn(async (url) => {
+    if (String(url).endsWith("/blocks/tip/height")) {
+      return { ok: true, status: 200, text: async () => String(esplora.tip) };
+    }
+    const list = String(url).endsWith("/txs/mempool") ? esplora.mempool : esplora.chain;
+    return { ok: true, status: 200, json: async () => (typeof list === "function" ? list(String(url)) : list) };
+  })
+}));
+
+const XPUB = BIP32Factory(ecc).fromSeed(Buffer.alloc(32, 7)).neutered().toBase58();
+
+function tx(txid, address, value, blockTime = 0, { height = esplora.tip, sequence = 0xffffffff } = {}) {
+  return {
+    txid,
+    status: blockTime ? { confirmed: true, block_time: blockTime, block_height: height } : { confirmed: false },
+    vin: [{ txid: "ff".repeat(32), vout: 0, sequence }],
+    vout: [{ scriptpubkey_address: address, value }]
+  };
+}
+
+async function load() {
+  process.env.ONCHAIN_XPUB = XPUB;
+  process.env.ONCHAIN_AMOUNT_TOLERANCE_SATS = "50";
+  const { Orders } = await freshDb();
+  const xpub = await import("../onchain/xpub.js");
+  const payment = await xpub.createOnchainPayment({ orderId: "ord-1", amountSats: 10000 });
+  Orders.create({
+    id: "ord-1",
+    items: [],
+    subtotalSats: 10000,
+    shippingSats: 0,
+    totalSats: 10000,
+    address: "A",
+    city: "B",
+    province: "C",
+    country: "IT",
+    contactPhone: "123",
+    paymentMethod: "onchain",
+    onchainProvider: "xpub",
+    ...payment
+  });
+  return { Orders, xpub, address: payment.onchainAddress };
+}
+
+describe("xpub on-chain payments", () => {
+  afterEach(() => {
+    esplora.chain = [];
+    esplora.mempool = [];
+    esplora.tip = 800000;
+    delete process.env.ONCHAIN_XPUB;
+    delete process.env.ONCHAIN_CONFIRMATIONS;
+    delete process.env.ONCHAIN_AMOUNT_TOLERANCE_SATS;
+    delete process.env.ONCHAIN_XPUB_RECYCLE_AFTER_HOURS;
+    delete process.env.ONCHAIN_XPUB_GAP_LIMIT;
+  });
+
+  it("uses the larger of the percentage and sats tolerance", async () => {
+    const { xpub } = await load();
+    expect(xpub.amountTolerance(1000)).toBe(50); // 1% would be 10
+    expect(xpub.amountTolerance(100000)).toBe(1000);
+  });
+
+  it("reports a partial payment with the remaining amount and a top-up link", async () => {
+    const { Orders, xpub, address } = await load();
+    esplora.chain = [tx("t1", address, 6000, 1700000000)];
+    const status = await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(status).toMatchObject({
+      status: "PARTIAL",
+      onchainReceivedSats: 6000,
+      onchainRemainingSats: 4000,
+      onchainOverpaidSats: 0,
+      onchainTopUpBip21: expect.stringMatching(new RegExp(`^bitcoin:${address}\\?amount=0\\.00004&`))
+    });
+
+    // Partial payments stay open after the order's expiry
+    const expired = { ...Orders.get("ord-1"), onchainExpiresAt: new Date(Date.now() - 1000).toISOString() };
+    expect((await xpub.getOnchainStatus(expired)).status).toBe("PARTIAL");
+  });
+
+  it("accepts a top-up within tolerance and records every transaction", async () => {
+    const { Orders, xpub, address } = await load();
+    esplora.chain = [tx("t2", address, 3960, 1700000600), tx("t1", address, 6000, 1700000000)];
+    const status = await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(status).toMatchObject({ status: "CONFIRMED", onchainRemainingSats: 0, onchainOverpaidSats: 0 });
+    expect(Orders.get("ord-1").onchainPayments).toEqual([
+      { txid: "t1", amountSats: 6000, confirmed: true, confirmations: 1, rbf: false, blockTime: 1700000000000 },
+      { txid: "t2", amountSats: 3960, confirmed: true, confirmations: 1, rbf: false, blockTime: 1700000600000 }
+    ]);
+  });
+
+  it("flags overpayments beyond the tolerance", async () => {
+    const { Orders, xpub, address } = await load();
+    esplora.chain = [tx("t1", address, 10000, 1700000000)];
+    esplora.mempool = [tx("t2", address, 2500)];
+    const status = await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(status).toMatchObject({ status: "CONFIRMED", onchainReceivedSats: 12500, onchainOverpaidSats: 2500 });
+    expect(Orders.get("ord-1")).toMatchObject({ onchainOverpaidSats: 2500, onchainStatus: "CONFIRMED" });
+    expect(Orders.get("ord-1").onchainPayments.map((p) => [p.txid, p.confirmed])).toEqual([["t1", true], ["t2", false]]);
+  });
+
+  it("waits for the confirmations the policy asks of the order amount", async () => {
+    process.env.ONCHAIN_CONFIRMATIONS = "0:1, 5000:3";
+    const { Orders, xpub, address } = await load();
+    esplora.chain = [tx("t1", address, 10000, 1700000000, { height: 799999 })];
+    expect(await xpub.getOnchainStatus(Orders.get("ord-1"))).toMatchObject({
+      status: "MEMPOOL",
+      onchainConfirmations: 2,
+      onchainRequiredConfirmations: 3
+    });
+
+    esplora.chain = [tx("t1", address, 10000, 1700000000, { height: 799998 })];
+    expect(await xpub.getOnchainStatus(Orders.get("ord-1"))).toMatchObject({ status: "CONFIRMED", onchainConfirmations: 3 });
+  });
+
+  it("accepts zero-conf payments only when they cannot be replaced", async () => {
+    process.env.ONCHAIN_CONFIRMATIONS = "0:0";
+    const { Orders, xpub, address } = await load();
+    esplora.mempool = [tx("rbf", address, 10000, 0, { sequence: 0xfffffffd })];
+    expect(await xpub.getOnchainStatus(Orders.get("ord-1"))).toMatchObject({
+      status: "MEMPOOL",
+      onchainRbf: true,
+      onchainRequiredConfirmations: 1
+    });
+
+    // The replacement pays elsewhere: the order is back to unpaid and flagged
+    esplora.mempool = [];
+    const status = await xpub.getOnchainStatus(Orders.get("ord-1"));
+    expect(status).toMatchObject({ status: "UNPAID", onchainDoubleSpend: true, onchainReceivedSats: 0 });
+    expect(Orders.get("ord-1").onchainPayments).toEqual([expect.objectContaining({ txid: "rbf", dropped: true })]);
+
+    // Once something was replaced, even a final transaction needs a confirmation
+    esplora.mempool = [tx("final", address, 10000)];
+    expect(await xpub.getOnchainStatus(Orders.get("ord-1"))).toMatchObject({ status: "MEMPOOL", onchainDoubleSpend: true });
+    esplora.mempool = [];
+    esplora.chain = [tx("final", address, 10000, 1700000000)];
+    expect((await xpub.getOnchainStatus(Orders.get("ord-1"))).status).toBe("CONFIRMED");
+  });
+
+  it("parses the confirmation policy", async () => {
+    const { parseConfirmationPolicy, requiredConfirmations } = await import("../onchain/confirmations.js");
+    const policy = parseConfirmationPolicy("1000000:2, 5000000:6");
+    expect(policy).toEqual([
+      { minSats: 0, confirmations: 1 },
+      { minSats: 1000000, confirmations: 2 },
+      { minSats: 5000000, confirmations: 6 }
+    ]);
+    expect([999999, 1000000, 7000000].map((sats) => requiredConfirmations(sats, policy))).toEqual([1, 2, 6]);
+    expect(() => parseConfirmationPolicy("1000000=2")).toThrow(/expected minSats:confirmations/);
+  });
+
+  it("hands out the address of an expired, unpaid order again", async () => {
+    process.env.ONCHAIN_XPUB_RECYCLE_AFTER_HOURS = "0.000001";
+    const { Orders, xpub, address } = await load();
+    Orders.remove("ord-1");
+    await new Promise((r) => setTimeout(r, 10));
+
+    const reused = await xpub.createOnchainPayment({ orderId: "ord-2", amountSats: 5000 });
+    expect(reused).toMatchObject({ xpubIndex: 0, onchainAddress: address });
+    const fresh = await xpub.createOnchainPayment({ orderId: "ord-3", amountSats: 5000 });
+    expect(fresh.xpubIndex).toBe(1);
+  });
+
+  it("never reuses an address that received a late payment", async () => {
+    process.env.ONCHAIN_XPUB_RECYCLE_AFTER_HOURS = "0.000001";
+    const { Orders, xpub, address } = await load();
+    Orders.remove("ord-1");
+    await new Promise((r) => setTimeout(r, 10));
+    esplora.chain = (url) => (url.includes(address) ? [tx("late", address, 10000, 1700000000)] : []);
+
+    const next = await xpub.createOnchainPayment({ orderId: "ord-2", amountSats: 5000 });
+    expect(next.xpubIndex).toBe(1);
+    expect(xpub.xpubGapStatus()).toMatchObject({ lastUsedIndex: 0, recycled: 0 });
+    expect(xpub.previewAddresses({ count: 3 }).addresses.map((a) => a.state)).toEqual(["paid", "assigned", "unused"]);
+  });
+
+  it("warns as the run of unpaid addresses nears the gap limit", async () => {
+    process.env.ONCHAIN_XPUB_GAP_LIMIT = "5";
+    const { Orders, xpub, address } = await load();
+    esplora.chain = [tx("t1", address, 10000, 1700000000)];
+    await xpub.getOnchainStatus(Orders.get("ord-1"));
+    for (let i = 0; i < 3; i += 1) await xpub.createOnchainPayment({ orderId: `abandoned-${i}`, amountSats: 5000 });
+    expect(xpub.xpubGapStatus()).toMatchObject({ gapLimit: 5, lastUsedIndex: 0, trailingUnused: 3, warning: false });
+
+    await xpub.createOnchainPayment({ orderId: "abandoned-3", amountSats: 5000 });
+    expect(xpub.xpubGapStatus()).toMatchObject({ trailingUnused: 4, warning: true, hiddenPayments: false });
+  });
+});
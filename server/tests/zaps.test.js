@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { finalizeEvent, generateSecretKey, getPublicKey, verifyEvent } from "nostr-tools/pure";
+import { bytesToHex } from "nostr-tools/utils";
+import { freshDb } from "./helpers.js";
+
+const shopSecret = generateSecretKey();
+const sender = generateSecretKey();
+const recipient = getPublicKey(shopSecret);
+
+function zapRequest({ amount = "21000", tags = [] } = {}) {
+  return finalizeEvent({
+    kind: 9734,
+    created_at: Math.floor(Date.now() / 1000),
+    content: "great art",
+    tags: [
+      ["relays", "wss://relay.one", "wss://relay.two", "https://not-a-relay"],
+      ["amount", amount],
+      ["p", recipient],
+      ...tags
+    ]
+  }, sender);
+}
+
+async function loadNostr() {
+  process.env.SHOP_NOSTR_SECRET_HEX = bytesToHex(shopSecret);
+  vi.resetModules();
+  return import("../nostr.js");
+}
+
+describe("zaps (NIP-57)", () => {
+  afterEach(() => {
+    delete process.env.SHOP_NOSTR_SECRET_HEX;
+    delete process.env.PAYMENT_PROVIDER;
+  });
+
+  it("validates zap requests", async () => {
+    const nostr = await loadNostr();
+    const eventId = "ab".repeat(32);
+    const request = zapRequest({ tags: [["e", eventId]] });
+    const parsed = nostr.parseZapRequest(JSON.stringify(request), { amountMsat: 21000 });
+    expect(parsed).toMatchObject({
+      recipient,
+      sender: getPublicKey(sender),
+      eventId,
+      coordinate: "",
+      relays: ["wss://relay.one", "wss://relay.two"]
+    });
+
+    expect(() => nostr.parseZapRequest(JSON.stringify(request), { amountMsat: 1000 })).toThrow(/amount does not match/);
+    expect(() => nostr.parseZapRequest(JSON.stringify({ ...request, content: "edited" }))).toThrow(/signature/);
+    expect(() => nostr.parseZapRequest(JSON.stringify(zapRequest({ tags: [["p", recipient]] })))).toThrow(/exactly one valid p tag/);
+    expect(() => nostr.parseZapRequest("{")).toThrow(/not valid JSON/);
+  });
+
+  it("signs receipts with the shop keys", async () => {
+    const nostr = await loadNostr();
+    const coordinate = `30018:${recipient}:print-1`;
+    const description = JSON.stringify(zapRequest({ tags: [["a", coordinate]] }));
+    const paidAt = Date.UTC(2026, 0, 2);
+    const { event, relays } = nostr.buildZapReceipt({ description, bolt11: "lnbc210n1zap", preimage: "00".repeat(32), paidAt });
+
+    expect(verifyEvent(event)).toBe(true);
+    expect(event).toMatchObject({ kind: 9735, pubkey: recipient, content: "", created_at: paidAt / 1000 });
+    expect(event.tags).toEqual([
+      ["p", recipient],
+      ["a", coordinate],
+      ["P", getPublicKey(sender)],
+      ["bolt11", "lnbc210n1zap"],
+      ["description", description],
+      ["preimage", "00".repeat(32)]
+    ]);
+    expect(relays).toEqual(["wss://relay.one", "wss://relay.two"]);
+  });
+
+  it("marks a zap invoice paid only once", async () => {
+    const { ZapRequests } = await freshDb();
+    ZapRequests.create({ paymentHash: "zap-1", paymentRequest: "lnbc1", amountMsat: 21000, description: "{}", lightningProvider: "lnd" });
+    expect(ZapRequests.unpaidSince(0).map((z) => z.paymentHash)).toEqual(["zap-1"]);
+    expect(ZapRequests.markPaid("zap-1")).toBe(true);
+    expect(ZapRequests.markPaid("zap-1")).toBe(false);
+    ZapRequests.setReceipt("zap-1", "receipt-id");
+    expect(ZapRequests.get("zap-1")).toMatchObject({ receiptId: "receipt-id", amountMsat: 21000 });
+    expect(ZapRequests.unpaidSince(0)).toEqual([]);
+  });
+
+  it("records Lightning Address payments with their comments", async () => {
+    const { LnurlPayments } = await freshDb();
+    LnurlPayments.create({ paymentHash: "la-1", name: "shop", paymentRequest: "lnbc1", amountMsat: 5000, comment: "for the print" });
+    LnurlPayments.create({ paymentHash: "la-2", name: "tips", paymentRequest: "lnbc2", amountMsat: 1000, zap: true });
+    expect(LnurlPayments.paid()).toEqual([]);
+    expect(LnurlPayments.markPaid("la-1")).toBe(true);
+    expect(LnurlPayments.markPaid("la-1")).toBe(false);
+    expect(LnurlPayments.paid()).toMatchObject([{ paymentHash: "la-1", name: "shop", comment: "for the print", zap: false }]);
+    expect(LnurlPayments.unpaidSince(0).map((p) => p.paymentHash)).toEqual(["la-2"]);
+  });
+
+  it("only creates description-hash invoices on backends that support them", async () => {
+    process.env.PAYMENT_PROVIDER = "lnurl";
+    vi.resetModules();
+    const pay = await import("../pay.js");
+    await expect(pay.createInvoiceSats({ amount: 21, memo: "{}", descriptionHashOnly: true }))
+      .rejects.toThrow(/description-hash invoices/);
+  });
+});
@@ -1,3 +1,5 @@
+import crypto from "crypto";
+
 export function makeId() {
   return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
 }
@@ -14,3 +16,18 @@ export function simpleHash(str) {
 export function now() {
   return Date.now();
 }
+
+// scrypt password hashes, stored as "scrypt$<saltHex>$<hashHex>"
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+}